@@ -28,9 +28,16 @@ const youtubeRoutes = require("./routes/youtube.routes");
 const instagramRoutes = require("./routes/instagram.routes");
 const facebookRoutes = require("./routes/facebook.routes");
 const postRoutes = require("./routes/post.routes");
+const postGroupRoutes = require("./routes/postGroup.routes");
+const calendarRoutes = require("./routes/calendar.routes");
+const mediaRoutes = require("./routes/media.routes");
 const competitorRoutes = require("./routes/competitor.routes");
 const notificationRoutes = require("./routes/notification.routes");
 const engagementRoutes = require("./routes/engagement.routes");
+const linkRoutes = require("./routes/link.routes");
+const templateRoutes = require("./routes/template.routes");
+const queueRoutes = require("./routes/queue.routes");
+const linkController = require("./controllers/linkController");
 
 const app = express();
 
@@ -81,8 +88,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar', 'Idempotent-Replayed'],
   optionsSuccessStatus: 200 // Some legacy browsers choke on 204
 }));
 app.use(express.json({ limit: "10mb" }));
@@ -131,6 +138,9 @@ app.use('/uploads', (req, res, next) => {
   }
 }));
 
+// Short link redirect (kept off /api so links stay short)
+app.get("/l/:code", linkController.redirect);
+
 // CORS test endpoint
 app.get("/cors-test", (req, res) => {
   res.json({ 
@@ -164,6 +174,12 @@ app.use("/api/youtube", youtubeRoutes);
 app.use("/api/instagram", instagramRoutes);
 app.use("/api/facebook", facebookRoutes);
 app.use("/api/posts", postRoutes);
+app.use("/api/post-groups", postGroupRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/media", mediaRoutes);
+app.use("/api/links", linkRoutes);
+app.use("/api/templates", templateRoutes);
+app.use("/api/queues", queueRoutes);
 app.use("/api/competitor", competitorRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/engagement", engagementRoutes);
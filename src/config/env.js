@@ -77,6 +77,11 @@ const config = {
 
   // Public Base URL for building absolute links (required for IG photo posting when using local storage)
   BASE_URL: process.env.BASE_URL,
+
+  // Link tracking: public origin of short links (defaults to BASE_URL) and
+  // the local IP-to-country CSV used to locate clicks
+  SHORT_LINK_BASE_URL: process.env.SHORT_LINK_BASE_URL,
+  GEOIP_DB_PATH: process.env.GEOIP_DB_PATH,
   
   // Rate Limiting
   RATE_LIMIT_WINDOW_MS: process.env.RATE_LIMIT_WINDOW_MS || 900000, // 15 minutes
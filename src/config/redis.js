@@ -218,6 +218,37 @@ class RedisClient {
     }
   }
 
+  /**
+   * Try to take a short-lived lock (SET NX PX). Returns true when acquired,
+   * false when another holder has it, and null when Redis is unavailable so
+   * callers can decide whether to proceed without it.
+   */
+  async acquireLock(key, token, ttlMs) {
+    if (!this.isConnected) return null;
+    try {
+      const result = await this.client.set(key, token, { NX: true, PX: ttlMs });
+      return result === 'OK';
+    } catch (err) {
+      console.log('Redis LOCK error:', err.message);
+      return null;
+    }
+  }
+
+  // Release a lock only if it is still held by `token`
+  async releaseLock(key, token) {
+    if (!this.isConnected) return false;
+    try {
+      const released = await this.client.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+        { keys: [key], arguments: [token] }
+      );
+      return released === 1;
+    } catch (err) {
+      console.log('Redis UNLOCK error:', err.message);
+      return false;
+    }
+  }
+
   async disconnect() {
     if (this.client && this.isConnected) {
       try {
@@ -6,8 +6,11 @@ const Campaign = require('../models/Campaign');
 const Bid = require('../models/Bid');
 const Analytics = require('../models/Analytics');
 const Post = require('../models/Post');
+const PublishJob = require('../models/PublishJob');
+const DeadLetterJob = require('../models/DeadLetterJob');
+const publishQueue = require('../services/publishQueue');
 const logger = require('../utils/logger');
-const { HTTP_STATUS } = require('../utils/constants');
+const { HTTP_STATUS, PAGINATION } = require('../utils/constants');
 const { asyncHandler } = require('../middlewares/errorHandler');
 const redisClient = require('../config/redis');
 
@@ -363,6 +366,122 @@ const changeUserPassword = asyncHandler(async (req, res) => {
   });
 });
 
+// Require (or stop requiring) review of a user's posts before they go live
+const updateApprovalPolicy = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { required, defaultReviewer } = req.body;
+
+  const user = await User.findById(id);
+  if (!user) return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'User not found' });
+
+  if (defaultReviewer) {
+    if (String(defaultReviewer) === String(user._id)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'Users cannot review their own posts' });
+    }
+    const reviewer = await User.exists({ _id: defaultReviewer, isActive: true });
+    if (!reviewer) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'Reviewer not found' });
+    }
+  }
+
+  if (required !== undefined) user.approvalPolicy.required = required === true || required === 'true';
+  if (defaultReviewer !== undefined) user.approvalPolicy.defaultReviewer = defaultReviewer || undefined;
+  await user.save();
+
+  logger.info('Approval policy updated', { userId: id, approvalPolicy: user.approvalPolicy, adminId: req.user._id });
+  res.json({ success: true, data: { userId: user._id, approvalPolicy: user.approvalPolicy } });
+});
+
+// Publish queue
+const parsePaging = (query) => {
+  const page = Math.max(1, parseInt(query.page, 10) || PAGINATION.DEFAULT_PAGE);
+  const limit = Math.min(PAGINATION.MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || PAGINATION.DEFAULT_LIMIT));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const getPublishQueueStats = asyncHandler(async (req, res) => {
+  const platforms = await publishQueue.getStats();
+  res.json({ success: true, data: { platforms } });
+});
+
+const listPublishJobs = asyncHandler(async (req, res) => {
+  const { status, platform } = req.query;
+  const { page, limit, skip } = parsePaging(req.query);
+  const filter = {};
+  if (status) filter.status = status;
+  if (platform) filter.platform = platform;
+
+  const [jobs, total] = await Promise.all([
+    PublishJob.find(filter)
+      .sort({ run_at: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('post', 'title platform post_type status')
+      .populate('author', 'name email'),
+    PublishJob.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: { jobs, pagination: { page, limit, total, pages: Math.ceil(total / limit) } }
+  });
+});
+
+const requeuePublishJob = asyncHandler(async (req, res) => {
+  const job = await publishQueue.requeueJob(req.params.id);
+  if (!job) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Queued publish job not found' });
+  }
+  res.json({ success: true, message: 'Publish job will run on the next tick', data: { job } });
+});
+
+const discardPublishJob = asyncHandler(async (req, res) => {
+  const discarded = await publishQueue.discardJob(req.params.id, req.user._id);
+  if (!discarded) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Queued publish job not found' });
+  }
+  res.json({ success: true, message: 'Publish job discarded' });
+});
+
+const listDeadLetterJobs = asyncHandler(async (req, res) => {
+  const { platform, reason } = req.query;
+  const { page, limit, skip } = parsePaging(req.query);
+  const filter = {};
+  if (platform) filter.platform = platform;
+  if (reason) filter.reason = reason;
+
+  const [jobs, total] = await Promise.all([
+    DeadLetterJob.find(filter)
+      .sort({ dead_at: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('post', 'title platform post_type status')
+      .populate('author', 'name email'),
+    DeadLetterJob.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: { jobs, pagination: { page, limit, total, pages: Math.ceil(total / limit) } }
+  });
+});
+
+const requeueDeadLetterJob = asyncHandler(async (req, res) => {
+  const { job, error } = await publishQueue.requeueDeadLetter(req.params.id, req.user._id);
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: error });
+  }
+  res.json({ success: true, message: 'Post requeued for publishing', data: { job } });
+});
+
+const discardDeadLetterJob = asyncHandler(async (req, res) => {
+  const discarded = await publishQueue.discardDeadLetter(req.params.id, req.user._id);
+  if (!discarded) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Dead-letter job not found' });
+  }
+  res.json({ success: true, message: 'Dead-letter job discarded' });
+});
+
 module.exports = {
   dashboardStats,
   listUsers,
@@ -374,7 +493,15 @@ module.exports = {
   createUser,
   deleteUser,
   getUserPosts,
-  changeUserPassword
+  changeUserPassword,
+  updateApprovalPolicy,
+  getPublishQueueStats,
+  listPublishJobs,
+  requeuePublishJob,
+  discardPublishJob,
+  listDeadLetterJobs,
+  requeueDeadLetterJob,
+  discardDeadLetterJob
 };
 
 
@@ -1,9 +1,10 @@
 // src/controllers/analyticsController.js
 const Analytics = require('../models/Analytics');
-const { HTTP_STATUS } = require('../utils/constants');
+const { HTTP_STATUS, PLATFORMS } = require('../utils/constants');
 const { asyncHandler } = require('../middlewares/errorHandler');
 const Post = require('../models/Post');
 const User = require('../models/User');
+const bestTimeService = require('../services/bestTimeService');
 
 // Social services (used if available)
 let TwitterService, LinkedInService, YouTubeService, FacebookService;
@@ -452,6 +453,30 @@ const getPlatformStats = asyncHandler(async (req, res) => {
   res.json({ success: true, data: { stats: stats?.[0] || {} } });
 });
 
+// Best posting windows per platform and weekday from the user's own posts
+const getBestPostingTimes = asyncHandler(async (req, res) => {
+  const { platform, timezone } = req.query;
+  if (platform && !Object.values(PLATFORMS).includes(platform)) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'Invalid platform' });
+  }
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 180, 7), 730);
+
+  const recommendations = await bestTimeService.getRecommendations(req.userId, {
+    platform,
+    timezone: timezone || req.user?.profile?.timezone || 'UTC',
+    days
+  });
+
+  if (req.query.next === 'true' && platform) {
+    const slot = await bestTimeService.findNextBestSlot(req.userId, platform, recommendations.timezone);
+    recommendations.next_best_slot = slot
+      ? { scheduled_at: slot.scheduled_at, window: slot.window }
+      : null;
+  }
+
+  res.json({ success: true, data: recommendations });
+});
+
 // Get posts time series (admin)
 const getPostsTimeSeries = asyncHandler(async (req, res) => {
   const { period = 'last_30_days' } = req.query;
@@ -531,6 +556,7 @@ module.exports = {
   getUserAnalytics,
   getTopPerforming,
   getPlatformStats,
+  getBestPostingTimes,
   syncUserAnalytics,
   getPostsTimeSeries,
   getSuccessFailure,
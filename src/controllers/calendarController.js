@@ -0,0 +1,186 @@
+// src/controllers/calendarController.js
+// Read-only iCalendar feed of a user's scheduled and published posts. Calendar
+// apps cannot send auth headers, so the feed is protected by a secret token
+// in its URL that the user can rotate or revoke independently of their login.
+const Post = require('../models/Post');
+const User = require('../models/User');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { HTTP_STATUS, PLATFORMS } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { buildCalendar } = require('../utils/ical');
+
+const FEED_STATUSES = ['scheduled', 'publishing', 'published', 'failed'];
+const DEFAULT_FEED_STATUSES = ['scheduled', 'publishing', 'published'];
+// Window of posts included in the feed, around now
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 365;
+const MAX_FEED_EVENTS = 2000;
+const EVENT_DURATION_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EVENT_STATUS = {
+  scheduled: 'TENTATIVE',
+  publishing: 'TENTATIVE',
+  published: 'CONFIRMED',
+  failed: 'CANCELLED'
+};
+
+const parseList = (value, allowed) => (value
+  ? String(value).split(',').map(item => item.trim().toLowerCase()).filter(item => allowed.includes(item))
+  : []);
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const feedUrl = (req, token) => {
+  const base = config.BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/calendar/feed/${token}.ics`;
+};
+
+const postUrl = (post) => `${String(config.FRONTEND_URL).split(',')[0].replace(/\/$/, '')}/posts/${post._id}`;
+
+function toEvent(post) {
+  const start = post.status === 'published'
+    ? post.publishing?.published_at || post.scheduling?.scheduled_at
+    : post.scheduling?.scheduled_at;
+  const caption = post.content?.caption || '';
+  const title = post.title || caption.slice(0, 60) || 'Untitled post';
+
+  const description = [
+    `Status: ${post.status}`,
+    `Platform: ${post.platform} (${post.post_type})`,
+    caption && `\n${caption}`,
+    post.publishing?.platform_url && `\nLive post: ${post.publishing.platform_url}`,
+    `\nOpen in Bloocube: ${postUrl(post)}`
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: `post-${post._id}@bloocube`,
+    start,
+    end: new Date(new Date(start).getTime() + EVENT_DURATION_MS),
+    stamp: post.updatedAt,
+    lastModified: post.updatedAt,
+    sequence: post.revision || 0,
+    summary: `[${capitalize(post.platform)}] ${title}`,
+    description,
+    url: postUrl(post),
+    status: EVENT_STATUS[post.status],
+    categories: [post.platform, post.status]
+  };
+}
+
+/**
+ * Serve the feed. `platform` and `status` (comma-separated) narrow it down
+ * and are part of the URL the calendar app subscribes to.
+ */
+const getFeed = asyncHandler(async (req, res) => {
+  const user = await User.findByCalendarToken(req.params.token);
+  if (!user) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Calendar feed not found' });
+  }
+
+  const platforms = parseList(req.query.platform, Object.values(PLATFORMS));
+  const statuses = parseList(req.query.status, FEED_STATUSES);
+  const now = Date.now();
+  const range = {
+    $gte: new Date(now - FEED_PAST_DAYS * DAY_MS),
+    $lte: new Date(now + FEED_FUTURE_DAYS * DAY_MS)
+  };
+
+  const filter = {
+    author: user._id,
+    status: { $in: statuses.length > 0 ? statuses : DEFAULT_FEED_STATUSES },
+    $or: [
+      { 'scheduling.scheduled_at': range },
+      { 'publishing.published_at': range }
+    ]
+  };
+  if (platforms.length > 0) filter.platform = { $in: platforms };
+
+  const posts = await Post.find(filter)
+    .select('title content platform post_type status scheduling publishing revision updatedAt')
+    .sort({ 'scheduling.scheduled_at': 1 })
+    .limit(MAX_FEED_EVENTS)
+    .lean();
+
+  const events = posts
+    .filter(post => post.scheduling?.scheduled_at || post.publishing?.published_at)
+    .map(toEvent);
+
+  User.updateOne({ _id: user._id }, { $set: { 'calendarFeed.lastAccessedAt': new Date() } })
+    .catch(error => logger.warn('Failed to record calendar feed access', { userId: user._id, error: error.message }));
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', 'inline; filename="bloocube-posts.ics"');
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  res.status(HTTP_STATUS.OK).send(buildCalendar({
+    name: `Bloocube posts – ${user.name || user.email}`,
+    description: 'Scheduled and published social posts',
+    events
+  }));
+});
+
+/**
+ * Whether the current user has a feed, and when it was created/last fetched
+ */
+const getFeedStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select('+calendarFeed.tokenHash');
+  const enabled = Boolean(user?.calendarFeed?.tokenHash);
+
+  res.json({
+    success: true,
+    data: {
+      enabled,
+      createdAt: enabled ? user.calendarFeed.createdAt : null,
+      lastAccessedAt: enabled ? user.calendarFeed.lastAccessedAt || null : null
+    }
+  });
+});
+
+/**
+ * Create the feed token, or rotate it (the old URL stops working). The URL
+ * is only returned here since just a hash of the token is stored.
+ */
+const createFeedToken = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'User not found' });
+  }
+
+  const token = user.generateCalendarToken();
+  await user.save();
+
+  logger.info('Calendar feed token issued', { userId: user._id });
+
+  const url = feedUrl(req, token);
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: 'Calendar feed created. Keep this URL private; anyone with it can read your posting calendar.',
+    data: {
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:'),
+      createdAt: user.calendarFeed.createdAt
+    }
+  });
+});
+
+/**
+ * Revoke the feed token. Login sessions are not affected.
+ */
+const revokeFeedToken = asyncHandler(async (req, res) => {
+  await User.updateOne({ _id: req.userId }, { $unset: { calendarFeed: 1 } });
+
+  logger.info('Calendar feed token revoked', { userId: req.userId });
+
+  res.json({
+    success: true,
+    message: 'Calendar feed revoked'
+  });
+});
+
+module.exports = {
+  getFeed,
+  getFeedStatus,
+  createFeedToken,
+  revokeFeedToken
+};
@@ -0,0 +1,149 @@
+// src/controllers/linkController.js
+// Short link redirects and per-link click statistics
+const mongoose = require('mongoose');
+const ShortLink = require('../models/ShortLink');
+const Post = require('../models/Post');
+const linkShortener = require('../services/linkShortener');
+const logger = require('../utils/logger');
+const { HTTP_STATUS, PAGINATION } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+const CODE_PATTERN = /^[A-Za-z0-9]{4,16}$/;
+
+const findOwnedLink = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  const query = { _id: req.params.id };
+  if (req.user?.role !== 'admin') query.owner = req.userId;
+  return ShortLink.findOne(query);
+};
+
+const withShortUrl = (link) => ({
+  ...(typeof link.toJSON === 'function' ? link.toJSON() : link),
+  short_url: linkShortener.shortUrl(link.code)
+});
+
+/**
+ * Public redirect. The click is recorded in the background so the visitor
+ * is never held up by tracking.
+ */
+const redirect = asyncHandler(async (req, res) => {
+  const { code } = req.params;
+  const link = CODE_PATTERN.test(code)
+    ? await ShortLink.findOne({ code }).select('url post platform')
+    : null;
+  if (!link) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Link not found' });
+  }
+
+  linkShortener.recordClick(link, {
+    referrer: req.get('referer'),
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  }).catch(error => {
+    logger.warn('Failed to record link click', { code, error: error.message });
+  });
+
+  // Every visit has to reach us to be counted
+  res.set('Cache-Control', 'private, no-store');
+  res.redirect(302, link.url);
+});
+
+/**
+ * The user's short links, newest first; `post` limits them to one post
+ */
+const getLinks = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || PAGINATION.DEFAULT_PAGE);
+  const limit = Math.min(PAGINATION.MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || PAGINATION.DEFAULT_LIMIT));
+
+  const filter = { owner: req.userId };
+  if (req.query.post) {
+    if (!mongoose.isValidObjectId(req.query.post)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'Invalid post ID' });
+    }
+    filter.post = req.query.post;
+  }
+
+  const [links, total] = await Promise.all([
+    ShortLink.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    ShortLink.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      links: links.map(withShortUrl),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    }
+  });
+});
+
+/**
+ * Shorten a URL by hand, optionally attributing it to one of the user's posts
+ */
+const createLink = asyncHandler(async (req, res) => {
+  const { url, post: postId } = req.body;
+
+  let parsed;
+  try {
+    parsed = new URL(String(url || ''));
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'url must be an http(s) URL' });
+  }
+
+  let link;
+  if (postId) {
+    const post = mongoose.isValidObjectId(postId)
+      ? await Post.findOne({ _id: postId, author: req.userId }).select('author platform')
+      : null;
+    if (!post) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Post not found' });
+    }
+    link = await linkShortener.linkForPost(post, parsed.href);
+  } else {
+    link = await linkShortener.create({ url: parsed.href, owner: req.userId });
+  }
+
+  res.status(HTTP_STATUS.CREATED).json({ success: true, message: 'Short link created', data: { link: withShortUrl(link) } });
+});
+
+const getLink = asyncHandler(async (req, res) => {
+  const link = await findOwnedLink(req);
+  if (!link) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Link not found' });
+  }
+
+  res.json({ success: true, data: { link: withShortUrl(link) } });
+});
+
+/**
+ * Clicks of one link by day, country, platform and referrer (`from`, `to`)
+ */
+const getLinkStats = asyncHandler(async (req, res) => {
+  const link = await findOwnedLink(req);
+  if (!link) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Link not found' });
+  }
+
+  const from = req.query.from ? new Date(req.query.from) : undefined;
+  const to = req.query.to ? new Date(req.query.to) : undefined;
+  if ([from, to].some(date => date && isNaN(date.getTime()))) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'from and to must be valid dates' });
+  }
+
+  const stats = await linkShortener.getStats(link, { from, to });
+  res.json({ success: true, data: { link: withShortUrl(link), stats } });
+});
+
+module.exports = {
+  redirect,
+  getLinks,
+  createLink,
+  getLink,
+  getLinkStats
+};
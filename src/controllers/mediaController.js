@@ -0,0 +1,209 @@
+// src/controllers/mediaController.js
+const MediaAsset = require('../models/MediaAsset');
+const mediaLibrary = require('../services/mediaLibrary');
+const renditionService = require('../services/renditionService');
+const logger = require('../utils/logger');
+const { HTTP_STATUS, PAGINATION } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+// Tags arrive as an array, a JSON array string or a comma-separated list
+const parseTags = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value.map(String);
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed.map(String);
+  } catch {
+    // not JSON
+  }
+  return String(value).split(',').map(tag => tag.trim()).filter(Boolean);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const findOwnedAsset = (req) => {
+  const query = { _id: req.params.id };
+  if (req.user?.role !== 'admin') query.owner = req.userId;
+  return MediaAsset.findOne(query);
+};
+
+const withUsage = async (assets) => {
+  const usage = await mediaLibrary.countUsage(assets.map(asset => asset._id));
+  return assets.map(asset => ({ ...asset.toJSON(), usage_count: usage.get(String(asset._id)) || 0 }));
+};
+
+/**
+ * Search the library. `q` matches names and tags; `folder` is exact unless
+ * `recursive=true`.
+ */
+const getAssets = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || PAGINATION.DEFAULT_PAGE);
+  const limit = Math.min(PAGINATION.MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || PAGINATION.DEFAULT_LIMIT));
+  const { q, type, folder, recursive } = req.query;
+
+  const filter = { owner: req.userId };
+  if (type) filter.type = type;
+  const tags = parseTags(req.query.tags || req.query.tag).map(tag => tag.toLowerCase());
+  if (tags.length > 0) filter.tags = { $all: tags };
+  if (folder) {
+    const path = MediaAsset.normalizeFolder(folder);
+    filter.folder = recursive === 'true' && path !== '/'
+      ? { $regex: `^${escapeRegex(path)}(/|$)` }
+      : path;
+  }
+  if (q) {
+    const pattern = new RegExp(escapeRegex(String(q).trim()), 'i');
+    filter.$or = [{ originalName: pattern }, { tags: pattern }];
+  }
+
+  const [assets, total] = await Promise.all([
+    MediaAsset.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    MediaAsset.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      assets: await withUsage(assets),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    }
+  });
+});
+
+/**
+ * Folders in the user's library with asset counts
+ */
+const getFolders = asyncHandler(async (req, res) => {
+  const folders = await MediaAsset.aggregate([
+    { $match: { owner: req.user._id } },
+    { $group: { _id: '$folder', count: { $sum: 1 }, size: { $sum: '$size' } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  res.json({
+    success: true,
+    data: { folders: folders.map(({ _id, count, size }) => ({ folder: _id, count, size })) }
+  });
+});
+
+/**
+ * Upload files into the library. Files already in it are returned as-is.
+ */
+const uploadAssets = asyncHandler(async (req, res) => {
+  const files = req.files || [];
+  if (files.length === 0) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'No files uploaded (field "files")' });
+  }
+
+  const tags = parseTags(req.body.tags);
+  const results = [];
+  for (const file of files) {
+    const { asset, deduplicated } = await mediaLibrary.storeUpload(file, {
+      owner: req.userId,
+      folder: req.body.folder,
+      tags
+    });
+    results.push({ asset, deduplicated });
+  }
+
+  const deduplicated = results.filter(result => result.deduplicated).length;
+  logger.info('Media uploaded to library', { userId: req.userId, files: files.length, deduplicated });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: deduplicated > 0
+      ? `${files.length - deduplicated} new, ${deduplicated} already in your library`
+      : 'Media uploaded successfully',
+    data: { assets: results.map(result => ({ ...result.asset.toJSON(), deduplicated: result.deduplicated })) }
+  });
+});
+
+const getAsset = asyncHandler(async (req, res) => {
+  const asset = await findOwnedAsset(req);
+  if (!asset) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Media asset not found' });
+  }
+
+  const [data] = await withUsage([asset]);
+  res.json({ success: true, data: { asset: data } });
+});
+
+/**
+ * Posts that use an asset as media or thumbnail
+ */
+const getAssetUsage = asyncHandler(async (req, res) => {
+  const asset = await findOwnedAsset(req);
+  if (!asset) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Media asset not found' });
+  }
+
+  const posts = await mediaLibrary.findUsage(asset._id);
+  res.json({ success: true, data: { asset: asset._id, count: posts.length, posts } });
+});
+
+/**
+ * Rename, retag or move an asset, or set the focal point used for crops
+ */
+const updateAsset = asyncHandler(async (req, res) => {
+  const asset = await findOwnedAsset(req);
+  if (!asset) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Media asset not found' });
+  }
+
+  if (req.body.originalName !== undefined) asset.originalName = req.body.originalName;
+  if (req.body.folder !== undefined) asset.folder = req.body.folder;
+  if (req.body.tags !== undefined) asset.tags = parseTags(req.body.tags);
+  if (req.body.focal_point !== undefined) {
+    const { x, y } = req.body.focal_point || {};
+    if (![x, y].every(value => typeof value === 'number' && value >= 0 && value <= 1)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'focal_point must be { x, y } with values between 0 and 1'
+      });
+    }
+    asset.focal_point = { x, y };
+    // Crops depend on the focal point; they are rebuilt on the next publish
+    await renditionService.clearRenditions(asset);
+  }
+  await asset.save();
+
+  res.json({ success: true, message: 'Media asset updated', data: { asset } });
+});
+
+/**
+ * Delete an asset and its stored file. Assets still used by posts are kept.
+ */
+const deleteAsset = asyncHandler(async (req, res) => {
+  const asset = await findOwnedAsset(req);
+  if (!asset) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Media asset not found' });
+  }
+
+  const usage = await mediaLibrary.countUsage([asset._id]);
+  const inUse = usage.get(String(asset._id)) || 0;
+  if (inUse > 0) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: `Media asset is used by ${inUse} post${inUse === 1 ? '' : 's'}`,
+      data: { usage_count: inUse }
+    });
+  }
+
+  await mediaLibrary.removeAsset(asset);
+  logger.info('Media asset deleted', { assetId: asset._id, userId: req.userId });
+
+  res.json({ success: true, message: 'Media asset deleted' });
+});
+
+module.exports = {
+  getAssets,
+  getFolders,
+  uploadAssets,
+  getAsset,
+  getAssetUsage,
+  updateAsset,
+  deleteAsset
+};
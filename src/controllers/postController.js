@@ -1,15 +1,24 @@
 const Post = require('../models/Post');
+const PostGroup = require('../models/PostGroup');
+const PostRevision = require('../models/PostRevision');
+const DeadLetterJob = require('../models/DeadLetterJob');
 const User = require('../models/User');
+const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 const path = require('path');
+const { isDeepStrictEqual } = require('util');
 const fs = require('fs'); // Must be imported for the local storage fallback
 const { TwitterApi } = require('twitter-api-v2'); 
-const { downloadToBufferFromGcs } = require('../utils/storage'); // <--- CRITICAL IMPORT
+const { loadMediaBuffer } = require('../utils/storage');
 const config = require('../config/env');
 const axios = require('axios');
 const FormData = require('form-data');
-const { validatePostData, sanitizeContent, getRecommendations } = require('../utils/postValidation');
-const { retryPost, updatePostWithRetryInfo } = require('../utils/retryLogic');
+const { validatePostData, sanitizeContent, getRecommendations, contentLength, PLATFORM_VALIDATORS } = require('../utils/postValidation');
+const { validateThread, MAX_TWEET_LENGTH } = require('../utils/twitterText');
+const { calculateDelay } = require('../utils/retryLogic');
+const publishQueue = require('../services/publishQueue');
+const { validateRecurring, findNextOccurrence, getUpcomingOccurrences } = require('../utils/recurrence');
+const { resolveScheduling, formatInTimeZone } = require('../utils/timezone');
 const { handlePlatformError, ERROR_CODES } = require('../utils/standardErrorHandler');
 
 // Import platform services
@@ -18,6 +27,29 @@ const youtubeService = require('../services/social/youtube');
 const linkedinService = require('../services/social/linkedin');
 const instagramService = require('../services/social/instagram');
 const engagementService = require('../services/engagementService');
+const NotificationService = require('../services/notificationService');
+const bestTimeService = require('../services/bestTimeService');
+const renditionService = require('../services/renditionService');
+const mediaConformance = require('../services/mediaConformance');
+const linkShortener = require('../services/linkShortener');
+const utmService = require('../services/utmService');
+const platformRemoval = require('../services/platformRemoval');
+const platformEditor = require('../services/platformEditor');
+const firstCommentService = require('../services/firstComment');
+const evergreenService = require('../services/evergreen');
+const postingQueue = require('../services/postingQueue');
+const previewService = require('../services/previewService');
+const duplicateContent = require('../services/duplicateContent');
+const { failureRecord, suggestedFix } = require('../utils/publishFailures');
+const { PLATFORM_CAPABILITIES, getCapability } = require('../utils/platformCapabilities');
+const { NEXT_BEST_SLOT, QUEUE_SLOT } = require('../utils/constants');
+
+// Lease held while a due post is published inline right after scheduling
+const IMMEDIATE_PUBLISH_LEASE_MS = 10 * 60 * 1000;
+
+// Fields PUT /posts/:id takes from the body; uploads replace media and
+// thumbnail, and campaign, utm and firstComment are parsed separately
+const EDITABLE_FIELDS = ['title', 'content', 'post_type', 'platformContent', 'tags', 'categories', 'link_tracking'];
 
 class PostController {
 
@@ -32,11 +64,13 @@ class PostController {
     this.publishPost = this.publishPost.bind(this);
     this.schedulePostById = this.schedulePostById.bind(this);
     this.schedulePost = this.schedulePost.bind(this);
+    this.retryPost = this.retryPost.bind(this);
+    this.claimForPublishNow = this.claimForPublishNow.bind(this);
  
     this.createPost = this.createPost.bind(this);
   }
 
-  // Helper method to post to platform with retry logic
+  // Helper method to post to platform; retries go through the publish queue
   async postToPlatform(post, user) {
     try {
       console.log(`🚀 Posting to ${post.platform}:`, {
@@ -47,10 +81,20 @@ class PostController {
         userEmail: user.email
       });
 
-      // ✅ ADD: Use retry logic for posting
-      const platformResult = await retryPost(async () => {
-        return await this.executePlatformPost(post, user);
-      }, post.platform, post);
+      // One attempt inline; retryable failures continue in the publish queue
+      // instead of sleeping through the backoff inside the request
+      const { result: platformResult, retryable } = await publishQueue.attempt(post, user);
+
+      if (!platformResult.success && retryable) {
+        const job = await publishQueue.enqueue(post, {
+          runAt: new Date(Date.now() + calculateDelay(0, post.platform)),
+          attempts: 1,
+          lastError: platformResult.error,
+          failure: platformResult.failure
+        });
+        logger.info('Publish queued for retry', { postId: post._id, platform: post.platform, jobId: job._id });
+        return { ...platformResult, queued: true, jobId: job._id };
+      }
 
       console.log(`📊 Platform posting result for ${post.platform}:`, platformResult);
       return platformResult;
@@ -67,6 +111,12 @@ class PostController {
   async executePlatformPost(post, user) {
     let platformResult = { success: false, error: 'Platform not supported' };
 
+    // Images are cropped/converted/resized for the platform; the stored post keeps the originals
+    post = await renditionService.withRenditions(post);
+    // Links get their UTM parameters, then (with link tracking on) short links
+    post = await utmService.withUtm(post);
+    post = await linkShortener.withShortLinks(post);
+
     switch (post.platform) {
       case 'twitter':
         console.log('🐦 Calling Twitter posting...');
@@ -128,6 +178,19 @@ async postToTwitter(post, user) {
           accessSecret: tw.oauth_accessSecret,
         });
 
+    const threadEntries = post.platformContent?.twitter?.thread || post.platform_content?.twitter?.thread;
+    if (post.post_type === 'thread') {
+      if (!Array.isArray(threadEntries) || threadEntries.length === 0) {
+        return { success: false, error: 'No thread content provided' };
+      }
+      // Checked before anything is uploaded, so a bad thread posts nothing
+      const threadErrors = validateThread(threadEntries, post.media?.length || 0);
+      if (threadErrors.length > 0) {
+        return { success: false, error: threadErrors.join('; ') };
+      }
+    }
+
+    // Kept in the order of post.media so thread entries can refer to them by index
     const mediaIds = [];
     if (post.media && post.media.length > 0) {
       console.log('📸 Starting media processing loop...');
@@ -136,27 +199,29 @@ async postToTwitter(post, user) {
         const { buffer, mimeType } = await loadMediaBuffer(mediaFile);
         if (!buffer) {
           console.error(`❌ Could not load media into buffer: ${mediaFile.filename}`);
+          mediaIds.push(null);
           continue;
         }
         const mediaId = await client.v1.uploadMedia(buffer, { mimeType: mimeType || mediaFile.mimeType });
+        mediaIds.push(mediaId || null);
         if (mediaId) {
-          mediaIds.push(mediaId);
           console.log(`✅ Media uploaded successfully. Media ID: ${mediaId}`);
         }
       }
     }
+    const uploadedIds = mediaIds.filter(Boolean);
 
     // Handle thread vs single tweet
     if (post.post_type === 'thread') {
-      const threadEntries = post.platformContent?.twitter?.thread || post.platform_content?.twitter?.thread;
-      if (!Array.isArray(threadEntries) || threadEntries.length === 0) {
-        return { success: false, error: 'No thread content provided' };
-      }
+      // Entries may pick their own media; otherwise all media go on the first tweet
+      const perTweetMedia = threadEntries.some(entry => Array.isArray(entry?.media) && entry.media.length > 0);
+      const mediaFor = (i) => (perTweetMedia
+        ? (threadEntries[i]?.media || []).map(index => mediaIds[Number(index)]).filter(Boolean)
+        : (i === 0 ? uploadedIds : []));
 
-      // First tweet (attach media if any)
       const firstText = String(threadEntries[0]?.text || '').trim() || (post.content?.caption || post.title || ' ');
       const firstTweet = { text: firstText };
-      if (mediaIds.length > 0) firstTweet.media = { media_ids: mediaIds };
+      if (mediaFor(0).length > 0) firstTweet.media = { media_ids: mediaFor(0) };
       const firstRes = await client.v2.tweet(firstTweet);
       let prevId = firstRes?.data?.id;
       const results = [{ tweet_id: prevId, text: firstRes?.data?.text, position: 1 }];
@@ -165,7 +230,9 @@ async postToTwitter(post, user) {
       for (let i = 1; i < threadEntries.length; i++) {
         const txt = String(threadEntries[i]?.text || '').trim();
         if (!txt) continue;
-        const res = await client.v2.tweet({ text: txt, reply: { in_reply_to_tweet_id: prevId } });
+        const reply = { text: txt, reply: { in_reply_to_tweet_id: prevId } };
+        if (mediaFor(i).length > 0) reply.media = { media_ids: mediaFor(i) };
+        const res = await client.v2.tweet(reply);
         prevId = res?.data?.id;
         results.push({ tweet_id: prevId, text: res?.data?.text, position: i + 1 });
         // Small delay to avoid rate issues
@@ -176,8 +243,8 @@ async postToTwitter(post, user) {
     } else {
       // Single tweet
       const tweetData = { text: post.content?.caption || post.title || ' ' };
-      if (mediaIds.length > 0) {
-        tweetData.media = { media_ids: mediaIds };
+      if (uploadedIds.length > 0) {
+        tweetData.media = { media_ids: uploadedIds };
       }
 
       console.log('🚀 Posting tweet with data:', tweetData);
@@ -188,8 +255,7 @@ async postToTwitter(post, user) {
 
     } catch (error) {
       console.error('❌ CRITICAL ERROR in postToTwitter:', error);
-      const errorResponse = handlePlatformError(error, 'Twitter');
-      return { success: false, error: errorResponse.error.message, errorCode: errorResponse.error.code };
+      return platformFailure(error, 'Twitter');
     }
 }
 
@@ -326,12 +392,7 @@ async postToTwitter(post, user) {
       }
     } catch (error) {
       console.error('❌ YouTube posting error:', error);
-      const errorResponse = handlePlatformError(error, 'YouTube');
-      return {
-        success: false,
-        error: errorResponse.error.message,
-        errorCode: errorResponse.error.code
-      };
+      return platformFailure(error, 'YouTube');
     }
   }
 
@@ -439,13 +500,7 @@ async postToTwitter(post, user) {
 
     } catch (error) {
       console.error('❌ Unhandled error in postToInstagram:', error);
-      const errorResponse = handlePlatformError(error, 'Instagram');
-      return {
-        success: false,
-        error: errorResponse.error.message,
-        errorCode: errorResponse.error.code,
-        requiresReconnection: true
-      };
+      return { ...platformFailure(error, 'Instagram'), requiresReconnection: true };
     }
   }
 
@@ -703,12 +758,7 @@ async postToTwitter(post, user) {
       return { success: true, type: 'feed', post_id: feedResp.data?.id, pageId };
     } catch (error) {
       console.error('❌ Facebook posting error:', error);
-      const errorResponse = handlePlatformError(error, 'Facebook');
-      return { 
-        success: false, 
-        error: errorResponse.error.message,
-        errorCode: errorResponse.error.code
-      };
+      return platformFailure(error, 'Facebook');
     }
   }
 
@@ -817,12 +867,7 @@ async postToTwitter(post, user) {
       }
     } catch (error) {
       console.error('❌ LinkedIn posting error:', error);
-      const errorResponse = handlePlatformError(error, 'LinkedIn');
-      return {
-        success: false,
-        error: errorResponse.error.message,
-        errorCode: errorResponse.error.code
-      };
+      return platformFailure(error, 'LinkedIn');
     }
   }
 
@@ -873,6 +918,22 @@ async postToTwitter(post, user) {
         });
       }
 
+      const campaignFields = await parseCampaignFields(req.body, req.userId);
+      if (campaignFields.error) {
+        return res.status(400).json({
+          success: false,
+          message: campaignFields.error
+        });
+      }
+
+      const firstComment = parseFirstComment(req.body, req.body.platform);
+      if (firstComment.error) {
+        return res.status(400).json({
+          success: false,
+          message: firstComment.error
+        });
+      }
+
       const {
         title,
         content,
@@ -968,7 +1029,12 @@ async postToTwitter(post, user) {
         tags: parsedTags,
         categories: parsedCategories,
         media: req.files || [], // ✅ DIRECTLY use req.files (now correctly formatted by middleware)
-        thumbnail: req.thumbnail || null // Add thumbnail if provided
+        link_tracking: req.body.link_tracking,
+        ...campaignFields.fields,
+        ...firstComment.fields,
+        thumbnail: req.thumbnail || null, // Add thumbnail if provided
+        template: req.contentTemplate,
+        approval: Post.approvalDefaults(req.user)
       });
 
       await post.save();
@@ -1089,7 +1155,12 @@ async postToTwitter(post, user) {
   async updatePost(req, res) {
     try {
       const { id } = req.params;
-      const updateData = { ...req.body };
+      // Only content fields; status, approval, publishing and the rest change
+      // through their own endpoints
+      const updateData = {};
+      for (const field of EDITABLE_FIELDS) {
+        if (req.body[field] !== undefined) updateData[field] = req.body[field];
+      }
 
       // Parse JSON strings
       if (updateData.platformContent && typeof updateData.platformContent === 'string') {
@@ -1106,13 +1177,18 @@ async postToTwitter(post, user) {
       if (req.files && req.files.length > 0) {
         updateData.media = req.files; // Use the processed files
       }
+      if (req.thumbnail) {
+        updateData.thumbnail = req.thumbnail;
+      }
 
+      // Optimistic concurrency: the client sends the revision it edited,
+      // either as `version` in the body or as an If-Match header
+      const expectedRevision = parseExpectedRevision(req.body.version ?? req.get('If-Match'));
 
-      const post = await Post.findOneAndUpdate(
-        { _id: id, author: req.userId },
-        { $set: updateData },
-        { new: true }
-      ).populate('author', 'username email');
+      // Edits to a published post go to the platform too, unless sync_platform=false
+      const syncPlatform = !['false', '0', false].includes(req.body.sync_platform);
+
+      const post = await Post.findOne({ _id: id, author: req.userId });
 
       if (!post) {
         return res.status(404).json({
@@ -1121,10 +1197,111 @@ async postToTwitter(post, user) {
         });
       }
 
+      // The worker holding the lease would overwrite the edit when it finishes
+      if (post.status === 'publishing') {
+        return res.status(409).json(publishingInProgressResponse());
+      }
+
+      const campaignFields = await parseCampaignFields(req.body, req.userId);
+      if (campaignFields.error) {
+        return res.status(400).json({
+          success: false,
+          message: campaignFields.error
+        });
+      }
+      Object.assign(updateData, campaignFields.fields);
+
+      const firstComment = parseFirstComment(req.body, post.platform);
+      if (firstComment.error) {
+        return res.status(400).json({
+          success: false,
+          message: firstComment.error
+        });
+      }
+      if (firstComment.fields) {
+        if (['posting', 'posted'].includes(post.firstComment?.status)) {
+          return res.status(409).json({
+            success: false,
+            message: `The first comment was already posted on ${post.platform}`
+          });
+        }
+        Object.assign(updateData, firstComment.fields);
+      }
+
+      if (expectedRevision !== null && expectedRevision !== (post.revision || 0)) {
+        return res.status(409).json(staleRevisionResponse(post));
+      }
+
+      const platformBefore = post.status === 'published' ? platformEditor.editableValues(post) : null;
+
+      // Mongoose marks Mixed fields modified whenever they are set; keep the
+      // mark only for a real change, so a no-op save adds no revision and
+      // does not revoke an approval
+      const mixedBefore = { content: post.content, platformContent: post.platformContent };
+      post.set(updateData);
+      for (const field of ['content', 'platformContent']) {
+        if (updateData[field] === undefined) continue;
+        if (isDeepStrictEqual(plainValue(mixedBefore[field]), plainValue(post[field]))) {
+          post.unmarkModified(field);
+        } else {
+          post.markModified(field);
+        }
+      }
+      post.$locals.editedBy = req.userId;
+
+      let platformSync;
+      if (platformBefore) {
+        const fields = platformEditor.changedFields(platformBefore, platformEditor.editableValues(post));
+        const capability = getCapability(post.platform, 'edit');
+        if (!capability.supported) {
+          platformSync = { synced: false, reason: capability.reason };
+        } else if (fields.length === 0) {
+          platformSync = { synced: false, reason: `No fields ${post.platform} can edit were changed` };
+        } else if (!syncPlatform) {
+          platformSync = { synced: false, fields, reason: 'sync_platform=false; only our copy was changed' };
+        } else {
+          const user = await User.findById(req.userId);
+          const result = await platformEditor.push(post, user, fields);
+          if (!result.success) {
+            // Keep our copy in step with the platform: nothing is saved
+            console.error(`❌ Could not edit post on ${post.platform}:`, result.error);
+            return res.status(502).json({
+              success: false,
+              code: 'PLATFORM_EDIT_FAILED',
+              message: `Could not update the post on ${post.platform}: ${result.error}. Nothing was saved; retry, or send sync_platform=false to change only our copy.`,
+              platform: post.platform,
+              fields,
+              errorCode: result.errorCode
+            });
+          }
+          post.publishing.history.push({ event: 'edited', fields, by: req.userId, at: new Date() });
+          platformSync = { synced: true, fields };
+        }
+      }
+
+      // Also refuse if a worker claimed the post since it was loaded
+      post.$where = { ...post.$where, status: { $ne: 'publishing' } };
+      try {
+        await post.save();
+      } catch (saveError) {
+        if (saveError.name !== 'DocumentNotFoundError') throw saveError;
+        const latest = await Post.findById(id);
+        if (latest?.status === 'publishing') {
+          return res.status(409).json(publishingInProgressResponse());
+        }
+        // Someone saved a newer revision between our read and write
+        return res.status(409).json(staleRevisionResponse(latest || post));
+      }
+      post.$where = undefined;
+      notifyApprovalRevoked(post, req.userId);
+      await post.populate('author', 'username email');
+
+      res.set('ETag', `"${post.revision}"`);
       res.json({
         success: true,
-        message: 'Post updated successfully',
-        post
+        message: platformSync?.synced ? `Post updated here and on ${post.platform}` : 'Post updated successfully',
+        post,
+        platformSync
       });
 
     } catch (error) {
@@ -1136,11 +1313,239 @@ async postToTwitter(post, user) {
     }
   }
 
-  // Delete a post
+  // Post (or re-post) a published post's first comment now
+  async retryFirstComment(req, res) {
+    try {
+      const post = await Post.findOne({ _id: req.params.id, author: req.userId });
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found'
+        });
+      }
+      if (!post.firstComment?.text) {
+        return res.status(400).json({
+          success: false,
+          message: 'This post has no first comment'
+        });
+      }
+      if (post.status !== 'published') {
+        return res.status(409).json({
+          success: false,
+          message: 'The first comment is posted once the post is published'
+        });
+      }
+
+      const result = await firstCommentService.retry(post._id);
+      const { firstComment } = await Post.findById(post._id).select('firstComment');
+      if (!result) {
+        return res.status(409).json({
+          success: false,
+          message: firstComment.status === 'posted' ? 'The first comment was already posted' : 'The first comment is being posted',
+          firstComment
+        });
+      }
+
+      res.status(result.success ? 200 : 502).json({
+        success: result.success,
+        message: result.success
+          ? `First comment posted on ${post.platform}`
+          : `Could not post the first comment: ${result.error}`,
+        firstComment
+      });
+    } catch (error) {
+      console.error('❌ Error posting first comment:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to post first comment'
+      });
+    }
+  }
+
+  // The user's evergreen posts with their repost settings and progress
+  async getEvergreenLibrary(req, res) {
+    try {
+      const filter = { author: req.userId, 'evergreen.enabled': true };
+      if (req.query.platform) filter.platform = req.query.platform;
+
+      const posts = await Post.find(filter)
+        .sort({ 'evergreen.next_eligible_at': 1 })
+        .select('title content platform post_type status publishing.published_at publishing.platform_url analytics evergreen');
+
+      res.json({
+        success: true,
+        posts
+      });
+    } catch (error) {
+      console.error('❌ Error listing evergreen posts:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to list evergreen posts'
+      });
+    }
+  }
+
+  // Mark a published post as evergreen (or change its repost settings)
+  async updateEvergreen(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const post = await Post.findOne({ _id: req.params.id, author: req.userId });
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found'
+        });
+      }
+      if (post.evergreen?.source) {
+        return res.status(400).json({
+          success: false,
+          message: 'This post is a repost; mark the original post as evergreen instead'
+        });
+      }
+      if (post.status !== 'published' && req.body.enabled !== false) {
+        return res.status(409).json({
+          success: false,
+          message: 'Only published posts can be made evergreen'
+        });
+      }
+
+      const variations = req.body.variations !== undefined
+        ? req.body.variations.map(text => String(text).trim()).filter(Boolean)
+        : undefined;
+      const maxLength = PLATFORM_VALIDATORS[post.platform]?.maxLength;
+      const tooLong = (variations || []).findIndex(text => contentLength(text, post.platform) > maxLength);
+      if (tooLong !== -1) {
+        return res.status(400).json({
+          success: false,
+          message: `Variation ${tooLong + 1} exceeds the ${post.platform} limit of ${maxLength} characters`
+        });
+      }
+
+      for (const field of ['enabled', 'min_gap_days', 'max_reposts', 'lookback_days']) {
+        if (req.body[field] !== undefined) post.evergreen[field] = req.body[field];
+      }
+      if (variations !== undefined) post.evergreen.variations = variations;
+      post.evergreen.next_eligible_at = evergreenService.nextEligibleAt(post) || undefined;
+
+      await post.save();
+
+      res.json({
+        success: true,
+        message: post.evergreen.enabled ? 'Evergreen settings saved' : 'Post is no longer evergreen',
+        evergreen: post.evergreen
+      });
+    } catch (error) {
+      console.error('❌ Error updating evergreen settings:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update evergreen settings'
+      });
+    }
+  }
+
+  // An evergreen post's settings and its reposts, each with its own performance
+  async getEvergreen(req, res) {
+    try {
+      const post = await Post.findOne({ _id: req.params.id, author: req.userId })
+        .select('title content platform status publishing.published_at publishing.platform_url analytics evergreen');
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found'
+        });
+      }
+
+      const reposts = await Post.find({ 'evergreen.source': post._id, author: req.userId })
+        .sort({ 'evergreen.repost_number': 1 })
+        .select('content.caption status scheduling.scheduled_at publishing.published_at publishing.platform_url analytics evergreen.repost_number');
+
+      res.json({
+        success: true,
+        post,
+        evergreen: post.evergreen,
+        reposts: reposts.map(repost => ({
+          id: repost._id,
+          repost_number: repost.evergreen.repost_number,
+          status: repost.status,
+          caption: repost.content?.caption,
+          scheduled_at: repost.scheduling?.scheduled_at,
+          published_at: repost.publishing?.published_at,
+          platform_url: repost.publishing?.platform_url,
+          analytics: repost.analytics
+        }))
+      });
+    } catch (error) {
+      console.error('❌ Error loading evergreen post:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to load evergreen post'
+      });
+    }
+  }
+
+  // What can be changed or removed on each platform after publishing
+  async getPlatformCapabilities(req, res) {
+    res.json({
+      success: true,
+      capabilities: PLATFORM_CAPABILITIES
+    });
+  }
+
+  // Delete a post. With `remove_from_platform=true` a published post is
+  // taken down on its platform first and kept, marked as removed.
   async deletePost(req, res) {
     try {
       const { id } = req.params;
 
+      const removeFromPlatform = ['true', '1', true].includes(req.query.remove_from_platform ?? req.body?.remove_from_platform);
+      if (removeFromPlatform) {
+        const published = await Post.findOne({
+          _id: id,
+          author: req.userId,
+          status: 'published',
+          'publishing.platform_post_id': { $ne: null }
+        });
+        if (published) {
+          const user = await User.findById(req.userId);
+          const removal = await platformRemoval.remove(published, user);
+          if (!removal.success) {
+            console.error(`❌ Could not remove post from ${published.platform}:`, removal.error);
+            return res.status(removal.supported ? 502 : 422).json(platformRemovalFailedResponse(published, removal));
+          }
+
+          published.status = 'removed';
+          published.publishing.removal = {
+            removed_at: new Date(),
+            removed_by: req.userId,
+            method: removal.method,
+            note: removal.note
+          };
+          published.publishing.history.push({ event: 'removed', at: new Date() });
+          await published.save();
+
+          if (published.group) await PostGroup.refreshStatus(published.group);
+
+          console.log(`🗑️ Post removed from ${published.platform}:`, published._id, removal.method);
+          return res.json({
+            success: true,
+            message: removal.method === 'made_private'
+              ? `Post made private on ${published.platform}`
+              : `Post removed from ${published.platform}`,
+            post: published,
+            platformResult: removal
+          });
+        }
+        // Nothing live on the platform; delete it here as usual
+      }
+
       const post = await Post.findOneAndDelete({
         _id: id,
         author: req.userId
@@ -1153,6 +1558,12 @@ async postToTwitter(post, user) {
         });
       }
 
+      // Keep the parent group in sync when a single platform is removed
+      if (post.group) {
+        await PostGroup.findByIdAndUpdate(post.group, { $pull: { posts: post._id } });
+        await PostGroup.refreshStatus(post.group);
+      }
+
       res.json({
         success: true,
         message: 'Post deleted successfully'
@@ -1255,13 +1666,63 @@ async postToTwitter(post, user) {
     }
   }
 
+  // Get failed posts, each with its last failure and the fix to suggest
+  async getFailed(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { page = 1, limit = 10, platform } = req.query;
+
+      const pageNum = parseInt(page);
+      const limitNum = parseInt(limit);
+      const skip = (pageNum - 1) * limitNum;
+
+      const filter = { author: req.userId, status: 'failed' };
+      if (platform) filter.platform = platform;
+
+      const [posts, total] = await Promise.all([
+        Post.find(filter)
+          .sort({ updatedAt: -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .populate('author', 'username email'),
+        Post.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        failed: posts.map(describeFailedPost),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error fetching failed posts:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch failed posts'
+      });
+    }
+  }
+
   // Publish a post immediately
   async publishPost(req, res) {
     try {
-      console.log('🚀 Publishing post immediately:', {
-        body: req.body,
+      logger.info('Publishing post immediately', {
+        platform: req.body.platform,
         files: req.files?.length || 0,
-        userId: req.user?._id
+        userId: req.userId
       });
 
       const errors = validationResult(req);
@@ -1273,6 +1734,36 @@ async postToTwitter(post, user) {
         });
       }
 
+      // Posts that need review must be created as drafts and approved first
+      if (req.user?.approvalPolicy?.required) {
+        return res.status(403).json(approvalRequiredResponse());
+      }
+
+      const conformance = await mediaConformance.checkPost({
+        platform: req.body.platform,
+        post_type: req.body.post_type,
+        media: req.files || []
+      });
+      if (!conformance.isValid) {
+        return res.status(422).json(mediaNotConformantResponse(req.body.platform, conformance));
+      }
+
+
+      const campaignFields = await parseCampaignFields(req.body, req.userId);
+      if (campaignFields.error) {
+        return res.status(400).json({
+          success: false,
+          message: campaignFields.error
+        });
+      }
+
+      const firstComment = parseFirstComment(req.body, req.body.platform);
+      if (firstComment.error) {
+        return res.status(400).json({
+          success: false,
+          message: firstComment.error
+        });
+      }
 
       const {
         title,
@@ -1322,73 +1813,75 @@ async postToTwitter(post, user) {
         platform,
         post_type,
         author: req.userId,
-        status: 'published',
+        // Held like a claimed post until the platform answers; the lease
+        // hands it to the scheduler if this request dies meanwhile
+        status: 'publishing',
         platformContent: parsedPlatformContent,
         tags: parsedTags,
         categories: parsedCategories,
         media: req.files || [], // ✅ DIRECTLY use req.files (now correctly formatted by middleware)
+        link_tracking: req.body.link_tracking,
+        ...campaignFields.fields,
+        ...firstComment.fields,
         publishing: {
-          published_at: new Date(),
-          platform_post_id: null // Will be updated after successful platform posting
+          lease: {
+            owner: publishQueue.workerId,
+            claimed_at: new Date(),
+            expires_at: new Date(Date.now() + IMMEDIATE_PUBLISH_LEASE_MS)
+          },
+          history: [{ event: 'claimed', worker: publishQueue.workerId, at: new Date() }]
         }
       });
 
-      await post.save();
-      await post.populate('author', 'username email');
-
-      // Post to platform
-      console.log('🚀 Attempting to post to platform:', post.platform);
-     // Get user with social accounts
-     const user = await User.findById(req.userId);
-     if (!user) {
-       return res.status(404).json({
-         success: false,
-         message: 'User not found'
-       });
-     }
-
-      const platformResult = await this.postToPlatform(post, user);
+      const duplicate = await findDuplicate(req.body, post, new Date());
+      if (duplicate) {
+        return res.status(409).json(duplicateContentResponse(duplicate));
+      }
+
+      // Get user with social accounts
+      const user = await User.findById(req.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      await post.save();
+      await post.populate('author', 'username email');
+
+      // Post to platform
+      const platformResult = await this.postToPlatform(post, user);
+
+      if (platformResult.queued) {
+        return res.status(202).json({
+          success: true,
+          message: `Publishing to ${post.platform} failed temporarily; the post was queued for retry`,
+          platformError: platformResult.error,
+          post,
+          queued: true,
+          jobId: platformResult.jobId
+        });
+      }
 
       if (!platformResult.success) {
-        // Update post status to failed
-        post.status = 'failed';
-        post.publishing = {
-          published_at: new Date(),
-          platform_post_id: null,
-          error: platformResult.error
-        };
-        await post.save();
+        // Mark the post failed, with the attempt's failure record, and
+        // refresh its group and recurring series as retries do
+        await publishQueue.fail(post, platformResult);
 
         return res.status(400).json({
           success: false,
           message: `Failed to post to ${post.platform}: ${platformResult.error}`,
           platformError: platformResult.error,
-          post
+          post,
+          suggestedFix: suggestedFix(platformResult.failure?.code, post.platform)
         });
       }
 
-      // Generate platform URL
-      const platformPostId = platformResult.tweet_id || platformResult.thread_id || platformResult.video_id || platformResult.ig_media_id || platformResult.id || platformResult.post_id || null;
-      let platformUrl = platformResult.url || null;
-      
-      // If URL not provided, generate it
-      if (!platformUrl && platformPostId) {
-        const username = user.socialAccounts?.[post.platform]?.username || 
-                        user.socialAccounts?.[post.platform]?.customUrl ||
-                        user.socialAccounts?.[post.platform]?.id;
-        platformUrl = engagementService.generatePlatformURL(post.platform, platformPostId, username);
-      }
-
-      // Update post with platform post ID and URL
-      post.publishing = {
-        published_at: new Date(),
-        platform_post_id: platformPostId,
-        platform_url: platformUrl,
-        platform_data: platformResult
-      };
-      await post.save();
+      // Group status and the next recurring occurrence, as for queued publishes
+      await publishQueue.complete(post, withPlatformUrl(post, user, platformResult));
 
-      console.log('✅ Post published successfully:', post._id, 'Platform ID:', post.publishing.platform_post_id);
+      logger.info('Post published', { postId: post._id, platform: post.platform, platformPostId: post.publishing.platform_post_id });
 
       res.status(201).json({
         success: true,
@@ -1398,7 +1891,7 @@ async postToTwitter(post, user) {
       });
 
     } catch (error) {
-      console.error('❌ Error publishing post:', error);
+      logger.error('Failed to publish post', { userId: req.userId, error: error.message });
       res.status(500).json({
         success: false,
         message: error.message || 'Failed to publish post'
@@ -1424,13 +1917,41 @@ async postToTwitter(post, user) {
         });
       }
 
+      // Posts that need review must be created as drafts and approved first
+      if (req.user?.approvalPolicy?.required) {
+        return res.status(403).json(approvalRequiredResponse());
+      }
+
+      const conformance = await mediaConformance.checkPost({
+        platform: req.body.platform,
+        post_type: req.body.post_type,
+        media: req.files || []
+      });
+      if (!conformance.isValid) {
+        return res.status(422).json(mediaNotConformantResponse(req.body.platform, conformance));
+      }
+
+      const campaignFields = await parseCampaignFields(req.body, req.userId);
+      if (campaignFields.error) {
+        return res.status(400).json({
+          success: false,
+          message: campaignFields.error
+        });
+      }
+
+      const firstComment = parseFirstComment(req.body, req.body.platform);
+      if (firstComment.error) {
+        return res.status(400).json({
+          success: false,
+          message: firstComment.error
+        });
+      }
+
       const {
         title,
         content,
         platform,
         post_type,
-        scheduledAt,
-        scheduled_for,
         platformContent,
         tags,
         categories
@@ -1467,13 +1988,35 @@ async postToTwitter(post, user) {
 
       // ❌ REMOVED: const mediaFiles = this.processUploadedMedia(req); // No longer needed
 
-      // Normalize scheduled date from any accepted key
-      const incomingScheduled = scheduledAt || req.body?.scheduling?.scheduled_at || scheduled_for;
-      const scheduledDate = new Date(incomingScheduled);
-      if (!incomingScheduled || isNaN(scheduledDate.valueOf())) {
+      // scheduledAt may be 'next_best_slot': pick the time from engagement history
+      const bestSlot = await applyNextBestSlot(req, platform);
+      if (bestSlot.error) {
+        return res.status(400).json({ success: false, message: bestSlot.error });
+      }
+
+      // ... or 'queue': take the next free slot of the account's posting queue
+      const queueSlot = await applyQueueSlot(req, bestSlot.body, platform);
+      if (queueSlot.error) {
+        return res.status(queueSlot.status || 400).json({ success: false, message: queueSlot.error });
+      }
+
+      // Normalize scheduled date from any accepted key, in the post's time zone
+      const schedule = resolveScheduling(queueSlot.body, req.user?.profile?.timezone);
+      if (schedule.error) {
+        return res.status(400).json({
+          success: false,
+          message: schedule.error,
+          dst: schedule.dst
+        });
+      }
+      const scheduledDate = schedule.scheduling.scheduled_at;
+
+      const { recurring, errors: recurringErrors } = parseRecurring(req.body);
+      if (recurringErrors.length > 0) {
         return res.status(400).json({
           success: false,
-          message: 'Valid scheduledAt is required (ISO 8601)'
+          message: 'Invalid recurring schedule',
+          errors: recurringErrors
         });
       }
 
@@ -1492,13 +2035,24 @@ async postToTwitter(post, user) {
         tags: parsedTags,
         categories: parsedCategories,
         media: req.files || [], // ✅ DIRECTLY use req.files (now correctly formatted by middleware)
-        scheduling: {
-          scheduled_at: scheduledDate, // Corrected to match schema
-          timezone: req.body.timezone || 'UTC'
-        }
+        link_tracking: req.body.link_tracking,
+        ...campaignFields.fields,
+        ...firstComment.fields,
+        scheduling: schedule.scheduling
       });
+      if (recurring) {
+        post.scheduling.recurring = { ...recurring, series_id: post._id, starts_at: scheduledDate, occurrence: 1 };
+      }
+      const duplicate = await findDuplicate(req.body, post, scheduledDate);
+      if (duplicate) {
+        return res.status(409).json(duplicateContentResponse(duplicate));
+      }
+      if (queueSlot.queue) {
+        await postingQueue.prepare(post, queueSlot.queue);
+      }
 
       await post.save();
+      await settleQueue(post, queueSlot.queue);
       await post.populate('author', 'username email');
 
       // If scheduled time is now or in the past, publish immediately instead of waiting for cron
@@ -1508,20 +2062,39 @@ async postToTwitter(post, user) {
           if (!user) {
             return res.status(404).json({ success: false, message: 'User not found' });
           }
-          const result = await retryPost(async () => {
-            return await this.executePlatformPost(post, user);
-          }, post.platform, post);
-          await updatePostWithRetryInfo(post, result);
+          // Take the post before the scheduler tick can claim it
+          const claimed = await Post.claimForPublishing(publishQueue.workerId, IMMEDIATE_PUBLISH_LEASE_MS, { _id: post._id });
+          if (!claimed) {
+            // The scheduler got there first and publishes it; not an error
+            return res.status(202).json({
+              success: true,
+              message: 'Post scheduled; the scheduler is publishing it now',
+              post,
+              queued: true,
+              publishedImmediately: false
+            });
+          }
+          post.status = 'publishing';
+
+          const result = await this.postToPlatform(post, user);
+          // Group status and the next recurring occurrence, as for queued publishes
+          if (result.success) {
+            await publishQueue.complete(post, result);
+          } else if (!result.queued) {
+            await publishQueue.fail(post, result);
+          }
 
           return res.status(201).json({
             success: result.success,
-            message: result.success ? 'Post published successfully' : `Failed to publish: ${result.error}`,
+            message: result.success
+              ? 'Post published successfully'
+              : result.queued ? `Publishing failed temporarily and was queued for retry: ${result.error}` : `Failed to publish: ${result.error}`,
             post,
             platformResult: result,
             publishedImmediately: true
           });
         } catch (immediateErr) {
-          console.error('❌ Immediate publish after scheduling failed:', immediateErr);
+          logger.error('Immediate publish after scheduling failed', { postId: post._id, error: immediateErr.message });
           // Fall through: return scheduled response; cron will retry
         }
       }
@@ -1530,8 +2103,10 @@ async postToTwitter(post, user) {
 
       res.status(201).json({
         success: true,
-        message: 'Post scheduled successfully',
+        message: queueSlot.queue ? 'Post added to the queue' : 'Post scheduled successfully',
         post,
+        bestTimeSlot: bestSlot.window,
+        queued: !!queueSlot.queue,
         publishedImmediately: false
       });
 
@@ -1544,13 +2119,28 @@ async postToTwitter(post, user) {
     }
   }
 
+  // Take a draft, scheduled or failed post for publishing right now, so the
+  // scheduler or a second request cannot publish it at the same time.
+  // Resolves to null when the post's status changed since it was loaded.
+  async claimForPublishNow(post) {
+    const claimed = await Post.claimForImmediatePublish(publishQueue.workerId, IMMEDIATE_PUBLISH_LEASE_MS, {
+      _id: post._id,
+      status: post.status
+    });
+    // A failed post published again replaces its dead-lettered job
+    if (claimed && post.status === 'failed') {
+      await DeadLetterJob.deleteMany({ post: claimed._id });
+    }
+    return claimed;
+  }
+
   // Publish an existing post by ID
   async publishPostById(req, res) {
     try {
       const { id } = req.params;
       const userId = req.userId;
 
-      console.log('🚀 Publishing existing post:', { postId: id, userId });
+      logger.info('Publishing existing post', { postId: id, userId });
 
       // Find the post and verify ownership
       const post = await Post.findOne({ _id: id, author: userId });
@@ -1572,6 +2162,28 @@ async postToTwitter(post, user) {
         });
       }
 
+      // A scheduler instance is publishing it right now
+      if (post.status === 'publishing') {
+        return res.status(409).json({
+          success: false,
+          message: 'Post is currently being published by the scheduler'
+        });
+      }
+
+      if (post.needsApproval()) {
+        return res.status(403).json(approvalRequiredResponse(post));
+      }
+
+      const conformance = await mediaConformance.checkPost(post);
+      if (!conformance.isValid) {
+        return res.status(422).json(mediaNotConformantResponse(post.platform, conformance));
+      }
+
+      const duplicate = await findDuplicate(req.body, post, new Date());
+      if (duplicate) {
+        return res.status(409).json(duplicateContentResponse(duplicate));
+      }
+
       // Get user with social accounts
       const user = await User.findById(userId);
       if (!user) {
@@ -1581,62 +2193,56 @@ async postToTwitter(post, user) {
         });
       }
 
+      const claimed = await this.claimForPublishNow(post);
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: 'Post is already being published'
+        });
+      }
+
       // Post to platform first
-      console.log('🚀 Attempting to post to platform:', post.platform);
-      const platformResult = await this.postToPlatform(post, user);
+      const platformResult = await this.postToPlatform(claimed, user);
+
+      if (platformResult.queued) {
+        return res.status(202).json({
+          success: true,
+          message: `Publishing to ${claimed.platform} failed temporarily; the post was queued for retry`,
+          platformError: platformResult.error,
+          post: claimed,
+          queued: true,
+          jobId: platformResult.jobId
+        });
+      }
 
       if (!platformResult.success) {
-        // Update post status to failed
-        post.status = 'failed';
-        post.publishing = {
-          published_at: new Date(),
-          platform_post_id: null,
-          error: platformResult.error
-        };
-        await post.save();
+        // Mark the post failed, with the attempt's failure record, and
+        // refresh its group and recurring series as retries do
+        await publishQueue.fail(claimed, platformResult);
 
         return res.status(400).json({
           success: false,
-          message: `Failed to post to ${post.platform}: ${platformResult.error}`,
-          platformError: platformResult.error
+          message: `Failed to post to ${claimed.platform}: ${platformResult.error}`,
+          platformError: platformResult.error,
+          suggestedFix: suggestedFix(platformResult.failure?.code, claimed.platform)
         });
       }
 
-      // Generate platform URL
-      const platformPostId = platformResult.tweet_id || platformResult.thread_id || platformResult.video_id || platformResult.ig_media_id || platformResult.id || platformResult.post_id || null;
-      let platformUrl = platformResult.url || null;
-      
-      // If URL not provided, generate it
-      if (!platformUrl && platformPostId) {
-        const username = user.socialAccounts?.[post.platform]?.username || 
-                        user.socialAccounts?.[post.platform]?.customUrl ||
-                        user.socialAccounts?.[post.platform]?.id;
-        platformUrl = engagementService.generatePlatformURL(post.platform, platformPostId, username);
-      }
-
-      // Update post status to published with platform post ID and URL
-      post.status = 'published';
-      post.publishing = {
-        published_at: new Date(),
-        platform_post_id: platformPostId,
-        platform_url: platformUrl,
-        platform_data: platformResult
-      };
-
-      await post.save();
-      await post.populate('author', 'username email');
+      // Group status and the next recurring occurrence, as for queued publishes
+      await publishQueue.complete(claimed, withPlatformUrl(claimed, user, platformResult));
+      await claimed.populate('author', 'username email');
 
-      console.log('✅ Post published successfully:', post._id, 'Platform ID:', post.publishing.platform_post_id);
+      logger.info('Post published', { postId: claimed._id, platform: claimed.platform, platformPostId: claimed.publishing.platform_post_id });
 
       res.json({
         success: true,
         message: 'Post published successfully',
-        post,
+        post: claimed,
         platformResult
       });
 
     } catch (error) {
-      console.error('❌ Error publishing post:', error);
+      logger.error('Failed to publish post', { postId: req.params.id, userId: req.userId, error: error.message });
       res.status(500).json({
         success: false,
         message: error.message || 'Failed to publish post'
@@ -1644,11 +2250,103 @@ async postToTwitter(post, user) {
     }
   }
 
+  // Publish a failed post again. Retryable failures continue in the publish
+  // queue, as with any publish.
+  async retryPost(req, res) {
+    try {
+      const post = await Post.findOne({ _id: req.params.id, author: req.userId });
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found'
+        });
+      }
+      if (post.status !== 'failed') {
+        return res.status(409).json({
+          success: false,
+          message: `Only failed posts can be retried; this post is ${post.status}`
+        });
+      }
+
+      if (post.needsApproval()) {
+        return res.status(403).json(approvalRequiredResponse(post));
+      }
+
+      const conformance = await mediaConformance.checkPost(post);
+      if (!conformance.isValid) {
+        return res.status(422).json(mediaNotConformantResponse(post.platform, conformance));
+      }
+
+      const duplicate = await findDuplicate(req.body, post, new Date());
+      if (duplicate) {
+        return res.status(409).json(duplicateContentResponse(duplicate));
+      }
+
+      const user = await User.findById(req.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      // Take the post so two retries cannot publish it twice
+      const claimed = await Post.claimForImmediatePublish(publishQueue.workerId, IMMEDIATE_PUBLISH_LEASE_MS, {
+        _id: post._id,
+        status: 'failed'
+      });
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: 'The post is already being retried'
+        });
+      }
+      // This retry replaces a dead-lettered publish job
+      await DeadLetterJob.deleteMany({ post: claimed._id });
+
+      logger.info('Retrying failed post', { postId: claimed._id, platform: claimed.platform });
+      const result = await this.postToPlatform(claimed, user);
+
+      if (result.queued) {
+        return res.status(202).json({
+          success: true,
+          message: `Publishing to ${claimed.platform} failed temporarily; the post was queued for retry`,
+          platformError: result.error,
+          post: claimed,
+          queued: true,
+          jobId: result.jobId
+        });
+      }
+
+      // Group status and the next recurring occurrence, as for queued publishes
+      if (result.success) {
+        await publishQueue.complete(claimed, result);
+      } else {
+        await publishQueue.fail(claimed, result);
+      }
+
+      res.status(result.success ? 200 : 502).json({
+        success: result.success,
+        message: result.success
+          ? 'Post published successfully'
+          : `Failed to post to ${claimed.platform}: ${result.error}`,
+        post: claimed,
+        platformResult: result,
+        ...(result.success ? {} : { suggestedFix: suggestedFix(result.failure?.code, claimed.platform) })
+      });
+    } catch (error) {
+      logger.error('Failed to retry post', { postId: req.params.id, error: error.message });
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to retry post'
+      });
+    }
+  }
+
   // Schedule an existing post by ID
   async schedulePostById(req, res) {
     try {
       const { id } = req.params;
-      const { scheduledAt, scheduled_for, timezone } = req.body;
       const userId = req.userId;
 
       // Validate request
@@ -1661,17 +2359,39 @@ async postToTwitter(post, user) {
         });
       }
 
-      // Accept either scheduledAt or scheduling.scheduled_at
-      const incomingScheduled = scheduledAt || req.body?.scheduling?.scheduled_at || scheduled_for;
-      const scheduledDate = new Date(incomingScheduled);
-      if (!incomingScheduled || isNaN(scheduledDate.valueOf())) {
+      // scheduledAt may be 'next_best_slot': pick the time from engagement history
+      const bestSlot = await applyNextBestSlot(req);
+      if (bestSlot.error) {
+        return res.status(400).json({ success: false, message: bestSlot.error });
+      }
+
+      // ... or 'queue': take the next free slot of the account's posting queue
+      const queueSlot = await applyQueueSlot(req, bestSlot.body);
+      if (queueSlot.error) {
+        return res.status(queueSlot.status || 400).json({ success: false, message: queueSlot.error });
+      }
+
+      // Accept either scheduledAt or scheduling.scheduled_at, in the post's time zone
+      const schedule = resolveScheduling(queueSlot.body, req.user?.profile?.timezone);
+      if (schedule.error) {
+        return res.status(400).json({
+          success: false,
+          message: schedule.error,
+          dst: schedule.dst
+        });
+      }
+      const scheduledDate = schedule.scheduling.scheduled_at;
+
+      const { recurring, errors: recurringErrors } = parseRecurring(req.body);
+      if (recurringErrors.length > 0) {
         return res.status(400).json({
           success: false,
-          message: 'Valid scheduledAt is required (ISO 8601)'
+          message: 'Invalid recurring schedule',
+          errors: recurringErrors
         });
       }
 
-      console.log('⏰ Scheduling existing post:', { postId: id, userId, scheduledAt: incomingScheduled });
+      console.log('⏰ Scheduling existing post:', { postId: id, userId, scheduledAt: scheduledDate.toISOString() });
 
       // Find the post and verify ownership
       const post = await Post.findOne({ _id: id, author: userId });
@@ -1693,6 +2413,22 @@ async postToTwitter(post, user) {
         });
       }
 
+      if (post.status === 'publishing') {
+        return res.status(409).json({
+          success: false,
+          message: 'Post is currently being published by the scheduler'
+        });
+      }
+
+      if (post.needsApproval()) {
+        return res.status(403).json(approvalRequiredResponse(post));
+      }
+
+      const conformance = await mediaConformance.checkPost(post);
+      if (!conformance.isValid) {
+        return res.status(422).json(mediaNotConformantResponse(post.platform, conformance));
+      }
+
       // Check if post is already scheduled
       if (post.status === 'scheduled') {
         return res.status(200).json({
@@ -1703,16 +2439,25 @@ async postToTwitter(post, user) {
         });
       }
 
+      const duplicate = await findDuplicate(req.body, post, scheduledDate);
+      if (duplicate) {
+        return res.status(409).json(duplicateContentResponse(duplicate));
+      }
+
       // Update post status to scheduled
       post.status = 'scheduled';
       // The `scheduledAt` field is deprecated in favor of `scheduling.scheduled_at`
       post.scheduledAt = scheduledDate;
-      post.scheduling = {
-        scheduled_at: scheduledDate, // Corrected to match schema
-        timezone: timezone || 'UTC'
-      };
+      post.scheduling = schedule.scheduling;
+      if (recurring) {
+        post.scheduling.recurring = { ...recurring, series_id: post._id, starts_at: scheduledDate, occurrence: 1 };
+      }
+      if (queueSlot.queue) {
+        await postingQueue.prepare(post, queueSlot.queue);
+      }
 
       await post.save();
+      await settleQueue(post, queueSlot.queue);
       await post.populate('author', 'username email');
 
       // If scheduled time is now or in the past, publish immediately
@@ -1722,20 +2467,39 @@ async postToTwitter(post, user) {
           if (!user) {
             return res.status(404).json({ success: false, message: 'User not found' });
           }
-          const result = await retryPost(async () => {
-            return await this.executePlatformPost(post, user);
-          }, post.platform, post);
-          await updatePostWithRetryInfo(post, result);
+          // Take the post before the scheduler tick can claim it
+          const claimed = await Post.claimForPublishing(publishQueue.workerId, IMMEDIATE_PUBLISH_LEASE_MS, { _id: post._id });
+          if (!claimed) {
+            // The scheduler got there first and publishes it; not an error
+            return res.status(202).json({
+              success: true,
+              message: 'Post scheduled; the scheduler is publishing it now',
+              post,
+              queued: true,
+              publishedImmediately: false
+            });
+          }
+          post.status = 'publishing';
+
+          const result = await this.postToPlatform(post, user);
+          // Group status and the next recurring occurrence, as for queued publishes
+          if (result.success) {
+            await publishQueue.complete(post, result);
+          } else if (!result.queued) {
+            await publishQueue.fail(post, result);
+          }
 
           return res.json({
             success: result.success,
-            message: result.success ? 'Post published successfully' : `Failed to publish: ${result.error}`,
+            message: result.success
+              ? 'Post published successfully'
+              : result.queued ? `Publishing failed temporarily and was queued for retry: ${result.error}` : `Failed to publish: ${result.error}`,
             post,
             platformResult: result,
             publishedImmediately: true
           });
         } catch (immediateErr) {
-          console.error('❌ Immediate publish after scheduling (by ID) failed:', immediateErr);
+          logger.error('Immediate publish after scheduling failed', { postId: post._id, error: immediateErr.message });
           // Fall through: return scheduled response; cron will retry
         }
       }
@@ -1746,6 +2510,7 @@ async postToTwitter(post, user) {
         success: true,
         message: 'Post scheduled successfully',
         post,
+        bestTimeSlot: bestSlot.window,
         publishedImmediately: false
       });
 
@@ -1758,6 +2523,378 @@ async postToTwitter(post, user) {
     }
   }
 
+  // List upcoming occurrences of a recurring post series
+  async getOccurrences(req, res) {
+    try {
+      const { id } = req.params;
+      const count = Math.min(parseInt(req.query.count) || 10, 100);
+
+      const post = await Post.findOne({ _id: id, author: req.userId });
+      if (!post || !post.scheduling?.recurring?.series_id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recurring post not found'
+        });
+      }
+
+      const recurring = post.scheduling.recurring;
+      const pending = await Post.findPendingOccurrence(recurring.series_id);
+      if (!pending || !pending.scheduling.recurring.enabled) {
+        return res.json({
+          success: true,
+          seriesId: recurring.series_id,
+          active: false,
+          occurrences: []
+        });
+      }
+
+      const pendingRule = pending.scheduling.recurring;
+      const anchor = pendingRule.starts_at || pending.scheduling.scheduled_at;
+      // The pending post itself is the first upcoming occurrence
+      const remaining = pendingRule.ends_after
+        ? Math.max(pendingRule.ends_after - pendingRule.occurrence, 0)
+        : count - 1;
+      const timezone = pending.scheduling.timezone || 'UTC';
+      const following = getUpcomingOccurrences(
+        pendingRule,
+        pending.scheduling.scheduled_at,
+        Math.min(count - 1, remaining),
+        anchor,
+        timezone,
+        pending.scheduling.dst_resolution
+      );
+
+      const occurrences = [pending.scheduling.scheduled_at, ...following].map((date, index) => ({
+        scheduled_at: date,
+        scheduled_at_local: formatInTimeZone(date, timezone),
+        occurrence: pendingRule.occurrence + index,
+        post_id: index === 0 ? pending._id : null
+      }));
+
+      res.json({
+        success: true,
+        seriesId: recurring.series_id,
+        active: true,
+        timezone,
+        frequency: pendingRule.frequency,
+        days: pendingRule.days,
+        time: pendingRule.time,
+        skipped: pendingRule.skipped,
+        occurrences
+      });
+
+    } catch (error) {
+      console.error('❌ Error listing occurrences:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to list occurrences'
+      });
+    }
+  }
+
+  // Skip a single occurrence of a recurring post series
+  async skipOccurrence(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const skipDate = new Date(req.body.scheduled_at);
+
+      const post = await Post.findOne({ _id: id, author: req.userId });
+      if (!post || !post.scheduling?.recurring?.series_id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recurring post not found'
+        });
+      }
+
+      const pending = await Post.findPendingOccurrence(post.scheduling.recurring.series_id);
+      if (!pending) {
+        return res.status(400).json({
+          success: false,
+          message: 'This series has no upcoming occurrences'
+        });
+      }
+
+      const rule = pending.scheduling.recurring;
+      rule.skipped = [...(rule.skipped || []), skipDate];
+
+      // Skipping the armed occurrence moves the pending post to the one after it.
+      // Skipped occurrences do not count towards ends_after.
+      if (pending.scheduling.scheduled_at.getTime() === skipDate.getTime()) {
+        const anchor = rule.starts_at || pending.scheduling.scheduled_at;
+        const next = findNextOccurrence(rule, skipDate, anchor, pending.scheduling.timezone, pending.scheduling.dst_resolution);
+        if (!next) {
+          rule.enabled = false;
+          pending.status = 'draft';
+        } else {
+          pending.scheduling.scheduled_at = next.date;
+          pending.scheduling.dst_adjustment = next.adjustment || undefined;
+        }
+      }
+
+      await pending.save();
+
+      res.json({
+        success: true,
+        message: 'Occurrence skipped',
+        post: pending
+      });
+
+    } catch (error) {
+      console.error('❌ Error skipping occurrence:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to skip occurrence'
+      });
+    }
+  }
+
+  // End a recurring post series; the pending occurrence goes back to draft
+  async endSeries(req, res) {
+    try {
+      const { id } = req.params;
+
+      const post = await Post.findOne({ _id: id, author: req.userId });
+      if (!post || !post.scheduling?.recurring?.series_id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recurring post not found'
+        });
+      }
+
+      const seriesId = post.scheduling.recurring.series_id;
+      await Post.updateMany(
+        { 'scheduling.recurring.series_id': seriesId, author: req.userId },
+        { $set: { 'scheduling.recurring.enabled': false } }
+      );
+      const cancelled = await Post.updateMany(
+        { 'scheduling.recurring.series_id': seriesId, author: req.userId, status: 'scheduled' },
+        { $set: { status: 'draft' } }
+      );
+
+      res.json({
+        success: true,
+        message: 'Recurring series ended',
+        seriesId,
+        cancelledOccurrences: cancelled.modifiedCount
+      });
+
+    } catch (error) {
+      console.error('❌ Error ending series:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to end series'
+      });
+    }
+  }
+
+  // List the revisions of a post, newest first
+  async getRevisions(req, res) {
+    try {
+      const { id } = req.params;
+      const post = await Post.findOne({ _id: id, author: req.userId }).select('revision');
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found'
+        });
+      }
+
+      const revisions = await PostRevision.find({ post: id })
+        .sort({ version: -1 })
+        .select('-snapshot')
+        .populate('editor', 'name email');
+
+      res.json({
+        success: true,
+        currentRevision: post.revision || 0,
+        revisions
+      });
+
+    } catch (error) {
+      console.error('❌ Error listing revisions:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to list revisions'
+      });
+    }
+  }
+
+  // Get a single revision with its full snapshot
+  async getRevision(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id, version } = req.params;
+      const post = await Post.exists({ _id: id, author: req.userId });
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found'
+        });
+      }
+
+      const revision = await PostRevision.findOne({ post: id, version: Number(version) })
+        .populate('editor', 'name email');
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        revision
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting revision:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to get revision'
+      });
+    }
+  }
+
+  // Diff two revisions of a post (?from=2&to=5; `to` defaults to the latest)
+  async diffRevisions(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const post = await Post.findOne({ _id: id, author: req.userId }).select('revision');
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found'
+        });
+      }
+
+      const from = Number(req.query.from);
+      const to = req.query.to !== undefined ? Number(req.query.to) : (post.revision || 0);
+      const revisions = await PostRevision.find({ post: id, version: { $in: [from, to] } });
+      const older = revisions.find(revision => revision.version === from);
+      const newer = revisions.find(revision => revision.version === to);
+      if (!older || !newer) {
+        return res.status(404).json({
+          success: false,
+          message: `Revision ${!older ? from : to} not found`
+        });
+      }
+
+      res.json({
+        success: true,
+        from,
+        to,
+        changes: PostRevision.diffSnapshots(older.snapshot, newer.snapshot)
+      });
+
+    } catch (error) {
+      console.error('❌ Error diffing revisions:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to diff revisions'
+      });
+    }
+  }
+
+  // Restore the editable fields of an older revision as a new revision
+  async restoreRevision(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id, version } = req.params;
+      const post = await Post.findOne({ _id: id, author: req.userId });
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found'
+        });
+      }
+
+      if (post.status === 'publishing') {
+        return res.status(409).json({
+          success: false,
+          message: 'Post is currently being published and cannot be changed'
+        });
+      }
+
+      const expectedRevision = parseExpectedRevision(req.body?.version ?? req.get('If-Match'));
+      if (expectedRevision !== null && expectedRevision !== (post.revision || 0)) {
+        return res.status(409).json(staleRevisionResponse(post));
+      }
+
+      const revision = await PostRevision.findOne({ post: id, version: Number(version) });
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      post.set(revision.snapshot);
+      PostRevision.REVISION_FIELDS.forEach(field => post.markModified(field));
+      post.$locals.editedBy = req.userId;
+      post.$locals.revisionSource = 'restore';
+      post.$locals.restoredFrom = revision.version;
+
+      try {
+        await post.save();
+      } catch (saveError) {
+        if (saveError.name !== 'DocumentNotFoundError') throw saveError;
+        const latest = await Post.findById(id);
+        return res.status(409).json(staleRevisionResponse(latest || post));
+      }
+
+      notifyApprovalRevoked(post, req.userId);
+      console.log('⏪ Post revision restored:', { postId: post._id, restoredFrom: revision.version, revision: post.revision });
+
+      res.set('ETag', `"${post.revision}"`);
+      res.json({
+        success: true,
+        message: `Revision ${revision.version} restored`,
+        post
+      });
+
+    } catch (error) {
+      console.error('❌ Error restoring revision:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to restore revision'
+      });
+    }
+  }
+
   // Test Twitter connection
   async testTwitterConnection(req, res) {
     try {
@@ -1817,7 +2954,17 @@ async postToTwitter(post, user) {
   // Validate content
   async validateContent(req, res) {
     try {
-      const { content, platforms = [] } = req.body;
+      const { content, postId } = req.body;
+      const text = typeof content === 'string' ? content : '';
+      let platforms = req.body.platforms || [];
+      if (typeof platforms === 'string') {
+        try {
+          platforms = JSON.parse(platforms);
+        } catch {
+          platforms = platforms.split(',').map(p => p.trim());
+        }
+      }
+      if (platforms.length === 0 && req.body.platform) platforms = [req.body.platform];
 
       const validation = {
         isValid: true,
@@ -1826,7 +2973,26 @@ async postToTwitter(post, user) {
         suggestions: []
       };
 
-      if (!content || content.trim().length === 0) {
+      // Videos to check: a saved post's media, or uploaded/library media
+      // checked against each requested platform
+      const targets = [];
+      let savedPost = null;
+      if (postId) {
+        savedPost = await Post.findOne({ _id: postId, author: req.userId });
+        if (!savedPost) {
+          return res.status(404).json({
+            success: false,
+            message: 'Post not found'
+          });
+        }
+        targets.push(savedPost);
+      } else if (Array.isArray(req.files) && req.files.length > 0) {
+        for (const platform of platforms) {
+          targets.push({ platform, post_type: req.body.post_type, media: req.files });
+        }
+      }
+
+      if (targets.length === 0 && text.trim().length === 0) {
         validation.isValid = false;
         validation.errors.push('Content cannot be empty');
       }
@@ -1834,25 +3000,66 @@ async postToTwitter(post, user) {
       // Platform-specific validation
       for (const platform of platforms) {
         switch (platform) {
-          case 'twitter':
-            if (content.length > 280) {
-              validation.errors.push('Twitter content exceeds 280 characters');
+          case 'twitter': {
+            // Weighted as Twitter counts it: links are 23, CJK and emoji 2
+            const length = contentLength(text, 'twitter');
+            if (length > MAX_TWEET_LENGTH) {
+              validation.errors.push(`Twitter content is ${length} characters as Twitter counts them; the limit is ${MAX_TWEET_LENGTH}`);
               validation.isValid = false;
             }
             break;
+          }
           case 'linkedin':
-            if (content.length > 3000) {
+            if (text.length > 3000) {
               validation.warnings.push('LinkedIn posts over 3000 characters may be truncated');
             }
             break;
           case 'youtube':
-            if (content.length > 5000) {
+            if (text.length > 5000) {
               validation.warnings.push('YouTube descriptions over 5000 characters may be truncated');
             }
             break;
         }
       }
 
+      if (targets.length > 0) {
+        validation.media = [];
+        for (const target of targets) {
+          const result = await mediaConformance.checkPost(target);
+          validation.media.push({ platform: target.platform, post_type: target.post_type, ...result });
+          for (const item of result.results) {
+            validation.errors.push(...item.violations.map(v => `${target.platform}: media file ${item.index + 1}: ${v.message}`));
+            validation.warnings.push(...item.warnings.map(w => `${target.platform}: media file ${item.index + 1}: ${w.message}`));
+          }
+          if (!result.isValid) validation.isValid = false;
+          if (result.skipped) validation.warnings.push(result.skipped);
+        }
+      }
+
+      // Links as they will be published, with the UTM parameters from the
+      // workspace, campaign and post templates
+      const campaignFields = await parseCampaignFields(req.body, req.userId);
+      if (campaignFields.error) {
+        validation.isValid = false;
+        validation.errors.push(campaignFields.error);
+      } else {
+        const utmTargets = savedPost ? [savedPost] : platforms.map(platform => ({
+          platform,
+          post_type: req.body.post_type,
+          title: req.body.title,
+          author: req.userId,
+          content: { caption: text },
+          ...campaignFields.fields
+        }));
+        const preview = [];
+        for (const target of utmTargets) {
+          if (target.utm?.enabled === false) continue;
+          const { params, links } = await utmService.tagPost(target);
+          if (links.length > 0) preview.push({ platform: target.platform, params, links });
+        }
+        if (preview.length > 0) validation.utm = preview;
+      }
+
       res.json({
         success: true,
         validation
@@ -1866,49 +3073,392 @@ async postToTwitter(post, user) {
       });
     }
   }
-}
 
-// Helper: load media into a Buffer regardless of storage backend
-async function loadMediaBuffer(mediaFile) {
-  try {
-    // Prefer GCS when available
-    if (mediaFile.storage === 'gcs' && mediaFile.storageKey) {
-      const buffer = await downloadToBufferFromGcs(mediaFile.storageKey);
-      if (buffer && buffer.length > 0) {
-        return { buffer, filename: mediaFile.filename, mimeType: mediaFile.mimeType };
+  // Render models of a post as each platform will show it (saved `postId`,
+  // or content and media in the request), for drawing previews
+  async previewPost(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { postId, title, post_type } = req.body;
+      let platforms = req.body.platforms || [];
+      if (typeof platforms === 'string') {
+        try {
+          platforms = JSON.parse(platforms);
+        } catch {
+          platforms = platforms.split(',').map(p => p.trim());
+        }
       }
+      if (!Array.isArray(platforms)) platforms = [platforms];
+      if (platforms.length === 0 && req.body.platform) platforms = [req.body.platform];
+
+      let view;
+      if (postId) {
+        const post = await Post.findOne({ _id: postId, author: req.userId });
+        if (!post) {
+          return res.status(404).json({
+            success: false,
+            message: 'Post not found'
+          });
+        }
+        view = post.toObject();
+        if (platforms.length === 0) platforms = [post.platform];
+      } else {
+        let content = req.body.content || {};
+        let platformContent = req.body.platformContent || {};
+        try {
+          if (typeof content === 'string') {
+            content = content.trim().startsWith('{') ? JSON.parse(content) : { caption: content };
+          }
+          if (typeof platformContent === 'string') platformContent = JSON.parse(platformContent);
+        } catch {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid JSON in request data'
+          });
+        }
+        view = {
+          title,
+          post_type: post_type || 'post',
+          content,
+          platformContent,
+          media: Array.isArray(req.files) ? req.files : [],
+          thumbnail: req.thumbnail || null
+        };
+        if (platforms.length === 0) platforms = Object.keys(PLATFORM_VALIDATORS);
+      }
+
+      const unknown = platforms.filter(platform => !PLATFORM_VALIDATORS[platform]);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported platform: ${unknown.join(', ')}`
+        });
+      }
+
+      const options = {
+        fetchLinks: String(req.body.links) !== 'false',
+        numbering: req.body.numbering === 'false' ? false : (req.body.numbering || 'suffix')
+      };
+      const previews = [];
+      for (const platform of [...new Set(platforms)]) {
+        previews.push(await previewService.render({ ...view, platform }, options));
+      }
+
+      res.json({
+        success: true,
+        previews
+      });
+
+    } catch (error) {
+      console.error('❌ Error rendering preview:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to render preview'
+      });
     }
-  } catch (e) {
-    console.warn('⚠️ GCS fetch failed for media, falling back to local/url', { err: e.message, storageKey: mediaFile.storageKey });
   }
+}
 
-  // Try local filesystem
-  try {
-    const localPath = path.join(__dirname, '..', '..', 'uploads', mediaFile.filename);
-    if (fs.existsSync(localPath)) {
-      const buffer = fs.readFileSync(localPath);
-      if (buffer && buffer.length > 0) {
-        return { buffer, filename: mediaFile.filename, mimeType: mediaFile.mimeType };
-      }
+// Helper: read the client's expected revision ("3", 3, or an ETag like W/"3")
+function parseExpectedRevision(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(String(value).trim());
+  return match ? Number(match[1]) : null;
+}
+
+// Helper: 409 body for an edit based on an outdated revision
+function staleRevisionResponse(post) {
+  return {
+    success: false,
+    code: 'STALE_REVISION',
+    message: 'This post was changed by someone else. Reload it and apply your changes again.',
+    currentRevision: post.revision || 0
+  };
+}
+
+// Helper: 403 body for a post that has not been approved
+function approvalRequiredResponse(post) {
+  return {
+    success: false,
+    code: 'APPROVAL_REQUIRED',
+    message: post
+      ? `This post needs a reviewer's approval first (current review state: ${post.approval.state})`
+      : 'Your posts need a reviewer\'s approval. Create a draft and submit it for review first.',
+    approvalState: post ? post.approval.state : undefined
+  };
+}
+
+// Helper: 422/502 body for a platform removal that could not be done; the post is left as it was
+function platformRemovalFailedResponse(post, removal) {
+  return {
+    success: false,
+    code: removal.supported ? 'PLATFORM_REMOVAL_FAILED' : 'PLATFORM_REMOVAL_UNSUPPORTED',
+    message: removal.supported
+      ? `Could not remove the post from ${post.platform}: ${removal.error}`
+      : removal.error,
+    platform: post.platform,
+    platform_post_id: post.publishing?.platform_post_id,
+    platform_url: post.publishing?.platform_url,
+    errorCode: removal.errorCode
+  };
+}
+
+// Helper: 422 body for videos that break the platform's rules
+function mediaNotConformantResponse(platform, conformance) {
+  const violations = conformance.results.filter(result => result.violations.length > 0);
+  return {
+    success: false,
+    code: 'MEDIA_NOT_CONFORMANT',
+    message: `${violations.length} video${violations.length === 1 ? '' : 's'} do not meet ${platform} requirements`,
+    errors: violations.flatMap(result => result.violations.map(v => `Media file ${result.index + 1}: ${v.message}`)),
+    media: violations
+  };
+}
+
+// Helper: a successful publish result with the post's URL, built from the
+// platform post ID and account when the platform did not return one
+function withPlatformUrl(post, user, result) {
+  const platformPostId = result.tweet_id || result.thread_id || result.video_id || result.ig_media_id || result.id || result.post_id || null;
+  if (result.url || !platformPostId) return result;
+
+  const account = user.socialAccounts?.[post.platform];
+  const username = account?.username || account?.customUrl || account?.id;
+  return { ...result, url: engagementService.generatePlatformURL(post.platform, platformPostId, username) };
+}
+
+// Helper: 409 body for a change to a post a worker is publishing
+function publishingInProgressResponse() {
+  return {
+    success: false,
+    code: 'POST_PUBLISHING',
+    message: 'Post is currently being published and cannot be changed'
+  };
+}
+
+// Helper: the author's post with the same content on the same account
+// within a day of `at`, unless the request says to go ahead (`allowDuplicate`)
+function findDuplicate(body, post, at) {
+  if (body?.allowDuplicate === true || body?.allowDuplicate === 'true') return null;
+  return duplicateContent.findRecent(post, at);
+}
+
+// Helper: 409 body naming the earlier post
+function duplicateContentResponse(duplicate) {
+  const when = duplicate.status === 'published' ? duplicate.publishing?.published_at : duplicate.scheduling?.scheduled_at;
+  return {
+    success: false,
+    code: 'DUPLICATE_CONTENT',
+    message: duplicate.status === 'published'
+      ? `The same post went to ${duplicate.platform} less than 24 hours ago; send allowDuplicate: true to post it anyway`
+      : `The same post is already scheduled on ${duplicate.platform} within 24 hours; send allowDuplicate: true to post it anyway`,
+    duplicate: {
+      id: duplicate._id,
+      status: duplicate.status,
+      at: when || null,
+      platform_url: duplicate.publishing?.platform_url || null
+    }
+  };
+}
+
+// Helper: `firstComment` sent with a post, as text or { text }; empty clears it
+function parseFirstComment(body, platform) {
+  if (body.firstComment === undefined) return {};
+  let value = body.firstComment;
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return { error: 'firstComment must be text or { "text": "..." }' };
     }
-  } catch (e) {
-    console.warn('⚠️ Local file read failed for media', { err: e.message, filename: mediaFile.filename });
   }
+  const text = String((typeof value === 'object' && value !== null ? value.text : value) ?? '').trim();
+  if (!text) return { fields: { firstComment: { status: 'none' } } };
 
-  // Fallback to HTTP(S) download from URL
-  try {
-    if (mediaFile.url) {
-      const resp = await axios.get(mediaFile.url, { responseType: 'arraybuffer' });
-      const buffer = Buffer.from(resp.data);
-      if (buffer && buffer.length > 0) {
-        return { buffer, filename: mediaFile.filename || 'media', mimeType: mediaFile.mimeType || resp.headers['content-type'] || 'application/octet-stream' };
-      }
+  const error = firstCommentService.validate(platform, text);
+  if (error) return { error };
+  return { fields: { firstComment: { text, status: 'none' } } };
+}
+
+// Helper: failed result for an error thrown while posting, keeping the
+// platform's HTTP status and response body for the failure record
+// (twitter-api-v2 errors carry the status in `code`)
+function platformFailure(error, platformName) {
+  const status = error.response?.status || error.status || error.statusCode
+    || (Number.isInteger(error.code) ? error.code : undefined);
+  const errorResponse = handlePlatformError({ message: error.message, status, retryAfter: error.retryAfter }, platformName);
+  return {
+    success: false,
+    error: errorResponse.error.message,
+    errorCode: errorResponse.error.code,
+    status,
+    platformResponse: error.response?.data ?? error.data
+  };
+}
+
+// Helper: a failed post with its last failure and the fix to suggest. Posts
+// that failed without a failure record are classified from their error.
+function describeFailedPost(post) {
+  const failures = post.publishing?.failures || [];
+  const lastFailure = failures.length > 0
+    ? failures[failures.length - 1]
+    : {
+      ...failureRecord({ error: post.publishing?.error }, { attempt: post.publishing?.retry_count }),
+      at: post.publishing?.published_at || post.updatedAt
+    };
+  return {
+    post,
+    last_failure: lastFailure,
+    failure_count: failures.length,
+    suggested_fix: suggestedFix(lastFailure.code, post.platform)
+  };
+}
+
+// Helper: campaign and UTM overrides sent with a post. The campaign must be
+// one the user owns or was selected for.
+async function parseCampaignFields(body, userId) {
+  const fields = {};
+  if (body.campaign !== undefined) {
+    if (body.campaign === '' || body.campaign === null) {
+      fields.campaign = null;
+    } else {
+      const campaign = await utmService.findCampaignForUser(body.campaign, userId);
+      if (!campaign) return { error: 'Campaign not found' };
+      fields.campaign = campaign._id;
+    }
+  }
+  if (body.utm !== undefined) {
+    try {
+      fields.utm = typeof body.utm === 'string' ? JSON.parse(body.utm) : body.utm;
+    } catch {
+      return { error: 'utm must be a JSON object' };
     }
-  } catch (e) {
-    console.warn('⚠️ HTTP download failed for media URL', { err: e.message, url: mediaFile.url });
+  }
+  return { fields };
+}
+
+// Helper: a Mixed value as plain JSON data, for comparing a stored value
+// with one from a request
+function plainValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Helper: tell the reviewer an approved or submitted post was edited (see Post pre-save)
+function notifyApprovalRevoked(post, editorId) {
+  if (!post.$locals.approvalRevoked || !post.approval?.reviewer) return;
+  const withdrawn = post.$locals.approvalRevoked;
+  post.$locals.approvalRevoked = false;
+  NotificationService.notifyPostReview(post, {
+    event: withdrawn === 'submitted' ? 'withdrawn' : 'revoked',
+    recipientId: post.approval.reviewer,
+    actorId: editorId
+  }).catch(error => console.error('❌ Failed to send review notification:', error.message));
+}
+
+// Helper: when scheduledAt is 'next_best_slot', swap in the user's next best
+// posting time for the platform. Returns { body, window } or { error }.
+async function applyNextBestSlot(req, platform) {
+  const incoming = req.body.scheduledAt || req.body.scheduling?.scheduled_at || req.body.scheduled_for;
+  if (incoming !== NEXT_BEST_SLOT) return { body: req.body };
+
+  if (!platform) {
+    const existing = await Post.findOne({ _id: req.params.id, author: req.userId }).select('platform');
+    // A missing post is reported by the caller
+    if (!existing) return { body: req.body };
+    platform = existing.platform;
   }
 
-  return { buffer: null, filename: mediaFile.filename, mimeType: mediaFile.mimeType };
+  const timezone = req.body.timezone || req.body.scheduling?.timezone || req.user?.profile?.timezone || 'UTC';
+  const slot = await bestTimeService.findNextBestSlot(req.userId, platform, timezone);
+  if (!slot) {
+    return { error: `Not enough engagement history on ${platform} to pick a time automatically; choose a time instead` };
+  }
+
+  return {
+    body: {
+      ...req.body,
+      scheduledAt: slot.scheduled_at.toISOString(),
+      scheduling: req.body.scheduling && { ...req.body.scheduling, scheduled_at: undefined },
+      scheduled_for: undefined
+    },
+    window: slot.window
+  };
+}
+
+// Helper: resolve `scheduledAt: 'queue'` to the next free slot of the
+// account's posting queue. Returns { body, queue } or { error, status }.
+async function applyQueueSlot(req, body, platform) {
+  const incoming = body.scheduledAt || body.scheduling?.scheduled_at || body.scheduled_for;
+  if (incoming !== QUEUE_SLOT) return { body };
+
+  if (parseRecurring(body).recurring) {
+    return { error: 'Queued posts cannot repeat; choose a time for a recurring post' };
+  }
+  if (!platform) {
+    const existing = await Post.findOne({ _id: req.params.id, author: req.userId }).select('platform');
+    // A missing post is reported by the caller
+    if (!existing) return { body };
+    platform = existing.platform;
+  }
+
+  const slot = await postingQueue.nextSlot(req.userId, platform);
+  if (slot.error) return { error: slot.error, status: 409 };
+
+  return {
+    body: {
+      ...body,
+      scheduledAt: slot.scheduled_at.toISOString(),
+      timezone: slot.queue.timezone,
+      scheduling: body.scheduling && { ...body.scheduling, scheduled_at: undefined, timezone: undefined },
+      scheduled_for: undefined
+    },
+    queue: slot.queue
+  };
+}
+
+// Helper: after a post is saved as scheduled, give the account's queue its
+// slots again: a queued post may have been placed, or a hand-picked time may
+// have taken a slot
+async function settleQueue(post, queue) {
+  if (!queue) return postingQueue.refresh(post.author, post.platform);
+  const placed = await postingQueue.rebalance(queue);
+  const own = placed.find(other => String(other._id) === String(post._id));
+  if (own) post.scheduling.scheduled_at = own.scheduling.scheduled_at;
+}
+
+// Helper: read an optional recurring rule from a schedule request body
+function parseRecurring(body) {
+  let recurring = body.recurring || body.scheduling?.recurring;
+  if (!recurring) return { recurring: null, errors: [] };
+
+  if (typeof recurring === 'string') {
+    try {
+      recurring = JSON.parse(recurring);
+    } catch {
+      return { recurring: null, errors: ['Invalid JSON in recurring'] };
+    }
+  }
+  if (!recurring.enabled) return { recurring: null, errors: [] };
+
+  const errors = validateRecurring(recurring);
+  return {
+    recurring: errors.length > 0 ? null : {
+      enabled: true,
+      frequency: recurring.frequency,
+      days: recurring.days || [],
+      time: recurring.time,
+      ends_at: recurring.ends_at ? new Date(recurring.ends_at) : undefined,
+      ends_after: recurring.ends_after ? Number(recurring.ends_after) : undefined
+    },
+    errors
+  };
 }
 
 module.exports = new PostController();
\ No newline at end of file
@@ -0,0 +1,461 @@
+// src/controllers/postCsvController.js
+// Bulk import of posts from a CSV plan and export of posts in a date range
+// in the same column layout, so a plan can be round-tripped.
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const MediaAsset = require('../models/MediaAsset');
+const logger = require('../utils/logger');
+const { HTTP_STATUS, PLATFORMS } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { validatePostData } = require('../utils/postValidation');
+const { resolveScheduling, formatInTimeZone } = require('../utils/timezone');
+const { parseCsvRecords, toCsv } = require('../utils/csv');
+const { contentFingerprint } = require('../utils/contentFingerprint');
+const mediaConformance = require('../services/mediaConformance');
+const duplicateContent = require('../services/duplicateContent');
+const postingQueue = require('../services/postingQueue');
+
+const MAX_IMPORT_ROWS = 500;
+const MAX_EXPORT_ROWS = 5000;
+// Same content on one account this close together needs allowDuplicate
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const IMPORT_COLUMNS = ['title', 'platform', 'post_type', 'caption', 'tags', 'categories', 'media', 'scheduled_at', 'timezone', 'dst_resolution', 'status'];
+const EXPORT_COLUMNS = ['id', ...IMPORT_COLUMNS, 'published_at', 'platform_url'];
+
+// List cells (tags, categories, media) are separated by semicolons
+const splitList = (value) => (value ? value.split(';').map(item => item.trim()).filter(Boolean) : []);
+
+const isTruthy = (value) => value === true || value === 'true' || value === '1';
+
+/**
+ * Index the media already in storage by id, storage key and URL, so rows
+ * can reference it without uploading again. Library assets come first;
+ * media copied onto older posts is found too.
+ */
+async function loadMediaIndex(userId, records) {
+  const refs = [...new Set(records.flatMap(record => splitList(record.media)))];
+  const index = new Map();
+  if (refs.length === 0) return index;
+
+  const ids = refs.filter(ref => mongoose.isValidObjectId(ref));
+  const assets = await MediaAsset.find({
+    owner: userId,
+    $or: [
+      { _id: { $in: ids } },
+      { storageKey: { $in: refs } },
+      { url: { $in: refs } }
+    ]
+  });
+  for (const asset of assets) {
+    for (const key of [String(asset._id), asset.storageKey, asset.url]) {
+      if (key && !index.has(key)) index.set(key, asset.toPostMedia());
+    }
+  }
+
+  const posts = await Post.find({
+    author: userId,
+    $or: [
+      { 'media._id': { $in: ids } },
+      { 'media.storageKey': { $in: refs } },
+      { 'media.url': { $in: refs } }
+    ]
+  }).select('media').lean();
+
+  for (const post of posts) {
+    for (const item of post.media || []) {
+      const { _id, ...media } = item;
+      for (const key of [String(_id), item.storageKey, item.url]) {
+        if (key && !index.has(key)) index.set(key, media);
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * The user's own posts named in the `id` column, by id
+ */
+async function loadExistingPosts(userId, records) {
+  const ids = [...new Set(records.map(record => (record.id || '').trim()).filter(Boolean))];
+  const valid = ids.filter(id => mongoose.isValidObjectId(id));
+  if (valid.length === 0) return new Map();
+  const posts = await Post.find({ _id: { $in: valid }, author: userId });
+  return new Map(posts.map(post => [String(post._id), post]));
+}
+
+/**
+ * Turn one CSV record into Post data, collecting every problem with it. A
+ * row whose `id` names one of the user's drafts or scheduled posts updates
+ * that post; exported rows of posts already published (or failed) are
+ * skipped, so an export can be imported again as it is.
+ * @returns {{ data: Object, post: Object|undefined, original: Object|undefined,
+ *   skip: boolean, errors: Array<string>, warnings: Array<string> }}
+ */
+function buildRow(record, { req, mediaIndex, existingPosts }) {
+  const errors = [];
+  const warnings = [];
+
+  const id = (record.id || '').trim();
+  const existing = id ? existingPosts.get(id) : undefined;
+  if (id && !existing) {
+    return { data: {}, skip: false, errors: [`Post ${id} not found`], warnings };
+  }
+  if (existing && !['draft', 'scheduled'].includes(existing.status)) {
+    warnings.push(`Post is ${existing.status}; only drafts and scheduled posts are changed by an import`);
+    return { data: {}, skip: true, errors, warnings };
+  }
+
+  const platform = (record.platform || '').toLowerCase();
+  const data = {
+    title: record.title || undefined,
+    content: record.caption ? { caption: record.caption } : undefined,
+    platform,
+    post_type: (record.post_type || '').toLowerCase(),
+    author: req.userId,
+    tags: splitList(record.tags),
+    categories: splitList(record.categories),
+    media: [],
+    approval: existing ? existing.approval : Post.approvalDefaults(req.user),
+    status: 'draft'
+  };
+  if (existing) {
+    // Other content fields (hashtags, link, ...) are not in the CSV
+    const content = existing.content && typeof existing.content === 'object' ? existing.content : {};
+    data.content = { ...content, caption: record.caption || '' };
+  }
+
+  if (platform && !Object.values(PLATFORMS).includes(platform)) {
+    errors.push(`Unsupported platform: ${platform}`);
+  }
+  if (existing && platform && platform !== existing.platform) {
+    errors.push(`The platform of an existing post cannot be changed (it is ${existing.platform})`);
+  }
+
+  for (const ref of splitList(record.media)) {
+    const media = mediaIndex.get(ref);
+    if (media) {
+      data.media.push(media);
+    } else {
+      errors.push(`Media not found in storage: ${ref}`);
+    }
+  }
+
+  const status = (record.status || (record.scheduled_at ? 'scheduled' : 'draft')).toLowerCase();
+  if (!['draft', 'scheduled'].includes(status)) {
+    errors.push('Status must be draft or scheduled');
+  } else if (status === 'scheduled' && !record.scheduled_at) {
+    errors.push('scheduled_at is required for scheduled posts');
+  }
+
+  if (record.scheduled_at) {
+    const schedule = resolveScheduling({
+      scheduledAt: record.scheduled_at,
+      timezone: record.timezone,
+      dst_resolution: record.dst_resolution || undefined
+    }, req.user?.profile?.timezone);
+
+    if (schedule.error) {
+      errors.push(schedule.error);
+    } else if (status === 'scheduled' && schedule.scheduling.scheduled_at <= new Date()) {
+      errors.push('Scheduled date must be in the future');
+    } else {
+      data.scheduling = schedule.scheduling;
+      if (status === 'scheduled') {
+        if (data.approval?.required && data.approval.state !== 'approved') {
+          warnings.push('Saved as draft: the post needs approval before it can be scheduled');
+        } else {
+          data.status = 'scheduled';
+        }
+      }
+    }
+  }
+
+  const validation = validatePostData(data);
+  errors.push(...validation.errors);
+  warnings.push(...validation.warnings);
+
+  let post;
+  let original;
+  if (errors.length === 0) {
+    // What an atomic import puts back if it has to roll back
+    original = existing?.toObject({ depopulate: true });
+    post = existing ? applyRow(existing, data) : new Post(data);
+    const schemaError = post.validateSync();
+    if (schemaError) {
+      errors.push(...Object.values(schemaError.errors).map(error => error.message));
+    }
+  }
+
+  return { data, post, original, skip: false, errors, warnings };
+}
+
+// Put a row's fields on an existing post. Scheduling keeps its recurring and
+// queue settings; content is only marked changed when it differs, so an
+// unchanged row adds no revision.
+function applyRow(post, data) {
+  const contentBefore = JSON.stringify(post.content);
+  post.set({
+    title: data.title,
+    content: data.content,
+    post_type: data.post_type,
+    tags: data.tags,
+    categories: data.categories,
+    media: data.media,
+    status: data.status
+  });
+  if (JSON.stringify(post.content) === contentBefore) post.unmarkModified('content');
+  for (const [field, value] of Object.entries(data.scheduling || {})) {
+    post.set(`scheduling.${field}`, value);
+  }
+  return post;
+}
+
+/**
+ * Undo the rows an atomic import already wrote: delete the posts it created
+ * and put the ones it updated back as they were loaded, dropping the
+ * revisions it added. A post edited by someone else since is left alone.
+ */
+async function rollBackRows(rows) {
+  const created = rows.filter(row => !row.original).map(row => row.post._id);
+  await Post.deleteMany({ _id: { $in: created } });
+  await PostRevision.deleteMany({ post: { $in: created } });
+
+  for (const row of rows.filter(row => row.original)) {
+    const { modifiedCount } = await Post.replaceOne(
+      { _id: row.post._id, revision: row.post.revision },
+      row.original,
+      { timestamps: false }
+    );
+    if (modifiedCount > 0) {
+      await PostRevision.deleteMany({ post: row.post._id, version: { $gt: row.original.revision || 0 } });
+    }
+  }
+}
+
+/**
+ * The checks schedulePost runs that need the database: videos against the
+ * platform's rules, and the same content already going to the account
+ * within a day (in the database or earlier in the file), unless
+ * `allowDuplicate` is set
+ */
+async function checkScheduledRows(rows, allowDuplicate) {
+  const planned = [];
+  for (const row of rows) {
+    if (row.errors.length > 0 || row.skip || row.post.status !== 'scheduled') continue;
+    const { post } = row;
+
+    const conformance = await mediaConformance.checkPost(post);
+    if (!conformance.isValid) {
+      for (const result of conformance.results) {
+        row.errors.push(...result.violations.map(v => `Media file ${result.index + 1}: ${v.message}`));
+      }
+    }
+
+    if (allowDuplicate) continue;
+    const at = post.scheduling.scheduled_at;
+    const fingerprint = contentFingerprint(post);
+    // An updated post still carries the fingerprint of its old content
+    post.fingerprint = fingerprint || undefined;
+    const duplicate = await duplicateContent.findRecent(post, at);
+    const earlierRow = fingerprint && planned.find(other => other.platform === post.platform
+      && other.fingerprint === fingerprint
+      && Math.abs(other.at - at) < DUPLICATE_WINDOW_MS);
+    if (duplicate) {
+      row.errors.push(`The same content is already ${duplicate.status} on ${post.platform} within 24 hours (post ${duplicate._id}); set allowDuplicate to import it anyway`);
+    } else if (earlierRow) {
+      row.errors.push(`The same content is scheduled on ${post.platform} within 24 hours by row ${earlierRow.row}; set allowDuplicate to import it anyway`);
+    }
+    planned.push({ row: row.row, platform: post.platform, fingerprint, at });
+  }
+}
+
+/**
+ * Import posts from a CSV file (multipart field `file`) or a `csv` body
+ * field. Every row is validated first; with `atomic` set nothing is written
+ * unless all rows are valid and saved, and a failed save undoes the rest.
+ */
+const importPosts = asyncHandler(async (req, res) => {
+  const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+  if (!text) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'A CSV file (field "file") or "csv" text is required'
+    });
+  }
+
+  let parsed;
+  try {
+    parsed = parseCsvRecords(text);
+  } catch (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: `Invalid CSV: ${error.message}` });
+  }
+
+  const { headers, records } = parsed;
+  const missing = ['platform', 'post_type'].filter(column => !headers.includes(column));
+  if (missing.length > 0) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: `Missing required columns: ${missing.join(', ')}`,
+      data: { columns: IMPORT_COLUMNS }
+    });
+  }
+  if (records.length === 0) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'The CSV has no rows' });
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: `At most ${MAX_IMPORT_ROWS} rows can be imported at once`
+    });
+  }
+
+  const atomic = isTruthy(req.body.atomic) || isTruthy(req.query.atomic);
+  const allowDuplicate = isTruthy(req.body.allowDuplicate) || isTruthy(req.query.allowDuplicate);
+  const [mediaIndex, existingPosts] = await Promise.all([
+    loadMediaIndex(req.userId, records),
+    loadExistingPosts(req.userId, records)
+  ]);
+
+  // Row numbers match the spreadsheet: the header is row 1
+  const rows = records.map((record, index) => ({
+    row: index + 2,
+    ...buildRow(record, { req, mediaIndex, existingPosts })
+  }));
+  await checkScheduledRows(rows, allowDuplicate);
+  const invalid = rows.filter(row => row.errors.length > 0);
+
+  const report = (saved) => ({
+    atomic,
+    total: rows.length,
+    created: saved.filter(row => row.result === 'created').length,
+    updated: saved.filter(row => row.result === 'updated').length,
+    skipped: rows.filter(row => row.skip).length,
+    failed: rows.filter(row => row.errors.length > 0).length,
+    rows: rows.map(({ row, errors, warnings, postId, status, result }) => ({
+      row,
+      result: result || (errors.length > 0 ? 'invalid' : 'skipped'),
+      postId,
+      status,
+      errors,
+      warnings
+    }))
+  });
+
+  if (atomic && invalid.length > 0) {
+    return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+      success: false,
+      message: `Nothing was imported: ${invalid.length} of ${rows.length} rows are invalid`,
+      data: report([])
+    });
+  }
+
+  const pending = rows.filter(row => row.errors.length === 0 && !row.skip);
+
+  const saved = [];
+  for (const row of pending) {
+    const isNew = row.post.isNew;
+    try {
+      row.post.$locals.editedBy = req.userId;
+      await row.post.save();
+      row.postId = row.post._id;
+      row.status = row.post.status;
+      row.result = isNew ? 'created' : 'updated';
+      saved.push(row);
+    } catch (error) {
+      row.errors.push(error.message);
+      if (atomic) {
+        // Undo the rows already written so the import stays all-or-nothing.
+        // The failed row is undone too, as its post may be written when only
+        // recording the revision failed; not when it failed because someone
+        // else edited the post meanwhile.
+        const written = error.name === 'DocumentNotFoundError' ? saved : [...saved, row];
+        await rollBackRows(written);
+        rows.forEach(r => { r.postId = undefined; r.status = undefined; r.result = undefined; });
+        logger.warn('Atomic post import rolled back', { userId: req.userId, row: row.row, error: error.message });
+        return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+          success: false,
+          message: `Nothing was imported: row ${row.row} could not be saved`,
+          data: report([])
+        });
+      }
+    }
+  }
+
+  // Scheduled posts may have taken slots of the accounts' posting queues,
+  // and updated ones may have moved or given theirs up
+  const platforms = new Set(saved
+    .filter(row => row.status === 'scheduled' || row.result === 'updated')
+    .map(row => row.post.platform));
+  for (const platform of platforms) {
+    await postingQueue.refresh(req.userId, platform);
+  }
+
+  logger.info('Posts imported from CSV', { userId: req.userId, total: rows.length, saved: saved.length });
+
+  res.status(saved.length > 0 || invalid.length === 0 ? HTTP_STATUS.CREATED : HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+    success: saved.length > 0 || invalid.length === 0,
+    message: `Imported ${saved.length} of ${rows.length} rows`,
+    data: report(saved)
+  });
+});
+
+/**
+ * Export the user's posts as CSV in the import layout. `from`/`to` bound
+ * the scheduled time (or publish time for published posts).
+ */
+const exportPosts = asyncHandler(async (req, res) => {
+  const { from, to, status, platform } = req.query;
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  if (Object.values(range).some(date => isNaN(date.getTime()))) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'from and to must be valid dates' });
+  }
+
+  const filter = { author: req.userId };
+  if (status) filter.status = { $in: String(status).split(',') };
+  if (platform) filter.platform = { $in: String(platform).split(',') };
+  if (Object.keys(range).length > 0) {
+    filter.$or = [
+      { 'scheduling.scheduled_at': range },
+      { 'publishing.published_at': range }
+    ];
+  }
+
+  const posts = await Post.find(filter)
+    .sort({ 'scheduling.scheduled_at': 1, createdAt: 1 })
+    .limit(MAX_EXPORT_ROWS)
+    .lean();
+
+  const records = posts.map(post => {
+    const timezone = post.scheduling?.timezone || 'UTC';
+    return {
+      id: post._id,
+      title: post.title,
+      platform: post.platform,
+      post_type: post.post_type,
+      caption: post.content?.caption || '',
+      tags: (post.tags || []).join(';'),
+      categories: (post.categories || []).join(';'),
+      media: (post.media || []).map(item => item.asset || item._id).join(';'),
+      scheduled_at: post.scheduling?.scheduled_at ? formatInTimeZone(post.scheduling.scheduled_at, timezone) : '',
+      timezone: post.scheduling?.scheduled_at ? timezone : '',
+      dst_resolution: post.scheduling?.dst_resolution || '',
+      status: post.status,
+      published_at: post.publishing?.published_at,
+      platform_url: post.publishing?.platform_url
+    };
+  });
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="posts-${stamp}.csv"`);
+  res.status(HTTP_STATUS.OK).send(toCsv(EXPORT_COLUMNS, records));
+});
+
+module.exports = {
+  importPosts,
+  exportPosts
+};
@@ -0,0 +1,477 @@
+// src/controllers/postGroupController.js
+const { validationResult } = require('express-validator');
+const PostGroup = require('../models/PostGroup');
+const Post = require('../models/Post');
+const PublishJob = require('../models/PublishJob');
+const DeadLetterJob = require('../models/DeadLetterJob');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { HTTP_STATUS, PAGINATION } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { validatePostData } = require('../utils/postValidation');
+const { resolveScheduling } = require('../utils/timezone');
+const NotificationService = require('../services/notificationService');
+const publishQueue = require('../services/publishQueue');
+const mediaConformance = require('../services/mediaConformance');
+const firstCommentService = require('../services/firstComment');
+const postController = require('./postController');
+
+// Multipart requests send nested fields as JSON strings
+const parseField = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+const parseContent = (content) => {
+  if (!content) return {};
+  if (typeof content === 'object') return content;
+  try {
+    return JSON.parse(content);
+  } catch {
+    return { caption: content };
+  }
+};
+
+// Child statuses that have not been (and are not being) published
+const UNPUBLISHED_STATUSES = ['draft', 'scheduled', 'failed'];
+
+// Per-platform view of the children, used in every group response
+const buildResults = (children) => children.map(child => ({
+  platform: child.platform,
+  post_type: child.post_type,
+  post_id: child._id,
+  status: child.status,
+  scheduled_at: child.scheduling?.scheduled_at || null,
+  published_at: child.publishing?.published_at || null,
+  platform_post_id: child.publishing?.platform_post_id || null,
+  platform_url: child.publishing?.platform_url || null,
+  error: child.publishing?.error || null
+}));
+
+const sendGroup = async (res, group, extra = {}, statusCode = HTTP_STATUS.OK) => {
+  const children = await Post.find({ group: group._id }).sort({ platform: 1 });
+  group.status = PostGroup.aggregateStatus(children.map(child => child.status));
+  await group.save();
+
+  res.status(statusCode).json({
+    success: true,
+    ...extra,
+    data: {
+      group,
+      status: group.status,
+      results: buildResults(children)
+    }
+  });
+};
+
+const findOwnedGroup = (id, req) => {
+  const query = { _id: id };
+  if (req.user?.role !== 'admin') query.author = req.userId;
+  return PostGroup.findOne(query);
+};
+
+// Validate every child before anything is written so a bad override
+// does not leave a half-created group behind
+const validateChildren = (group) => {
+  const errors = [];
+  for (const entry of group.platforms) {
+    const data = group.buildChildData(entry);
+    const result = validatePostData(data);
+    const commentError = data.firstComment.text && firstCommentService.validate(entry.platform, data.firstComment.text);
+    if (!result.isValid || commentError) {
+      errors.push({ platform: entry.platform, errors: [...result.errors, ...(commentError ? [commentError] : [])] });
+    }
+  }
+  return errors;
+};
+
+// Unpublished children that still need a reviewer's approval
+const findUnapprovedChildren = async (group) => {
+  const children = await Post.find({ group: group._id, status: { $ne: 'published' } }).select('platform approval');
+  return children.filter(child => child.needsApproval()).map(child => ({
+    platform: child.platform,
+    postId: child._id,
+    approvalState: child.approval.state
+  }));
+};
+
+const approvalRequiredResponse = (blocked) => ({
+  success: false,
+  code: 'APPROVAL_REQUIRED',
+  message: 'Some platforms in this group have not been approved yet',
+  data: { blocked }
+});
+
+// Unpublished children whose videos break their platform's rules
+const findNonConformantChildren = async (group) => {
+  const children = await Post.find({ group: group._id, status: { $ne: 'published' } }).select('platform post_type media');
+  const blocked = [];
+  for (const child of children) {
+    const check = await mediaConformance.checkPost(child);
+    if (!check.isValid) {
+      blocked.push({
+        platform: child.platform,
+        postId: child._id,
+        media: check.results.filter(result => result.violations.length > 0)
+      });
+    }
+  }
+  return blocked;
+};
+
+const mediaNotConformantResponse = (blocked) => ({
+  success: false,
+  code: 'MEDIA_NOT_CONFORMANT',
+  message: `Videos do not meet the requirements of: ${blocked.map(entry => entry.platform).join(', ')}`,
+  data: { blocked }
+});
+
+/**
+ * Create a post group and fan it out into one draft Post per platform
+ */
+const createGroup = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const platforms = parseField(req.body.platforms, []);
+  const group = new PostGroup({
+    title: req.body.title,
+    content: parseContent(req.body.content),
+    author: req.userId,
+    platforms,
+    platformContent: parseField(req.body.platformContent, {}),
+    tags: parseField(req.body.tags, []),
+    categories: parseField(req.body.categories, []),
+    media: req.files || [],
+    thumbnail: req.thumbnail || null
+  });
+
+  const childErrors = validateChildren(group);
+  if (childErrors.length > 0) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Post validation failed',
+      errors: childErrors
+    });
+  }
+
+  await group.validate();
+  const approval = Post.approvalDefaults(req.user);
+  const children = await Post.insertMany(group.platforms.map(entry => ({ ...group.buildChildData(entry), approval })));
+  group.posts = children.map(child => child._id);
+  await group.save();
+
+  logger.info('Post group created', { groupId: group._id, platforms: platforms.map(p => p.platform) });
+
+  await sendGroup(res, group, { message: 'Post group created successfully' }, HTTP_STATUS.CREATED);
+});
+
+/**
+ * List the user's post groups
+ */
+const getGroups = asyncHandler(async (req, res) => {
+  const {
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    status
+  } = req.query;
+
+  const filter = { author: req.userId };
+  if (status) filter.status = status;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+
+  const [groups, total] = await Promise.all([
+    PostGroup.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate('posts', 'platform post_type status scheduling publishing'),
+    PostGroup.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      groups,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+});
+
+/**
+ * Get a post group with its aggregate status and per-platform results
+ */
+const getGroup = asyncHandler(async (req, res) => {
+  const group = await findOwnedGroup(req.params.id, req);
+  if (!group) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Post group not found' });
+  }
+
+  await sendGroup(res, group);
+});
+
+/**
+ * Update the master composition and overrides, cascading to unpublished children.
+ * Platforms added to the group get a new child; removed platforms lose theirs.
+ */
+const updateGroup = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const group = await findOwnedGroup(req.params.id, req);
+  if (!group) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Post group not found' });
+  }
+
+  if (req.body.title !== undefined) group.title = req.body.title;
+  if (req.body.content !== undefined) group.content = parseContent(req.body.content);
+  if (req.body.platformContent !== undefined) {
+    group.platformContent = parseField(req.body.platformContent, {});
+    group.markModified('platformContent');
+  }
+  if (req.body.platforms !== undefined) group.platforms = parseField(req.body.platforms, group.platforms);
+  if (req.body.tags !== undefined) group.tags = parseField(req.body.tags, []);
+  if (req.body.categories !== undefined) group.categories = parseField(req.body.categories, []);
+  if (req.files && req.files.length > 0) group.media = req.files;
+  if (req.thumbnail) group.thumbnail = req.thumbnail;
+
+  const childErrors = validateChildren(group);
+  if (childErrors.length > 0) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Post validation failed',
+      errors: childErrors
+    });
+  }
+
+  const children = await Post.find({ group: group._id });
+  const skipped = [];
+  const keptIds = [];
+
+  for (const child of children) {
+    const entry = group.platforms.find(p => p.platform === child.platform);
+    if (child.status === 'published') {
+      if (entry) keptIds.push(child._id);
+      skipped.push({ platform: child.platform, reason: 'Already published' });
+      continue;
+    }
+
+    if (!entry) {
+      await child.deleteOne();
+      continue;
+    }
+
+    child.set(group.buildChildData(entry));
+    child.markModified('platformContent');
+    child.$locals.editedBy = req.userId;
+    await child.save();
+    if (child.$locals.approvalRevoked && child.approval?.reviewer) {
+      NotificationService.notifyPostReview(child, {
+        event: child.$locals.approvalRevoked === 'submitted' ? 'withdrawn' : 'revoked',
+        recipientId: child.approval.reviewer,
+        actorId: req.userId
+      }).catch(error => logger.warn('Failed to send review notification', { postId: child._id, error: error.message }));
+    }
+    keptIds.push(child._id);
+  }
+
+  const existing = new Set(children.map(child => child.platform));
+  const added = group.platforms.filter(entry => !existing.has(entry.platform));
+  if (added.length > 0) {
+    const approval = Post.approvalDefaults(req.user);
+    // Platforms that still need review are added as drafts
+    const scheduling = group.scheduling?.scheduled_at && !approval.required ? group.scheduling : null;
+    const created = await Post.insertMany(added.map(entry => ({
+      ...group.buildChildData(entry),
+      approval,
+      ...(scheduling && { status: 'scheduled', scheduling })
+    })));
+    keptIds.push(...created.map(child => child._id));
+  }
+
+  group.posts = keptIds;
+  await group.save();
+
+  logger.info('Post group updated', { groupId: group._id, skipped: skipped.length });
+
+  await sendGroup(res, group, {
+    message: 'Post group updated successfully',
+    skipped: skipped.length > 0 ? skipped : undefined
+  });
+});
+
+/**
+ * Delete a post group together with its unpublished children and their
+ * queued publish jobs. Children that went live are kept, detached from the
+ * group, so their record on the platform is not lost.
+ */
+const deleteGroup = asyncHandler(async (req, res) => {
+  const group = await findOwnedGroup(req.params.id, req);
+  if (!group) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Post group not found' });
+  }
+
+  const children = await Post.find({ group: group._id }).select('platform status');
+  const publishing = children.filter(child => child.status === 'publishing');
+  if (publishing.length > 0) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      code: 'POST_PUBLISHING',
+      message: `Some platforms are being published right now: ${publishing.map(child => child.platform).join(', ')}`
+    });
+  }
+
+  // The status filter leaves a child alone if it was claimed in the meantime
+  const unpublished = children.filter(child => UNPUBLISHED_STATUSES.includes(child.status)).map(child => child._id);
+  const { deletedCount } = await Post.deleteMany({ _id: { $in: unpublished }, status: { $in: UNPUBLISHED_STATUSES } });
+  const remaining = await Post.find({ _id: { $in: unpublished } }).distinct('_id');
+  const deleted = unpublished.filter(id => !remaining.some(other => other.equals(id)));
+  await PublishJob.deleteMany({ post: { $in: deleted } });
+  await DeadLetterJob.deleteMany({ post: { $in: deleted } });
+
+  const { modifiedCount: detachedCount } = await Post.updateMany({ group: group._id }, { $unset: { group: 1 } });
+  await group.deleteOne();
+
+  logger.info('Post group deleted', { groupId: group._id, deletedPosts: deletedCount, detachedPosts: detachedCount });
+
+  res.json({
+    success: true,
+    message: 'Post group deleted successfully',
+    data: { deletedPosts: deletedCount, detachedPosts: detachedCount }
+  });
+});
+
+/**
+ * Schedule every unpublished child of the group for the same time
+ */
+const scheduleGroup = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const group = await findOwnedGroup(req.params.id, req);
+  if (!group) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Post group not found' });
+  }
+
+  const blocked = await findUnapprovedChildren(group);
+  if (blocked.length > 0) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(approvalRequiredResponse(blocked));
+  }
+
+  const nonConformant = await findNonConformantChildren(group);
+  if (nonConformant.length > 0) {
+    return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(mediaNotConformantResponse(nonConformant));
+  }
+
+  const schedule = resolveScheduling(req.body, req.user?.profile?.timezone);
+  if (schedule.error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: schedule.error,
+      dst: schedule.dst
+    });
+  }
+  const { scheduling } = schedule;
+
+  await Post.updateMany(
+    { group: group._id, status: { $in: UNPUBLISHED_STATUSES } },
+    { $set: { status: 'scheduled', scheduling } }
+  );
+
+  group.scheduling = scheduling;
+  await group.save();
+
+  logger.info('Post group scheduled', { groupId: group._id, scheduledAt: scheduling.scheduled_at });
+
+  await sendGroup(res, group, { message: 'Post group scheduled successfully' });
+});
+
+/**
+ * Publish every unpublished child of the group now. Platforms are attempted
+ * independently; one failing platform does not stop the others.
+ */
+const publishGroup = asyncHandler(async (req, res) => {
+  const group = await findOwnedGroup(req.params.id, req);
+  if (!group) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Post group not found' });
+  }
+
+  const user = await User.findById(group.author);
+  if (!user) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'User not found' });
+  }
+
+  const blocked = await findUnapprovedChildren(group);
+  if (blocked.length > 0) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(approvalRequiredResponse(blocked));
+  }
+
+  const nonConformant = await findNonConformantChildren(group);
+  if (nonConformant.length > 0) {
+    return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json(mediaNotConformantResponse(nonConformant));
+  }
+
+  const children = await Post.find({ group: group._id, status: { $in: UNPUBLISHED_STATUSES } });
+  let attempted = 0;
+  for (const child of children) {
+    // Skip a platform the scheduler or another request took first
+    const claimed = await postController.claimForPublishNow(child);
+    if (!claimed) continue;
+    attempted += 1;
+
+    const result = await postController.postToPlatform(claimed, user);
+    // Retryable failures are already queued and finish in the background
+    if (result.queued) continue;
+    // Also refreshes the group status and continues recurring series
+    if (result.success) {
+      await publishQueue.complete(claimed, result);
+    } else {
+      await publishQueue.fail(claimed, result);
+    }
+  }
+
+  group.scheduling = undefined;
+  logger.info('Post group published', { groupId: group._id, attempted });
+
+  await sendGroup(res, group, { message: 'Post group publish completed' });
+});
+
+module.exports = {
+  createGroup,
+  getGroups,
+  getGroup,
+  updateGroup,
+  deleteGroup,
+  scheduleGroup,
+  publishGroup
+};
@@ -0,0 +1,238 @@
+// src/controllers/postReviewController.js
+const { validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const NotificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+const { HTTP_STATUS, PAGINATION } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(HTTP_STATUS.BAD_REQUEST).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const isAdmin = (req) => req.user?.role === 'admin';
+
+const notify = (post, options) => {
+  NotificationService.notifyPostReview(post, options).catch((error) => {
+    logger.warn('Failed to send review notification', { postId: post._id, event: options.event, error: error.message });
+  });
+};
+
+// A reviewer must be an active user other than the author
+const findReviewer = async (reviewerId, post) => {
+  if (!reviewerId) return { error: 'A reviewer is required' };
+  if (String(reviewerId) === String(post.author)) return { error: 'Authors cannot review their own posts' };
+  const reviewer = await User.findOne({ _id: reviewerId, isActive: true }).select('name email');
+  if (!reviewer) return { error: 'Reviewer not found' };
+  return { reviewer };
+};
+
+// The assigned reviewer, or an admin, may decide on a submitted post
+const loadForDecision = async (req, res) => {
+  const post = await Post.findById(req.params.id);
+  if (!post) {
+    res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Post not found' });
+    return null;
+  }
+  if (!isAdmin(req) && String(post.approval?.reviewer) !== String(req.userId)) {
+    res.status(HTTP_STATUS.FORBIDDEN).json({ success: false, message: 'Only the assigned reviewer can review this post' });
+    return null;
+  }
+  if (post.approval?.state !== 'submitted') {
+    res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: `Post is not awaiting review (current review state: ${post.approval?.state || 'none'})`
+    });
+    return null;
+  }
+  return post;
+};
+
+/**
+ * Submit a draft for review. The reviewer comes from the body, the post's
+ * current reviewer or the author's default reviewer, in that order.
+ */
+const submitForReview = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const post = await Post.findOne({ _id: req.params.id, author: req.userId });
+  if (!post) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Post not found' });
+  }
+  if (['publishing', 'published'].includes(post.status)) {
+    return res.status(HTTP_STATUS.CONFLICT).json({ success: false, message: `A ${post.status} post cannot be submitted for review` });
+  }
+  if (!['none', 'changes_requested'].includes(post.approval?.state || 'none')) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      message: `Post is already ${post.approval.state === 'approved' ? 'approved' : 'awaiting review'}`
+    });
+  }
+
+  const reviewerId = req.body.reviewer || post.approval?.reviewer || req.user.approvalPolicy?.defaultReviewer;
+  const { reviewer, error } = await findReviewer(reviewerId, post);
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: error });
+  }
+
+  post.approval.required = true;
+  post.approval.reviewer = reviewer._id;
+  post.transitionApproval('submitted', req.userId, req.body.comment);
+  await post.save();
+
+  notify(post, { event: 'submitted', recipientId: reviewer._id, actorId: req.userId, comment: req.body.comment });
+  logger.info('Post submitted for review', { postId: post._id, reviewerId: reviewer._id });
+
+  res.json({
+    success: true,
+    message: 'Post submitted for review',
+    data: { post }
+  });
+});
+
+const approvePost = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const post = await loadForDecision(req, res);
+  if (!post) return;
+
+  // Approve only the content that was submitted and, when the reviewer says
+  // which revision they read, only that one
+  const submitted = post.approval.submitted_revision;
+  const reviewed = req.body.revision === undefined ? submitted : Number(req.body.revision);
+  if ((submitted !== undefined && post.revision !== submitted) || (reviewed !== undefined && post.revision !== reviewed)) {
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      code: 'STALE_REVISION',
+      message: 'Post changed since it was submitted for review; review the current revision',
+      currentRevision: post.revision || 0
+    });
+  }
+
+  post.transitionApproval('approved', req.userId, req.body.comment);
+  // Fails if the author saves an edit in the meantime
+  post.$where = { revision: post.revision };
+  try {
+    await post.save();
+  } catch (error) {
+    if (error.name !== 'DocumentNotFoundError') throw error;
+    return res.status(HTTP_STATUS.CONFLICT).json({
+      success: false,
+      code: 'STALE_REVISION',
+      message: 'Post was edited while you were reviewing it; review the current revision',
+      currentRevision: (await Post.findById(post._id).select('revision'))?.revision || 0
+    });
+  }
+  post.$where = undefined;
+
+  notify(post, { event: 'approved', recipientId: post.author, actorId: req.userId, comment: req.body.comment });
+  logger.info('Post approved', { postId: post._id, reviewerId: req.userId, revision: post.revision });
+
+  res.json({
+    success: true,
+    message: 'Post approved',
+    data: { post }
+  });
+});
+
+const requestChanges = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const post = await loadForDecision(req, res);
+  if (!post) return;
+
+  post.transitionApproval('changes_requested', req.userId, req.body.comment);
+  await post.save();
+
+  notify(post, { event: 'changes_requested', recipientId: post.author, actorId: req.userId, comment: req.body.comment });
+  logger.info('Changes requested on post', { postId: post._id, reviewerId: req.userId });
+
+  res.json({
+    success: true,
+    message: 'Changes requested',
+    data: { post }
+  });
+});
+
+/**
+ * Assign or reassign the reviewer (author or admin)
+ */
+const assignReviewer = asyncHandler(async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const query = { _id: req.params.id };
+  if (!isAdmin(req)) query.author = req.userId;
+  const post = await Post.findOne(query);
+  if (!post) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Post not found' });
+  }
+
+  const { reviewer, error } = await findReviewer(req.body.reviewer, post);
+  if (error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: error });
+  }
+
+  post.approval.reviewer = reviewer._id;
+  post.approval.history.push({
+    from: post.approval.state,
+    to: post.approval.state,
+    by: req.userId,
+    comment: req.body.comment || `Reviewer changed to ${reviewer.name || reviewer.email}`,
+    at: new Date()
+  });
+  await post.save();
+
+  if (post.approval.state === 'submitted') {
+    notify(post, { event: 'reassigned', recipientId: reviewer._id, actorId: req.userId, comment: req.body.comment });
+  }
+
+  res.json({
+    success: true,
+    message: 'Reviewer assigned',
+    data: { post }
+  });
+});
+
+/**
+ * Posts waiting for the current user's review (admins see all)
+ */
+const getReviewQueue = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || PAGINATION.DEFAULT_PAGE);
+  const limit = Math.min(PAGINATION.MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || PAGINATION.DEFAULT_LIMIT));
+
+  const filter = { 'approval.state': 'submitted' };
+  if (!isAdmin(req) || req.query.mine === 'true') filter['approval.reviewer'] = req.userId;
+
+  const [posts, total] = await Promise.all([
+    Post.find(filter)
+      .sort({ 'approval.submitted_at': 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('author', 'name email'),
+    Post.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      posts,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    }
+  });
+});
+
+module.exports = {
+  submitForReview,
+  approvePost,
+  requestChanges,
+  assignReviewer,
+  getReviewQueue
+};
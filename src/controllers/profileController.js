@@ -3,6 +3,7 @@ const User = require('../models/User');
 const { HTTP_STATUS, SUCCESS_MESSAGES, ERROR_MESSAGES } = require('../utils/constants');
 const { asyncHandler } = require('../middlewares/errorHandler');
 const logger = require('../utils/logger');
+const { UTM_FIELDS, UTM_PLACEHOLDERS } = require('../utils/utm');
 const bcrypt = require('bcryptjs');
 
 /**
@@ -448,6 +449,50 @@ const calculateProfileCompleteness = (user) => {
   return Math.round((completedFields / fields.length) * 100);
 };
 
+/**
+ * Workspace UTM template applied to the links of all the user's posts
+ */
+const getUtmTemplate = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select('utmTemplate');
+  if (!user) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: ERROR_MESSAGES.USER_NOT_FOUND
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { utmTemplate: user.utmTemplate || {}, placeholders: UTM_PLACEHOLDERS }
+  });
+});
+
+/**
+ * Replace the workspace UTM template; fields left out or empty are cleared
+ */
+const updateUtmTemplate = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    return res.status(HTTP_STATUS.NOT_FOUND).json({
+      success: false,
+      message: ERROR_MESSAGES.USER_NOT_FOUND
+    });
+  }
+
+  user.utmTemplate = Object.fromEntries(
+    UTM_FIELDS.filter(field => req.body[field]).map(field => [field, req.body[field]])
+  );
+  await user.save();
+
+  logger.info('UTM template updated', { userId: req.userId });
+
+  res.json({
+    success: true,
+    message: 'UTM template updated',
+    data: { utmTemplate: user.utmTemplate, placeholders: UTM_PLACEHOLDERS }
+  });
+});
+
 module.exports = {
   listCreators,
   getProfile,
@@ -456,5 +501,7 @@ module.exports = {
   uploadAvatar,
   removeAvatar,
   deleteAccount,
-  getUserStats
+  getUserStats,
+  getUtmTemplate,
+  updateUtmTemplate
 };
@@ -0,0 +1,248 @@
+// src/controllers/queueController.js
+// Per-account posting queues: weekly slots, and the posts waiting for them.
+const Post = require('../models/Post');
+const PostingQueue = require('../models/PostingQueue');
+const postingQueue = require('../services/postingQueue');
+const mediaConformance = require('../services/mediaConformance');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { WEEKDAYS, parseWeekday, parseTime } = require('../utils/recurrence');
+const { isValidTimeZone, formatInTimeZone } = require('../utils/timezone');
+
+const PLATFORMS = ['twitter', 'youtube', 'instagram', 'linkedin', 'facebook'];
+const pad = (n) => String(n).padStart(2, '0');
+
+const notFound = (res, what = 'Queue') => res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: `${what} not found` });
+
+const unknownPlatform = (res) => res.status(HTTP_STATUS.BAD_REQUEST).json({
+  success: false,
+  message: `Platform must be one of: ${PLATFORMS.join(', ')}`
+});
+
+// Whether the user has connected the platform's account
+const isConnected = (user, platform) => {
+  const account = user?.socialAccounts?.[platform];
+  return !!(account?.accessToken || account?.oauth_accessToken);
+};
+
+const toPostJSON = (post, timezone) => ({
+  id: post._id,
+  title: post.title,
+  caption: post.content?.caption,
+  post_type: post.post_type,
+  position: post.scheduling?.queue?.position,
+  scheduled_at: post.scheduling?.scheduled_at,
+  scheduled_at_local: post.scheduling?.scheduled_at ? formatInTimeZone(post.scheduling.scheduled_at, timezone) : null
+});
+
+const toQueueJSON = async (queue, { count = 10 } = {}) => {
+  const posts = await postingQueue.queuedPosts(queue.user, queue.platform);
+  const free = await postingQueue.freeSlots(queue, posts.length + count);
+  return {
+    platform: queue.platform,
+    timezone: queue.timezone,
+    slots: queue.slots,
+    paused: queue.paused,
+    paused_at: queue.paused_at,
+    posts: posts.map(post => toPostJSON(post, queue.timezone)),
+    // Slots still open after the queued posts, soonest first
+    open_slots: free.slice(posts.length).map(date => ({ scheduled_at: date, scheduled_at_local: formatInTimeZone(date, queue.timezone) }))
+  };
+};
+
+const loadQueue = async (req, res) => {
+  if (!PLATFORMS.includes(req.params.platform)) {
+    unknownPlatform(res);
+    return null;
+  }
+  const queue = await postingQueue.getQueue(req.userId, req.params.platform);
+  if (!queue) notFound(res);
+  return queue;
+};
+
+/**
+ * GET /api/queues
+ */
+const getQueues = asyncHandler(async (req, res) => {
+  const queues = await PostingQueue.find({ user: req.userId }).sort({ platform: 1 });
+  const data = [];
+  for (const queue of queues) {
+    data.push(await toQueueJSON(queue, { count: 1 }));
+  }
+  res.json({ success: true, data });
+});
+
+/**
+ * GET /api/queues/:platform
+ */
+const getQueue = asyncHandler(async (req, res) => {
+  const queue = await loadQueue(req, res);
+  if (!queue) return;
+  const count = Math.min(parseInt(req.query.count) || 10, 50);
+  res.json({ success: true, data: await toQueueJSON(queue, { count }) });
+});
+
+/**
+ * PUT /api/queues/:platform
+ * Define the weekly slots (and time zone) of a connected account's queue
+ */
+const setSlots = asyncHandler(async (req, res) => {
+  const { platform } = req.params;
+  if (!PLATFORMS.includes(platform)) return unknownPlatform(res);
+  if (!isConnected(req.user, platform)) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: `Connect your ${platform} account first` });
+  }
+
+  const errors = [];
+  const slots = [];
+  for (const [index, slot] of req.body.slots.entries()) {
+    const weekday = parseWeekday(slot.day);
+    const time = parseTime(slot.time);
+    if (weekday === null) errors.push(`Slot ${index + 1}: day must be a weekday name (e.g. monday, tue)`);
+    if (!time) errors.push(`Slot ${index + 1}: time must be in HH:mm format`);
+    if (weekday !== null && time) slots.push({ day: WEEKDAYS[weekday], time: `${pad(time.hours)}:${pad(time.minutes)}` });
+  }
+  const timezone = req.body.timezone;
+  if (timezone !== undefined && !isValidTimeZone(timezone)) errors.push(`Unknown time zone: ${timezone}`);
+  if (errors.length > 0) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'Invalid queue slots', errors });
+  }
+
+  let queue = await postingQueue.getQueue(req.userId, platform);
+  if (slots.length === 0 && queue) {
+    const queued = (await postingQueue.queuedPosts(req.userId, platform)).length;
+    if (queued > 0) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        success: false,
+        message: `The queue still has ${queued} post${queued === 1 ? '' : 's'}; remove them before removing every slot`
+      });
+    }
+  }
+
+  queue = queue || new PostingQueue({ user: req.userId, platform, timezone: req.user?.profile?.timezone || 'UTC' });
+  queue.slots = slots;
+  if (timezone !== undefined) queue.timezone = timezone;
+  await queue.save();
+  await postingQueue.rebalance(queue);
+
+  logger.info('Posting queue slots saved', { userId: req.userId, platform, slots: queue.slots.length });
+  res.json({ success: true, message: 'Queue slots saved', data: await toQueueJSON(queue) });
+});
+
+/**
+ * POST /api/queues/:platform/posts
+ * Add a draft (or hand-scheduled post) to the end of the queue
+ */
+const addPost = asyncHandler(async (req, res) => {
+  const queue = await loadQueue(req, res);
+  if (!queue) return;
+
+  const post = await Post.findOne({ _id: req.body.postId, author: req.userId });
+  if (!post) return notFound(res, 'Post');
+  if (post.platform !== queue.platform) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: `This is a ${post.platform} post; add it to the ${post.platform} queue` });
+  }
+  if (post.scheduling?.queue?.queued && post.status === 'scheduled') {
+    return res.status(HTTP_STATUS.CONFLICT).json({ success: false, message: 'Post is already queued' });
+  }
+  if (!['draft', 'scheduled', 'failed'].includes(post.status)) {
+    return res.status(HTTP_STATUS.CONFLICT).json({ success: false, message: `A ${post.status} post cannot be queued` });
+  }
+  if (post.scheduling?.recurring?.enabled) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'Recurring posts cannot be queued; end the series first' });
+  }
+  if (post.needsApproval()) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json({
+      success: false,
+      code: 'APPROVAL_REQUIRED',
+      message: `This post needs a reviewer's approval first (current review state: ${post.approval.state})`
+    });
+  }
+  const conformance = await mediaConformance.checkPost(post);
+  if (!conformance.isValid) {
+    return res.status(HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+      success: false,
+      code: 'MEDIA_NOT_CONFORMANT',
+      message: `Media do not meet ${post.platform} requirements`,
+      errors: conformance.results.flatMap(result => result.violations.map(v => `Media file ${result.index + 1}: ${v.message}`))
+    });
+  }
+
+  const result = await postingQueue.add(post);
+  if (result.error) {
+    return res.status(HTTP_STATUS.CONFLICT).json({ success: false, message: result.error });
+  }
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: 'Post added to the queue',
+    data: toPostJSON(result.post, queue.timezone)
+  });
+});
+
+/**
+ * DELETE /api/queues/:platform/posts/:postId
+ * Take a post out of the queue (it goes back to draft)
+ */
+const removePost = asyncHandler(async (req, res) => {
+  const queue = await loadQueue(req, res);
+  if (!queue) return;
+
+  const removed = await postingQueue.remove(queue, req.params.postId);
+  if (!removed) return notFound(res, 'Queued post');
+  res.json({ success: true, message: 'Post removed from the queue; it is a draft again' });
+});
+
+/**
+ * PUT /api/queues/:platform/order
+ */
+const reorder = asyncHandler(async (req, res) => {
+  const queue = await loadQueue(req, res);
+  if (!queue) return;
+
+  const result = await postingQueue.reorder(queue, req.body.postIds);
+  if (result.error) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: result.error });
+  }
+  res.json({ success: true, message: 'Queue reordered', data: result.posts.map(post => toPostJSON(post, queue.timezone)) });
+});
+
+/**
+ * POST /api/queues/:platform/shuffle
+ */
+const shuffle = asyncHandler(async (req, res) => {
+  const queue = await loadQueue(req, res);
+  if (!queue) return;
+
+  const result = await postingQueue.shuffle(queue);
+  res.json({ success: true, message: 'Queue shuffled', data: result.posts.map(post => toPostJSON(post, queue.timezone)) });
+});
+
+/**
+ * POST /api/queues/:platform/pause, POST /api/queues/:platform/resume
+ */
+const setPaused = (paused) => asyncHandler(async (req, res) => {
+  const queue = await loadQueue(req, res);
+  if (!queue) return;
+
+  await postingQueue.setPaused(queue, paused);
+  logger.info(paused ? 'Posting queue paused' : 'Posting queue resumed', { userId: req.userId, platform: queue.platform });
+  res.json({
+    success: true,
+    message: paused ? 'Queue paused; its posts will not be published until it is resumed' : 'Queue resumed',
+    data: await toQueueJSON(queue)
+  });
+});
+
+module.exports = {
+  getQueues,
+  getQueue,
+  setSlots,
+  addPost,
+  removePost,
+  reorder,
+  shuffle,
+  pauseQueue: setPaused(true),
+  resumeQueue: setPaused(false)
+};
@@ -0,0 +1,306 @@
+// src/controllers/templateController.js
+// Reusable caption templates and hashtag sets. Owners edit; teammates they
+// are shared with can list, preview and use them.
+const mongoose = require('mongoose');
+const ContentTemplate = require('../models/ContentTemplate');
+const HashtagSet = require('../models/HashtagSet');
+const User = require('../models/User');
+const templateService = require('../services/templateService');
+const logger = require('../utils/logger');
+const { HTTP_STATUS, PAGINATION } = require('../utils/constants');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { extractVariables } = require('../utils/templateRender');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * User ids for a share list of ids and/or emails
+ * @returns {Promise<{ ids: Array<ObjectId>, unknown: Array<string> }>}
+ */
+const resolveShareList = async (entries = [], ownerId) => {
+  const ids = entries.filter(entry => mongoose.isValidObjectId(entry));
+  const emails = entries.filter(entry => !mongoose.isValidObjectId(entry)).map(entry => entry.toLowerCase());
+  const users = await User.find({ $or: [{ _id: { $in: ids } }, { email: { $in: emails } }] }).select('_id email');
+
+  const found = new Set(users.flatMap(user => [String(user._id), user.email]));
+  const unknown = entries.filter(entry => !found.has(mongoose.isValidObjectId(entry) ? String(entry) : entry.toLowerCase()));
+  return {
+    ids: users.map(user => user._id).filter(id => String(id) !== String(ownerId)),
+    unknown
+  };
+};
+
+const toTemplateJSON = (template, userId) => {
+  const data = template.toJSON({ flattenMaps: true });
+  delete data.versions;
+  const texts = [data.body, ...Object.values(data.variants || {})];
+  return {
+    ...data,
+    placeholders: [...new Set(texts.flatMap(extractVariables))],
+    is_owner: String(template.owner) === String(userId)
+  };
+};
+
+const notFound = (res, what = 'Template') => res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: `${what} not found` });
+
+const forbidden = (res, what = 'template') => res.status(HTTP_STATUS.FORBIDDEN).json({
+  success: false,
+  message: `Only the owner can change this ${what}`
+});
+
+/**
+ * Check a template payload: variant lengths, hashtag sets and share list.
+ * Sets the resolved `shared_with` ids on the payload.
+ * @returns {Promise<Array<string>>} errors
+ */
+const checkTemplatePayload = async (payload, userId) => {
+  const errors = templateService.checkLengths(payload);
+  if (payload.hashtag_sets) {
+    const sets = await templateService.findHashtagSets(payload.hashtag_sets, userId);
+    if (sets.length !== new Set(payload.hashtag_sets.map(String)).size) errors.push('Some hashtag sets were not found');
+  }
+  if (payload.shared_with) {
+    const { ids, unknown } = await resolveShareList(payload.shared_with, userId);
+    if (unknown.length > 0) errors.push(`Unknown users: ${unknown.join(', ')}`);
+    payload.shared_with = ids;
+  }
+  return errors;
+};
+
+/**
+ * Templates the user owns or that were shared with them (`q`, `shared=true|false`)
+ */
+const getTemplates = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || PAGINATION.DEFAULT_PAGE);
+  const limit = Math.min(PAGINATION.MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || PAGINATION.DEFAULT_LIMIT));
+
+  let filter = templateService.accessFilter(req.userId);
+  if (req.query.shared === 'true') filter = { shared_with: req.userId };
+  if (req.query.shared === 'false') filter = { owner: req.userId };
+  if (req.query.q) {
+    const pattern = new RegExp(escapeRegex(String(req.query.q).trim()), 'i');
+    filter = { $and: [filter, { $or: [{ name: pattern }, { description: pattern }] }] };
+  }
+
+  const [templates, total] = await Promise.all([
+    ContentTemplate.find(filter)
+      .select('-versions')
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    ContentTemplate.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      templates: templates.map(template => toTemplateJSON(template, req.userId)),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    }
+  });
+});
+
+const createTemplate = asyncHandler(async (req, res) => {
+  const payload = { ...req.body };
+  const errors = await checkTemplatePayload(payload, req.userId);
+  if (errors.length > 0) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'Template validation failed', errors });
+  }
+
+  const template = new ContentTemplate({ ...payload, owner: req.userId });
+  template.$locals.editedBy = req.userId;
+  await template.save();
+
+  logger.info('Content template created', { templateId: template._id, userId: req.userId });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    success: true,
+    message: 'Template created',
+    data: { template: toTemplateJSON(template, req.userId) }
+  });
+});
+
+const getTemplate = asyncHandler(async (req, res) => {
+  const template = await templateService.findTemplate(req.params.id, req.userId);
+  if (!template) return notFound(res);
+
+  res.json({ success: true, data: { template: toTemplateJSON(template, req.userId) } });
+});
+
+/**
+ * Edit a template; changes to its content add a version
+ */
+const updateTemplate = asyncHandler(async (req, res) => {
+  const template = await templateService.findTemplate(req.params.id, req.userId);
+  if (!template) return notFound(res);
+  if (String(template.owner) !== String(req.userId)) return forbidden(res);
+
+  const payload = { ...req.body };
+  const errors = await checkTemplatePayload(payload, req.userId);
+  if (errors.length > 0) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: 'Template validation failed', errors });
+  }
+
+  template.set(payload);
+  template.$locals.editedBy = req.userId;
+  await template.save();
+
+  res.json({
+    success: true,
+    message: 'Template updated',
+    data: { template: toTemplateJSON(template, req.userId) }
+  });
+});
+
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const template = await templateService.findTemplate(req.params.id, req.userId);
+  if (!template) return notFound(res);
+  if (String(template.owner) !== String(req.userId)) return forbidden(res);
+
+  await template.deleteOne();
+  logger.info('Content template deleted', { templateId: template._id, userId: req.userId });
+
+  res.json({ success: true, message: 'Template deleted' });
+});
+
+/**
+ * Version history, newest first (with `snapshot` for a single `version`)
+ */
+const getTemplateVersions = asyncHandler(async (req, res) => {
+  const template = await templateService.findTemplate(req.params.id, req.userId);
+  if (!template) return notFound(res);
+
+  if (req.params.version) {
+    const entry = template.versions.find(v => v.version === Number(req.params.version));
+    if (!entry) return notFound(res, 'Template version');
+    return res.json({ success: true, data: { version: entry } });
+  }
+
+  const versions = [...template.versions].reverse().map(({ version, editor, restored_from, created_at }) => ({
+    version,
+    editor,
+    restored_from,
+    created_at
+  }));
+  res.json({ success: true, data: { current: template.version, versions } });
+});
+
+/**
+ * Make an earlier version current again (as a new version)
+ */
+const restoreTemplateVersion = asyncHandler(async (req, res) => {
+  const template = await templateService.findTemplate(req.params.id, req.userId);
+  if (!template) return notFound(res);
+  if (String(template.owner) !== String(req.userId)) return forbidden(res);
+
+  const version = Number(req.params.version);
+  const snapshot = template.atVersion(version);
+  if (!snapshot) return notFound(res, 'Template version');
+
+  template.set(snapshot);
+  template.$locals.editedBy = req.userId;
+  template.$locals.restoredFrom = version;
+  await template.save();
+
+  res.json({
+    success: true,
+    message: `Version ${version} restored`,
+    data: { template: toTemplateJSON(template, req.userId) }
+  });
+});
+
+/**
+ * Preview a template rendered for a platform
+ */
+const renderTemplate = asyncHandler(async (req, res) => {
+  const template = await templateService.findTemplate(req.params.id, req.userId);
+  if (!template) return notFound(res);
+
+  const result = await templateService.render(template, {
+    ...req.body,
+    userId: req.userId,
+    timezone: req.body.timezone || req.user?.profile?.timezone
+  });
+
+  res.status(result.isValid ? HTTP_STATUS.OK : HTTP_STATUS.UNPROCESSABLE_ENTITY).json({
+    success: result.isValid,
+    message: result.isValid ? undefined : result.errors.join('; '),
+    data: result
+  });
+});
+
+/**
+ * Hashtag sets the user owns or that were shared with them
+ */
+const getHashtagSets = asyncHandler(async (req, res) => {
+  const sets = await HashtagSet.find(templateService.accessFilter(req.userId)).sort({ name: 1 });
+  res.json({
+    success: true,
+    data: {
+      hashtagSets: sets.map(set => ({ ...set.toJSON(), is_owner: String(set.owner) === String(req.userId) }))
+    }
+  });
+});
+
+const createHashtagSet = asyncHandler(async (req, res) => {
+  const payload = { ...req.body };
+  if (payload.shared_with) {
+    const { ids, unknown } = await resolveShareList(payload.shared_with, req.userId);
+    if (unknown.length > 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: `Unknown users: ${unknown.join(', ')}` });
+    }
+    payload.shared_with = ids;
+  }
+
+  const set = await HashtagSet.create({ ...payload, owner: req.userId });
+  res.status(HTTP_STATUS.CREATED).json({ success: true, message: 'Hashtag set created', data: { hashtagSet: set } });
+});
+
+const updateHashtagSet = asyncHandler(async (req, res) => {
+  const set = mongoose.isValidObjectId(req.params.id)
+    ? await HashtagSet.findOne({ _id: req.params.id, ...templateService.accessFilter(req.userId) })
+    : null;
+  if (!set) return notFound(res, 'Hashtag set');
+  if (String(set.owner) !== String(req.userId)) return forbidden(res, 'hashtag set');
+
+  const payload = { ...req.body };
+  if (payload.shared_with) {
+    const { ids, unknown } = await resolveShareList(payload.shared_with, req.userId);
+    if (unknown.length > 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ success: false, message: `Unknown users: ${unknown.join(', ')}` });
+    }
+    payload.shared_with = ids;
+  }
+
+  set.set(payload);
+  await set.save();
+  res.json({ success: true, message: 'Hashtag set updated', data: { hashtagSet: set } });
+});
+
+/**
+ * Delete a hashtag set; templates that used it render without it
+ */
+const deleteHashtagSet = asyncHandler(async (req, res) => {
+  const set = mongoose.isValidObjectId(req.params.id)
+    ? await HashtagSet.findOne({ _id: req.params.id, owner: req.userId })
+    : null;
+  if (!set) return notFound(res, 'Hashtag set');
+
+  await set.deleteOne();
+  res.json({ success: true, message: 'Hashtag set deleted' });
+});
+
+module.exports = {
+  getTemplates,
+  createTemplate,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getTemplateVersions,
+  restoreTemplateVersion,
+  renderTemplate,
+  getHashtagSets,
+  createHashtagSet,
+  updateHashtagSet,
+  deleteHashtagSet
+};
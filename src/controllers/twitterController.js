@@ -1,5 +1,6 @@
 // src/controllers/twitterController.js
 const twitterService = require('../services/social/twitter');
+const { splitThread, MAX_TWEET_LENGTH, MAX_THREAD_TWEETS } = require('../utils/twitterText');
 const { TwitterApi } = require('twitter-api-v2');
 
 const User = require('../models/User');
@@ -364,6 +365,38 @@ async postContent(req, res) {
   }
 }
 
+  // Split long text into a numbered thread; lengths are counted the way Twitter counts them
+  async splitThread(req, res) {
+    try {
+      const { text, numbering = 'suffix' } = req.body;
+
+      if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ success: false, error: 'Text is required' });
+      }
+      if (!['suffix', 'prefix', false].includes(numbering)) {
+        return res.status(400).json({ success: false, error: 'numbering must be "suffix", "prefix" or false' });
+      }
+
+      const tweets = splitThread(text, { numbering });
+      if (tweets.length > MAX_THREAD_TWEETS) {
+        return res.status(400).json({
+          success: false,
+          error: `Text needs ${tweets.length} tweets; a thread cannot exceed ${MAX_THREAD_TWEETS}`
+        });
+      }
+
+      res.json({
+        success: true,
+        tweets,
+        total_tweets: tweets.length,
+        max_length: MAX_TWEET_LENGTH
+      });
+    } catch (error) {
+      console.error('Twitter thread split error:', error);
+      res.status(500).json({ success: false, error: 'Failed to split thread' });
+    }
+  }
+
   // Upload Media
   async uploadMedia(req, res) {
     try {
@@ -0,0 +1,81 @@
+const templateService = require('../services/templateService');
+
+// Multipart requests send nested fields as JSON strings
+const parseJson = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// Middleware to render a content template into a new post: `template` (id),
+// `templateVariables`, `hashtagSets` (extra set ids) and `templateVersion`.
+// The rendered text becomes `content.caption` (other content fields are
+// kept) and the template name the default title, before validation runs.
+async function applyContentTemplate(req, res, next) {
+  try {
+    const templateId = req.body?.template;
+    if (!templateId) {
+      return next();
+    }
+
+    const template = await templateService.findTemplate(templateId, req.userId);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    let variables;
+    let hashtagSets;
+    try {
+      variables = parseJson(req.body.templateVariables, {});
+      hashtagSets = parseJson(req.body.hashtagSets, []);
+    } catch {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid JSON in request data'
+      });
+    }
+
+    const result = await templateService.render(template, {
+      platform: req.body.platform,
+      variables,
+      hashtagSets,
+      version: req.body.templateVersion,
+      userId: req.userId,
+      timezone: req.user?.profile?.timezone
+    });
+    if (!result.isValid) {
+      return res.status(422).json({
+        success: false,
+        message: 'Template could not be rendered',
+        errors: result.errors,
+        data: result
+      });
+    }
+
+    // Keep other content fields (e.g. linkPreview) sent alongside
+    let content = {};
+    try {
+      content = parseJson(req.body.content, {});
+    } catch {
+      // plain text; replaced by the template
+    }
+    req.body.content = JSON.stringify({ ...(content && typeof content === 'object' ? content : {}), caption: result.caption });
+    if (!req.body.title) req.body.title = template.name;
+    req.contentTemplate = result.template;
+
+    delete req.body.template;
+    delete req.body.templateVariables;
+    delete req.body.templateVersion;
+    delete req.body.hashtagSets;
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  applyContentTemplate
+};
@@ -0,0 +1,140 @@
+// src/middlewares/idempotency.js
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// Responses are replayed for this long
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// A request holding its key longer than this is taken to have died
+const LOCK_MS = 15 * 60 * 1000;
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// JSON with object keys sorted, so field order does not change the hash
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// Uploaded files count by their stored asset (the library deduplicates
+// identical uploads), so a retried upload hashes the same
+function hashRequest(req) {
+  const files = (Array.isArray(req.files) ? req.files : [])
+    .concat(req.thumbnail ? [req.thumbnail] : [])
+    .map(file => String(file.asset || file.url || file.filename || ''));
+  return crypto.createHash('sha256')
+    .update(canonical([req.method, req.baseUrl + req.path, req.body || {}, files]))
+    .digest('hex');
+}
+
+// Keep the response once the handler sends it, even if the client has
+// gone; server errors free the key so the request can be retried
+function recordResponse(record, res) {
+  let settled = false;
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (!settled) {
+      settled = true;
+      const update = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            $set: { status: 'completed', response: { status_code: res.statusCode, body: JSON.stringify(body) } },
+            $unset: { locked_until: '' }
+          }
+        );
+      update.catch((error) => {
+        logger.error('Failed to store idempotent response', { key: record.key, error: error.message });
+      });
+    }
+    return json(body);
+  };
+
+  // Responses sent some other way are not replayed
+  res.once('finish', () => {
+    if (settled) return;
+    settled = true;
+    IdempotencyKey.deleteOne({ _id: record._id }).catch(() => {});
+  });
+}
+
+// Middleware for `Idempotency-Key`: the first request with a key runs and
+// its response is stored; repeats with the same payload get that response
+// back (with `Idempotent-Replayed: true`), and a different payload under
+// the same key is refused with 409. Runs after authentication, and after
+// uploads on multipart routes.
+async function idempotency(req, res, next) {
+  try {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined || !req.userId) {
+      return next();
+    }
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Idempotency-Key must be 1 to 255 visible ASCII characters'
+      });
+    }
+
+    const now = Date.now();
+    const requestHash = hashRequest(req);
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        user: req.userId,
+        key,
+        method: req.method,
+        path: req.baseUrl + req.path,
+        request_hash: requestHash,
+        locked_until: new Date(now + LOCK_MS),
+        expires_at: new Date(now + KEY_TTL_MS)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ user: req.userId, key });
+      if (existing && existing.request_hash !== requestHash) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          code: 'IDEMPOTENCY_KEY_REUSED',
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (existing?.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response.status_code).type('application/json').send(existing.response.body);
+      }
+
+      // Still running, unless its holder died
+      if (existing && existing.locked_until <= new Date(now)) {
+        record = await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, status: 'processing', locked_until: { $lte: new Date(now) } },
+          { $set: { locked_until: new Date(now + LOCK_MS) } },
+          { new: true }
+        );
+      }
+      if (!record) {
+        res.set('Retry-After', '5');
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+    }
+
+    recordResponse(record, res);
+    return next();
+  } catch (error) {
+    logger.error('Idempotency check failed', { error: error.message });
+    return next(error);
+  }
+}
+
+module.exports = { idempotency };
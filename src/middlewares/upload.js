@@ -1,8 +1,8 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const crypto = require('crypto');
-const { isGcsEnabled, uploadBufferToGcs } = require('../utils/storage');
+const { persistBuffer } = require('../utils/storage');
+const mediaLibrary = require('../services/mediaLibrary');
 
 // Ensure upload directory exists
 const uploadDir = path.resolve('./uploads');
@@ -39,9 +39,46 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// Spreadsheet uploads for bulk post import, kept in memory and never persisted
+const csvUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const isCsv = /csv|text\/plain|ms-excel/.test(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.csv';
+    cb(isCsv ? null : new Error('Only CSV files are allowed!'), isCsv);
+  }
+});
+
 // Middleware to persist files to GCS or local storage
 // In src/middlewares/upload.js
 
+// Signed-in uploads go through the user's media library, which skips
+// writing files it already has (same SHA-256)
+async function storeFile(req, file, prefix) {
+  if (req.userId) {
+    const { asset } = await mediaLibrary.storeUpload(file, {
+      owner: req.userId,
+      prefix,
+      folder: req.body?.mediaFolder
+    });
+    return asset.toPostMedia();
+  }
+
+  const stored = await persistBuffer(file.buffer, {
+    prefix,
+    originalName: file.originalname,
+    mimeType: file.mimetype
+  });
+  return {
+    type: prefix === 'thumbnails' || file.mimetype.startsWith('image/') ? 'image' : 'video',
+    ...stored,
+    size: file.size,
+    mimeType: file.mimetype,
+  };
+}
+
 async function persistUploads(req, res, next) {
   try {
     if (!req.files || Object.keys(req.files).length === 0) {
@@ -49,96 +86,12 @@ async function persistUploads(req, res, next) {
     }
 
     // When using multer.fields(), req.files is an object with field names as keys
-    // Convert to arrays for easier processing
     const mediaFiles = req.files.media || [];
     const thumbnailFiles = req.files.thumbnail || [];
 
-    // Process media files
-    const mediaProcessingPromises = mediaFiles.map(async (file) => {
-      const originalExt = path.extname(file.originalname).toLowerCase();
-      const hashedName = crypto.randomBytes(16).toString('hex') + originalExt;
-      
-      let finalFileObject;
-
-      if (isGcsEnabled()) {
-        const today = new Date();
-        const datePrefix = `${today.getFullYear()}/${(today.getMonth() + 1).toString().padStart(2, '0')}/${today.getDate().toString().padStart(2, '0')}`;
-        const gcsKey = `media/${datePrefix}/${hashedName}`;
-        const { key, url } = await uploadBufferToGcs(file.buffer, gcsKey, file.mimetype);
-        
-        finalFileObject = {
-          type: file.mimetype.startsWith('image/') ? 'image' : 'video',
-          url: url,
-          storage: 'gcs',
-          storageKey: key,
-          filename: hashedName,
-          size: file.size,
-          mimeType: file.mimetype,
-        };
-
-      } else {
-        // Local storage fallback
-        const destPath = path.join(uploadDir, hashedName);
-        fs.writeFileSync(destPath, file.buffer);
-        
-        finalFileObject = {
-          type: file.mimetype.startsWith('image/') ? 'image' : 'video',
-          url: `/uploads/${hashedName}`,
-          storage: 'local',
-          storageKey: null,
-          filename: hashedName,
-          size: file.size,
-          mimeType: file.mimetype,
-        };
-      }
-      return finalFileObject;
-    });
-
-    // Process thumbnail files
-    const thumbnailProcessingPromises = thumbnailFiles.map(async (file) => {
-      const originalExt = path.extname(file.originalname).toLowerCase();
-      const hashedName = crypto.randomBytes(16).toString('hex') + originalExt;
-      
-      let finalFileObject;
-
-      if (isGcsEnabled()) {
-        const today = new Date();
-        const datePrefix = `${today.getFullYear()}/${(today.getMonth() + 1).toString().padStart(2, '0')}/${today.getDate().toString().padStart(2, '0')}`;
-        const gcsKey = `thumbnails/${datePrefix}/${hashedName}`;
-        const { key, url } = await uploadBufferToGcs(file.buffer, gcsKey, file.mimetype);
-        
-        finalFileObject = {
-          type: 'image',
-          url: url,
-          storage: 'gcs',
-          storageKey: key,
-          filename: hashedName,
-          size: file.size,
-          mimeType: file.mimetype,
-        };
-
-      } else {
-        // Local storage fallback
-        const destPath = path.join(uploadDir, hashedName);
-        fs.writeFileSync(destPath, file.buffer);
-        
-        finalFileObject = {
-          type: 'image',
-          url: `/uploads/${hashedName}`,
-          storage: 'local',
-          storageKey: null,
-          filename: hashedName,
-          size: file.size,
-          mimeType: file.mimetype,
-        };
-      }
-      return finalFileObject;
-    });
-
-    // Process all files
     const [processedMediaFiles, processedThumbnailFiles] = await Promise.all([
-      Promise.all(mediaProcessingPromises),
-      Promise.all(thumbnailProcessingPromises)
+      Promise.all(mediaFiles.map(file => storeFile(req, file, 'media'))),
+      Promise.all(thumbnailFiles.map(file => storeFile(req, file, 'thumbnails')))
     ]);
 
     // Set processed files on request
@@ -151,8 +104,56 @@ async function persistUploads(req, res, next) {
   }
 }
 
+const parseIdList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(String);
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.map(String) : [String(parsed)];
+  } catch {
+    return String(value).split(',').map(id => id.trim()).filter(Boolean);
+  }
+};
+
+// Middleware to attach media already in the user's library: `mediaAssets`
+// (ids, placed before any new uploads) and `thumbnailAsset`
+async function attachMediaAssets(req, res, next) {
+  try {
+    const mediaIds = parseIdList(req.body?.mediaAssets);
+    const thumbnailIds = parseIdList(req.body?.thumbnailAsset).slice(0, 1);
+    if (mediaIds.length === 0 && thumbnailIds.length === 0) {
+      return next();
+    }
+
+    const { media, missing } = await mediaLibrary.resolveAssets(req.userId, [...mediaIds, ...thumbnailIds]);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some media assets were not found in your library',
+        missing
+      });
+    }
+
+    if (mediaIds.length > 0) {
+      const uploaded = Array.isArray(req.files) ? req.files : [];
+      req.files = [...media.slice(0, mediaIds.length), ...uploaded];
+    }
+    if (thumbnailIds.length > 0 && !req.thumbnail) {
+      req.thumbnail = { ...media[media.length - 1], type: 'image' };
+    }
+    delete req.body.mediaAssets;
+    delete req.body.thumbnailAsset;
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
 // ✅ FIX: Correctly export both the multer instance and the persist function
 module.exports = {
   upload,
+  csvUpload,
   persistUploads,
+  attachMediaAssets,
 };
\ No newline at end of file
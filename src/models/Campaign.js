@@ -1,5 +1,6 @@
 // src/models/Campaign.js
 const mongoose = require('mongoose');
+const { UTM_FIELDS } = require('../utils/utm');
 
 const campaignSchema = new mongoose.Schema({
   brand_id: {
@@ -117,6 +118,9 @@ const campaignSchema = new mongoose.Schema({
     }
   },
   tags: [String],
+  // UTM template defaults for posts made for this campaign, e.g.
+  // { utm_campaign: '{campaign.title}' }
+  utm: Object.fromEntries(UTM_FIELDS.map(field => [field, { type: String, trim: true, maxlength: 200 }])),
   isPublic: {
     type: Boolean,
     default: true
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Template fields captured in every version
+const VERSIONED_FIELDS = ['name', 'description', 'body', 'variants', 'variables', 'hashtag_sets'];
+const MAX_VERSIONS = 50;
+
+// A reusable caption skeleton with {{placeholders}}, optional per-platform
+// variants and hashtag sets appended when rendered into a post. Each save
+// that changes its content adds a version; posts record the version used.
+const ContentTemplateSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 70000
+  },
+  // Platform-specific bodies used instead of `body`, e.g. a short Twitter cut
+  variants: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Declared placeholders; others found in the text are required
+  variables: [{
+    _id: false,
+    name: { type: String, required: true, trim: true },
+    label: String,
+    default: String,
+    required: { type: Boolean, default: true }
+  }],
+  hashtag_sets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HashtagSet'
+  }],
+  // Teammates who can use (but not edit) the template
+  shared_with: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  version: {
+    type: Number,
+    default: 0
+  },
+  // Snapshots of every version, oldest first (the last is the current one)
+  versions: [{
+    _id: false,
+    version: Number,
+    snapshot: mongoose.Schema.Types.Mixed,
+    editor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    restored_from: Number,
+    created_at: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+ContentTemplateSchema.index({ shared_with: 1 });
+
+ContentTemplateSchema.statics.VERSIONED_FIELDS = VERSIONED_FIELDS;
+
+/**
+ * The versioned fields as a plain object
+ * @returns {Object}
+ */
+ContentTemplateSchema.methods.snapshot = function() {
+  const data = this.toObject({ flattenMaps: true });
+  return Object.fromEntries(VERSIONED_FIELDS.map(field => [field, data[field]]));
+};
+
+/**
+ * The template as it was at a version (the current state for its own)
+ * @param {number} version
+ * @returns {Object|null} Versioned fields
+ */
+ContentTemplateSchema.methods.atVersion = function(version) {
+  if (!version || version === this.version) return this.snapshot();
+  return this.versions.find(entry => entry.version === version)?.snapshot || null;
+};
+
+ContentTemplateSchema.pre('save', function(next) {
+  if (this.isNew || VERSIONED_FIELDS.some(field => this.isModified(field))) {
+    this.version = (this.version || 0) + 1;
+    this.versions.push({
+      version: this.version,
+      snapshot: this.snapshot(),
+      editor: this.$locals.editedBy || this.owner,
+      restored_from: this.$locals.restoredFrom
+    });
+    if (this.versions.length > MAX_VERSIONS) {
+      this.versions = this.versions.slice(-MAX_VERSIONS);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('ContentTemplate', ContentTemplateSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Publish jobs that failed for good, kept for inspection until an admin
+// requeues or discards them.
+const DeadLetterJobSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+    index: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  platform: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // 'exhausted' = ran out of retries, 'non_retryable' = failed with an error
+  // that retrying cannot fix, 'author_missing' = the author no longer exists
+  reason: {
+    type: String,
+    enum: ['exhausted', 'non_retryable', 'author_missing'],
+    required: true
+  },
+  attempts: Number,
+  last_error: String,
+  attempt_log: [{
+    _id: false,
+    attempt: Number,
+    error: String,
+    at: Date
+  }],
+  original_job_id: mongoose.Schema.Types.ObjectId,
+  dead_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'dead_letter_jobs'
+});
+
+DeadLetterJobSchema.index({ dead_at: -1 });
+
+module.exports = mongoose.model('DeadLetterJob', DeadLetterJobSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A named cluster of hashtags a creator reuses, e.g. "Summer launch".
+// Hashtags are stored without the leading '#'.
+const HashtagSetSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  hashtags: [{
+    type: String,
+    trim: true,
+    maxlength: 100
+  }],
+  // Teammates who can use (but not edit) the set
+  shared_with: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+HashtagSetSchema.index({ owner: 1, name: 1 }, { unique: true });
+HashtagSetSchema.index({ shared_with: 1 });
+
+HashtagSetSchema.pre('save', function(next) {
+  if (this.isModified('hashtags')) {
+    const seen = new Set();
+    this.hashtags = this.hashtags
+      .map(tag => String(tag).trim().replace(/^#+/, ''))
+      .filter(tag => tag && !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()));
+  }
+  next();
+});
+
+module.exports = mongoose.model('HashtagSet', HashtagSetSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A request made with an Idempotency-Key header and the response it got,
+// kept for a day so a retried request gets the same response instead of
+// running again (see middlewares/idempotency). Keys are per user.
+const IdempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+  // Hash of the method, path, body and uploaded files
+  request_hash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // A request still processing past this is taken to have died
+  locked_until: Date,
+  response: {
+    status_code: Number,
+    // JSON text, as sent
+    body: String
+  },
+  expires_at: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+IdempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One visit to a short link
+const LinkClickSchema = new mongoose.Schema({
+  link: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShortLink',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    index: true
+  },
+  clicked_at: {
+    type: Date,
+    default: Date.now
+  },
+  referrer: String,
+  referrer_host: String,
+  // Platform the click came from, by referrer; the link's platform otherwise
+  platform: String,
+  // ISO 3166-1 alpha-2, from the local GeoIP database
+  country: String,
+  // Link-preview crawlers and other bots; kept out of the click counts
+  is_bot: {
+    type: Boolean,
+    default: false
+  }
+});
+
+LinkClickSchema.index({ link: 1, clicked_at: -1 });
+
+module.exports = mongoose.model('LinkClick', LinkClickSchema);
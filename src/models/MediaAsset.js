@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+// A stored media file in a user's library. Uploads are deduplicated per
+// owner by the SHA-256 of their contents; posts reference assets through
+// `media.asset` / `thumbnail.asset`, and usage is looked up from there.
+const MediaAssetSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  sha256: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['image', 'video', 'audio', 'document'],
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Name the file was uploaded with; shown and searched in the library
+  originalName: {
+    type: String,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  storage: {
+    type: String,
+    enum: ['local', 'gcs'],
+    default: 'local'
+  },
+  storageKey: String,
+  // Stored object name
+  filename: {
+    type: String,
+    required: true
+  },
+  // Slash-separated path such as '/campaigns/summer'; '/' is the root
+  folder: {
+    type: String,
+    default: '/',
+    trim: true
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Image size as viewers see it (EXIF orientation applied); filled in
+  // the first time it is needed
+  width: Number,
+  height: Number,
+  // Point to keep in frame when cropping, as fractions of width/height
+  focal_point: {
+    x: { type: Number, min: 0, max: 1, default: 0.5 },
+    y: { type: Number, min: 0, max: 1, default: 0.5 }
+  },
+  // Platform-ready copies made at publish time, one per rendition profile
+  renditions: [{
+    _id: false,
+    profile: { type: String, required: true },
+    url: String,
+    storage: { type: String, enum: ['local', 'gcs'] },
+    storageKey: String,
+    filename: String,
+    mimeType: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    created_at: { type: Date, default: Date.now }
+  }],
+  // ffprobe metadata of videos, kept for conformance checks
+  probe: mongoose.Schema.Types.Mixed,
+  // Set whenever the asset is attached to a post
+  last_used_at: Date
+}, {
+  timestamps: true
+});
+
+MediaAssetSchema.index({ owner: 1, sha256: 1 }, { unique: true });
+MediaAssetSchema.index({ owner: 1, folder: 1, createdAt: -1 });
+MediaAssetSchema.index({ owner: 1, tags: 1 });
+
+/**
+ * Normalize a folder path: leading slash, no trailing or repeated slashes
+ * @param {string} folder - Folder as entered
+ * @returns {string} e.g. '/campaigns/summer'
+ */
+MediaAssetSchema.statics.normalizeFolder = function(folder) {
+  const parts = String(folder || '').split('/').map(part => part.trim()).filter(Boolean);
+  return `/${parts.join('/')}`;
+};
+
+MediaAssetSchema.pre('save', function(next) {
+  if (this.isModified('folder')) {
+    this.folder = this.constructor.normalizeFolder(this.folder);
+  }
+  if (this.isModified('tags')) {
+    this.tags = [...new Set(this.tags.filter(Boolean))];
+  }
+  next();
+});
+
+/**
+ * The entry copied into Post.media (or Post.thumbnail) for this asset
+ * @returns {Object}
+ */
+MediaAssetSchema.methods.toPostMedia = function() {
+  return {
+    asset: this._id,
+    type: this.type,
+    url: this.url,
+    storage: this.storage,
+    storageKey: this.storageKey,
+    filename: this.filename,
+    size: this.size,
+    mimeType: this.mimeType
+  };
+};
+
+module.exports = mongoose.model('MediaAsset', MediaAssetSchema);
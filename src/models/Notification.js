@@ -27,7 +27,8 @@ const NotificationSchema = new mongoose.Schema({
       'ai_suggestion',
       'system_alert',
       'user_activity',
-      'announcement'
+      'announcement',
+      'post_review'
     ]
   },
   recipient: {
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { findNextOccurrence } = require('../utils/recurrence');
+const { DST_RESOLUTIONS, formatInTimeZone } = require('../utils/timezone');
+const PostRevision = require('./PostRevision');
+const { UTM_FIELDS } = require('../utils/utm');
+const { contentFingerprint } = require('../utils/contentFingerprint');
+const { ERROR_CODES } = require('../utils/standardErrorHandler');
 
 // Helper object for custom validation
 const validPostTypes = {
@@ -42,12 +48,56 @@ const PostSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Set when the post was fanned out from a cross-platform PostGroup
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PostGroup',
+    index: true
+  },
   status: {
     type: String,
-    enum: ['draft', 'scheduled', 'published', 'failed'],
+    // 'publishing' means a scheduler instance holds the lease (see claimForPublishing)
+    // or the post is waiting in the publish queue; 'removed' means it was
+    // taken down on the platform after publishing
+    enum: ['draft', 'scheduled', 'publishing', 'published', 'failed', 'removed'],
     default: 'draft',
     index: true
   },
+  // Review workflow. Posts with `required` set can only be scheduled or
+  // published once `state` is 'approved'.
+  approval: {
+    required: { type: Boolean, default: false },
+    state: {
+      type: String,
+      enum: ['none', 'submitted', 'approved', 'changes_requested'],
+      default: 'none',
+      index: true
+    },
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+    submitted_at: Date,
+    // Revision that was sent for review
+    submitted_revision: Number,
+    decided_at: Date,
+    // Revision the reviewer signed off on
+    approved_revision: Number,
+    history: [{
+      _id: false,
+      from: String,
+      to: String,
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      comment: String,
+      at: { type: Date, default: Date.now }
+    }]
+  },
+  // Number of the latest PostRevision; bumped on every save that changes editable fields
+  revision: {
+    type: Number,
+    default: 0
+  },
   // ❌ REMOVED: Redundant fields are removed. Data now lives in the 'publishing' and 'scheduling' objects.
   // scheduledAt: Date,
   // publishedAt: Date,
@@ -67,6 +117,11 @@ const PostSchema = new mongoose.Schema({
     trim: true
   }],
   media: [{
+    // Library entry this file came from; the fields below are a copy of it
+    asset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MediaAsset'
+    },
     type: {
       type: String,
       enum: ['image', 'video', 'audio', 'document'],
@@ -97,6 +152,10 @@ const PostSchema = new mongoose.Schema({
     thumbnail: String
   }],
   thumbnail: {
+    asset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MediaAsset'
+    },
     type: {
       type: String,
       enum: ['image'],
@@ -113,6 +172,72 @@ const PostSchema = new mongoose.Schema({
     size: Number,
     mimeType: String
   },
+  // Swap URLs in the content for tracked short links when publishing
+  link_tracking: {
+    type: Boolean,
+    default: false
+  },
+  // Content template (and its version) the caption was rendered from
+  template: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'ContentTemplate' },
+    version: Number
+  },
+  // Campaign the post is made for; supplies UTM defaults
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  // UTM tagging of the content's links at publish time: per-post template
+  // overrides, links (URL prefixes or domains) to leave alone, or off
+  utm: {
+    enabled: { type: Boolean, default: true },
+    exclude: [{ type: String, trim: true }],
+    ...Object.fromEntries(UTM_FIELDS.map(field => [field, { type: String, trim: true, maxlength: 200 }]))
+  },
+  // Comment (a reply on Twitter) posted on the platform once the post is
+  // published; retried on its own, and its failure never fails the post
+  firstComment: {
+    text: { type: String, trim: true, maxlength: 10000 },
+    // 'pending' once the post is published; 'posting' while a worker holds it
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'posting', 'posted', 'failed'],
+      default: 'none'
+    },
+    attempts: { type: Number, default: 0 },
+    next_attempt_at: Date,
+    locked_until: Date,
+    comment_id: String,
+    posted_at: Date,
+    error: String
+  },
+  // Hash of the published text and media (utils/contentFingerprint), to
+  // spot the same post going to the same account twice
+  fingerprint: String,
+  // Evergreen posts are re-queued as new posts (reposts) once the gap since
+  // they last went out has passed; each repost points back at its source
+  // and keeps its own analytics
+  evergreen: {
+    enabled: { type: Boolean, default: false },
+    min_gap_days: { type: Number, min: 1, default: 90 },
+    max_reposts: { type: Number, min: 1, max: 100, default: 3 },
+    // Captions reposts use in turn; the post's own caption when empty
+    variations: [{ type: String, trim: true, maxlength: 10000 }],
+    // A repost is skipped while it is too similar to a post from this many days back
+    lookback_days: { type: Number, min: 0, max: 365, default: 30 },
+    repost_count: { type: Number, default: 0 },
+    last_reposted_at: Date,
+    // Unset once max_reposts is reached
+    next_eligible_at: Date,
+    last_skip: {
+      at: Date,
+      reason: String,
+      similar_to: { type: mongoose.Schema.Types.ObjectId, ref: 'Post' }
+    },
+    // On reposts: the evergreen post they were made from
+    source: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', index: true },
+    repost_number: Number
+  },
   analytics: {
     views: { type: Number, default: 0 },
     likes: { type: Number, default: 0 },
@@ -127,17 +252,84 @@ const PostSchema = new mongoose.Schema({
     platform_post_id: String,
     platform_url: String, // Added URL here for completeness
     error: String,
-    retry_count: { type: Number, default: 0 }
+    retry_count: { type: Number, default: 0 },
+    // Set when the post was taken down on the platform
+    removal: {
+      removed_at: Date,
+      removed_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      // 'deleted', or 'made_private' for YouTube videos that could not be deleted
+      method: { type: String, enum: ['deleted', 'made_private'] },
+      note: String
+    },
+    // Held by the scheduler instance that claimed the post; expires if it crashes
+    lease: {
+      owner: String,
+      claimed_at: Date,
+      expires_at: Date
+    },
+    // Claim / publish audit trail, oldest first
+    history: [{
+      _id: false,
+      event: {
+        type: String,
+        enum: ['claimed', 'queued', 'published', 'failed', 'lease_expired', 'removed', 'edited'],
+        required: true
+      },
+      worker: String,
+      // For 'edited': the platform fields that were changed
+      fields: { type: [String], default: undefined },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      at: { type: Date, default: Date.now },
+      error: String
+    }],
+    // One entry per failed attempt, oldest first (see utils/publishFailures)
+    failures: [{
+      _id: false,
+      at: { type: Date, default: Date.now },
+      // Attempt number within its publish run: queue retries count up, a
+      // manual retry starts again at 1
+      attempt: Number,
+      code: { type: String, enum: Object.values(ERROR_CODES) },
+      message: String,
+      // Whether trying again unchanged can succeed
+      retryable: Boolean,
+      // HTTP status the platform answered with
+      status_code: Number,
+      // Platform response body, trimmed
+      response: mongoose.Schema.Types.Mixed,
+      worker: String
+    }]
   },
   // ✅ IMPROVEMENT: Centralized scheduling information
   scheduling: {
     scheduled_at: Date, // Renamed for consistency
     timezone: String,
+    // Wall-clock time as entered, when it was given without an offset
+    local_time: String,
+    // How a local time in a DST gap/overlap is resolved (see utils/timezone)
+    dst_resolution: { type: String, enum: DST_RESOLUTIONS, default: 'reject' },
+    // Set when the stored instant differs from the requested wall-clock time
+    dst_adjustment: String,
     recurring: {
       enabled: { type: Boolean, default: false },
       frequency: { type: String, enum: ['daily', 'weekly', 'monthly'] },
       days: [String],
-      time: String
+      time: String,
+      // Series bookkeeping: every occurrence shares the series_id of the first post
+      series_id: { type: mongoose.Schema.Types.ObjectId, index: true },
+      starts_at: Date,
+      occurrence: { type: Number, default: 1 },
+      ends_at: Date,
+      ends_after: Number,
+      skipped: [Date]
+    },
+    // Set while the post waits in its account's posting queue (see
+    // services/postingQueue); scheduled_at is then the slot it was given
+    queue: {
+      queued: { type: Boolean, default: false },
+      position: Number,
+      // Mirrors the queue's pause so the scheduler can skip these posts
+      paused: { type: Boolean, default: false }
     }
   }
 }, {
@@ -150,8 +342,29 @@ const PostSchema = new mongoose.Schema({
 // Indexes for better query performance
 PostSchema.index({ author: 1, status: 1 });
 PostSchema.index({ 'scheduling.scheduled_at': 1, status: 1 }); // Updated index
+PostSchema.index({ status: 1, 'publishing.lease.expires_at': 1 });
 PostSchema.index({ createdAt: -1 });
+PostSchema.index({ 'media.asset': 1 }, { sparse: true });
+PostSchema.index({ 'thumbnail.asset': 1 }, { sparse: true });
+PostSchema.index({ campaign: 1 }, { sparse: true });
+PostSchema.index({ 'firstComment.status': 1, 'firstComment.next_attempt_at': 1 });
+PostSchema.index({ 'evergreen.enabled': 1, 'evergreen.next_eligible_at': 1 });
+PostSchema.index({ author: 1, platform: 1, 'scheduling.queue.queued': 1, status: 1 });
+PostSchema.index({ author: 1, platform: 1, fingerprint: 1 }, { sparse: true });
+
 
+// Scheduled time rendered both in UTC and in the post's own time zone
+PostSchema.virtual('scheduling_display').get(function() {
+  const scheduledAt = this.scheduling?.scheduled_at;
+  if (!scheduledAt) return null;
+  const timezone = this.scheduling.timezone || 'UTC';
+  return {
+    timezone,
+    utc: scheduledAt.toISOString(),
+    local: formatInTimeZone(scheduledAt, timezone),
+    dst_adjustment: this.scheduling.dst_adjustment || null
+  };
+});
 
 // Pre-save middleware
 PostSchema.pre('save', function(next) {
@@ -162,6 +375,126 @@ PostSchema.pre('save', function(next) {
   next();
 });
 
+PostSchema.pre('save', function(next) {
+  this.fingerprint = contentFingerprint(this) || undefined;
+  next();
+});
+
+// A first comment becomes due once its post is published and has a platform
+// post id (also when one is added to a published post); post('save') hands
+// it to the first comment service straight away
+PostSchema.pre('save', function(next) {
+  if (this.status === 'published' && this.publishing?.platform_post_id &&
+      this.firstComment?.text && this.firstComment.status === 'none') {
+    this.firstComment.status = 'pending';
+    this.firstComment.next_attempt_at = new Date();
+    this.$locals.firstCommentDue = true;
+  }
+  next();
+});
+
+PostSchema.post('save', function(doc) {
+  if (!doc.$locals.firstCommentDue) return;
+  doc.$locals.firstCommentDue = false;
+  // Required lazily: the service depends on this model
+  const firstComment = require('../services/firstComment');
+  setImmediate(() => {
+    firstComment.run(doc._id).catch(() => {
+      // Left pending; the scheduler retries it
+    });
+  });
+});
+
+// Remember the editable fields as loaded, so the next save can be diffed
+PostSchema.post('init', function() {
+  this.$locals.revisionBase = PostRevision.snapshot(this);
+});
+
+// Editing an approved post withdraws the approval; a scheduled post goes
+// back to draft until it is approved again. Editing a post that awaits review
+// withdraws the submission, so the reviewer never approves content they have
+// not seen. `$locals.approvalRevoked` holds the state that was withdrawn and
+// tells the caller to notify the reviewer.
+PostSchema.pre('save', function(next) {
+  if (this.isNew || !['approved', 'submitted'].includes(this.approval?.state)) return next();
+  if (!PostRevision.REVISION_FIELDS.some(field => this.isModified(field))) return next();
+
+  const withdrawn = this.approval.state;
+  this.transitionApproval('none', this.$locals.editedBy, withdrawn === 'approved' ? 'Edited after approval' : 'Edited while awaiting review');
+  if (this.status === 'scheduled') {
+    this.status = 'draft';
+  }
+  this.$locals.approvalRevoked = withdrawn;
+  next();
+});
+
+// Revision bookkeeping. Callers may set `$locals.editedBy` (user id) and
+// `$locals.revisionSource` / `$locals.restoredFrom` before saving.
+PostSchema.pre('save', function(next) {
+  const touched = this.isNew || PostRevision.REVISION_FIELDS.some(field => this.isModified(field));
+  if (!touched) return next();
+
+  const current = this.revision || 0;
+  if (!this.isNew) {
+    // Only write if nobody saved another revision since this post was loaded;
+    // otherwise Mongoose throws DocumentNotFoundError
+    this.$where = { ...this.$where, revision: current === 0 ? { $in: [0, null] } : current };
+  }
+  this.revision = current + 1;
+  this.$locals.revisionSource = this.isNew ? 'create' : (this.$locals.revisionSource || 'update');
+  this.$locals.pendingRevision = true;
+  next();
+});
+
+PostSchema.post('save', async function(doc) {
+  if (!doc.$locals.pendingRevision) return;
+  doc.$locals.pendingRevision = false;
+  doc.$where = undefined;
+
+  const snapshot = PostRevision.snapshot(doc);
+  await PostRevision.create({
+    post: doc._id,
+    version: doc.revision,
+    editor: doc.$locals.editedBy || doc.author?._id || doc.author,
+    source: doc.$locals.revisionSource,
+    restored_from: doc.$locals.restoredFrom,
+    snapshot,
+    changes: PostRevision.diffSnapshots(doc.$locals.revisionBase, snapshot)
+  });
+  doc.$locals.revisionBase = snapshot;
+  doc.$locals.revisionSource = undefined;
+  doc.$locals.restoredFrom = undefined;
+});
+
+// Initial `approval` for a new post by `user`, from the user's approval policy
+PostSchema.statics.approvalDefaults = function(user) {
+  const policy = user?.approvalPolicy;
+  return {
+    required: !!policy?.required,
+    reviewer: policy?.defaultReviewer || undefined
+  };
+};
+
+// Whether the post is blocked from scheduling/publishing pending review
+PostSchema.methods.needsApproval = function() {
+  return !!this.approval?.required && this.approval.state !== 'approved';
+};
+
+// Move the review workflow to `to`, recording who did it and why
+PostSchema.methods.transitionApproval = function(to, by, comment) {
+  if (!this.approval) this.approval = {};
+  const from = this.approval.state || 'none';
+  this.approval.state = to;
+  this.approval.history.push({ from, to, by, comment, at: new Date() });
+  if (to === 'submitted') {
+    this.approval.submitted_at = new Date();
+    this.approval.submitted_revision = this.revision;
+  } else if (to === 'approved' || to === 'changes_requested') {
+    this.approval.decided_at = new Date();
+  }
+  this.approval.approved_revision = to === 'approved' ? this.revision : undefined;
+};
+
 // Static method to find posts ready for publishing
 PostSchema.statics.findReadyForPublishing = function() {
   // ✅ IMPROVEMENT: Query updated to use the consolidated field
@@ -171,6 +504,210 @@ PostSchema.statics.findReadyForPublishing = function() {
   }).populate('author', 'username email socialAccounts');
 };
 
+/**
+ * Atomically claim the oldest due scheduled post for a worker. The post moves
+ * to 'publishing' with a lease, so no other instance can pick it up until the
+ * post is queued for publishing or the lease expires. Posts in a paused
+ * posting queue are left alone.
+ * @param {string} owner - Worker identifier
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @param {Object} filter - Extra conditions, e.g. { _id } to claim one post
+ * @returns {Promise<Object|null>} Claimed post, or null when nothing is due
+ */
+PostSchema.statics.claimForPublishing = function(owner, leaseMs, filter = {}) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      ...filter,
+      status: 'scheduled',
+      'scheduling.scheduled_at': { $lte: now },
+      'scheduling.queue.paused': { $ne: true }
+    },
+    {
+      $set: {
+        status: 'publishing',
+        'publishing.lease': {
+          owner,
+          claimed_at: now,
+          expires_at: new Date(now.getTime() + leaseMs)
+        }
+      },
+      $push: { 'publishing.history': { event: 'claimed', worker: owner, at: now } }
+    },
+    { new: true, sort: { 'scheduling.scheduled_at': 1 } }
+  );
+};
+
+/**
+ * Atomically claim a post that is published on request ("publish now",
+ * retry, group publish) rather than when due. Only drafts, scheduled and
+ * failed posts can be claimed, so a post the scheduler or another request
+ * holds is never published twice.
+ * @param {string} owner - Worker identifier
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @param {Object} filter - Which post, e.g. { _id }; may narrow `status`
+ * @returns {Promise<Object|null>} Claimed post, or null when it is not claimable
+ */
+PostSchema.statics.claimForImmediatePublish = function(owner, leaseMs, filter) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    // $and, so a `status` in the filter narrows the claimable set instead of replacing it
+    { ...filter, $and: [{ status: { $in: ['draft', 'scheduled', 'failed'] } }] },
+    {
+      $set: {
+        status: 'publishing',
+        'publishing.lease': {
+          owner,
+          claimed_at: now,
+          expires_at: new Date(now.getTime() + leaseMs)
+        }
+      },
+      $push: { 'publishing.history': { event: 'claimed', worker: owner, at: now } }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Return posts whose lease expired (the owning worker crashed or was stopped)
+ * to 'scheduled' so the next tick picks them up again.
+ * @returns {Promise<number>} Number of recovered posts
+ */
+PostSchema.statics.recoverExpiredLeases = async function() {
+  const now = new Date();
+  const expired = await this.find({
+    status: 'publishing',
+    'publishing.lease.expires_at': { $lt: now }
+  }).select('_id publishing.lease');
+
+  let recovered = 0;
+  for (const post of expired) {
+    // Match on the lease owner so a post re-claimed in the meantime is left alone
+    const result = await this.updateOne(
+      {
+        _id: post._id,
+        status: 'publishing',
+        'publishing.lease.owner': post.publishing.lease.owner,
+        'publishing.lease.expires_at': { $lt: now }
+      },
+      {
+        $set: { status: 'scheduled' },
+        $unset: { 'publishing.lease': '' },
+        $push: { 'publishing.history': { event: 'lease_expired', worker: post.publishing.lease.owner, at: now } }
+      }
+    );
+    if (result.modifiedCount === 0) continue;
+    // A draft claimed by "publish now" has no time yet; make it due
+    await this.updateOne(
+      { _id: post._id, status: 'scheduled', 'scheduling.scheduled_at': null },
+      { $set: { 'scheduling.scheduled_at': now } }
+    );
+    recovered += 1;
+  }
+  return recovered;
+};
+
+// What a recurring occurrence or an evergreen repost takes over from the
+// post it is built from; its first comment starts over unposted
+function copiedFields(post) {
+  return {
+    title: post.title,
+    content: post.content,
+    platform: post.platform,
+    post_type: post.post_type,
+    author: post.author,
+    platformContent: post.platformContent,
+    tags: post.tags,
+    categories: post.categories,
+    media: post.media,
+    thumbnail: post.thumbnail,
+    link_tracking: post.link_tracking,
+    campaign: post.campaign,
+    utm: post.utm,
+    template: post.template,
+    firstComment: post.firstComment?.text ? { text: post.firstComment.text, status: 'none' } : undefined
+  };
+}
+
+/**
+ * Build the next occurrence of a recurring post as a new scheduled post.
+ * Returns null when the post is not recurring or the series has ended.
+ */
+PostSchema.methods.buildNextOccurrence = function() {
+  const recurring = this.scheduling?.recurring;
+  if (!recurring?.enabled) return null;
+
+  const occurrence = recurring.occurrence || 1;
+  if (recurring.ends_after && occurrence >= recurring.ends_after) return null;
+
+  const anchor = recurring.starts_at || this.scheduling.scheduled_at;
+  const after = this.scheduling.scheduled_at || new Date();
+  const { timezone, dst_resolution: resolution } = this.scheduling;
+  let next = findNextOccurrence(recurring, after, anchor, timezone, resolution);
+  // Never re-arm into the past if the publish ran late
+  while (next && next.date <= new Date()) {
+    next = findNextOccurrence(recurring, next.date, anchor, timezone, resolution);
+  }
+  if (!next) return null;
+
+  const Post = this.constructor;
+  return new Post({
+    ...copiedFields(this),
+    status: 'scheduled',
+    scheduling: {
+      scheduled_at: next.date,
+      timezone,
+      dst_resolution: resolution,
+      dst_adjustment: next.adjustment || undefined,
+      recurring: {
+        enabled: true,
+        frequency: recurring.frequency,
+        days: recurring.days,
+        time: recurring.time,
+        series_id: recurring.series_id || this._id,
+        starts_at: anchor,
+        occurrence: occurrence + 1,
+        ends_at: recurring.ends_at,
+        ends_after: recurring.ends_after,
+        skipped: recurring.skipped
+      }
+    }
+  });
+};
+
+/**
+ * Build a repost of an evergreen post as a new scheduled post
+ * @param {Date} scheduledAt
+ * @param {string} [caption] - Caption variation; the post's own when omitted
+ */
+PostSchema.methods.buildRepost = function(scheduledAt, caption) {
+  const Post = this.constructor;
+  const content = this.content && typeof this.content === 'object' ? this.content : { caption: this.content };
+  const repostNumber = (this.evergreen?.repost_count || 0) + 1;
+
+  return new Post({
+    ...copiedFields(this),
+    content: caption ? { ...content, caption } : content,
+    status: 'scheduled',
+    scheduling: {
+      scheduled_at: scheduledAt,
+      timezone: this.scheduling?.timezone
+    },
+    evergreen: {
+      source: this._id,
+      repost_number: repostNumber
+    }
+  });
+};
+
+// Static method to find the pending (not yet published) occurrence of a series
+PostSchema.statics.findPendingOccurrence = function(seriesId) {
+  return this.findOne({
+    'scheduling.recurring.series_id': seriesId,
+    status: 'scheduled'
+  }).sort({ 'scheduling.scheduled_at': 1 });
+};
+
 // Performance indexes for common query patterns
 // These indexes significantly speed up queries for published posts, filtering by author/platform/status
 PostSchema.index({ author: 1, status: 1, 'publishing.published_at': -1 });
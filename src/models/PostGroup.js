@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// A post group holds one master composition that is fanned out into one
+// child Post per target platform. Children keep a back-reference in `group`.
+const PostGroupSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  platforms: [{
+    _id: false,
+    platform: {
+      type: String,
+      required: true,
+      enum: ['twitter', 'youtube', 'instagram', 'linkedin', 'facebook']
+    },
+    post_type: {
+      type: String,
+      required: true
+    }
+  }],
+  // Per-platform overrides, keyed by platform. Same shape as Post.platformContent,
+  // plus optional `title`, `caption` and `hashtags` that replace the master values
+  // and a `firstComment` for that platform's post.
+  platformContent: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  categories: [{
+    type: String,
+    trim: true
+  }],
+  media: {
+    type: Array,
+    default: []
+  },
+  thumbnail: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  // Aggregate of the children's statuses, refreshed via refreshStatus()
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'partially_published', 'published', 'partially_failed', 'failed'],
+    default: 'draft',
+    index: true
+  },
+  scheduling: {
+    scheduled_at: Date,
+    timezone: String,
+    local_time: String,
+    dst_resolution: String,
+    dst_adjustment: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+PostGroupSchema.index({ author: 1, createdAt: -1 });
+
+/**
+ * Build the data for the child Post of a single platform entry by merging
+ * the master composition with that platform's overrides.
+ */
+PostGroupSchema.methods.buildChildData = function(entry) {
+  const overrides = (this.platformContent && this.platformContent[entry.platform]) || {};
+  const content = { ...(this.content || {}) };
+  if (overrides.caption !== undefined) content.caption = overrides.caption;
+  if (overrides.hashtags !== undefined) content.hashtags = overrides.hashtags;
+
+  return {
+    title: overrides.title || this.title,
+    content,
+    platform: entry.platform,
+    post_type: entry.post_type,
+    author: this.author,
+    platformContent: { [entry.platform]: overrides },
+    tags: this.tags,
+    categories: this.categories,
+    media: this.media || [],
+    thumbnail: this.thumbnail || null,
+    firstComment: overrides.firstComment ? { text: overrides.firstComment, status: 'none' } : { status: 'none' },
+    group: this._id
+  };
+};
+
+/**
+ * Derive the aggregate group status from the children's statuses
+ * @param {Array<string>} statuses - Child post statuses
+ * @returns {string} Aggregate status
+ */
+PostGroupSchema.statics.aggregateStatus = function(statuses) {
+  // Children taken down on their platform no longer count
+  statuses = (statuses || []).filter(status => status !== 'removed');
+  if (statuses.length === 0) return 'draft';
+
+  const count = (s) => statuses.filter(status => status === s).length;
+  const published = count('published');
+  const failed = count('failed');
+  // A post being published by the scheduler is still pending
+  const scheduled = count('scheduled') + count('publishing');
+
+  if (published === statuses.length) return 'published';
+  if (failed === statuses.length) return 'failed';
+  if (failed > 0) return 'partially_failed';
+  if (published > 0) return 'partially_published';
+  if (scheduled > 0) return 'scheduled';
+  return 'draft';
+};
+
+/**
+ * Recompute and persist the aggregate status of a group from its children
+ * @param {string|ObjectId} groupId - Group ID
+ * @returns {Promise<Object|null>} Updated group
+ */
+PostGroupSchema.statics.refreshStatus = async function(groupId) {
+  const Post = mongoose.model('Post');
+  const children = await Post.find({ group: groupId }).select('status');
+  const status = this.aggregateStatus(children.map(child => child.status));
+  return this.findByIdAndUpdate(groupId, { $set: { status } }, { new: true });
+};
+
+module.exports = mongoose.model('PostGroup', PostGroupSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Editable Post fields captured in every revision
+const REVISION_FIELDS = ['title', 'content', 'post_type', 'platformContent', 'tags', 'categories', 'media', 'thumbnail'];
+
+// Immutable snapshot of a post's editable fields after one save, with the
+// field-level changes relative to the state it replaced.
+const PostRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  source: {
+    type: String,
+    enum: ['create', 'update', 'restore'],
+    default: 'update'
+  },
+  // Set when source is 'restore'
+  restored_from: Number,
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+PostRevisionSchema.index({ post: 1, version: -1 }, { unique: true });
+
+// Revisions are append-only
+PostRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Post revisions are immutable'));
+});
+PostRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Post revisions are immutable'));
+  next();
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// Flatten nested objects to dotted paths; arrays and scalars are leaves
+function flatten(value, prefix, out) {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    for (const key of Object.keys(value)) {
+      flatten(value[key], `${prefix}.${key}`, out);
+    }
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Capture the editable fields of a post as plain JSON
+ * @param {Object} post - Post document or plain object
+ * @returns {Object} Snapshot
+ */
+PostRevisionSchema.statics.snapshot = function(post) {
+  const source = typeof post.toObject === 'function' ? post.toObject({ depopulate: true, virtuals: false }) : post;
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    snapshot[field] = source[field] === undefined ? null : JSON.parse(JSON.stringify(source[field]));
+  }
+  return snapshot;
+};
+
+/**
+ * Field-level diff between two snapshots. Nested objects such as `content`
+ * are compared per key ('content.caption'); arrays are compared as a whole.
+ * @param {Object} before - Older snapshot (or {} for none)
+ * @param {Object} after - Newer snapshot
+ * @returns {Array<Object>} [{ field, before, after }]
+ */
+PostRevisionSchema.statics.diffSnapshots = function(before = {}, after = {}) {
+  const left = {};
+  const right = {};
+  for (const field of REVISION_FIELDS) {
+    flatten(before?.[field] ?? null, field, left);
+    flatten(after?.[field] ?? null, field, right);
+  }
+
+  const changes = [];
+  for (const field of new Set([...Object.keys(left), ...Object.keys(right)])) {
+    const a = left[field] === undefined ? null : left[field];
+    const b = right[field] === undefined ? null : right[field];
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ field, before: a, after: b });
+    }
+  }
+  return changes;
+};
+
+PostRevisionSchema.statics.REVISION_FIELDS = REVISION_FIELDS;
+
+module.exports = mongoose.model('PostRevision', PostRevisionSchema);
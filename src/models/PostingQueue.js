@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { WEEKDAYS } = require('../utils/recurrence');
+
+// A connected account's posting queue: weekly time slots that queued posts
+// take in order, instead of each post carrying a hand-picked time. Slot
+// times are wall-clock times in the queue's time zone.
+const PostingQueueSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  platform: {
+    type: String,
+    required: true,
+    enum: ['twitter', 'youtube', 'instagram', 'linkedin', 'facebook']
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  slots: [{
+    _id: false,
+    day: { type: String, enum: WEEKDAYS, required: true },
+    time: { type: String, required: true, match: /^\d{2}:\d{2}$/ }
+  }],
+  // Paused queues keep their order; their posts are not published until resumed
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  paused_at: Date
+}, {
+  timestamps: true
+});
+
+PostingQueueSchema.index({ user: 1, platform: 1 }, { unique: true });
+
+// Slots in weekly order, without duplicates
+PostingQueueSchema.pre('save', function(next) {
+  if (this.isModified('slots')) {
+    const seen = new Set();
+    this.slots = this.slots
+      .filter(slot => !seen.has(`${slot.day} ${slot.time}`) && seen.add(`${slot.day} ${slot.time}`))
+      .sort((a, b) => WEEKDAYS.indexOf(a.day) - WEEKDAYS.indexOf(b.day) || a.time.localeCompare(b.time));
+  }
+  next();
+});
+
+module.exports = mongoose.model('PostingQueue', PostingQueueSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One pending publish of a post. Jobs live here while queued or running and
+// are removed once they succeed or are moved to the dead-letter collection.
+const PublishJobSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  platform: {
+    type: String,
+    required: true,
+    enum: ['twitter', 'youtube', 'instagram', 'linkedin', 'facebook']
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  max_attempts: {
+    type: Number,
+    required: true
+  },
+  // Earliest time the next attempt may run (backoff)
+  run_at: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while running; a job whose lock expired is picked up again
+  locked_by: String,
+  locked_until: Date,
+  last_error: String,
+  attempt_log: [{
+    _id: false,
+    attempt: Number,
+    error: String,
+    at: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+// At most one active job per post
+PublishJobSchema.index({ post: 1 }, { unique: true });
+PublishJobSchema.index({ status: 1, platform: 1, run_at: 1 });
+PublishJobSchema.index({ status: 1, locked_until: 1 });
+
+module.exports = mongoose.model('PublishJob', PublishJobSchema);
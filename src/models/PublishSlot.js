@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One unit of a platform's publish concurrency (see services/publishQueue).
+// A running job holds a slot until it finishes or the hold expires with the
+// job's lock, so all instances together run at most as many jobs per
+// platform as there are slots.
+const PublishSlotSchema = new mongoose.Schema({
+  platform: {
+    type: String,
+    required: true,
+    enum: ['twitter', 'youtube', 'instagram', 'linkedin', 'facebook']
+  },
+  // Slots at or above the platform's current limit are not used
+  index: {
+    type: Number,
+    required: true
+  },
+  held_by: String,
+  // Free when unset or in the past
+  held_until: Date
+}, {
+  timestamps: true
+});
+
+PublishSlotSchema.index({ platform: 1, index: 1 }, { unique: true });
+
+module.exports = mongoose.model('PublishSlot', PublishSlotSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A short link owned by the backend. URLs in the content of posts with link
+// tracking on are swapped for these when the post is published; /l/:code
+// records the click (see LinkClick) and redirects to `url`.
+const ShortLinkSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Post whose content the link was made for (absent for links made by hand)
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  platform: {
+    type: String,
+    enum: ['twitter', 'youtube', 'instagram', 'linkedin', 'facebook']
+  },
+  // Running totals; per-click detail lives in LinkClick
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  bot_clicks: {
+    type: Number,
+    default: 0
+  },
+  last_clicked_at: Date
+}, {
+  timestamps: true
+});
+
+// One link per URL per post, so republishing reuses it
+ShortLinkSchema.index({ post: 1, url: 1 }, { unique: true, partialFilterExpression: { post: { $exists: true } } });
+
+module.exports = mongoose.model('ShortLink', ShortLinkSchema);
@@ -1,6 +1,7 @@
 // src/models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { UTM_FIELDS } = require('../utils/utm');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -105,6 +106,32 @@ const userSchema = new mongoose.Schema({
       }
     }
   },
+  // Set by an admin: posts by this user need a reviewer's approval before
+  // they can be scheduled or published
+  approvalPolicy: {
+    required: {
+      type: Boolean,
+      default: false
+    },
+    defaultReviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Secret for the iCal feed URL. Only a hash is stored; revoking it does
+  // not affect login sessions.
+  calendarFeed: {
+    tokenHash: {
+      type: String,
+      select: false,
+      index: { unique: true, sparse: true }
+    },
+    createdAt: Date,
+    lastAccessedAt: Date
+  },
+  // Workspace UTM template applied to the links of every post, e.g.
+  // { utm_source: '{platform}', utm_medium: 'social' }
+  utmTemplate: Object.fromEntries(UTM_FIELDS.map(field => [field, { type: String, trim: true, maxlength: 200 }])),
   isActive: {
     type: Boolean,
     default: true
@@ -293,6 +320,25 @@ userSchema.statics.findActive = function() {
   return this.find({ isActive: true });
 };
 
+const hashCalendarToken = (token) => require('crypto').createHash('sha256').update(String(token)).digest('hex');
+
+// Instance method to issue a new calendar feed token, replacing any previous one
+userSchema.methods.generateCalendarToken = function() {
+  const token = require('crypto').randomBytes(24).toString('hex');
+  this.calendarFeed = {
+    tokenHash: hashCalendarToken(token),
+    createdAt: new Date(),
+    lastAccessedAt: undefined
+  };
+  return token;
+};
+
+// Static method to find the active owner of a calendar feed token
+userSchema.statics.findByCalendarToken = function(token) {
+  if (!token) return Promise.resolve(null);
+  return this.findOne({ 'calendarFeed.tokenHash': hashCalendarToken(token), isActive: true });
+};
+
 // Instance method to generate OTP
 userSchema.methods.generateOTP = function() {
   const otp = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit OTP
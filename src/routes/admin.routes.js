@@ -14,11 +14,21 @@ router.post('/users', ctrl.createUser);
 router.delete('/users/:id', ctrl.deleteUser);
 router.put('/users/:id/password', validateWithJoi(userValidation.adminChangePassword), ctrl.changeUserPassword);
 router.get('/users/:userId/posts', ctrl.getUserPosts);
+router.put('/users/:id/approval-policy', ctrl.updateApprovalPolicy);
 router.get('/campaigns', ctrl.listCampaigns);
 router.get('/logs', ctrl.getLogs);
 router.get('/settings', ctrl.getSettings);
 router.put('/settings', ctrl.updateSettings);
 
+// Publish queue
+router.get('/publish-jobs/stats', ctrl.getPublishQueueStats);
+router.get('/publish-jobs', ctrl.listPublishJobs);
+router.post('/publish-jobs/:id/requeue', ctrl.requeuePublishJob);
+router.delete('/publish-jobs/:id', ctrl.discardPublishJob);
+router.get('/dead-letter-jobs', ctrl.listDeadLetterJobs);
+router.post('/dead-letter-jobs/:id/requeue', ctrl.requeueDeadLetterJob);
+router.delete('/dead-letter-jobs/:id', ctrl.discardDeadLetterJob);
+
 module.exports = router;
 
 
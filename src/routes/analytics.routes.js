@@ -19,6 +19,9 @@ router.get('/linked-accounts/posts', authenticate, ctrl.getLinkedAccountPosts);
 // Get top performing posts
 router.get('/top', authenticate, ctrl.getTopPerforming);
 
+// Best time to post, from the user's own engagement history
+router.get('/best-times', authenticate, ctrl.getBestPostingTimes);
+
 // Platform stats
 router.get('/platform/:platform', authenticate, ctrl.getPlatformStats);
 
@@ -3,10 +3,11 @@ const router = require('express').Router();
 const { authenticate, authorize } = require('../middlewares/auth');
 const { validateWithJoi, bidValidation } = require('../utils/validator');
 const { bidLimiter } = require('../middlewares/rateLimiter');
+const { idempotency } = require('../middlewares/idempotency');
 const ctrl = require('../controllers/bidController');
 
 // Create bid (creator only)
-router.post('/', authenticate, authorize('creator', 'admin'), bidLimiter, validateWithJoi(bidValidation.create), ctrl.createBid);
+router.post('/', authenticate, authorize('creator', 'admin'), bidLimiter, idempotency, validateWithJoi(bidValidation.create), ctrl.createBid);
 
 // List bids (creator sees own, admin sees all)
 router.get('/', authenticate, ctrl.getBids);
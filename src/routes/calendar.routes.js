@@ -0,0 +1,14 @@
+// src/routes/calendar.routes.js
+const router = require('express').Router();
+const { authenticate } = require('../middlewares/auth');
+const calendarController = require('../controllers/calendarController');
+
+// iCal feed; the token in the URL is the credential (for calendar apps)
+router.get('/feed/:token.ics', calendarController.getFeed);
+
+// Manage the current user's feed token
+router.get('/token', authenticate, calendarController.getFeedStatus);
+router.post('/token', authenticate, calendarController.createFeedToken);
+router.delete('/token', authenticate, calendarController.revokeFeedToken);
+
+module.exports = router;
@@ -3,13 +3,14 @@ const router = require('express').Router();
 const { authenticate, authorize, checkCampaignOwnership } = require('../middlewares/auth');
 const { validateWithJoi, campaignValidation, validationRules, validateRequest } = require('../utils/validator');
 const { campaignLimiter } = require('../middlewares/rateLimiter');
+const { idempotency } = require('../middlewares/idempotency');
 const ctrl = require('../controllers/campaignController');
 
 // Public list with filters, private fields hidden by controller
 router.get('/', authenticate, ctrl.getCampaigns);
 
 // Create campaign (brand only)
-router.post('/', authenticate, authorize('brand', 'admin'), campaignLimiter, validateWithJoi(campaignValidation.create), ctrl.createCampaign);
+router.post('/', authenticate, authorize('brand', 'admin'), campaignLimiter, idempotency, validateWithJoi(campaignValidation.create), ctrl.createCampaign);
 
 // Campaign details
 router.get('/:id', authenticate, ctrl.getCampaign);
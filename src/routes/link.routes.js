@@ -0,0 +1,14 @@
+// src/routes/link.routes.js
+// Short link management; the public redirect is GET /l/:code (see app.js)
+const router = require('express').Router();
+const { authenticate } = require('../middlewares/auth');
+const ctrl = require('../controllers/linkController');
+
+router.use(authenticate);
+
+router.get('/', ctrl.getLinks);
+router.post('/', ctrl.createLink);
+router.get('/:id', ctrl.getLink);
+router.get('/:id/stats', ctrl.getLinkStats);
+
+module.exports = router;
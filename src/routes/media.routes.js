@@ -0,0 +1,23 @@
+// src/routes/media.routes.js
+const router = require('express').Router();
+const { param } = require('express-validator');
+const { authenticate } = require('../middlewares/auth');
+const { upload } = require('../middlewares/upload');
+const ctrl = require('../controllers/mediaController');
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid media asset ID')
+];
+
+// All media library routes require authentication
+router.use(authenticate);
+
+router.get('/', ctrl.getAssets);
+router.get('/folders', ctrl.getFolders);
+router.post('/', upload.array('files', 10), ctrl.uploadAssets);
+router.get('/:id', idValidation, ctrl.getAsset);
+router.get('/:id/usage', idValidation, ctrl.getAssetUsage);
+router.patch('/:id', idValidation, ctrl.updateAsset);
+router.delete('/:id', idValidation, ctrl.deleteAsset);
+
+module.exports = router;
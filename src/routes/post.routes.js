@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const postController = require('../controllers/postController');
+const postReviewController = require('../controllers/postReviewController');
+const postCsvController = require('../controllers/postCsvController');
 const { authenticate } = require('../middlewares/auth');
 const { body, query, param } = require('express-validator');
-const { upload, persistUploads } = require('../middlewares/upload');
+const { upload, csvUpload, persistUploads, attachMediaAssets } = require('../middlewares/upload');
+const { applyContentTemplate } = require('../middlewares/contentTemplate');
+const { idempotency } = require('../middlewares/idempotency');
+const { scheduledDateValidator } = require('../utils/validator');
 // Validation rules
 const postValidation = [
   body('title')
@@ -41,7 +46,11 @@ const postValidation = [
   body('status')
     .optional()
     .isIn(['draft', 'scheduled', 'published'])
-    .withMessage('Status must be draft, scheduled, or published')
+    .withMessage('Status must be draft, scheduled, or published'),
+  body('link_tracking')
+    .optional()
+    .isBoolean()
+    .withMessage('link_tracking must be true or false')
 ];
 
 const paginationValidation = [
@@ -67,7 +76,8 @@ const uploadMiddleware = [
     { name: 'media', maxCount: 10 },
     { name: 'thumbnail', maxCount: 1 }
   ]), // This is the multer function
-  persistUploads             // This is your custom persistence function
+  persistUploads,            // This is your custom persistence function
+  attachMediaAssets          // Media picked from the user's library by id
 ];
 
 // Routes
@@ -86,6 +96,7 @@ router.post('/',
     next();
   },
   uploadMiddleware,
+  applyContentTemplate,      // Caption rendered from a content template
   postValidation,
   postController.createPost
 );
@@ -111,22 +122,112 @@ router.get('/scheduled',
   postController.getScheduled
 );
 
-// Validate post content
+// Get user's failed posts with their last failure and a suggested fix
+router.get('/failed',
+  authenticate,
+  paginationValidation,
+  [
+    query('platform')
+      .optional()
+      .isIn(['twitter', 'youtube', 'instagram', 'linkedin', 'facebook'])
+      .withMessage('Platform must be one of: twitter, youtube, instagram, linkedin, facebook')
+  ],
+  postController.getFailed
+);
+
+// Validate post content, and check videos (uploads, `mediaAssets` or a
+// saved `postId`) against each platform's video requirements
 router.post('/validate',
   authenticate,
+  uploadMiddleware,
   [
     body('content')
-      .isLength({ min: 1 })
-      .withMessage('Content is required')
+      .optional()
       .trim(),
-    body('platforms')
+    body('postId')
       .optional()
-      .isArray()
-      .withMessage('Platforms must be an array')
+      .isMongoId()
+      .withMessage('Invalid post ID')
   ],
   postController.validateContent
 );
 
+// How the post will look on each platform: "more" cut, highlighted
+// hashtags, mentions and links, link card, image crops and Twitter thread
+router.post('/preview',
+  authenticate,
+  uploadMiddleware,
+  [
+    body('postId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid post ID'),
+    body('numbering')
+      .optional()
+      .isIn(['suffix', 'prefix', 'false'])
+      .withMessage('numbering must be suffix, prefix or false')
+  ],
+  postController.previewPost
+);
+
+// Bulk import posts from a CSV plan
+router.post('/import',
+  authenticate,
+  csvUpload.single('file'),
+  postCsvController.importPosts
+);
+
+// Export posts in a date range as CSV (same columns as the import)
+router.get('/export',
+  authenticate,
+  postCsvController.exportPosts
+);
+
+// What each platform allows editing or removing after publishing
+router.get('/capabilities',
+  authenticate,
+  postController.getPlatformCapabilities
+);
+
+// Evergreen library: published posts that are reposted periodically
+router.get('/evergreen',
+  authenticate,
+  postController.getEvergreenLibrary
+);
+
+// Posts waiting for the current user's review
+router.get('/reviews/pending',
+  authenticate,
+  postReviewController.getReviewQueue
+);
+
+// Post a published post's first comment again (after it failed)
+router.post('/:id/first-comment/retry',
+  authenticate,
+  idValidation,
+  postController.retryFirstComment
+);
+
+// Evergreen settings of a post, and its reposts with their own performance
+router.get('/:id/evergreen',
+  authenticate,
+  idValidation,
+  postController.getEvergreen
+);
+
+router.put('/:id/evergreen',
+  authenticate,
+  idValidation,
+  [
+    body('enabled').optional().isBoolean().withMessage('enabled must be true or false').toBoolean(),
+    body('min_gap_days').optional().isInt({ min: 1 }).withMessage('min_gap_days must be a positive whole number').toInt(),
+    body('max_reposts').optional().isInt({ min: 1, max: 100 }).withMessage('max_reposts must be between 1 and 100').toInt(),
+    body('lookback_days').optional().isInt({ min: 0, max: 365 }).withMessage('lookback_days must be between 0 and 365').toInt(),
+    body('variations').optional().isArray({ max: 20 }).withMessage('variations must be a list of at most 20 captions')
+  ],
+  postController.updateEvergreen
+);
+
 // Get a specific post
 router.get('/:id',
   authenticate,
@@ -134,7 +235,7 @@ router.get('/:id',
   postController.getPost
 );
 
-// Update a post
+// Update a post (published posts are also edited on the platform where it allows)
 router.put('/:id',
   authenticate,
   idValidation,
@@ -143,7 +244,7 @@ router.put('/:id',
   postController.updatePost
 );
 
-// Delete a post
+// Delete a post (`remove_from_platform=true` also takes it down on the platform)
 router.delete('/:id',
   authenticate,
   idValidation,
@@ -154,33 +255,16 @@ router.delete('/:id',
 router.post('/publish',
   authenticate,
   uploadMiddleware,
+  idempotency,
   postValidation,
   postController.publishPost
 );
 
-// Helper validator for scheduled date from either scheduledAt or scheduling.scheduled_at
-const scheduledDateValidator = body().custom((_, { req }) => {
-  const fromRoot = req.body?.scheduledAt;
-  const fromNested = req.body?.scheduling?.scheduled_at;
-  const fromAlt = req.body?.scheduled_for;
-  const incoming = fromRoot || fromNested || fromAlt;
-  if (!incoming) {
-    throw new Error('Valid scheduled date required');
-  }
-  const scheduledDate = new Date(incoming);
-  if (isNaN(scheduledDate.valueOf())) {
-    throw new Error('Valid scheduled date required');
-  }
-  if (scheduledDate <= new Date()) {
-    throw new Error('Scheduled date must be in the future');
-  }
-  return true;
-});
-
 // Schedule a post for later
 router.post('/schedule',
   authenticate,
   uploadMiddleware,
+  idempotency,
   [
     ...postValidation,
     scheduledDateValidator
@@ -192,19 +276,128 @@ router.post('/schedule',
 router.put('/:id/publish',
   authenticate,
   idValidation,
+  idempotency,
   postController.publishPostById
 );
 
+// Publish a failed post again
+router.post('/:id/retry',
+  authenticate,
+  idValidation,
+  idempotency,
+  postController.retryPost
+);
+
 // Schedule an existing post by ID
 router.put('/:id/schedule',
   authenticate,
   idValidation,
+  idempotency,
   [
     scheduledDateValidator
   ],
   postController.schedulePostById
 );
 
+// Recurring series: upcoming occurrences, skip one, end the series
+router.get('/:id/occurrences',
+  authenticate,
+  idValidation,
+  postController.getOccurrences
+);
+
+router.post('/:id/occurrences/skip',
+  authenticate,
+  idValidation,
+  [
+    body('scheduled_at')
+      .isISO8601()
+      .withMessage('scheduled_at of the occurrence to skip must be an ISO 8601 date')
+  ],
+  postController.skipOccurrence
+);
+
+router.post('/:id/recurring/end',
+  authenticate,
+  idValidation,
+  postController.endSeries
+);
+
+// Review workflow: submit, approve, request changes, (re)assign reviewer
+router.post('/:id/review/submit',
+  authenticate,
+  idValidation,
+  [
+    body('reviewer').optional().isMongoId().withMessage('Reviewer must be a valid user ID'),
+    body('comment').optional().isString().isLength({ max: 1000 }).withMessage('Comment must be at most 1000 characters')
+  ],
+  postReviewController.submitForReview
+);
+
+router.post('/:id/review/approve',
+  authenticate,
+  idValidation,
+  [
+    body('comment').optional().isString().isLength({ max: 1000 }).withMessage('Comment must be at most 1000 characters'),
+    body('revision').optional().isInt({ min: 0 }).withMessage('Revision must be a non-negative integer')
+  ],
+  postReviewController.approvePost
+);
+
+router.post('/:id/review/request-changes',
+  authenticate,
+  idValidation,
+  [
+    body('comment').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('A comment describing the requested changes is required')
+  ],
+  postReviewController.requestChanges
+);
+
+router.put('/:id/review/reviewer',
+  authenticate,
+  idValidation,
+  [
+    body('reviewer').isMongoId().withMessage('Reviewer must be a valid user ID'),
+    body('comment').optional().isString().isLength({ max: 1000 }).withMessage('Comment must be at most 1000 characters')
+  ],
+  postReviewController.assignReviewer
+);
+
+// Revision history: list, diff, inspect and restore
+const revisionValidation = [
+  param('version').isInt({ min: 1 }).withMessage('Revision must be a positive integer')
+];
+
+router.get('/:id/revisions',
+  authenticate,
+  idValidation,
+  postController.getRevisions
+);
+
+router.get('/:id/revisions/diff',
+  authenticate,
+  idValidation,
+  [
+    query('from').isInt({ min: 1 }).withMessage('from must be a revision number'),
+    query('to').optional().isInt({ min: 1 }).withMessage('to must be a revision number')
+  ],
+  postController.diffRevisions
+);
+
+router.get('/:id/revisions/:version',
+  authenticate,
+  idValidation,
+  revisionValidation,
+  postController.getRevision
+);
+
+router.post('/:id/revisions/:version/restore',
+  authenticate,
+  idValidation,
+  revisionValidation,
+  postController.restoreRevision
+);
+
 // Test Twitter connection
 router.get('/test-twitter-connection',
   authenticate,
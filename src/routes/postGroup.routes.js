@@ -0,0 +1,62 @@
+// src/routes/postGroup.routes.js
+const router = require('express').Router();
+const { body, param } = require('express-validator');
+const { authenticate } = require('../middlewares/auth');
+const { upload, persistUploads, attachMediaAssets } = require('../middlewares/upload');
+const { idempotency } = require('../middlewares/idempotency');
+const { scheduledDateValidator, validationRules } = require('../utils/validator');
+const ctrl = require('../controllers/postGroupController');
+
+const uploadMiddleware = [
+  upload.fields([
+    { name: 'media', maxCount: 10 },
+    { name: 'thumbnail', maxCount: 1 }
+  ]),
+  persistUploads,
+  attachMediaAssets
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid post group ID')
+];
+
+const titleValidation = body('title')
+  .optional()
+  .isLength({ max: 200 })
+  .withMessage('Title must be at most 200 characters')
+  .trim();
+
+const validatePlatforms = (value) => {
+  const platforms = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(platforms) || platforms.length === 0) {
+    throw new Error('At least one platform is required');
+  }
+  const names = platforms.map(p => p?.platform);
+  if (new Set(names).size !== names.length) {
+    throw new Error('Each platform may only appear once in a group');
+  }
+  return true;
+};
+
+const groupValidation = [
+  titleValidation,
+  body('platforms').custom(validatePlatforms)
+];
+
+// Updates may leave the platforms out; when sent they follow the same rules
+const groupUpdateValidation = [
+  titleValidation,
+  body('platforms').optional().custom(validatePlatforms)
+];
+
+router.post('/', authenticate, uploadMiddleware, groupValidation, ctrl.createGroup);
+router.get('/', authenticate, validationRules.pagination, ctrl.getGroups);
+router.get('/:id', authenticate, idValidation, ctrl.getGroup);
+router.put('/:id', authenticate, idValidation, uploadMiddleware, groupUpdateValidation, ctrl.updateGroup);
+router.delete('/:id', authenticate, idValidation, ctrl.deleteGroup);
+
+// Publish / schedule every platform in the group
+router.post('/:id/publish', authenticate, idValidation, idempotency, ctrl.publishGroup);
+router.put('/:id/schedule', authenticate, idValidation, idempotency, scheduledDateValidator, ctrl.scheduleGroup);
+
+module.exports = router;
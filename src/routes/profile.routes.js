@@ -20,6 +20,10 @@ router.post('/change-password', authenticate, validateWithJoi(userValidation.cha
 router.post('/avatar', authenticate, upload.single('avatar'), profileController.uploadAvatar);
 router.delete('/avatar', authenticate, profileController.removeAvatar);
 
+// Workspace UTM template for links in published posts
+router.get('/utm-template', authenticate, profileController.getUtmTemplate);
+router.put('/utm-template', authenticate, validateWithJoi(userValidation.updateUtmTemplate), profileController.updateUtmTemplate);
+
 // Account management
 router.delete('/account', authenticate, validateWithJoi(userValidation.deleteAccount), profileController.deleteAccount);
 
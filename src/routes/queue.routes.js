@@ -0,0 +1,22 @@
+// src/routes/queue.routes.js
+const router = require('express').Router();
+const { authenticate } = require('../middlewares/auth');
+const { validateWithJoi, queueValidation } = require('../utils/validator');
+const ctrl = require('../controllers/queueController');
+
+router.use(authenticate);
+
+router.get('/', ctrl.getQueues);
+router.get('/:platform', ctrl.getQueue);
+router.put('/:platform', validateWithJoi(queueValidation.slots), ctrl.setSlots);
+
+// Queued posts
+router.post('/:platform/posts', validateWithJoi(queueValidation.addPost), ctrl.addPost);
+router.delete('/:platform/posts/:postId', ctrl.removePost);
+router.put('/:platform/order', validateWithJoi(queueValidation.order), ctrl.reorder);
+router.post('/:platform/shuffle', ctrl.shuffle);
+
+router.post('/:platform/pause', ctrl.pauseQueue);
+router.post('/:platform/resume', ctrl.resumeQueue);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// src/routes/template.routes.js
+const router = require('express').Router();
+const { authenticate } = require('../middlewares/auth');
+const { validateWithJoi, templateValidation } = require('../utils/validator');
+const ctrl = require('../controllers/templateController');
+
+router.use(authenticate);
+
+// Hashtag sets (before /:id)
+router.get('/hashtag-sets', ctrl.getHashtagSets);
+router.post('/hashtag-sets', validateWithJoi(templateValidation.hashtagSetCreate), ctrl.createHashtagSet);
+router.put('/hashtag-sets/:id', validateWithJoi(templateValidation.hashtagSetUpdate), ctrl.updateHashtagSet);
+router.delete('/hashtag-sets/:id', ctrl.deleteHashtagSet);
+
+// Caption templates
+router.get('/', ctrl.getTemplates);
+router.post('/', validateWithJoi(templateValidation.create), ctrl.createTemplate);
+router.get('/:id', ctrl.getTemplate);
+router.put('/:id', validateWithJoi(templateValidation.update), ctrl.updateTemplate);
+router.delete('/:id', ctrl.deleteTemplate);
+router.post('/:id/render', validateWithJoi(templateValidation.render), ctrl.renderTemplate);
+router.get('/:id/versions', ctrl.getTemplateVersions);
+router.get('/:id/versions/:version', ctrl.getTemplateVersions);
+router.post('/:id/versions/:version/restore', ctrl.restoreTemplateVersion);
+
+module.exports = router;
@@ -34,6 +34,8 @@ router.delete('/disconnect', twitterController.disconnect);
 router.post('/post', twitterController.postContent); // Handles: post, thread, poll
 // Backward-compat alias
 router.post('/tweet', twitterController.postContent);
+// Split long text into a numbered thread (nothing is posted)
+router.post('/thread/split', twitterController.splitThread);
 
 // Media management
 router.post('/upload-media', upload.single('media'), persistUploads, twitterController.uploadMedia);
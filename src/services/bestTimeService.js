@@ -0,0 +1,183 @@
+// src/services/bestTimeService.js
+// Best-time-to-post recommendations computed from a user's own published
+// posts. Each post's engagement is compared with the user's typical
+// engagement on that platform, and posts are bucketed by local weekday and
+// hour. Small buckets are shrunk towards "average" so one lucky post does
+// not dominate, and every window carries a sample-size based confidence.
+const Analytics = require('../models/Analytics');
+const { WEEKDAYS } = require('../utils/recurrence');
+const { isValidTimeZone, getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+
+const PLATFORMS = ['twitter', 'youtube', 'instagram', 'linkedin', 'facebook'];
+
+// Posts a platform needs before any window is recommended
+const MIN_SAMPLES = 5;
+// Pseudo-count used for shrinkage and confidence: a window with SHRINKAGE
+// posts is trusted halfway
+const SHRINKAGE = 5;
+const DEFAULT_LOOKBACK_DAYS = 180;
+// Earliest an automatically picked slot may be, from now
+const MIN_LEAD_MS = 15 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Engagement of one analytics record. Prefer the platform's engagement rate,
+ * then interactions per impression/view, then raw interactions.
+ */
+function engagementOf(record) {
+  const m = record.metrics || {};
+  const interactions = (m.likes || 0) + (m.comments || 0) + (m.shares || 0) + (m.saves || 0);
+  if (m.engagement_rate > 0) return m.engagement_rate;
+  const audience = m.impressions || m.reach || m.views;
+  if (audience > 0) return (interactions / audience) * 100;
+  return interactions;
+}
+
+function confidenceLevel(samples) {
+  if (samples >= 10) return 'high';
+  if (samples >= 3) return 'medium';
+  return 'low';
+}
+
+class BestTimeService {
+  /**
+   * Best posting windows per platform and weekday
+   * @param {string|ObjectId} userId - User
+   * @param {Object} options - { platform, timezone, days }
+   * @returns {Promise<Object>} Recommendations keyed by platform
+   */
+  async getRecommendations(userId, { platform, timezone = 'UTC', days = DEFAULT_LOOKBACK_DAYS } = {}) {
+    const zone = isValidTimeZone(timezone) ? timezone : 'UTC';
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const platforms = platform ? [platform] : PLATFORMS;
+
+    const records = await Analytics.find({
+      user_id: userId,
+      platform: { $in: platforms },
+      'timing.posted_at': { $gte: since }
+    }).select('platform metrics timing.posted_at').lean();
+
+    const result = {};
+    for (const name of platforms) {
+      result[name] = this.analyzePlatform(records.filter(r => r.platform === name), zone);
+    }
+    return { timezone: zone, lookback_days: days, platforms: result };
+  }
+
+  analyzePlatform(records, timeZone) {
+    const samples = records.length;
+    if (samples < MIN_SAMPLES) {
+      return {
+        sample_size: samples,
+        insufficient_data: true,
+        message: `At least ${MIN_SAMPLES} published posts with analytics are needed (found ${samples})`,
+        best_windows: [],
+        by_weekday: {}
+      };
+    }
+
+    const engagements = records.map(engagementOf);
+    const baseline = median(engagements) || (engagements.reduce((a, b) => a + b, 0) / samples) || 1;
+
+    // Bucket each post's lift over the baseline by local weekday and hour
+    const buckets = new Map();
+    records.forEach((record, index) => {
+      const parts = getZonedParts(new Date(record.timing.posted_at), timeZone);
+      const key = `${parts.weekday}:${parts.hour}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, { weekday: parts.weekday, hour: parts.hour, lifts: [], engagements: [] });
+      }
+      const bucket = buckets.get(key);
+      bucket.lifts.push(engagements[index] / baseline);
+      bucket.engagements.push(engagements[index]);
+    });
+
+    const windows = [...buckets.values()].map(({ weekday, hour, lifts, engagements: values }) => {
+      const n = lifts.length;
+      const meanLift = lifts.reduce((a, b) => a + b, 0) / n;
+      // Shrink towards 1 (= the user's typical post) in proportion to sample size
+      const score = (n * meanLift + SHRINKAGE) / (n + SHRINKAGE);
+      return {
+        weekday: WEEKDAYS[weekday],
+        hour,
+        start: `${pad(hour)}:00`,
+        end: `${pad((hour + 1) % 24)}:00`,
+        posts: n,
+        avg_engagement: Number((values.reduce((a, b) => a + b, 0) / n).toFixed(2)),
+        lift: Number(meanLift.toFixed(2)),
+        score: Number(score.toFixed(3)),
+        confidence: Number((n / (n + SHRINKAGE)).toFixed(2)),
+        confidence_level: confidenceLevel(n)
+      };
+    }).sort((a, b) => b.score - a.score);
+
+    const byWeekday = {};
+    for (const name of WEEKDAYS) {
+      const top = windows.filter(w => w.weekday === name).slice(0, 3);
+      if (top.length > 0) byWeekday[name] = top;
+    }
+
+    // Windows that beat the user's typical post; if none do, the least bad ones
+    const aboveAverage = windows.filter(w => w.score > 1);
+
+    return {
+      sample_size: samples,
+      insufficient_data: false,
+      baseline_engagement: Number(baseline.toFixed(2)),
+      confidence: Number((samples / (samples + SHRINKAGE * 4)).toFixed(2)),
+      best_windows: (aboveAverage.length > 0 ? aboveAverage : windows).slice(0, 5),
+      by_weekday: byWeekday
+    };
+  }
+
+  /**
+   * Soonest upcoming occurrence of one of the platform's best windows
+   * @param {Object} options - { taken: dates already used, spacingMs: how far
+   *   a slot must be from each of them, fallbackHour: local hour to use every
+   *   day when there is not enough data, days: how far ahead to look (7) }
+   * @returns {Promise<Object|null>} { scheduled_at, window } or null without
+   *   enough data or an open slot
+   */
+  async findNextBestSlot(userId, platform, timezone = 'UTC', { taken = [], spacingMs = 0, fallbackHour, days = 7 } = {}) {
+    const { timezone: zone, platforms } = await this.getRecommendations(userId, { platform, timezone });
+    const analysis = platforms[platform];
+    let candidates = (analysis?.best_windows || []).slice(0, 3);
+    if (candidates.length === 0 && Number.isInteger(fallbackHour)) {
+      candidates = WEEKDAYS.map(weekday => ({ weekday, hour: fallbackHour, start: `${pad(fallbackHour)}:00`, fallback: true }));
+    }
+    if (candidates.length === 0) return null;
+
+    const isOpen = (date) => !taken.some(other => Math.abs(new Date(other) - date) < spacingMs);
+    const earliest = new Date(Date.now() + MIN_LEAD_MS);
+    const today = getZonedParts(earliest, zone);
+    let best = null;
+
+    for (let offset = 0; offset <= days; offset++) {
+      const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+      for (const window of candidates) {
+        if (WEEKDAYS[day.getUTCDay()] !== window.weekday) continue;
+        const { date } = zonedTimeToUtc(
+          { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate(), hour: window.hour, minute: 0 },
+          zone,
+          'shift_forward'
+        );
+        if (date < earliest || !isOpen(date)) continue;
+        if (!best || date < best.scheduled_at) {
+          best = { scheduled_at: date, window };
+        }
+      }
+      if (best) break;
+    }
+
+    return best;
+  }
+}
+
+module.exports = new BestTimeService();
@@ -0,0 +1,45 @@
+// src/services/duplicateContent.js
+// Finds a post with the same content (see utils/contentFingerprint) that
+// went, or is due to go, to the same account within a day of another, so
+// publish and schedule can warn before followers see it twice.
+const Post = require('../models/Post');
+const { contentFingerprint } = require('../utils/contentFingerprint');
+
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+class DuplicateContentService {
+  /**
+   * The author's other post with the same content on the same platform
+   * published, or scheduled, within 24 hours of `at`
+   * @param {Object} post - Post about to be published or scheduled
+   * @param {Date} at - When it goes out
+   * @returns {Promise<Object|null>} The earlier post
+   */
+  async findRecent(post, at = new Date()) {
+    const fingerprint = post.fingerprint || contentFingerprint(post);
+    if (!fingerprint) return null;
+
+    const from = new Date(at.getTime() - WINDOW_MS);
+    const to = new Date(at.getTime() + WINDOW_MS);
+    const filter = {
+      author: post.author?._id || post.author,
+      platform: post.platform,
+      fingerprint,
+      $or: [
+        { status: 'published', 'publishing.published_at': { $gte: from, $lte: to } },
+        { status: { $in: ['scheduled', 'publishing'] }, 'scheduling.scheduled_at': { $gte: from, $lte: to } }
+      ]
+    };
+    if (post._id) filter._id = { $ne: post._id };
+    // Occurrences of one recurring series repeat on purpose
+    const seriesId = post.scheduling?.recurring?.series_id;
+    if (seriesId) filter['scheduling.recurring.series_id'] = { $ne: seriesId };
+
+    return Post.findOne(filter)
+      .select('status platform publishing.published_at publishing.platform_url scheduling.scheduled_at')
+      .sort({ updatedAt: -1 })
+      .lean();
+  }
+}
+
+module.exports = new DuplicateContentService();
@@ -0,0 +1,248 @@
+// src/services/evergreen.js
+// Re-queues evergreen posts: once a post's gap since it last went out has
+// passed, a repost is added to the account's posting queue, or without one
+// scheduled into the author's next open best time on the platform. Reposts
+// are new posts, so each has its own analytics.
+const Post = require('../models/Post');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { getZonedParts, isValidTimeZone } = require('../utils/timezone');
+const bestTimeService = require('./bestTimeService');
+const postingQueue = require('./postingQueue');
+const NotificationService = require('./notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Held while a worker queues a repost; a lost worker's claim lapses
+const LOCK_MS = 10 * 60 * 1000;
+// A skipped repost is tried again this much later
+const RETRY_AFTER_MS = DAY_MS;
+// Other posts on the platform must be at least this far from a repost
+const SLOT_SPACING_MS = 60 * 60 * 1000;
+const SLOT_SEARCH_DAYS = 14;
+// Word overlap (0-1) from which two captions count as the same post
+const SIMILARITY_THRESHOLD = parseFloat(process.env.EVERGREEN_SIMILARITY_THRESHOLD) || 0.8;
+
+const captionOf = (post) => (typeof post.content === 'string' ? post.content : post.content?.caption) || post.title || '';
+
+function words(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' ')
+      .match(/[\p{L}\p{N}#@']+/gu) || []
+  );
+}
+
+// Jaccard overlap of the two texts' words
+function similarity(a, b) {
+  const left = words(a);
+  const right = words(b);
+  if (left.size === 0 || right.size === 0) return 0;
+  let shared = 0;
+  for (const word of left) if (right.has(word)) shared++;
+  return shared / (left.size + right.size - shared);
+}
+
+class EvergreenService {
+  /**
+   * When a post may next be reposted: its gap after it (or its latest
+   * repost) went out, or null once it has used up its reposts
+   * @returns {Date|null}
+   */
+  nextEligibleAt(post) {
+    const evergreen = post.evergreen || {};
+    if (!evergreen.enabled || (evergreen.repost_count || 0) >= evergreen.max_reposts) return null;
+    const last = evergreen.last_reposted_at || post.publishing?.published_at || new Date();
+    return new Date(new Date(last).getTime() + evergreen.min_gap_days * DAY_MS);
+  }
+
+  /**
+   * Claim an evergreen post that is due for a repost
+   * @returns {Promise<Object|null>} Post
+   */
+  claim() {
+    const now = new Date();
+    return Post.findOneAndUpdate(
+      { 'evergreen.enabled': true, status: 'published', 'evergreen.next_eligible_at': { $lte: now } },
+      { $set: { 'evergreen.next_eligible_at': new Date(now.getTime() + LOCK_MS) } },
+      { new: true, sort: { 'evergreen.next_eligible_at': 1 } }
+    );
+  }
+
+  /**
+   * Queue reposts for every due evergreen post; one scheduler run
+   * @returns {Promise<number>} Reposts queued
+   */
+  async processDue() {
+    let queued = 0;
+    let post;
+    while ((post = await this.claim())) {
+      try {
+        if (await this.requeue(post)) queued++;
+      } catch (error) {
+        // The claim lapses and the post is picked up again
+        logger.error('Evergreen repost failed', { postId: post._id, error: error.message });
+      }
+    }
+    return queued;
+  }
+
+  /**
+   * Schedule the next repost of a claimed post, or record why it was skipped
+   * @returns {Promise<Object|null>} The repost, or null if it was skipped
+   */
+  async requeue(post) {
+    const evergreen = post.evergreen;
+    const author = await User.findById(post.author).select('profile.timezone approvalPolicy');
+    if (!author) {
+      return this.skip(post, 'Author not found');
+    }
+
+    // Variations are used in turn; one too close to a recent post gives way to the next
+    const captions = evergreen.variations?.length > 0 ? evergreen.variations : [captionOf(post)];
+    const recent = await this.recentPosts(post, evergreen.lookback_days);
+    let caption = null;
+    let similarTo = null;
+    for (let i = 0; i < captions.length; i++) {
+      const candidate = captions[(evergreen.repost_count + i) % captions.length];
+      const match = recent.find(other => similarity(candidate, captionOf(other)) >= SIMILARITY_THRESHOLD);
+      if (!match) {
+        caption = candidate;
+        break;
+      }
+      similarTo = similarTo || match;
+    }
+    if (caption === null) {
+      return this.skip(post, `Too similar to a post from the last ${evergreen.lookback_days} days`, similarTo._id);
+    }
+
+    // The account's posting queue picks the time when it has slots
+    const queued = await postingQueue.nextSlot(post.author, post.platform);
+    const preferred = queued.queue?.timezone || post.scheduling?.timezone || author.profile?.timezone;
+    const timezone = isValidTimeZone(preferred) ? preferred : 'UTC';
+    const slot = queued.error ? await this.findOpenSlot(post, timezone) : queued;
+    if (!slot) {
+      return this.skip(post, `No open slot on ${post.platform} in the next ${SLOT_SEARCH_DAYS} days`);
+    }
+
+    const varied = caption !== captionOf(post);
+    const repost = post.buildRepost(slot.scheduled_at, varied ? caption : undefined);
+    repost.scheduling.timezone = timezone;
+    // A new caption needs the reviewer again; the original's text was already approved
+    repost.approval = Post.approvalDefaults(author);
+    if (repost.approval.required) {
+      if (!varied && post.approval?.state === 'approved') {
+        repost.approval.state = 'approved';
+      } else {
+        repost.status = 'draft';
+        repost.scheduling.scheduled_at = undefined;
+      }
+    }
+    const queue = repost.status === 'scheduled' ? queued.queue : null;
+    if (queue) await postingQueue.prepare(repost, queue);
+    await repost.save();
+    if (queue) {
+      const placed = await postingQueue.rebalance(queue);
+      const own = placed.find(other => String(other._id) === String(repost._id));
+      if (own) repost.scheduling.scheduled_at = own.scheduling.scheduled_at;
+    } else if (repost.status === 'scheduled') {
+      await postingQueue.refresh(post.author, post.platform);
+    }
+
+    const repostCount = (evergreen.repost_count || 0) + 1;
+    const lastRepostedAt = repost.scheduling.scheduled_at || new Date();
+    const next = repostCount >= evergreen.max_reposts
+      ? null
+      : new Date(lastRepostedAt.getTime() + evergreen.min_gap_days * DAY_MS);
+    await Post.updateOne(
+      { _id: post._id },
+      {
+        $set: {
+          'evergreen.repost_count': repostCount,
+          'evergreen.last_reposted_at': lastRepostedAt,
+          ...(next ? { 'evergreen.next_eligible_at': next } : {})
+        },
+        $unset: { 'evergreen.last_skip': '', ...(next ? {} : { 'evergreen.next_eligible_at': '' }) }
+      }
+    );
+
+    logger.info('Evergreen repost queued', {
+      postId: post._id,
+      repostId: repost._id,
+      repost: repostCount,
+      scheduledAt: repost.scheduling.scheduled_at,
+      status: repost.status
+    });
+
+    if (repost.status === 'draft') {
+      await NotificationService.createNotification({
+        title: 'Evergreen repost needs review',
+        message: `A repost of your ${post.platform} post is ready as a draft; submit it for review to schedule it`,
+        type: 'system_alert',
+        recipientId: post.author,
+        priority: 'medium',
+        data: { postId: repost._id, sourcePostId: post._id },
+        relatedResource: { type: 'post', id: repost._id }
+      }).catch((notifyError) => {
+        logger.warn('Failed to notify author about evergreen repost', { postId: post._id, error: notifyError.message });
+      });
+    }
+    return repost;
+  }
+
+  async skip(post, reason, similarTo) {
+    await Post.updateOne(
+      { _id: post._id },
+      {
+        $set: {
+          'evergreen.next_eligible_at': new Date(Date.now() + RETRY_AFTER_MS),
+          'evergreen.last_skip': { at: new Date(), reason, similar_to: similarTo }
+        }
+      }
+    );
+    logger.info('Evergreen repost skipped', { postId: post._id, reason });
+    return null;
+  }
+
+  // The author's other posts on the platform published in the last `days`
+  // days or still to go out. The source itself is left out: the gap since
+  // it went out is min_gap_days' job, which may be shorter than the lookback
+  recentPosts(post, days) {
+    return Post.find({
+      _id: { $ne: post._id },
+      author: post.author,
+      platform: post.platform,
+      $or: [
+        { status: 'published', 'publishing.published_at': { $gte: new Date(Date.now() - days * DAY_MS) } },
+        { status: { $in: ['scheduled', 'publishing'] } }
+      ]
+    }).select('content title').lean();
+  }
+
+  /**
+   * Next of the author's best posting times on the platform with no other
+   * post within an hour of it; without engagement data, the hour the post
+   * first went out, every day
+   * @returns {Promise<Object|null>} { scheduled_at, window }
+   */
+  async findOpenSlot(post, timezone) {
+    const taken = await Post.find({
+      author: post.author,
+      platform: post.platform,
+      status: { $in: ['scheduled', 'publishing'] },
+      'scheduling.scheduled_at': { $gte: new Date(), $lte: new Date(Date.now() + (SLOT_SEARCH_DAYS + 1) * DAY_MS) }
+    }).select('scheduling.scheduled_at').lean();
+
+    const publishedAt = post.publishing?.published_at;
+    const fallbackHour = publishedAt ? getZonedParts(publishedAt, timezone).hour : 12;
+
+    return bestTimeService.findNextBestSlot(post.author, post.platform, timezone, {
+      taken: taken.map(other => other.scheduling.scheduled_at),
+      spacingMs: SLOT_SPACING_MS,
+      fallbackHour,
+      days: SLOT_SEARCH_DAYS
+    });
+  }
+}
+
+module.exports = new EvergreenService();
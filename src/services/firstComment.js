@@ -0,0 +1,217 @@
+// src/services/firstComment.js
+// Posts a published post's first comment (a reply on Twitter). Comments are
+// retried on their own schedule; a comment that fails never fails its post.
+const Post = require('../models/Post');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { handlePlatformError } = require('../utils/standardErrorHandler');
+const { isRetryableError, calculateDelay } = require('../utils/retryLogic');
+const { contentLength } = require('../utils/postValidation');
+const NotificationService = require('./notificationService');
+const platformTokens = require('./platformTokens');
+const instagramService = require('./social/instagram');
+const facebookService = require('./social/facebook');
+const linkedinService = require('./social/linkedin');
+const youtubeService = require('./social/youtube');
+
+// Longest comment each platform accepts
+const FIRST_COMMENT_MAX_LENGTH = {
+  instagram: 2200,
+  facebook: 8000,
+  twitter: 280,
+  linkedin: 1250,
+  youtube: 10000
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.FIRST_COMMENT_MAX_ATTEMPTS, 10) || 5;
+// A comment held longer than this is assumed lost with its worker
+const LOCK_MS = 2 * 60 * 1000;
+
+class FirstCommentService {
+  /**
+   * Check a first comment for a platform
+   * @returns {string|null} Error message
+   */
+  validate(platform, text) {
+    const maxLength = FIRST_COMMENT_MAX_LENGTH[platform];
+    if (!maxLength) return `First comments are not supported on ${platform}`;
+    const length = contentLength(text, platform);
+    if (length > maxLength) {
+      return `First comment is ${length} characters; ${platform} allows ${maxLength}`;
+    }
+    return null;
+  }
+
+  /**
+   * Claim a due comment so no other worker posts it too
+   * @param {Object} filter - Extra Post filter (e.g. { _id })
+   * @returns {Promise<Object|null>} Post
+   */
+  claim(filter = {}) {
+    const now = new Date();
+    return Post.findOneAndUpdate(
+      {
+        ...filter,
+        $or: [
+          { 'firstComment.status': 'pending', 'firstComment.next_attempt_at': { $lte: now } },
+          { 'firstComment.status': 'posting', 'firstComment.locked_until': { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          'firstComment.status': 'posting',
+          'firstComment.locked_until': new Date(now.getTime() + LOCK_MS)
+        },
+        $inc: { 'firstComment.attempts': 1 }
+      },
+      { new: true, sort: { 'firstComment.next_attempt_at': 1 } }
+    );
+  }
+
+  /**
+   * Post one post's first comment if it is due
+   * @returns {Promise<Object|null>} Attempt result, or null if nothing was due
+   */
+  async run(postId) {
+    const post = await this.claim({ _id: postId });
+    return post ? this.attempt(post) : null;
+  }
+
+  /**
+   * Post every due first comment; one scheduler tick
+   * @returns {Promise<number>} Comments attempted
+   */
+  async processDue() {
+    let count = 0;
+    let post;
+    while ((post = await this.claim())) {
+      await this.attempt(post);
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Make a failed (or not yet due) comment due now, with a fresh retry budget
+   * @returns {Promise<Object|null>} Attempt result, or null if it was already posted or is being posted
+   */
+  async retry(postId) {
+    const reset = await Post.updateOne(
+      { _id: postId, status: 'published', 'firstComment.text': { $nin: [null, ''] }, 'firstComment.status': { $in: ['none', 'pending', 'failed'] } },
+      {
+        $set: { 'firstComment.status': 'pending', 'firstComment.next_attempt_at': new Date(), 'firstComment.attempts': 0 },
+        $unset: { 'firstComment.error': '' }
+      }
+    );
+    if (reset.modifiedCount === 0) return null;
+    return this.run(postId);
+  }
+
+  async attempt(post) {
+    const user = await User.findById(post.author);
+    const result = user
+      ? await this.postComment(post, user)
+      : { success: false, error: 'Author not found' };
+    const attempts = post.firstComment.attempts;
+    const claimed = { _id: post._id, 'firstComment.status': 'posting' };
+
+    if (result.success) {
+      await Post.updateOne(claimed, {
+        $set: {
+          'firstComment.status': 'posted',
+          'firstComment.comment_id': result.comment_id,
+          'firstComment.posted_at': new Date()
+        },
+        $unset: { 'firstComment.error': '', 'firstComment.locked_until': '', 'firstComment.next_attempt_at': '' }
+      });
+      logger.info('First comment posted', { postId: post._id, platform: post.platform, commentId: result.comment_id, attempts });
+      return result;
+    }
+
+    const retryable = !!user && attempts < MAX_ATTEMPTS &&
+      isRetryableError({ message: result.error, status: result.statusCode }, post.platform);
+    if (retryable) {
+      const retryAt = new Date(Date.now() + calculateDelay(attempts - 1, post.platform));
+      await Post.updateOne(claimed, {
+        $set: { 'firstComment.status': 'pending', 'firstComment.next_attempt_at': retryAt, 'firstComment.error': result.error },
+        $unset: { 'firstComment.locked_until': '' }
+      });
+      logger.warn('First comment failed, retry queued', { postId: post._id, platform: post.platform, attempts, retryAt, error: result.error });
+      return result;
+    }
+
+    await Post.updateOne(claimed, {
+      $set: { 'firstComment.status': 'failed', 'firstComment.error': result.error },
+      $unset: { 'firstComment.locked_until': '', 'firstComment.next_attempt_at': '' }
+    });
+    logger.error('First comment failed', { postId: post._id, platform: post.platform, attempts, error: result.error });
+
+    await NotificationService.createNotification({
+      title: 'First comment not posted',
+      message: `Your ${post.platform} post was published, but its first comment could not be posted: ${result.error}`,
+      type: 'system_alert',
+      recipientId: post.author,
+      priority: 'medium',
+      data: { postId: post._id },
+      relatedResource: { type: 'post', id: post._id }
+    }).catch((notifyError) => {
+      logger.warn('Failed to notify author about first comment', { postId: post._id, error: notifyError.message });
+    });
+    return result;
+  }
+
+  /**
+   * Post the comment on the platform
+   * @returns {Promise<Object>} { success, comment_id, error, statusCode }
+   */
+  async postComment(post, user) {
+    const text = post.firstComment.text;
+    const platformPostId = post.publishing?.platform_post_id;
+    if (!platformPostId) {
+      return { success: false, error: `No ${post.platform} post id was recorded for this post` };
+    }
+
+    try {
+      switch (post.platform) {
+        case 'instagram': {
+          const ig = user.socialAccounts?.instagram || {};
+          if (!ig.accessToken) return { success: false, error: 'Instagram account not connected' };
+          return await instagramService.createComment(ig.accessToken, platformPostId, text);
+        }
+        case 'facebook': {
+          const page = await platformTokens.facebookPageToken(user, post);
+          if (page.error) return { success: false, error: page.error };
+          return await facebookService.createComment(page.token, platformPostId, text);
+        }
+        case 'twitter': {
+          const client = platformTokens.twitterClient(user);
+          if (!client) return { success: false, error: 'Twitter account not connected' };
+          const reply = await client.v2.reply(text, platformPostId);
+          return { success: true, comment_id: reply.data?.id };
+        }
+        case 'linkedin': {
+          const accessToken = await platformTokens.accessToken(user, 'linkedin');
+          const authorId = user.socialAccounts?.linkedin?.id;
+          if (!accessToken || !authorId) return { success: false, error: 'LinkedIn account not connected' };
+          return await linkedinService.createComment(accessToken, platformPostId, `urn:li:person:${authorId}`, text);
+        }
+        case 'youtube': {
+          const accessToken = await platformTokens.accessToken(user, 'youtube');
+          if (!accessToken) return { success: false, error: 'YouTube account not connected' };
+          return await youtubeService.createComment(accessToken, platformPostId, text);
+        }
+        default:
+          return { success: false, error: `First comments are not supported on ${post.platform}` };
+      }
+    } catch (error) {
+      const errorResponse = handlePlatformError(error, post.platform);
+      return {
+        success: false,
+        error: errorResponse.error.message,
+        statusCode: error.code || error.status || errorResponse.error.statusCode
+      };
+    }
+  }
+}
+
+module.exports = new FirstCommentService();
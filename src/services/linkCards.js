@@ -0,0 +1,180 @@
+// src/services/linkCards.js
+// Open Graph / Twitter Card metadata of links, for link card previews.
+// Only public addresses are fetched: every connection (redirects included)
+// goes through a DNS lookup that refuses private, loopback and link-local
+// addresses, and hosts given as such addresses are refused outright.
+// Results are cached in Redis.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+
+const TIMEOUT_MS = 5000;
+const MAX_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+const CACHE_TTL_SECONDS = 24 * 60 * 60;
+// Failed lookups are retried sooner
+const FAILURE_TTL_SECONDS = 60 * 60;
+const KEY_PREFIX = 'linkcard:';
+
+const PRIVATE_V4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+];
+
+const v4ToInt = (address) => address.split('.').reduce((value, octet) => (value << 8) + Number(octet), 0) >>> 0;
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const value = v4ToInt(address);
+    return PRIVATE_V4.some(([base, bits]) => (value >>> (32 - bits)) === (v4ToInt(base) >>> (32 - bits)));
+  }
+  const lower = address.toLowerCase();
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+}
+
+const privateAddressError = (hostname) =>
+  Object.assign(new Error(`${hostname} does not resolve to a public address`), { code: 'EPRIVATEADDRESS' });
+
+// Hosts written as an address are connected to without a lookup
+function checkLiteralHost(hostname) {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) throw privateAddressError(host);
+}
+
+// dns.lookup that fails for addresses outside the public internet
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked || addresses.length === 0) {
+      return callback(privateAddressError(hostname));
+    }
+    if (options?.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+const decodeEntities = (value) => value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(point) && point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+  }
+  return ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+function metaTags(html) {
+  const tags = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attrs = {};
+    for (const match of tag.matchAll(/([a-z:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+      attrs[match[1].toLowerCase()] = match[3] ?? match[4] ?? match[5];
+    }
+    const key = (attrs.property || attrs.name || '').toLowerCase();
+    if (key && attrs.content !== undefined && tags[key] === undefined) tags[key] = decodeEntities(attrs.content).trim();
+  }
+  return tags;
+}
+
+const absolute = (value, base) => {
+  if (!value) return null;
+  try {
+    const url = new URL(value, base);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+class LinkCards {
+  /**
+   * Card metadata for a link, from the cache or the page itself
+   * @param {string} url
+   * @returns {Promise<Object>} { url, domain, title, description, image,
+   *   site_name, card, error? }; fields the page does not provide are null
+   */
+  async forUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return this.empty(url, null, 'Invalid URL');
+    }
+    if (!/^https?:$/.test(parsed.protocol)) {
+      return this.empty(url, parsed.hostname, 'Only http and https links have cards');
+    }
+
+    const key = `${KEY_PREFIX}${crypto.createHash('sha1').update(parsed.href).digest('hex')}`;
+    const cached = await redis.get(key);
+    if (cached) {
+      try {
+        return JSON.parse(cached);
+      } catch (e) {
+        // Fetched again below
+      }
+    }
+
+    const card = await this.fetch(parsed);
+    await redis.set(key, JSON.stringify(card), card.error ? FAILURE_TTL_SECONDS : CACHE_TTL_SECONDS);
+    return card;
+  }
+
+  async fetch(parsed) {
+    const domain = parsed.hostname.replace(/^www\./, '');
+    try {
+      checkLiteralHost(parsed.hostname);
+      const response = await axios.get(parsed.href, {
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        beforeRedirect: (options) => checkLiteralHost(options.hostname),
+        timeout: TIMEOUT_MS,
+        maxRedirects: MAX_REDIRECTS,
+        maxContentLength: MAX_BYTES,
+        responseType: 'text',
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; BloocubeBot/1.0; link preview)',
+          Accept: 'text/html,application/xhtml+xml'
+        }
+      });
+
+      if (!/html/i.test(response.headers['content-type'] || '')) {
+        return this.empty(parsed.href, domain, 'The link is not a web page');
+      }
+      const finalUrl = response.request?.res?.responseUrl || parsed.href;
+      const html = String(response.data || '');
+      const tags = metaTags(html);
+      const title = html.match(/<title[^>]*>([^<]*)<\/title>/i)?.[1];
+
+      return {
+        url: parsed.href,
+        domain,
+        title: tags['og:title'] || tags['twitter:title'] || (title ? decodeEntities(title).trim() : null) || null,
+        description: tags['og:description'] || tags['twitter:description'] || tags.description || null,
+        image: absolute(tags['og:image'] || tags['og:image:url'] || tags['twitter:image'], finalUrl),
+        site_name: tags['og:site_name'] || null,
+        // Large-image cards show the image above the title, full width
+        card: tags['twitter:card'] || (tags['og:image'] ? 'summary_large_image' : 'summary')
+      };
+    } catch (error) {
+      logger.info('Link card fetch failed', { url: parsed.href, error: error.message });
+      return this.empty(parsed.href, domain, error.code === 'EPRIVATEADDRESS' ? 'The link does not point to a public address' : 'The page could not be fetched');
+    }
+  }
+
+  empty(url, domain, error) {
+    return { url, domain, title: null, description: null, image: null, site_name: null, card: 'summary', error };
+  }
+}
+
+module.exports = new LinkCards();
@@ -0,0 +1,247 @@
+// src/services/linkShortener.js
+// First-party short links with click tracking. Posts with `link_tracking` on
+// have the URLs in their content swapped for short links when they are
+// published (the stored post keeps the originals). Each click is recorded
+// with its referrer, source platform and country, and rolled up into the
+// link, the post's `analytics.clicks` and the matching Analytics record.
+const crypto = require('crypto');
+const ShortLink = require('../models/ShortLink');
+const LinkClick = require('../models/LinkClick');
+const Post = require('../models/Post');
+const Analytics = require('../models/Analytics');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { lookupCountry } = require('../utils/geoip');
+const { replaceUrls, rewritePostTexts, postView } = require('../utils/contentLinks');
+
+const CODE_ALPHABET = 'abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 7;
+const MAX_CODE_ATTEMPTS = 5;
+
+// Referrer hosts of each platform's apps, link wrappers and redirectors
+const REFERRER_PLATFORMS = {
+  twitter: ['t.co', 'twitter.com', 'x.com'],
+  facebook: ['facebook.com', 'fb.com', 'fb.me', 'messenger.com'],
+  instagram: ['instagram.com'],
+  linkedin: ['linkedin.com', 'lnkd.in'],
+  youtube: ['youtube.com', 'youtu.be']
+};
+
+// Link-preview crawlers fetch every link a post contains; counting them
+// would credit each publish with a handful of clicks
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|facebookcatalog|embedly|preview|whatsapp|telegram|discord|skype|headless|curl|wget|python-requests|axios|go-http-client/i;
+
+class LinkShortener {
+  /**
+   * Public origin of short links
+   * @returns {string}
+   */
+  baseUrl() {
+    const base = config.SHORT_LINK_BASE_URL || config.BASE_URL || `http://localhost:${config.PORT}`;
+    return base.replace(/\/$/, '');
+  }
+
+  shortUrl(code) {
+    return `${this.baseUrl()}/l/${code}`;
+  }
+
+  generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    let code = '';
+    for (const byte of bytes) {
+      code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+    }
+    return code;
+  }
+
+  /**
+   * Create a short link, retrying on the rare code collision
+   * @param {Object} data - { url, owner, post, platform }
+   * @returns {Promise<Object>} ShortLink document
+   */
+  async create(data) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await ShortLink.create({ ...data, code: this.generateCode() });
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_CODE_ATTEMPTS) throw error;
+        // Another request made this post's link for the same URL first
+        if (data.post && error.keyPattern?.post) {
+          return ShortLink.findOne({ post: data.post, url: data.url });
+        }
+      }
+    }
+  }
+
+  /**
+   * The post's short link for a URL, created on first use
+   * @param {Object} post - Post document
+   * @param {string} url - Destination
+   */
+  async linkForPost(post, url) {
+    const existing = await ShortLink.findOne({ post: post._id, url });
+    if (existing) return existing;
+    return this.create({ url, owner: post.author?._id || post.author, post: post._id, platform: post.platform });
+  }
+
+  /**
+   * Replace the URLs in a text with the post's short links. Links that are
+   * already short links are left alone.
+   * @param {string} text - Text to rewrite
+   * @param {Object} post - Post the links belong to
+   * @returns {Promise<string>}
+   */
+  async shortenText(text, post) {
+    const own = `${this.baseUrl()}/l/`;
+    return replaceUrls(text, async (url) => {
+      if (url.startsWith(own)) return url;
+      const link = await this.linkForPost(post, url);
+      return this.shortUrl(link.code);
+    });
+  }
+
+  /**
+   * View of a post whose content carries short links in place of its URLs,
+   * for publishing. Other reads and save() go to the post itself.
+   * @param {Object} post - Post document (or a view of one)
+   * @returns {Promise<Object>}
+   */
+  async withShortLinks(post) {
+    if (!post.link_tracking) return post;
+
+    try {
+      const rewritten = await rewritePostTexts(post, text => this.shortenText(text, post));
+      return postView(post, rewritten);
+    } catch (error) {
+      logger.warn('Link shortening failed; publishing original links', { postId: post._id, error: error.message });
+      return post;
+    }
+  }
+
+  /**
+   * Platform a referrer belongs to
+   * @param {string} host - Referrer hostname
+   * @returns {string|null}
+   */
+  platformFromReferrer(host) {
+    if (!host) return null;
+    const name = host.toLowerCase().replace(/^www\./, '');
+    for (const [platform, domains] of Object.entries(REFERRER_PLATFORMS)) {
+      if (domains.some(domain => name === domain || name.endsWith(`.${domain}`))) return platform;
+    }
+    return null;
+  }
+
+  /**
+   * Record one visit and roll it up into the link, post and analytics
+   * @param {Object} link - ShortLink document
+   * @param {Object} visit - { referrer, ip, userAgent }
+   */
+  async recordClick(link, { referrer, ip, userAgent } = {}) {
+    let referrerHost;
+    try {
+      referrerHost = referrer ? new URL(referrer).hostname : undefined;
+    } catch {
+      referrerHost = undefined;
+    }
+    const isBot = BOT_PATTERN.test(userAgent || '');
+    const now = new Date();
+
+    await LinkClick.create({
+      link: link._id,
+      post: link.post,
+      clicked_at: now,
+      referrer: referrer ? String(referrer).slice(0, 2048) : undefined,
+      referrer_host: referrerHost,
+      platform: this.platformFromReferrer(referrerHost) || link.platform,
+      country: lookupCountry(ip) || undefined,
+      is_bot: isBot
+    });
+
+    if (isBot) {
+      await ShortLink.updateOne({ _id: link._id }, { $inc: { bot_clicks: 1 } });
+      return;
+    }
+
+    await ShortLink.updateOne({ _id: link._id }, { $inc: { clicks: 1 }, $set: { last_clicked_at: now } });
+    if (!link.post) return;
+
+    const post = await Post.findByIdAndUpdate(
+      link.post,
+      { $inc: { 'analytics.clicks': 1 }, $set: { 'analytics.lastUpdated': now } },
+      { new: true, timestamps: false }
+    ).select('author platform publishing.platform_post_id');
+
+    // Analytics records are keyed by the platform's post id; keep their
+    // click-through rate in step with impressions
+    if (post?.publishing?.platform_post_id) {
+      const clicks = { $add: [{ $ifNull: ['$metrics.clicks', 0] }, 1] };
+      await Analytics.updateMany(
+        { user_id: post.author, platform: post.platform, post_id: post.publishing.platform_post_id },
+        [{
+          $set: {
+            'metrics.clicks': clicks,
+            'metrics.click_through_rate': {
+              $cond: [
+                { $gt: ['$metrics.impressions', 0] },
+                { $min: [100, { $round: [{ $multiply: [{ $divide: [clicks, '$metrics.impressions'] }, 100] }, 2] }] },
+                { $ifNull: ['$metrics.click_through_rate', 0] }
+              ]
+            },
+            last_updated: now
+          }
+        }]
+      );
+    }
+  }
+
+  /**
+   * Click breakdown of a link
+   * @param {Object} link - ShortLink document
+   * @param {Object} range - { from, to } (Dates, optional)
+   * @returns {Promise<Object>} totals and per day/country/platform/referrer counts
+   */
+  async getStats(link, { from, to } = {}) {
+    const match = { link: link._id, is_bot: false };
+    if (from || to) {
+      match.clicked_at = {};
+      if (from) match.clicked_at.$gte = from;
+      if (to) match.clicked_at.$lte = to;
+    }
+
+    const countBy = (field, limit) => [
+      { $group: { _id: field, clicks: { $sum: 1 } } },
+      { $sort: { clicks: -1, _id: 1 } },
+      ...(limit ? [{ $limit: limit }] : [])
+    ];
+
+    const [facets] = await LinkClick.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          total: [{ $count: 'clicks' }],
+          byDay: [
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$clicked_at' } }, clicks: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ],
+          byCountry: countBy({ $ifNull: ['$country', 'unknown'] }),
+          byPlatform: countBy({ $ifNull: ['$platform', 'unknown'] }),
+          byReferrer: countBy({ $ifNull: ['$referrer_host', 'direct'] }, 20)
+        }
+      }
+    ]);
+
+    const rename = (key) => (rows) => rows.map(row => ({ [key]: row._id, clicks: row.clicks }));
+    return {
+      clicks: facets.total[0]?.clicks || 0,
+      bot_clicks: link.bot_clicks || 0,
+      last_clicked_at: link.last_clicked_at || null,
+      by_day: rename('date')(facets.byDay),
+      by_country: rename('country')(facets.byCountry),
+      by_platform: rename('platform')(facets.byPlatform),
+      by_referrer: rename('referrer')(facets.byReferrer)
+    };
+  }
+}
+
+module.exports = new LinkShortener();
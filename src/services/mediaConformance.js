@@ -0,0 +1,99 @@
+// src/services/mediaConformance.js
+// Runs ffprobe on a post's videos and checks them against the target
+// platform's rules before the post is scheduled or published.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const MediaAsset = require('../models/MediaAsset');
+const VideoAnalysis = require('../utils/videoAnalysis');
+const logger = require('../utils/logger');
+const { loadMediaBuffer } = require('../utils/storage');
+const { checkVideoConformance, getVideoRules } = require('../utils/videoConformance');
+
+class MediaConformance {
+  /**
+   * Probe one media entry. Library assets keep the result, since a stored
+   * file never changes.
+   * @param {Object} item - Post media entry
+   * @returns {Promise<Object>} Normalized probe (VideoAnalysis.parseProbe)
+   */
+  async probeMedia(item) {
+    const asset = item.asset ? await MediaAsset.findById(item.asset).select('probe') : null;
+    if (asset?.probe) return asset.probe;
+
+    let probe;
+    const localPath = item.filename ? path.resolve('./uploads', path.basename(item.filename)) : null;
+    if (localPath && fs.existsSync(localPath)) {
+      probe = await VideoAnalysis.probe(localPath);
+    } else {
+      const { buffer } = await loadMediaBuffer(item);
+      if (!buffer) throw new Error('Could not load the video file');
+      const tmpPath = path.join(os.tmpdir(), `probe-${crypto.randomBytes(8).toString('hex')}${path.extname(item.filename || '')}`);
+      await fs.promises.writeFile(tmpPath, buffer);
+      try {
+        probe = await VideoAnalysis.probe(tmpPath);
+      } finally {
+        await fs.promises.unlink(tmpPath).catch(() => {});
+      }
+    }
+
+    if (asset) {
+      await MediaAsset.updateOne({ _id: asset._id }, { $set: { probe } });
+    }
+    return probe;
+  }
+
+  /**
+   * Check every video of a post (or post-like object) against its platform
+   * @param {Object} post - { platform, post_type, media }
+   * @returns {Promise<Object>} { isValid, checked, skipped, results }
+   *   results: [{ index, filename, asset, rules, violations, warnings, metadata }]
+   */
+  async checkPost(post) {
+    const videos = (post.media || [])
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => item.type === 'video');
+
+    if (videos.length === 0 || !getVideoRules(post.platform, post.post_type)) {
+      return { isValid: true, checked: 0, results: [] };
+    }
+
+    const results = [];
+    for (const { item, index } of videos) {
+      const base = { index, filename: item.filename, asset: item.asset || undefined };
+      let probe;
+      try {
+        probe = await this.probeMedia(item);
+      } catch (error) {
+        if (/ffprobe is not available/.test(error.message)) {
+          logger.warn('ffprobe unavailable; skipping video conformance checks', { postId: post._id });
+          return { isValid: true, checked: 0, skipped: 'Video checks are unavailable on this server', results: [] };
+        }
+        results.push({
+          ...base,
+          rules: null,
+          violations: [{
+            code: 'UNREADABLE_VIDEO',
+            field: 'file',
+            message: `The video could not be read: ${error.message}`,
+            fix: 'Re-export the video as an MP4 (H.264/AAC) and upload it again'
+          }],
+          warnings: []
+        });
+        continue;
+      }
+
+      const check = checkVideoConformance(probe, post.platform, post.post_type);
+      results.push({ ...base, rules: check.rules, violations: check.violations, warnings: check.warnings, metadata: probe });
+    }
+
+    return {
+      isValid: results.every(result => result.violations.length === 0),
+      checked: results.length,
+      results
+    };
+  }
+}
+
+module.exports = new MediaConformance();
@@ -0,0 +1,147 @@
+// src/services/mediaLibrary.js
+// Per-user media library. Uploads are hashed and stored once per owner;
+// posts copy the asset's fields into `media` together with its id, so the
+// publishers keep reading `media.url` while usage stays traceable.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const MediaAsset = require('../models/MediaAsset');
+const Post = require('../models/Post');
+const logger = require('../utils/logger');
+const renditionService = require('./renditionService');
+const { persistBuffer, deleteStoredObject } = require('../utils/storage');
+
+const mediaTypeOf = (mimeType = '') => {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  return 'document';
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+class MediaLibrary {
+  /**
+   * Store an uploaded file in the owner's library, reusing the existing
+   * asset (and stored object) when the same contents were uploaded before
+   * @param {Object} file - Multer file (memory storage)
+   * @param {Object} options - { owner, prefix, folder, tags }
+   * @returns {Promise<{ asset: Object, deduplicated: boolean }>}
+   */
+  async storeUpload(file, { owner, prefix = 'media', folder, tags = [] } = {}) {
+    const hash = sha256(file.buffer);
+    const existing = await MediaAsset.findOne({ owner, sha256: hash });
+    if (existing) {
+      return { asset: existing, deduplicated: true };
+    }
+
+    const stored = await persistBuffer(file.buffer, {
+      prefix,
+      originalName: file.originalname,
+      mimeType: file.mimetype
+    });
+
+    try {
+      const asset = await MediaAsset.create({
+        owner,
+        sha256: hash,
+        type: prefix === 'thumbnails' ? 'image' : mediaTypeOf(file.mimetype),
+        mimeType: file.mimetype,
+        size: file.size,
+        originalName: file.originalname,
+        folder: folder || '/',
+        tags,
+        ...stored
+      });
+      return { asset, deduplicated: false };
+    } catch (error) {
+      // The same file was stored concurrently; keep that one
+      if (error.code === 11000) {
+        await deleteStoredObject(stored).catch(() => {});
+        return { asset: await MediaAsset.findOne({ owner, sha256: hash }), deduplicated: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Post media entries for library assets, in the order given
+   * @param {string|ObjectId} owner - User the assets must belong to
+   * @param {Array<string>} ids - Asset ids
+   * @returns {Promise<{ media: Array<Object>, missing: Array<string> }>}
+   */
+  async resolveAssets(owner, ids = []) {
+    const valid = ids.filter(id => mongoose.isValidObjectId(id));
+    const assets = await MediaAsset.find({ owner, _id: { $in: valid } });
+    const byId = new Map(assets.map(asset => [String(asset._id), asset]));
+
+    const media = [];
+    const missing = [];
+    for (const id of ids) {
+      const asset = byId.get(String(id));
+      if (asset) {
+        media.push(asset.toPostMedia());
+      } else {
+        missing.push(String(id));
+      }
+    }
+
+    if (assets.length > 0) {
+      await MediaAsset.updateMany({ _id: { $in: assets.map(a => a._id) } }, { $set: { last_used_at: new Date() } });
+    }
+    return { media, missing };
+  }
+
+  /**
+   * Number of posts using each asset
+   * @param {Array<ObjectId>} assetIds - Assets
+   * @returns {Promise<Map<string, number>>}
+   */
+  async countUsage(assetIds) {
+    const ids = assetIds.map(id => new mongoose.Types.ObjectId(String(id)));
+    const rows = await Post.aggregate([
+      { $match: { $or: [{ 'media.asset': { $in: ids } }, { 'thumbnail.asset': { $in: ids } }] } },
+      {
+        $project: {
+          assets: {
+            $setUnion: [
+              { $ifNull: ['$media.asset', []] },
+              { $cond: [{ $ifNull: ['$thumbnail.asset', false] }, ['$thumbnail.asset'], []] }
+            ]
+          }
+        }
+      },
+      { $unwind: '$assets' },
+      { $match: { assets: { $in: ids } } },
+      { $group: { _id: '$assets', count: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(row => [String(row._id), row.count]));
+  }
+
+  /**
+   * Posts that use an asset, as media or thumbnail
+   * @param {ObjectId} assetId - Asset
+   * @returns {Query}
+   */
+  findUsage(assetId) {
+    return Post.find({ $or: [{ 'media.asset': assetId }, { 'thumbnail.asset': assetId }] })
+      .select('title platform post_type status scheduling.scheduled_at publishing.published_at publishing.platform_url')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Delete an asset, its stored object and its renditions. Callers check
+   * usage first.
+   * @param {Object} asset - MediaAsset document
+   */
+  async removeAsset(asset) {
+    await asset.deleteOne();
+    await renditionService.clearRenditions(asset);
+    try {
+      await deleteStoredObject(asset);
+    } catch (error) {
+      logger.warn('Failed to delete stored media object', { assetId: asset._id, error: error.message });
+    }
+  }
+}
+
+module.exports = new MediaLibrary();
@@ -308,6 +308,51 @@ class NotificationService {
     });
   }
 
+  /**
+   * Create notification for a post review transition.
+   * `event` is 'submitted', 'reassigned', 'revoked' or 'withdrawn' (sent to the reviewer)
+   * or 'approved' / 'changes_requested' (sent to the author).
+   */
+  static async notifyPostReview(post, { event, recipientId, actorId, comment }) {
+    const title = post.title || `${post.platform} post`;
+    const messages = {
+      submitted: ['Post awaiting your review', `"${title}" was submitted for your review.`, 'high'],
+      reassigned: ['Post awaiting your review', `You were assigned to review "${title}".`, 'high'],
+      revoked: ['Approved post was edited', `"${title}" was edited after approval and needs to be reviewed again.`, 'medium'],
+      withdrawn: ['Post under review was edited', `"${title}" was edited while awaiting your review and is no longer submitted.`, 'medium'],
+      approved: ['Post approved', `"${title}" was approved and can now be scheduled or published.`, 'medium'],
+      changes_requested: ['Changes requested', `Your reviewer requested changes to "${title}".`, 'high']
+    };
+    const [notificationTitle, message, priority] = messages[event];
+
+    return this.createNotification({
+      title: notificationTitle,
+      message: comment ? `${message} Comment: ${comment}` : message,
+      type: NOTIFICATION_TYPES.POST_REVIEW,
+      recipientId,
+      priority,
+      data: {
+        postId: post._id,
+        event,
+        actorId,
+        comment,
+        approvalState: post.approval?.state
+      },
+      relatedResource: {
+        type: 'post',
+        id: post._id
+      },
+      actions: [
+        {
+          label: 'View Post',
+          action: 'view_post',
+          url: `/posts/${post._id}`,
+          style: 'primary'
+        }
+      ]
+    });
+  }
+
   /**
    * Create notification for campaign deadline
    */
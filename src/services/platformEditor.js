@@ -0,0 +1,132 @@
+// src/services/platformEditor.js
+// Pushes edits of a published post to its platform, for the fields the
+// platform's API can change (see utils/platformCapabilities).
+const logger = require('../utils/logger');
+const { handlePlatformError } = require('../utils/standardErrorHandler');
+const { getCapability } = require('../utils/platformCapabilities');
+const platformTokens = require('./platformTokens');
+const utmService = require('./utmService');
+const linkShortener = require('./linkShortener');
+const linkedinService = require('./social/linkedin');
+const youtubeService = require('./social/youtube');
+const facebookService = require('./social/facebook');
+
+const toHashtags = (val) => (Array.isArray(val) ? val : (typeof val === 'string' ? val.split(/[ ,]+/).filter(Boolean) : []))
+  .map(tag => (tag.startsWith('#') ? tag : `#${tag}`));
+
+class PlatformEditor {
+  /**
+   * The platform-side values of a post's editable fields, built the same
+   * way as when it was published
+   * @param {Object} post - Post (or a publish-time view of one)
+   * @returns {Object} field => value; empty for platforms without edits
+   */
+  editableValues(post) {
+    const content = post.content || {};
+    const caption = typeof content.caption === 'string' ? content.caption.trim() : '';
+    const hashtags = toHashtags(content.hashtags);
+
+    switch (post.platform) {
+      case 'youtube': {
+        const youtube = post.platformContent?.youtube || {};
+        return {
+          title: youtube.title || post.title || 'Untitled Video',
+          description: youtube.description || content.caption || '',
+          tags: youtube.tags || []
+        };
+      }
+      case 'facebook':
+        return { message: [caption, hashtags.join(' ')].filter(Boolean).join('\n\n').trim() };
+      case 'linkedin': {
+        const parts = [];
+        if (post.post_type === 'article' && typeof post.title === 'string' && post.title.trim()) parts.push(post.title.trim());
+        parts.push(typeof content.caption === 'string' ? caption : (post.title || 'Shared via Bloocube'));
+        if (content.linkPreview) parts.push(String(content.linkPreview).trim());
+        if (hashtags.length) parts.push(hashtags.join(' '));
+        return { commentary: parts.filter(Boolean).join('\n\n').trim() };
+      }
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Editable fields whose value differs between two editableValues results
+   * @returns {Array<string>}
+   */
+  changedFields(before, after) {
+    return Object.keys(after).filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+  }
+
+  /**
+   * Push changed fields of a published post to its platform
+   * @param {Object} post - Post with the edits applied (not yet saved)
+   * @param {Object} user - Post author with socialAccounts
+   * @param {Array<string>} fields - From changedFields
+   * @returns {Promise<Object>} { success, supported, fields, error, errorCode }
+   */
+  async push(post, user, fields) {
+    const capability = getCapability(post.platform, 'edit');
+    if (!capability.supported) {
+      return { success: false, supported: false, error: capability.reason };
+    }
+
+    const platformPostId = post.publishing?.platform_post_id;
+    if (!platformPostId) {
+      return { success: false, supported: true, error: `No ${post.platform} post id was recorded for this post` };
+    }
+
+    try {
+      // Links are tagged and shortened as they were when published
+      let view = await utmService.withUtm(post);
+      view = await linkShortener.withShortLinks(view);
+      const values = this.editableValues(view);
+
+      let result;
+      switch (post.platform) {
+        case 'youtube': {
+          const accessToken = await platformTokens.accessToken(user, 'youtube');
+          if (!accessToken) return { success: false, supported: true, error: 'YouTube account not connected' };
+          const youtube = post.platformContent?.youtube || {};
+          result = await youtubeService.updateVideoMetadata(accessToken, platformPostId, {
+            ...values,
+            category: youtube.category || 'Entertainment',
+            isShort: post.post_type === 'short' || !!youtube.is_short
+          });
+          break;
+        }
+        case 'facebook': {
+          const page = await platformTokens.facebookPageToken(user, post);
+          if (page.error) return { success: false, supported: true, error: page.error };
+          // Videos keep their text in `description`; feed and photo posts in `message`
+          const field = platformPostId.includes('_') ? 'message' : 'description';
+          result = await facebookService.updatePost(page.token, platformPostId, { [field]: values.message });
+          break;
+        }
+        case 'linkedin': {
+          const accessToken = await platformTokens.accessToken(user, 'linkedin');
+          if (!accessToken) return { success: false, supported: true, error: 'LinkedIn account not connected' };
+          result = await linkedinService.updateCommentary(accessToken, platformPostId, values.commentary);
+          break;
+        }
+      }
+
+      if (!result.success) {
+        return { success: false, supported: true, error: result.error };
+      }
+      logger.info('Published post edited on platform', { postId: post._id, platform: post.platform, fields });
+      return { success: true, supported: true, fields };
+    } catch (error) {
+      logger.error('Platform edit failed', { postId: post._id, platform: post.platform, error: error.message });
+      const errorResponse = handlePlatformError(error, post.platform);
+      return {
+        success: false,
+        supported: true,
+        error: errorResponse.error.message,
+        errorCode: errorResponse.error.code
+      };
+    }
+  }
+}
+
+module.exports = new PlatformEditor();
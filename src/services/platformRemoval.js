@@ -0,0 +1,126 @@
+// src/services/platformRemoval.js
+// Takes a published post down on its platform, using the platform post id
+// stored at publish time.
+const logger = require('../utils/logger');
+const { handlePlatformError } = require('../utils/standardErrorHandler');
+const { getCapability } = require('../utils/platformCapabilities');
+const platformTokens = require('./platformTokens');
+const linkedinService = require('./social/linkedin');
+const youtubeService = require('./social/youtube');
+const facebookService = require('./social/facebook');
+
+class PlatformRemoval {
+  /**
+   * Take a published post down on its platform
+   * @param {Object} post - Published Post
+   * @param {Object} user - Post author with socialAccounts
+   * @returns {Promise<Object>} { success, supported, method, alreadyRemoved,
+   *   note, error, errorCode }
+   */
+  async remove(post, user) {
+    const support = getCapability(post.platform, 'remove');
+    if (!support.supported) {
+      return { success: false, supported: false, error: support.reason };
+    }
+
+    const platformPostId = post.publishing?.platform_post_id;
+    if (!platformPostId) {
+      return { success: false, supported: true, error: `No ${post.platform} post id was recorded for this post` };
+    }
+
+    try {
+      let result;
+      switch (post.platform) {
+        case 'twitter':
+          result = await this.removeTweet(post, user, platformPostId);
+          break;
+        case 'linkedin':
+          result = await this.removeLinkedInPost(user, platformPostId);
+          break;
+        case 'facebook':
+          result = await this.removeFacebookPost(post, user);
+          break;
+        case 'youtube':
+          result = await this.removeYouTubeVideo(user, platformPostId);
+          break;
+      }
+
+      if (result.success) {
+        logger.info('Post removed from platform', {
+          postId: post._id,
+          platform: post.platform,
+          method: result.method,
+          alreadyRemoved: !!result.alreadyRemoved
+        });
+      }
+      return { supported: true, ...result };
+    } catch (error) {
+      logger.error('Platform removal failed', { postId: post._id, platform: post.platform, error: error.message });
+      const errorResponse = handlePlatformError(error, post.platform);
+      return {
+        success: false,
+        supported: true,
+        error: errorResponse.error.message,
+        errorCode: errorResponse.error.code
+      };
+    }
+  }
+
+  async removeTweet(post, user, tweetId) {
+    const client = platformTokens.twitterClient(user);
+    if (!client) return { success: false, error: 'Twitter account not connected' };
+
+    try {
+      await client.v2.deleteTweet(tweetId);
+    } catch (error) {
+      if (error.code !== 404) throw error;
+      return { success: true, method: 'deleted', alreadyRemoved: true };
+    }
+
+    return {
+      success: true,
+      method: 'deleted',
+      // Only the first tweet's id is kept for threads
+      note: post.post_type === 'thread' ? 'The first tweet of the thread was deleted; replies to it stay up' : undefined
+    };
+  }
+
+  async removeLinkedInPost(user, postUrn) {
+    const accessToken = await platformTokens.accessToken(user, 'linkedin');
+    if (!accessToken) return { success: false, error: 'LinkedIn account not connected' };
+
+    const result = await linkedinService.deletePost(accessToken, postUrn);
+    return result.success
+      ? { success: true, method: 'deleted', alreadyRemoved: result.alreadyRemoved }
+      : { success: false, error: result.error };
+  }
+
+  async removeFacebookPost(post, user) {
+    const page = await platformTokens.facebookPageToken(user, post);
+    if (page.error) return { success: false, error: page.error };
+
+    const result = await facebookService.deletePost(page.token, post.publishing.platform_post_id);
+    return result.success
+      ? { success: true, method: 'deleted', alreadyRemoved: result.alreadyRemoved }
+      : { success: false, error: result.error };
+  }
+
+  async removeYouTubeVideo(user, videoId) {
+    const accessToken = await platformTokens.accessToken(user, 'youtube');
+    if (!accessToken) return { success: false, error: 'YouTube account not connected' };
+
+    const deleted = await youtubeService.deleteVideo(accessToken, videoId);
+    if (deleted.success) {
+      return { success: true, method: 'deleted', alreadyRemoved: deleted.alreadyRemoved };
+    }
+
+    // Fall back to hiding the video when it cannot be deleted
+    const hidden = await youtubeService.updateVideoPrivacyStatus(accessToken, videoId, 'private');
+    if (hidden.success) {
+      return { success: true, method: 'made_private', note: `Video could not be deleted (${deleted.error}); it was made private instead` };
+    }
+    return { success: false, error: `${deleted.error}; making the video private also failed: ${hidden.error}` };
+  }
+}
+
+module.exports = new PlatformRemoval();
@@ -0,0 +1,83 @@
+// src/services/platformTokens.js
+// Access tokens for acting on a user's already-published posts
+const { TwitterApi } = require('twitter-api-v2');
+const User = require('../models/User');
+const config = require('../config/env');
+const linkedinService = require('./social/linkedin');
+const youtubeService = require('./social/youtube');
+const facebookService = require('./social/facebook');
+
+const REFRESHABLE = {
+  linkedin: linkedinService,
+  youtube: youtubeService
+};
+
+class PlatformTokens {
+  /**
+   * Access token for a platform, refreshed first if it has expired
+   * @param {Object} user - User with socialAccounts
+   * @param {string} platform - 'linkedin' or 'youtube'
+   * @returns {Promise<string|null>} null if the account is not connected
+   */
+  async accessToken(user, platform) {
+    const account = user.socialAccounts?.[platform];
+    if (!account?.accessToken) return null;
+    if (!account.expiresAt || account.expiresAt >= new Date()) return account.accessToken;
+
+    const refreshResult = await REFRESHABLE[platform].refreshToken(account.refreshToken);
+    if (!refreshResult.success) {
+      throw new Error(`${platform} token expired and could not be refreshed`);
+    }
+    await User.findByIdAndUpdate(user._id, {
+      $set: {
+        [`socialAccounts.${platform}.accessToken`]: refreshResult.access_token,
+        [`socialAccounts.${platform}.refreshToken`]: refreshResult.refresh_token,
+        [`socialAccounts.${platform}.expiresAt`]: new Date(Date.now() + refreshResult.expires_in * 1000)
+      }
+    });
+    return refreshResult.access_token;
+  }
+
+  /**
+   * Twitter client for the user's OAuth 2.0 or OAuth 1.0a tokens
+   * @param {Object} user - User with socialAccounts
+   * @returns {TwitterApi|null} null if the account is not connected
+   */
+  twitterClient(user) {
+    const tw = user.socialAccounts?.twitter || {};
+    if (tw.accessToken) return new TwitterApi(tw.accessToken);
+    if (tw.oauth_accessToken && tw.oauth_accessSecret) {
+      return new TwitterApi({
+        appKey: config.TWITTER_APP_KEY,
+        appSecret: config.TWITTER_APP_SECRET,
+        accessToken: tw.oauth_accessToken,
+        accessSecret: tw.oauth_accessSecret
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Token of the Facebook Page a post was published to
+   * @param {Object} user - User with socialAccounts
+   * @param {Object} post - Published Post
+   * @returns {Promise<{ token: string } | { error: string }>}
+   */
+  async facebookPageToken(user, post) {
+    const fb = user.socialAccounts?.facebook;
+    if (!fb?.accessToken) return { error: 'Facebook account not connected' };
+
+    // Feed and photo post ids start with the page id; videos need the page we published to
+    const postId = post.publishing.platform_post_id;
+    const pageId = postId.includes('_')
+      ? postId.split('_')[0]
+      : post.platformContent?.facebook?.pageId || fb.defaultPageId;
+    if (!pageId) return { error: 'Could not tell which Facebook Page this post is on' };
+
+    const token = await facebookService.getPageAccessToken(fb.accessToken, pageId);
+    if (!token) return { error: 'The connected Facebook account no longer manages the Page this was posted to' };
+    return { token };
+  }
+}
+
+module.exports = new PlatformTokens();
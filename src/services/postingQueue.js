@@ -0,0 +1,252 @@
+// src/services/postingQueue.js
+// Per-account posting queues. Queued posts are ordinary scheduled posts
+// whose times come from their queue: after every change the queue's posts,
+// in order, are given its earliest free slots (slots that no hand-scheduled
+// post on the account already uses).
+const Post = require('../models/Post');
+const PostingQueue = require('../models/PostingQueue');
+const logger = require('../utils/logger');
+const { findNextOccurrence } = require('../utils/recurrence');
+const { isValidTimeZone } = require('../utils/timezone');
+
+// Earliest a slot may be handed out, from now
+const MIN_LEAD_MS = 5 * 60 * 1000;
+// A hand-scheduled post this close to a slot takes it
+const SLOT_TOLERANCE_MS = 60 * 1000;
+// Longest queue that is given slots
+const MAX_QUEUED = 500;
+
+const queuedFilter = (userId, platform) => ({
+  author: userId,
+  platform,
+  status: 'scheduled',
+  'scheduling.queue.queued': true
+});
+
+class PostingQueueService {
+  getQueue(userId, platform) {
+    return PostingQueue.findOne({ user: userId, platform });
+  }
+
+  /**
+   * The account's queued posts in queue order
+   * @returns {Promise<Array<Object>>}
+   */
+  queuedPosts(userId, platform) {
+    return Post.find(queuedFilter(userId, platform))
+      .sort({ 'scheduling.queue.position': 1, 'scheduling.scheduled_at': 1 })
+      .limit(MAX_QUEUED);
+  }
+
+  /**
+   * The queue's slot times after `from`, soonest first
+   * @param {Object} queue - PostingQueue
+   * @param {number} count - How many
+   * @returns {Array<Date>}
+   */
+  upcomingSlots(queue, count, from = new Date(Date.now() + MIN_LEAD_MS)) {
+    if (!queue?.slots?.length) return [];
+    const zone = isValidTimeZone(queue.timezone) ? queue.timezone : 'UTC';
+    const rules = queue.slots.map(slot => ({ enabled: true, frequency: 'weekly', days: [slot.day], time: slot.time }));
+    const next = rules.map(rule => findNextOccurrence(rule, from, from, zone)?.date);
+
+    const slots = [];
+    while (slots.length < count) {
+      let soonest = -1;
+      next.forEach((date, index) => {
+        if (date && (soonest === -1 || date < next[soonest])) soonest = index;
+      });
+      if (soonest === -1) break;
+      const date = next[soonest];
+      // Two slots can land on one instant around DST changes
+      if (slots.length === 0 || slots[slots.length - 1].getTime() !== date.getTime()) slots.push(date);
+      next[soonest] = findNextOccurrence(rules[soonest], date, date, zone)?.date;
+    }
+    return slots;
+  }
+
+  /**
+   * The first `count` upcoming slots no hand-scheduled post uses
+   * @returns {Promise<Array<Date>>}
+   */
+  async freeSlots(queue, count) {
+    const taken = await Post.find({
+      author: queue.user,
+      platform: queue.platform,
+      status: { $in: ['scheduled', 'publishing'] },
+      'scheduling.queue.queued': { $ne: true },
+      'scheduling.scheduled_at': { $gte: new Date() }
+    }).select('scheduling.scheduled_at').lean();
+
+    const takenTimes = taken.map(post => new Date(post.scheduling.scheduled_at).getTime());
+    const isFree = (date) => !takenTimes.some(time => Math.abs(time - date.getTime()) < SLOT_TOLERANCE_MS);
+    return this.upcomingSlots(queue, count + takenTimes.length).filter(isFree).slice(0, count);
+  }
+
+  /**
+   * The slot the next post added to the account's queue would take
+   * @returns {Promise<Object>} { queue, scheduled_at } or { error }
+   */
+  async nextSlot(userId, platform) {
+    const queue = await this.getQueue(userId, platform);
+    if (!queue || queue.slots.length === 0) {
+      return { error: `No posting queue slots are set up for ${platform}` };
+    }
+    const queued = await Post.countDocuments(queuedFilter(userId, platform));
+    if (queued >= MAX_QUEUED) {
+      return { error: `The ${platform} queue is full (${MAX_QUEUED} posts)` };
+    }
+    const slots = await this.freeSlots(queue, queued + 1);
+    if (slots.length <= queued) {
+      return { error: `The ${platform} queue has no free slot left` };
+    }
+    return { queue, scheduled_at: slots[queued] };
+  }
+
+  /**
+   * Mark a post (not yet saved) as the last in its queue. Call rebalance
+   * once it is saved.
+   */
+  async prepare(post, queue) {
+    const last = await Post.findOne(queuedFilter(post.author, post.platform))
+      .sort({ 'scheduling.queue.position': -1 })
+      .select('scheduling.queue.position');
+    post.set('scheduling.queue', {
+      queued: true,
+      position: (last?.scheduling?.queue?.position || 0) + 1,
+      paused: queue.paused
+    });
+  }
+
+  /**
+   * Add a saved post to the end of its account's queue and schedule it
+   * @returns {Promise<Object>} { post } or { error }
+   */
+  async add(post) {
+    const slot = await this.nextSlot(post.author, post.platform);
+    if (slot.error) return slot;
+
+    post.status = 'scheduled';
+    post.scheduling = { scheduled_at: slot.scheduled_at, timezone: slot.queue.timezone };
+    await this.prepare(post, slot.queue);
+    await post.save();
+    await this.rebalance(slot.queue);
+    return { post: await Post.findById(post._id) };
+  }
+
+  /**
+   * Take a post out of the queue; it goes back to draft
+   * @returns {Promise<boolean>} Whether it was queued
+   */
+  async remove(queue, postId) {
+    const result = await Post.updateOne(
+      { _id: postId, ...queuedFilter(queue.user, queue.platform) },
+      {
+        $set: { status: 'draft', 'scheduling.queue.queued': false },
+        $unset: { 'scheduling.scheduled_at': '', 'scheduling.queue.position': '', 'scheduling.queue.paused': '' }
+      }
+    );
+    if (result.modifiedCount === 0) return false;
+    await this.rebalance(queue);
+    return true;
+  }
+
+  /**
+   * Put the queue in the given order
+   * @param {Array<string>} postIds - Every queued post, in the new order
+   * @returns {Promise<Object>} { posts } or { error }
+   */
+  async reorder(queue, postIds) {
+    const posts = await this.queuedPosts(queue.user, queue.platform);
+    const queued = new Set(posts.map(post => String(post._id)));
+    const ordered = postIds.map(String);
+    if (ordered.length !== queued.size || new Set(ordered).size !== ordered.length || ordered.some(id => !queued.has(id))) {
+      return { error: 'postIds must list every queued post exactly once' };
+    }
+
+    await Post.bulkWrite(ordered.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, status: 'scheduled' },
+        update: { $set: { 'scheduling.queue.position': index + 1 } }
+      }
+    })));
+    return { posts: await this.rebalance(queue) };
+  }
+
+  /**
+   * Put the queue in random order
+   * @returns {Promise<Object>} { posts }
+   */
+  async shuffle(queue) {
+    const ids = (await this.queuedPosts(queue.user, queue.platform)).map(post => String(post._id));
+    for (let i = ids.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+    return this.reorder(queue, ids);
+  }
+
+  /**
+   * Pause or resume the queue. Resuming moves its posts to the next free
+   * slots, since the ones they held may have passed.
+   */
+  async setPaused(queue, paused) {
+    queue.paused = paused;
+    queue.paused_at = paused ? new Date() : undefined;
+    await queue.save();
+    await Post.updateMany(
+      queuedFilter(queue.user, queue.platform),
+      { $set: { 'scheduling.queue.paused': paused } }
+    );
+    return this.rebalance(queue);
+  }
+
+  /**
+   * Give the queue's posts, in order, the earliest free slots
+   * @returns {Promise<Array<Object>>} Queued posts with their new times
+   */
+  async rebalance(queue) {
+    const posts = await this.queuedPosts(queue.user, queue.platform);
+    if (posts.length === 0) return [];
+    const slots = await this.freeSlots(queue, posts.length);
+
+    const placed = posts.slice(0, slots.length);
+    await Post.bulkWrite(placed.map((post, index) => ({
+      updateOne: {
+        // A post the scheduler has already claimed keeps its time
+        filter: { _id: post._id, status: 'scheduled' },
+        update: {
+          $set: {
+            'scheduling.scheduled_at': slots[index],
+            'scheduling.timezone': queue.timezone,
+            'scheduling.queue.position': index + 1,
+            'scheduling.queue.paused': queue.paused
+          },
+          $unset: { 'scheduling.local_time': '', 'scheduling.dst_adjustment': '' }
+        }
+      }
+    })));
+    placed.forEach((post, index) => {
+      post.scheduling.scheduled_at = slots[index];
+      post.scheduling.queue.position = index + 1;
+    });
+    if (placed.length < posts.length) {
+      logger.warn('Posting queue has fewer slots than posts', { userId: queue.user, platform: queue.platform, posts: posts.length });
+    }
+    return placed;
+  }
+
+  /**
+   * Rebalance the account's queue, if it has one; used after a post is
+   * hand-scheduled into what may have been a queue slot
+   */
+  async refresh(userId, platform) {
+    const queue = await this.getQueue(userId, platform);
+    if (!queue || queue.slots.length === 0) return;
+    await this.rebalance(queue).catch((error) => {
+      logger.error('Posting queue rebalance failed', { userId, platform, error: error.message });
+    });
+  }
+}
+
+module.exports = new PostingQueueService();
@@ -0,0 +1,232 @@
+// src/services/previewService.js
+// Render models of a post as each platform will show it: the published
+// text with its highlighted hashtags, mentions and links, the "more" cut,
+// the link card, how each image is cropped and, on Twitter, the thread.
+// Enough for a client to draw the preview without knowing platform rules.
+const MediaAsset = require('../models/MediaAsset');
+const logger = require('../utils/logger');
+const { validatePostContent, contentLength, PLATFORM_VALIDATORS } = require('../utils/postValidation');
+const { splitThread, MAX_TWEET_LENGTH } = require('../utils/twitterText');
+const {
+  publishedText,
+  highlight,
+  truncate,
+  linkCardUrl,
+  feedCropRules,
+  shownAspect,
+  ratioLabel
+} = require('../utils/postPreview');
+const renditionService = require('./renditionService');
+const linkCards = require('./linkCards');
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+class PreviewService {
+  /**
+   * Render model of a post on its platform
+   * @param {Object} source - Post, or a plain object with its platform,
+   *   post_type, title, content, platformContent, media and thumbnail
+   * @param {Object} options - { fetchLinks: false skips link card metadata,
+   *   numbering: for split threads ('suffix', 'prefix' or false) }
+   * @returns {Promise<Object>}
+   */
+  async render(source, { fetchLinks = true, numbering = 'suffix' } = {}) {
+    const post = plain(source);
+    const { platform } = post;
+    const { text, title } = publishedText(post);
+    const media = await this.describeMedia(post.media || []);
+    const maxLength = PLATFORM_VALIDATORS[platform]?.maxLength || null;
+    const length = contentLength(text, platform);
+    const validation = validatePostContent({ ...post, content: { ...(post.content || {}), caption: text } }, platform);
+
+    const preview = {
+      platform,
+      post_type: post.post_type || 'post',
+      title,
+      text,
+      length,
+      max_length: maxLength,
+      over_limit: Boolean(maxLength && length > maxLength),
+      segments: highlight(text, platform),
+      truncation: truncate(text, platform),
+      link_card: null,
+      media: [],
+      thumbnail: null,
+      thread: null,
+      errors: validation.errors,
+      warnings: validation.warnings
+    };
+
+    if (platform === 'twitter') {
+      preview.thread = this.buildThread(post, text, media, numbering);
+      if (preview.thread) {
+        // The first tweet is what shows in the timeline
+        const first = preview.thread.tweets[0];
+        preview.media = first?.media || [];
+        preview.link_card = await this.card(first?.text, post, preview.media.length > 0, fetchLinks);
+        for (const tweet of preview.thread.tweets.slice(1)) {
+          tweet.link_card = await this.card(tweet.text, post, tweet.media.length > 0, fetchLinks);
+        }
+        return preview;
+      }
+    }
+
+    preview.media = this.frameMedia(post, media);
+    preview.link_card = await this.card(text, post, media.length > 0, fetchLinks);
+    if (platform === 'youtube' && post.thumbnail?.url) {
+      const [thumbnail] = await this.describeMedia([post.thumbnail]);
+      preview.thumbnail = this.frame(thumbnail, { aspect: renditionService.profiles.youtube_thumbnail.aspect });
+    }
+    return preview;
+  }
+
+  /**
+   * Media entries with their size (when it can be read) and focal point
+   * @returns {Promise<Array<Object>>}
+   */
+  async describeMedia(items) {
+    const ids = items.map(item => item.asset).filter(Boolean);
+    const assets = ids.length > 0
+      ? await MediaAsset.find({ _id: { $in: ids } }).select('width height focal_point probe').lean()
+      : [];
+    const byId = new Map(assets.map(asset => [String(asset._id), asset]));
+
+    const described = [];
+    for (const [index, item] of items.entries()) {
+      const asset = item.asset ? byId.get(String(item.asset)) : null;
+      let size = null;
+      if (item.type === 'image') {
+        size = asset?.width && asset?.height ? { width: asset.width, height: asset.height } : await renditionService.imageSize(item);
+      } else if (item.type === 'video' && asset?.probe?.video) {
+        // Only sizes already probed; previews never run ffprobe
+        size = { width: asset.probe.video.width, height: asset.probe.video.height };
+      }
+      described.push({
+        index,
+        type: item.type,
+        url: item.url,
+        mimeType: item.mimeType,
+        width: size?.width || null,
+        height: size?.height || null,
+        focal: asset?.focal_point
+      });
+    }
+    return described;
+  }
+
+  // Each image of a post with the crop its platform applies
+  frameMedia(post, media) {
+    if (post.platform === 'instagram') {
+      return media.map(item => this.frame(item, this.instagramRule(post, item)));
+    }
+    const images = media.filter(item => item.type === 'image');
+    const rules = feedCropRules(post.platform, images.length);
+    return media.map(item => this.frame(item, item.type === 'image' ? rules[images.indexOf(item)] : null));
+  }
+
+  // Instagram images are cropped to the rendition made when publishing
+  instagramRule(post, item) {
+    if (item.type !== 'image' || /gif$/i.test(item.mimeType || '')) return null;
+    const requested = post.platformContent?.instagram?.aspect_ratio;
+    if (!item.width && !['1:1', '4:5'].includes(requested) && !['story', 'reel'].includes(post.post_type)) {
+      return null;
+    }
+    const profile = renditionService.profileFor(post, { width: item.width, height: item.height });
+    const aspect = renditionService.profiles[profile]?.aspect;
+    return aspect ? { aspect } : null;
+  }
+
+  /**
+   * One media entry as shown under a crop rule
+   * @returns {Object} { index, type, url, width, height, aspect, crop,
+   *   cropped }; crop is the kept box in source pixels, null when the
+   *   image is shown whole or its size is unknown
+   */
+  frame(item, rule) {
+    const own = item.width && item.height ? item.width / item.height : null;
+    const aspect = shownAspect(rule, own);
+    // Without the size, whether a rule crops is unknown (null)
+    const cropped = own ? Math.abs(aspect - own) >= 0.01 : (rule ? null : false);
+    return {
+      index: item.index,
+      type: item.type,
+      url: item.url,
+      width: item.width,
+      height: item.height,
+      aspect: aspect ? ratioLabel(aspect) : null,
+      crop: cropped ? renditionService.focalCrop(item.width, item.height, aspect, item.focal) : null,
+      cropped
+    };
+  }
+
+  /**
+   * The tweets a Twitter post goes out as: its thread entries, or its
+   * text split the way /api/twitter/thread/split would split it when it
+   * is a thread without entries or too long for one tweet
+   * @returns {Object|null} { source: 'entries'|'split', tweets }
+   */
+  buildThread(post, text, media, numbering) {
+    const entries = post.platformContent?.twitter?.thread;
+    const isThread = post.post_type === 'thread';
+    let source;
+    let tweets;
+    if (isThread && Array.isArray(entries) && entries.length > 0) {
+      source = 'entries';
+      tweets = entries.map(entry => (typeof entry === 'string' ? { text: entry } : { text: entry?.text, media: entry?.media }));
+    } else if (isThread || contentLength(text, 'twitter') > MAX_TWEET_LENGTH) {
+      source = 'split';
+      tweets = splitThread(text, { numbering }).map(tweet => ({ text: tweet.text }));
+    } else {
+      return null;
+    }
+
+    // As when publishing: entries may pick their own media, otherwise all
+    // media go on the first tweet
+    const perTweetMedia = tweets.some(tweet => Array.isArray(tweet.media) && tweet.media.length > 0);
+    const mediaFor = (i) => (perTweetMedia
+      ? (tweets[i].media || []).map(index => media[Number(index)]).filter(Boolean)
+      : (i === 0 ? media : []));
+
+    return {
+      source,
+      tweets: tweets.map((tweet, i) => {
+        const tweetText = String(tweet.text || '').trim();
+        const tweetMedia = mediaFor(i);
+        const images = tweetMedia.filter(item => item.type === 'image');
+        const rules = feedCropRules('twitter', images.length);
+        const length = contentLength(tweetText, 'twitter');
+        return {
+          position: i + 1,
+          text: tweetText,
+          length,
+          over_limit: length > MAX_TWEET_LENGTH,
+          segments: highlight(tweetText, 'twitter'),
+          media: tweetMedia.map(item => this.frame(item, item.type === 'image' ? rules[images.indexOf(item)] : null)),
+          link_card: null
+        };
+      })
+    };
+  }
+
+  async card(text, post, hasMedia, fetchLinks) {
+    const url = linkCardUrl(text, post, hasMedia);
+    if (!url) return null;
+    if (!fetchLinks) {
+      let domain = null;
+      try {
+        domain = new URL(url).hostname.replace(/^www\./, '');
+      } catch (e) {
+        // Left without a domain
+      }
+      return { url, domain, title: null, description: null, image: null, site_name: null, card: null };
+    }
+    try {
+      return await linkCards.forUrl(url);
+    } catch (error) {
+      logger.warn('Link card lookup failed', { url, error: error.message });
+      return { url, domain: null, title: null, description: null, image: null, site_name: null, card: null, error: 'The page could not be fetched' };
+    }
+  }
+}
+
+module.exports = new PreviewService();
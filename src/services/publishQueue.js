@@ -0,0 +1,510 @@
+// src/services/publishQueue.js
+// Persistent publish queue backed by Mongo. Each attempt is a separate job
+// run, so a restart never loses a retry and backoff never blocks a cron tick
+// or an HTTP request.
+const os = require('os');
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const PostGroup = require('../models/PostGroup');
+const PublishJob = require('../models/PublishJob');
+const PublishSlot = require('../models/PublishSlot');
+const DeadLetterJob = require('../models/DeadLetterJob');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const NotificationService = require('./notificationService');
+const { ERROR_CODES } = require('../utils/standardErrorHandler');
+const { failureRecord } = require('../utils/publishFailures');
+const {
+  RETRY_CONFIG,
+  isRetryableError,
+  calculateDelay,
+  updatePostWithRetryInfo
+} = require('../utils/retryLogic');
+
+// Jobs allowed to run at once per platform, across all instances.
+// Override with e.g. PUBLISH_CONCURRENCY_TWITTER=10
+const PLATFORM_CONCURRENCY = {
+  twitter: 5,
+  linkedin: 3,
+  facebook: 3,
+  instagram: 2,
+  youtube: 1
+};
+
+class PublishQueue {
+  constructor() {
+    this.workerId = `${process.env.K_REVISION || os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    // A running job whose lock expires is assumed lost and runs again
+    this.lockMs = parseInt(process.env.PUBLISH_JOB_LOCK_MS, 10) || 15 * 60 * 1000;
+    this.processing = false;
+    // Slot documents known to exist, per platform
+    this.slotCounts = {};
+  }
+
+  concurrencyFor(platform) {
+    const override = parseInt(process.env[`PUBLISH_CONCURRENCY_${platform.toUpperCase()}`], 10);
+    return override > 0 ? override : (PLATFORM_CONCURRENCY[platform] || 1);
+  }
+
+  /**
+   * Queue a post for publishing. The post moves to 'publishing' and keeps that
+   * status until the job succeeds or is dead-lettered. Queuing a post that
+   * already has a job returns the existing job.
+   * @param {Object} post - Post document
+   * @param {Object} options - { runAt, attempts, lastError, failure: record
+   *   of the attempt that failed before queuing }
+   * @returns {Promise<Object>} Publish job
+   */
+  async enqueue(post, { runAt = new Date(), attempts = 0, lastError, failure } = {}) {
+    const config = RETRY_CONFIG[post.platform];
+    const job = await PublishJob.findOneAndUpdate(
+      { post: post._id },
+      {
+        $setOnInsert: {
+          author: post.author?._id || post.author,
+          platform: post.platform,
+          status: 'queued',
+          attempts,
+          max_attempts: (config ? config.maxRetries : 0) + 1,
+          run_at: runAt,
+          last_error: lastError,
+          attempt_log: lastError ? [{ attempt: attempts, error: lastError }] : []
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    const push = { 'publishing.history': { event: 'queued', worker: this.workerId, at: new Date() } };
+    if (failure) push['publishing.failures'] = failure;
+    await Post.updateOne(
+      { _id: post._id },
+      {
+        $set: { status: 'publishing' },
+        $unset: { 'publishing.lease': '' },
+        $push: push
+      }
+    );
+    post.status = 'publishing';
+
+    logger.info('Post queued for publishing', { postId: post._id, jobId: job._id, platform: post.platform, runAt });
+    return job;
+  }
+
+  /**
+   * Make one publish attempt without retrying. A failed result carries its
+   * `failure` record for Post.publishing.failures; the caller stores it.
+   * @param {number} attemptNumber - Attempt within this publish run
+   * @returns {Promise<Object>} { result, retryable }
+   */
+  async attempt(post, user, attemptNumber = 1) {
+    // Required lazily: the controller itself queues retries through this service
+    const postController = require('../controllers/postController');
+    try {
+      const result = await postController.executePlatformPost(post, user);
+      if (result && result.success) {
+        return { result, retryable: false };
+      }
+      const error = result?.error || 'Platform posting failed';
+      return this.failedAttempt(
+        { ...result, success: false, error },
+        isRetryableError({ message: error, status: result?.status }, post.platform),
+        attemptNumber
+      );
+    } catch (error) {
+      return this.failedAttempt(
+        {
+          success: false,
+          error: error.message || 'Platform posting failed',
+          status: error.response?.status,
+          platformResponse: error.response?.data
+        },
+        isRetryableError(error, post.platform),
+        attemptNumber
+      );
+    }
+  }
+
+  // A failure is also retried when its normalized code says it is
+  // transient (publishers rewrite messages the retry config looks for)
+  failedAttempt(result, retryable, attemptNumber) {
+    const failure = failureRecord(result, { attempt: attemptNumber, worker: this.workerId });
+    failure.retryable = retryable || failure.retryable;
+    return { result: { ...result, failure }, retryable: failure.retryable };
+  }
+
+  /**
+   * Process due jobs, one tick. Safe to call from every instance: jobs are
+   * claimed atomically and this instance never runs two ticks at once.
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+    try {
+      await this.recoverStaleJobs();
+      await Promise.all(Object.keys(RETRY_CONFIG).map(platform => this.processPlatform(platform)));
+    } catch (error) {
+      logger.error('Publish queue processing failed', { error: error.message });
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async processPlatform(platform) {
+    const limit = this.concurrencyFor(platform);
+    await this.ensureSlots(platform, limit);
+
+    // Run in batches that respect the platform limit until nothing is due.
+    // Each job first takes a slot, so instances cannot both fill the last one.
+    for (;;) {
+      const claimed = [];
+      while (claimed.length < limit) {
+        const slot = await this.takeSlot(platform, limit);
+        if (!slot) break;
+        const job = await this.claimNext(platform);
+        if (!job) {
+          await this.releaseSlot(slot);
+          break;
+        }
+        claimed.push({ job, slot });
+      }
+      if (claimed.length === 0) return;
+
+      await Promise.allSettled(claimed.map(({ job, slot }) => this.runJob(job)
+        .then(() => this.releaseSlot(slot))
+        .catch((error) => {
+          // The lock and slot are left in place and expire together;
+          // recoverStaleJobs picks the job up again
+          logger.error('Publish job crashed', { jobId: job._id, error: error.message });
+        })));
+    }
+  }
+
+  // Create the platform's slot documents up to its limit
+  async ensureSlots(platform, limit) {
+    if ((this.slotCounts[platform] || 0) >= limit) return;
+    await PublishSlot.bulkWrite(Array.from({ length: limit }, (_, index) => ({
+      updateOne: {
+        filter: { platform, index },
+        update: { $setOnInsert: { platform, index } },
+        upsert: true
+      }
+    })), { ordered: false });
+    this.slotCounts[platform] = limit;
+  }
+
+  // Hold a free slot of the platform for as long as a job lock lasts
+  takeSlot(platform, limit) {
+    const now = new Date();
+    return PublishSlot.findOneAndUpdate(
+      {
+        platform,
+        index: { $lt: limit },
+        $or: [{ held_until: null }, { held_until: { $lt: now } }]
+      },
+      { $set: { held_by: this.workerId, held_until: new Date(now.getTime() + this.lockMs) } },
+      { new: true, sort: { index: 1 } }
+    );
+  }
+
+  // Free a slot, unless its hold expired and another instance took it
+  releaseSlot(slot) {
+    return PublishSlot.updateOne(
+      { _id: slot._id, held_by: this.workerId, held_until: slot.held_until },
+      { $unset: { held_by: '', held_until: '' } }
+    );
+  }
+
+  claimNext(platform) {
+    const now = new Date();
+    return PublishJob.findOneAndUpdate(
+      { platform, status: 'queued', run_at: { $lte: now } },
+      {
+        $set: {
+          status: 'running',
+          locked_by: this.workerId,
+          locked_until: new Date(now.getTime() + this.lockMs)
+        },
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { run_at: 1 } }
+    );
+  }
+
+  async runJob(job) {
+    const post = await Post.findById(job.post);
+    // Deleted, or published through another path in the meantime
+    if (!post || post.status === 'published') {
+      await job.deleteOne();
+      return;
+    }
+
+    const user = await User.findById(post.author);
+    if (!user) {
+      const failure = failureRecord(
+        { error: 'Author not found', errorCode: ERROR_CODES.INTERNAL_ERROR },
+        { attempt: job.attempts, worker: this.workerId, retryable: false }
+      );
+      await this.deadLetter(job, post, 'author_missing', failure.message, failure);
+      return;
+    }
+
+    const { result, retryable } = await this.attempt(post, user, job.attempts);
+
+    if (result.success) {
+      await job.deleteOne();
+      await this.complete(post, result, job.attempts);
+      return;
+    }
+
+    job.last_error = result.error;
+    job.attempt_log.push({ attempt: job.attempts, error: result.error });
+
+    if (retryable && job.attempts < job.max_attempts) {
+      const delay = calculateDelay(job.attempts - 1, job.platform);
+      job.status = 'queued';
+      job.run_at = new Date(Date.now() + delay);
+      job.locked_by = undefined;
+      job.locked_until = undefined;
+      await job.save();
+      await Post.updateOne({ _id: post._id }, { $push: { 'publishing.failures': result.failure } });
+
+      logger.warn('Publish attempt failed, retry queued', {
+        jobId: job._id,
+        postId: post._id,
+        platform: job.platform,
+        attempt: job.attempts,
+        maxAttempts: job.max_attempts,
+        retryAt: job.run_at,
+        error: result.error
+      });
+      return;
+    }
+
+    await this.deadLetter(job, post, retryable ? 'exhausted' : 'non_retryable', result.error, result.failure);
+  }
+
+  /**
+   * Record a successful publish and run the follow-ups the scheduler used to
+   * do inline (group status, next recurring occurrence)
+   */
+  async complete(post, result, attempt = 1) {
+    await updatePostWithRetryInfo(post, result, attempt);
+
+    if (post.group) {
+      await PostGroup.refreshStatus(post.group);
+    }
+    await this.scheduleNextOccurrence(post);
+
+    logger.info('✅ Post published from queue', {
+      postId: post._id,
+      platform: post.platform,
+      attempts: attempt
+    });
+  }
+
+  /**
+   * Mark a post failed for good. A failed occurrence does not end its
+   * recurring series: the next one is scheduled as after a publish.
+   */
+  async fail(post, result, attempt = 1) {
+    await updatePostWithRetryInfo(post, result, attempt);
+
+    if (post.group) {
+      await PostGroup.refreshStatus(post.group);
+    }
+    await this.scheduleNextOccurrence(post);
+  }
+
+  /**
+   * Schedule the occurrence after a recurring post that was published or
+   * failed. Runs once per occurrence, so a failed post that is retried and
+   * then published does not add a second one.
+   * @returns {Promise<Object|null>} The new post
+   */
+  async scheduleNextOccurrence(post) {
+    if (!post.scheduling?.recurring?.enabled) return null;
+
+    const next = post.buildNextOccurrence();
+    if (!next) {
+      logger.info('Recurring series finished', { postId: post._id });
+      return null;
+    }
+    const { series_id: seriesId, occurrence } = next.scheduling.recurring;
+    if (await Post.exists({ 'scheduling.recurring.series_id': seriesId, 'scheduling.recurring.occurrence': occurrence })) {
+      return null;
+    }
+
+    await next.save();
+    logger.info('🔁 Next recurring occurrence scheduled', {
+      postId: post._id,
+      nextPostId: next._id,
+      scheduledAt: next.scheduling.scheduled_at
+    });
+    return next;
+  }
+
+  /**
+   * Move a job to the dead-letter collection and mark its post failed
+   * @param {Object} failure - Record of the last attempt, if there was one
+   */
+  async deadLetter(job, post, reason, error, failure) {
+    const deadLetter = await DeadLetterJob.create({
+      post: job.post,
+      author: job.author,
+      platform: job.platform,
+      reason,
+      attempts: job.attempts,
+      last_error: error,
+      attempt_log: job.attempt_log,
+      original_job_id: job._id
+    });
+    await job.deleteOne();
+
+    if (post) {
+      await this.fail(post, { success: false, error, failure }, job.attempts);
+
+      await NotificationService.createNotification({
+        title: 'Post failed to publish',
+        message: `Your ${post.platform} post could not be published: ${error}`,
+        type: 'system_alert',
+        recipientId: post.author,
+        priority: 'high',
+        data: { postId: post._id, reason },
+        relatedResource: { type: 'post', id: post._id }
+      }).catch((notifyError) => {
+        logger.warn('Failed to notify author about dead-lettered post', { postId: post._id, error: notifyError.message });
+      });
+    }
+
+    logger.error('Publish job moved to dead-letter collection', {
+      jobId: job._id,
+      deadLetterId: deadLetter._id,
+      postId: job.post,
+      platform: job.platform,
+      reason,
+      attempts: job.attempts,
+      error
+    });
+    return deadLetter;
+  }
+
+  /**
+   * Put running jobs whose lock expired (crashed worker) back in the queue, or
+   * dead-letter them if that was their last attempt
+   */
+  async recoverStaleJobs() {
+    const now = new Date();
+    const stale = await PublishJob.find({ status: 'running', locked_until: { $lt: now } });
+    for (const job of stale) {
+      // Still held by the same worker with its lock expired, checked in the
+      // same operation that takes the job over: a worker that finished or
+      // was recovered by another instance meanwhile is left alone
+      const stillStale = { _id: job._id, status: 'running', locked_by: job.locked_by, locked_until: { $lt: now } };
+      const error = `Worker ${job.locked_by} stopped while publishing`;
+      const failure = failureRecord(
+        { error, errorCode: ERROR_CODES.INTERNAL_ERROR },
+        { attempt: job.attempts, worker: job.locked_by, retryable: true }
+      );
+      if (job.attempts >= job.max_attempts) {
+        const taken = await PublishJob.findOneAndDelete(stillStale);
+        if (!taken) continue;
+        const post = await Post.findById(job.post);
+        await this.deadLetter(taken, post, 'exhausted', error, failure);
+        continue;
+      }
+      const { modifiedCount } = await PublishJob.updateOne(
+        stillStale,
+        {
+          $set: { status: 'queued', run_at: new Date(), last_error: error },
+          $unset: { locked_by: '', locked_until: '' },
+          $push: { attempt_log: { attempt: job.attempts, error, at: new Date() } }
+        }
+      );
+      // Its worker finished, or another instance recovered it first
+      if (modifiedCount === 0) continue;
+      await Post.updateOne({ _id: job.post }, { $push: { 'publishing.failures': failure } });
+      logger.warn('Recovered stale publish job', { jobId: job._id, postId: job.post });
+    }
+  }
+
+  /**
+   * Run a queued job as soon as possible, skipping its remaining backoff
+   * @returns {Promise<Object|null>} Job, or null if it is not queued
+   */
+  requeueJob(jobId) {
+    return PublishJob.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { $set: { run_at: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Drop a queued job and mark its post failed
+   * @returns {Promise<boolean>} Whether a queued job was discarded
+   */
+  async discardJob(jobId, adminId) {
+    const job = await PublishJob.findOneAndDelete({ _id: jobId, status: 'queued' });
+    if (!job) return false;
+
+    const post = await Post.findById(job.post);
+    if (post) {
+      await this.fail(post, { success: false, error: 'Publish job discarded by an administrator' }, job.attempts);
+    }
+    logger.info('Publish job discarded', { jobId, postId: job.post, adminId });
+    return true;
+  }
+
+  /**
+   * Queue a dead-lettered post again with a fresh retry budget
+   * @returns {Promise<Object>} { job } or { error }
+   */
+  async requeueDeadLetter(deadLetterId, adminId) {
+    const deadLetter = await DeadLetterJob.findById(deadLetterId);
+    if (!deadLetter) return { error: 'Dead-letter job not found' };
+
+    const post = await Post.findById(deadLetter.post);
+    if (!post) return { error: 'Post no longer exists' };
+    if (post.status === 'published') return { error: 'Post is already published' };
+
+    const job = await this.enqueue(post);
+    await deadLetter.deleteOne();
+    logger.info('Dead-letter job requeued', { deadLetterId, jobId: job._id, postId: post._id, adminId });
+    return { job };
+  }
+
+  /**
+   * Delete a dead-letter entry; its post stays failed
+   * @returns {Promise<boolean>} Whether the entry existed
+   */
+  async discardDeadLetter(deadLetterId, adminId) {
+    const deadLetter = await DeadLetterJob.findByIdAndDelete(deadLetterId);
+    if (!deadLetter) return false;
+    logger.info('Dead-letter job discarded', { deadLetterId, postId: deadLetter.post, adminId });
+    return true;
+  }
+
+  /**
+   * Queue depth per platform and status, plus dead-letter counts
+   */
+  async getStats() {
+    const [jobs, deadLetters] = await Promise.all([
+      PublishJob.aggregate([{ $group: { _id: { platform: '$platform', status: '$status' }, count: { $sum: 1 } } }]),
+      DeadLetterJob.aggregate([{ $group: { _id: '$platform', count: { $sum: 1 } } }])
+    ]);
+
+    const platforms = {};
+    for (const platform of Object.keys(RETRY_CONFIG)) {
+      platforms[platform] = { queued: 0, running: 0, dead: 0, concurrency: this.concurrencyFor(platform) };
+    }
+    for (const { _id, count } of jobs) {
+      if (platforms[_id.platform]) platforms[_id.platform][_id.status] = count;
+    }
+    for (const { _id, count } of deadLetters) {
+      if (platforms[_id]) platforms[_id].dead = count;
+    }
+    return platforms;
+  }
+}
+
+module.exports = new PublishQueue();
@@ -0,0 +1,309 @@
+// src/services/renditionService.js
+// Platform-specific image renditions made at publish time with sharp: crops
+// to the platform's aspect ratio around the asset's focal point, converts to
+// an accepted format, stays under the size cap and drops EXIF (including GPS).
+// Renditions of library assets are stored once and cached on the asset.
+const MediaAsset = require('../models/MediaAsset');
+const logger = require('../utils/logger');
+const { PLATFORM_VALIDATORS } = require('../utils/postValidation');
+const { loadMediaBuffer, persistBuffer, deleteStoredObject } = require('../utils/storage');
+const { postView } = require('../utils/contentLinks');
+
+const MB = 1024 * 1024;
+
+// `aspect` (width / height) crops; `maxDimension` only scales down
+const RENDITION_PROFILES = {
+  instagram_portrait: { aspect: 4 / 5, width: 1080, height: 1350, formats: ['jpeg'], maxBytes: PLATFORM_VALIDATORS.instagram.maxImageSize },
+  instagram_square: { aspect: 1, width: 1080, height: 1080, formats: ['jpeg'], maxBytes: PLATFORM_VALIDATORS.instagram.maxImageSize },
+  instagram_story: { aspect: 9 / 16, width: 1080, height: 1920, formats: ['jpeg'], maxBytes: PLATFORM_VALIDATORS.instagram.maxImageSize },
+  twitter: { maxDimension: 4096, formats: ['jpeg', 'png', 'webp'], maxBytes: PLATFORM_VALIDATORS.twitter.maxImageSize },
+  linkedin: { maxDimension: 7680, formats: ['jpeg', 'png'], maxBytes: PLATFORM_VALIDATORS.linkedin.maxImageSize },
+  facebook: { maxDimension: 4096, formats: ['jpeg', 'png', 'webp'], maxBytes: PLATFORM_VALIDATORS.facebook.maxImageSize },
+  youtube_thumbnail: { aspect: 16 / 9, width: 1280, height: 720, formats: ['jpeg', 'png'], maxBytes: 2 * MB }
+};
+
+const MIME_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+// Encoder settings tried in order until the output fits the size cap
+const QUALITY_STEPS = [90, 82, 74, 66, 58];
+const MAX_SCALE_STEPS = 6;
+
+// sharp ships a native binary; load it on first use so the API still starts
+// on hosts where it is unavailable (publishing then uses the originals)
+let sharpModule;
+function getSharp() {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = require('sharp');
+    } catch (error) {
+      logger.warn('sharp is unavailable; media will be published without renditions', { error: error.message });
+      sharpModule = null;
+    }
+  }
+  return sharpModule;
+}
+
+class RenditionService {
+  constructor() {
+    this.profiles = RENDITION_PROFILES;
+  }
+
+  /**
+   * Rendition profile for one image of a post, or null when the platform
+   * needs none
+   * @param {Object} post - Post being published
+   * @param {Object} meta - sharp metadata of the source ({ width, height })
+   * @param {string} role - 'media' or 'thumbnail'
+   */
+  profileFor(post, meta, role = 'media') {
+    if (role === 'thumbnail') {
+      return post.platform === 'youtube' ? 'youtube_thumbnail' : null;
+    }
+
+    switch (post.platform) {
+      case 'instagram': {
+        if (post.post_type === 'story' || post.post_type === 'reel') return 'instagram_story';
+        const requested = post.platformContent?.instagram?.aspect_ratio;
+        if (requested === '1:1') return 'instagram_square';
+        if (requested === '4:5') return 'instagram_portrait';
+        // Portrait sources keep as much height as Instagram allows
+        return meta.height > meta.width ? 'instagram_portrait' : 'instagram_square';
+      }
+      case 'twitter':
+      case 'linkedin':
+      case 'facebook':
+        return post.platform;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Largest crop box with the given aspect ratio that keeps the focal
+   * point as close to the centre as the image edges allow
+   * @param {number} width - Source width
+   * @param {number} height - Source height
+   * @param {number} aspect - Target width / height
+   * @param {Object} focal - { x, y } as fractions (default centre)
+   * @returns {{ left: number, top: number, width: number, height: number }}
+   */
+  focalCrop(width, height, aspect, focal = {}) {
+    const fx = Number.isFinite(focal.x) ? focal.x : 0.5;
+    const fy = Number.isFinite(focal.y) ? focal.y : 0.5;
+
+    let cropWidth = width;
+    let cropHeight = Math.round(width / aspect);
+    if (cropHeight > height) {
+      cropHeight = height;
+      cropWidth = Math.round(height * aspect);
+    }
+
+    const clamp = (value, max) => Math.min(Math.max(Math.round(value), 0), max);
+    return {
+      left: clamp(fx * width - cropWidth / 2, width - cropWidth),
+      top: clamp(fy * height - cropHeight / 2, height - cropHeight),
+      width: cropWidth,
+      height: cropHeight
+    };
+  }
+
+  /**
+   * Render a source image for a profile
+   * @param {Buffer} buffer - Source image
+   * @param {string} profileName - Key of RENDITION_PROFILES
+   * @param {Object} focal - Focal point
+   * @returns {Promise<{ buffer: Buffer, format: string, width: number, height: number }>}
+   */
+  async render(buffer, profileName, focal) {
+    const sharp = getSharp();
+    if (!sharp) throw new Error('sharp is not available');
+    const profile = RENDITION_PROFILES[profileName];
+
+    // Auto-orient first so the crop is computed on what the viewer sees;
+    // sharp drops EXIF/GPS unless asked to keep metadata
+    const oriented = await sharp(buffer, { failOn: 'none' }).rotate().toBuffer({ resolveWithObject: true });
+    const { width, height } = oriented.info;
+    const meta = await sharp(oriented.data).metadata();
+
+    const format = profile.formats.includes(meta.format)
+      ? meta.format
+      : (meta.hasAlpha && profile.formats.includes('png') ? 'png' : 'jpeg');
+
+    let targetWidth = profile.width;
+    let targetHeight = profile.height;
+    const crop = profile.aspect ? this.focalCrop(width, height, profile.aspect, focal) : null;
+    if (!crop) {
+      const scale = Math.min(1, profile.maxDimension / Math.max(width, height));
+      targetWidth = Math.round(width * scale);
+      targetHeight = Math.round(height * scale);
+    }
+
+    let output;
+    for (let step = 0; step < MAX_SCALE_STEPS; step++) {
+      const factor = Math.pow(0.85, step);
+      const size = {
+        width: Math.max(1, Math.round(Math.min(targetWidth, crop ? crop.width : width) * factor)),
+        height: Math.max(1, Math.round(Math.min(targetHeight, crop ? crop.height : height) * factor))
+      };
+
+      for (const quality of format === 'png' ? [undefined] : QUALITY_STEPS) {
+        let pipeline = sharp(oriented.data);
+        if (crop) pipeline = pipeline.extract(crop);
+        pipeline = pipeline.resize(size.width, size.height, { fit: 'fill', withoutEnlargement: true });
+        if (format === 'jpeg') {
+          pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true });
+        } else if (format === 'webp') {
+          pipeline = pipeline.webp({ quality });
+        } else {
+          pipeline = pipeline.png({ compressionLevel: 9 });
+        }
+
+        output = await pipeline.toBuffer({ resolveWithObject: true });
+        if (output.data.length <= profile.maxBytes) {
+          return { buffer: output.data, format, width: output.info.width, height: output.info.height };
+        }
+      }
+    }
+
+    throw new Error(`Could not bring image under ${Math.round(profile.maxBytes / MB)}MB for ${profileName}`);
+  }
+
+  /**
+   * Size of an image as viewers see it, cached on its library asset
+   * @param {Object} item - Post media (or thumbnail) entry
+   * @returns {Promise<{ width: number, height: number }|null>} null when
+   *   the image cannot be read
+   */
+  async imageSize(item) {
+    const asset = item.asset ? await MediaAsset.findById(item.asset).select('width height') : null;
+    if (asset?.width && asset?.height) return { width: asset.width, height: asset.height };
+    const sharp = getSharp();
+    if (!sharp) return null;
+
+    try {
+      const { buffer } = await loadMediaBuffer(item);
+      if (!buffer) return null;
+      const meta = await sharp(buffer, { failOn: 'none' }).metadata();
+      // EXIF orientations 5-8 swap width and height
+      const size = meta.orientation >= 5 ? { width: meta.height, height: meta.width } : { width: meta.width, height: meta.height };
+      if (asset) await MediaAsset.updateOne({ _id: asset._id }, { $set: size });
+      return size;
+    } catch (error) {
+      logger.warn('Could not read image size', { filename: item.filename, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Platform-ready copy of one media entry. Library assets reuse a cached
+   * rendition; anything that cannot be rendered is returned unchanged.
+   * @param {Object} item - Post media (or thumbnail) entry
+   * @param {Object} post - Post being published
+   * @param {string} role - 'media' or 'thumbnail'
+   * @returns {Promise<Object>} Media entry to publish
+   */
+  async renditionFor(item, post, role = 'media') {
+    if (!item || item.type !== 'image' || /gif$/i.test(item.mimeType || '')) return item;
+    const sharp = getSharp();
+    if (!sharp) return item;
+
+    try {
+      const asset = item.asset ? await MediaAsset.findById(item.asset) : null;
+      const { buffer } = await loadMediaBuffer(item);
+      if (!buffer) return item;
+
+      const meta = await sharp(buffer, { failOn: 'none' }).metadata();
+      // EXIF orientations 5-8 swap width and height
+      const oriented = meta.orientation >= 5 ? { width: meta.height, height: meta.width } : meta;
+      const profileName = this.profileFor(post, oriented, role);
+      if (!profileName) return item;
+
+      const cached = asset?.renditions?.find(r => r.profile === profileName);
+      if (cached) {
+        return this.toMediaEntry(item, cached);
+      }
+
+      const rendered = await this.render(buffer, profileName, asset?.focal_point);
+      const stored = await persistBuffer(rendered.buffer, {
+        prefix: 'renditions',
+        originalName: `${profileName}.${EXTENSIONS[rendered.format]}`,
+        mimeType: MIME_TYPES[rendered.format]
+      });
+      const rendition = {
+        profile: profileName,
+        ...stored,
+        mimeType: MIME_TYPES[rendered.format],
+        size: rendered.buffer.length,
+        width: rendered.width,
+        height: rendered.height,
+        created_at: new Date()
+      };
+
+      if (asset) {
+        await MediaAsset.updateOne({ _id: asset._id }, { $push: { renditions: rendition } });
+      }
+      logger.info('Media rendition created', { postId: post._id, assetId: asset?._id, profile: profileName, size: rendition.size });
+
+      return this.toMediaEntry(item, rendition);
+    } catch (error) {
+      logger.warn('Media rendition failed; publishing original', { postId: post._id, filename: item.filename, error: error.message });
+      return item;
+    }
+  }
+
+  toMediaEntry(item, rendition) {
+    const source = typeof item.toObject === 'function' ? item.toObject() : item;
+    return {
+      ...source,
+      url: rendition.url,
+      storage: rendition.storage,
+      storageKey: rendition.storageKey,
+      filename: rendition.filename,
+      mimeType: rendition.mimeType,
+      size: rendition.size,
+      rendition: rendition.profile
+    };
+  }
+
+  /**
+   * Media and thumbnail of a post as they should be sent to its platform
+   * @param {Object} post - Post being published
+   * @returns {Promise<{ media: Array<Object>, thumbnail: Object }>}
+   */
+  async prepareForPublish(post) {
+    const media = [];
+    for (const item of post.media || []) {
+      media.push(await this.renditionFor(item, post, 'media'));
+    }
+    const thumbnail = post.thumbnail?.filename
+      ? await this.renditionFor({ ...(post.thumbnail.toObject?.() ?? post.thumbnail), type: 'image' }, post, 'thumbnail')
+      : post.thumbnail;
+    return { media, thumbnail };
+  }
+
+  /**
+   * View of a post whose `media` and `thumbnail` are the platform-ready
+   * copies. Everything else, including save(), goes to the post itself, so
+   * renditions are never written back into the post.
+   * @param {Object} post - Post document
+   * @returns {Promise<Object>} Proxy of the post
+   */
+  async withRenditions(post) {
+    return postView(post, await this.prepareForPublish(post));
+  }
+
+  /**
+   * Drop an asset's cached renditions, e.g. after its focal point moved
+   * @param {Object} asset - MediaAsset document
+   */
+  async clearRenditions(asset) {
+    const renditions = asset.renditions || [];
+    asset.renditions = [];
+    await Promise.all(renditions.map(rendition => deleteStoredObject(rendition).catch(error => {
+      logger.warn('Failed to delete media rendition', { assetId: asset._id, profile: rendition.profile, error: error.message });
+    })));
+  }
+}
+
+module.exports = new RenditionService();
@@ -4,15 +4,70 @@ const { CRON_SCHEDULES } = require('../../utils/constants');
 const Analytics = require('../../models/Analytics');
 const AIResults = require('../../models/AI_Results');
 const Post = require('../../models/Post');
-const User = require('../../models/User');
 const Announcement = require('../../models/Announcement');
 const logger = require('../../utils/logger');
-const postController = require('../../controllers/postController');
+const redisClient = require('../../config/redis');
+const publishQueue = require('../publishQueue');
 const emailQueue = require('../emailQueue');
-const { retryPost, updatePostWithRetryInfo } = require('../../utils/retryLogic');
+const firstComment = require('../firstComment');
+const evergreen = require('../evergreen');
 
 const jobs = [];
 
+// Identifies this instance in post leases and publish history
+const WORKER_ID = publishQueue.workerId;
+
+// Time a claimed post may take to reach the publish queue
+const PUBLISH_LEASE_MS = parseInt(process.env.PUBLISH_LEASE_MS, 10) || 10 * 60 * 1000;
+const SCHEDULER_LOCK_KEY = 'scheduler:scheduled-posts:lock';
+const SCHEDULER_LOCK_TTL_MS = 55 * 1000;
+
+/**
+ * One scheduler tick. Every replica runs this cron, so due posts are claimed
+ * one at a time with an atomic lease and handed to the publish queue; the
+ * Redis lock only keeps replicas from scanning concurrently and is skipped
+ * when Redis is unavailable. Every replica then works the queue.
+ */
+async function processScheduledPosts() {
+  const lock = await redisClient.acquireLock(SCHEDULER_LOCK_KEY, WORKER_ID, SCHEDULER_LOCK_TTL_MS);
+
+  if (lock !== false) {
+    try {
+      logger.info('⏱️ Checking for scheduled posts ready to publish');
+
+      const recovered = await Post.recoverExpiredLeases();
+      if (recovered > 0) {
+        logger.warn('Recovered posts with expired publish leases', { count: recovered });
+      }
+
+      let post;
+      while ((post = await Post.claimForPublishing(WORKER_ID, PUBLISH_LEASE_MS))) {
+        try {
+          await publishQueue.enqueue(post);
+        } catch (e) {
+          // Lease stays in place and is recovered once it expires
+          logger.error('Error queuing scheduled post', { postId: post._id, error: e.message });
+        }
+      }
+    } catch (err) {
+      logger.error('Scheduled posts processor failed', { error: err.message });
+    } finally {
+      if (lock) {
+        await redisClient.releaseLock(SCHEDULER_LOCK_KEY, WORKER_ID);
+      }
+    }
+  }
+
+  await publishQueue.processQueue();
+
+  // First comments of published posts that are due or being retried
+  try {
+    await firstComment.processDue();
+  } catch (err) {
+    logger.error('First comment processor failed', { error: err.message });
+  }
+}
+
 function scheduleJobs() {
   // Analytics sync placeholder
   jobs.push(cron.schedule(CRON_SCHEDULES.ANALYTICS_SYNC, async () => {
@@ -27,49 +82,17 @@ function scheduleJobs() {
   }));
 
   // Process scheduled posts every minute
-  jobs.push(cron.schedule(CRON_SCHEDULES.SCHEDULED_POSTS_PROCESSOR, async () => {
-    try {
-      logger.info('⏱️ Checking for scheduled posts ready to publish');
-      const readyPosts = await Post.findReadyForPublishing();
-      if (!readyPosts || readyPosts.length === 0) {
-        return;
-      }
+  jobs.push(cron.schedule(CRON_SCHEDULES.SCHEDULED_POSTS_PROCESSOR, processScheduledPosts));
 
-      for (const post of readyPosts) {
-        try {
-          const user = await User.findById(post.author);
-          if (!user) {
-            logger.warn('Author not found for post', { postId: post._id });
-            continue;
-          }
-
-          // ✅ ADD: Use retry logic for scheduled posts
-          const result = await retryPost(async () => {
-            return await postController.executePlatformPost(post, user);
-          }, post.platform, post);
-
-          // ✅ ADD: Update post with retry information
-          await updatePostWithRetryInfo(post, result);
-          
-          if (result.success) {
-            logger.info('✅ Scheduled post published', { 
-              postId: post._id, 
-              platform: post.platform,
-              retryCount: post.publishing.retry_count || 0
-            });
-          } else {
-            logger.error('Failed to publish scheduled post after retries', { 
-              postId: post._id, 
-              error: result.error,
-              retryCount: post.publishing.retry_count || 0
-            });
-          }
-        } catch (e) {
-          logger.error('Error processing scheduled post', { postId: post._id, error: e.message });
-        }
+  // Repost evergreen posts whose gap has passed; each post is claimed atomically
+  jobs.push(cron.schedule(CRON_SCHEDULES.EVERGREEN_REQUEUE, async () => {
+    try {
+      const queued = await evergreen.processDue();
+      if (queued > 0) {
+        logger.info('Evergreen reposts queued', { count: queued });
       }
     } catch (err) {
-      logger.error('Scheduled posts processor failed', { error: err.message });
+      logger.error('Evergreen re-queue failed', { error: err.message });
     }
   }));
 
@@ -200,6 +200,105 @@ class FacebookService {
     }
   }
 
+  /**
+   * Access token of a page the user manages
+   * @param {string} userAccessToken - User access token
+   * @param {string} pageId - Facebook page ID
+   * @returns {Promise<string|null>} - Page access token, or null if the user does not manage the page
+   */
+  async getPageAccessToken(userAccessToken, pageId) {
+    const response = await axios.get(`${this.baseURL}/me/accounts`, {
+      params: { access_token: userAccessToken, fields: 'id,access_token' }
+    });
+    const page = (response.data?.data || []).find(p => String(p.id) === String(pageId));
+    if (page?.access_token) return page.access_token;
+
+    // Some tokens do not list their pages but can still read a page's token directly
+    try {
+      const direct = await axios.get(`${this.baseURL}/${pageId}`, {
+        params: { access_token: userAccessToken, fields: 'id,access_token' }
+      });
+      return direct.data?.access_token || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Delete a page post or photo; one that is already gone counts as deleted
+   * @param {string} pageAccessToken - Access token of the page that published it
+   * @param {string} postId - Graph object ID (e.g. `{pageId}_{postId}`)
+   * @returns {Promise<Object>} - { success, alreadyRemoved, error, statusCode }
+   */
+  async deletePost(pageAccessToken, postId) {
+    try {
+      await axios.delete(`${this.baseURL}/${postId}`, {
+        params: { access_token: pageAccessToken }
+      });
+      return { success: true };
+    } catch (error) {
+      const graphError = error.response?.data?.error;
+      // Code 100 with subcode 33: object does not exist
+      if (error.response?.status === 404 || (graphError?.code === 100 && graphError?.error_subcode === 33)) {
+        return { success: true, alreadyRemoved: true };
+      }
+      logger.error('Facebook post delete error:', { postId, error: graphError?.message || error.message });
+      return {
+        success: false,
+        error: graphError?.message || 'Failed to delete Facebook post',
+        statusCode: error.response?.status
+      };
+    }
+  }
+
+  /**
+   * Change the text of a page post (its message) or video (its description)
+   * @param {string} pageAccessToken - Access token of the page that published it
+   * @param {string} objectId - Graph object ID
+   * @param {Object} fields - e.g. { message } or { description }
+   * @returns {Promise<Object>} - { success, error, statusCode }
+   */
+  async updatePost(pageAccessToken, objectId, fields) {
+    try {
+      await axios.post(`${this.baseURL}/${objectId}`, null, {
+        params: { ...fields, access_token: pageAccessToken }
+      });
+      return { success: true };
+    } catch (error) {
+      const graphError = error.response?.data?.error;
+      logger.error('Facebook post update error:', { objectId, error: graphError?.message || error.message });
+      return {
+        success: false,
+        error: graphError?.message || 'Failed to update Facebook post',
+        statusCode: error.response?.status
+      };
+    }
+  }
+
+  /**
+   * Comment on a page post or video as the page
+   * @param {string} pageAccessToken - Access token of the page that published it
+   * @param {string} objectId - Graph object ID
+   * @param {string} message - Comment text
+   * @returns {Promise<Object>} - { success, comment_id, error, statusCode }
+   */
+  async createComment(pageAccessToken, objectId, message) {
+    try {
+      const response = await axios.post(`${this.baseURL}/${objectId}/comments`, null, {
+        params: { message, access_token: pageAccessToken }
+      });
+      return { success: true, comment_id: response.data?.id };
+    } catch (error) {
+      const graphError = error.response?.data?.error;
+      logger.error('Facebook comment error:', { objectId, error: graphError?.message || error.message });
+      return {
+        success: false,
+        error: graphError?.message || 'Failed to comment on Facebook post',
+        statusCode: error.response?.status
+      };
+    }
+  }
+
   /**
    * Get Facebook page information
    * @param {string} pageId - Facebook page ID or username
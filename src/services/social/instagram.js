@@ -227,6 +227,23 @@ class InstagramService {
     }
   }
 
+  // Comment on a published media object as the account that published it
+  async createComment(accessToken, mediaId, message) {
+    try {
+      const response = await axios.post(`${this.baseURL}/${mediaId}/comments`, null, {
+        params: { message, access_token: accessToken },
+      });
+      return { success: true, comment_id: response.data.id };
+    } catch (error) {
+      const apiError = error.response?.data?.error;
+      return {
+        success: false,
+        error: apiError?.message || 'Failed to comment on Instagram media',
+        statusCode: error.response?.status,
+      };
+    }
+  }
+
   async getInsights(accessToken, igAccountId) {
     try {
       const response = await axios.get(`${this.baseURL}/${igAccountId}/insights`, {
@@ -289,6 +289,77 @@ class LinkedInService {
     }
   }
 
+  // Delete a UGC post by its URN; a post that is already gone counts as deleted
+  async deletePost(accessToken, postUrn) {
+    try {
+      await axios.delete(`${this.apiBase}/ugcPosts/${encodeURIComponent(postUrn)}`, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'X-Restli-Protocol-Version': '2.0.0',
+        },
+      });
+      return { success: true };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { success: true, alreadyRemoved: true };
+      }
+      console.error('❌ LinkedIn delete error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to delete LinkedIn post',
+        statusCode: error.response?.status,
+      };
+    }
+  }
+
+  // Replace a published post's commentary (Posts API partial update)
+  async updateCommentary(accessToken, postUrn, text) {
+    try {
+      await axios.post(`https://api.linkedin.com/rest/posts/${encodeURIComponent(postUrn)}`,
+        { patch: { $set: { commentary: text } } },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'X-Restli-Protocol-Version': '2.0.0',
+            'X-RestLi-Method': 'PARTIAL_UPDATE',
+            'LinkedIn-Version': '202401',
+          },
+        }
+      );
+      return { success: true };
+    } catch (error) {
+      console.error('❌ LinkedIn update error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to update LinkedIn post',
+        statusCode: error.response?.status,
+      };
+    }
+  }
+
+  // Comment on a published post as its author
+  async createComment(accessToken, postUrn, actorUrn, text) {
+    try {
+      const response = await axios.post(`${this.apiBase}/socialActions/${encodeURIComponent(postUrn)}/comments`,
+        { actor: actorUrn, object: postUrn, message: { text } },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'X-Restli-Protocol-Version': '2.0.0',
+          },
+        }
+      );
+      return { success: true, comment_id: response.data?.id || response.headers?.['x-restli-id'] };
+    } catch (error) {
+      console.error('❌ LinkedIn comment error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to comment on LinkedIn post',
+        statusCode: error.response?.status,
+      };
+    }
+  }
+
   // Get user profile by username (for competitor analysis)
   async getUserProfilebyusernme(username) {
     try {
@@ -3,6 +3,7 @@ const axios = require('axios');
 const crypto = require('crypto');
 const config = require('../../config/env');
 const { TwitterApi } = require('twitter-api-v2');
+const { weightedLength, MAX_TWEET_LENGTH, MAX_THREAD_TWEETS } = require('../../utils/twitterText');
 
 class TwitterService {
   constructor() {
@@ -247,7 +248,9 @@ async postTweet(accessToken, content, twitterContent = {}, mediaIds = []) {
     } else {
       // Regular tweet
       console.log('🐦 Posting single tweet:', content);
-      tweetData = { text: content.substring(0, 280) };
+      // Length was checked with Twitter's weighting; cutting at 280 code
+      // units would break links and emoji in a tweet that fits
+      tweetData = { text: content };
 
       // Add media if available
       if (mediaIds && mediaIds.length > 0) {
@@ -386,10 +389,21 @@ async postPoll(accessToken, question, poll) {
         };
       }
 
-      if (threadTweets.length > 25) {
+      if (threadTweets.length > MAX_THREAD_TWEETS) {
         return {
           success: false,
-          error: 'Thread cannot exceed 25 tweets'
+          error: `Thread cannot exceed ${MAX_THREAD_TWEETS} tweets`
+        };
+      }
+
+      // Reject over-long tweets up front rather than truncating them mid-thread
+      const tooLong = threadTweets
+        .map((tweet, i) => ({ position: i + 1, length: weightedLength(typeof tweet === 'string' ? tweet : tweet?.text) }))
+        .filter(({ length }) => length > MAX_TWEET_LENGTH);
+      if (tooLong.length > 0) {
+        return {
+          success: false,
+          error: tooLong.map(({ position, length }) => `Tweet ${position} is ${length} characters; the limit is ${MAX_TWEET_LENGTH}`).join('; ')
         };
       }
 
@@ -398,14 +412,14 @@ async postPoll(accessToken, question, poll) {
 
       for (let i = 0; i < threadTweets.length; i++) {
         const tweet = threadTweets[i];
-        const tweetText = typeof tweet === 'string' ? tweet.substring(0, 280) : tweet.text?.substring(0, 280);
+        const tweetText = typeof tweet === 'string' ? tweet : tweet.text;
         
         const tweetData = {
           text: tweetText
         };
 
-        // Add media to the first tweet if provided
-        if (i === 0 && typeof tweet === 'object' && tweet.media_ids && tweet.media_ids.length > 0) {
+        // Any tweet in the thread can carry its own media
+        if (typeof tweet === 'object' && tweet.media_ids && tweet.media_ids.length > 0) {
           tweetData.media = {
             media_ids: tweet.media_ids
           };
@@ -479,7 +493,7 @@ async postPoll(accessToken, question, poll) {
       }
 
       const pollData = {
-        text: text.substring(0, 280),
+        text,
         poll: {
           options: options.map(option => ({ label: option.substring(0, 25) })), // Max 25 chars per option
           duration_minutes: durationMinutes
@@ -85,6 +85,96 @@ class YouTubeService {
       };
     }
   }
+  // Delete a video; a video that is already gone counts as deleted
+  async deleteVideo(accessToken, videoId) {
+    try {
+      console.log(`🗑️ Deleting YouTube video ${videoId}...`);
+      await axios.delete(`${this.baseURL}/videos`, {
+        params: { id: videoId },
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+      });
+      return { success: true };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { success: true, alreadyRemoved: true };
+      }
+      console.error('❌ YouTube video delete error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to delete video',
+        statusCode: error.response?.status
+      };
+    }
+  }
+  // Update a published video's title, description and tags, adjusted the
+  // same way as on upload
+  async updateVideoMetadata(accessToken, videoId, { title, description, tags = [], category = 'Entertainment', isShort = false }) {
+    try {
+      const VideoAnalysis = require('../../utils/videoAnalysis');
+      let finalTitle = title;
+      let finalDescription = description;
+      if (isShort) {
+        finalTitle = VideoAnalysis.generateShortsTitle(title, { isYouTubeShort: true });
+        finalDescription = VideoAnalysis.generateShortsDescription(description, { isYouTubeShort: true });
+      }
+      finalDescription = this.enhanceDescriptionWithPrompts(finalDescription, category, tags, isShort);
+
+      console.log(`📡 Updating YouTube video ${videoId} metadata...`);
+      const response = await axios.put(`${this.baseURL}/videos?part=snippet`,
+        {
+          id: videoId,
+          snippet: {
+            title: finalTitle,
+            description: finalDescription,
+            tags,
+            // categoryId is required when updating the snippet
+            categoryId: VideoAnalysis.getYouTubeCategoryId(category)
+          }
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
+          }
+        }
+      );
+      return { success: true, title: response.data.snippet?.title };
+    } catch (error) {
+      console.error('❌ YouTube video update error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to update video',
+        statusCode: error.response?.status
+      };
+    }
+  }
+  // Add a top-level comment to a video as the channel
+  async createComment(accessToken, videoId, text) {
+    try {
+      const response = await axios.post(`${this.baseURL}/commentThreads?part=snippet`,
+        {
+          snippet: {
+            videoId,
+            topLevelComment: { snippet: { textOriginal: text } }
+          }
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
+          }
+        }
+      );
+      return { success: true, comment_id: response.data.id };
+    } catch (error) {
+      console.error('❌ YouTube comment error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Failed to comment on video',
+        statusCode: error.response?.status
+      };
+    }
+  }
   // Exchange authorization code for access token
   async exchangeCodeForToken(code, redirectUri, state) {
     try {
@@ -0,0 +1,150 @@
+// src/services/templateService.js
+// Content templates and hashtag sets: access (owner or shared teammate) and
+// rendering a template into a platform-ready caption.
+const mongoose = require('mongoose');
+const ContentTemplate = require('../models/ContentTemplate');
+const HashtagSet = require('../models/HashtagSet');
+const { PLATFORM_VALIDATORS, contentLength } = require('../utils/postValidation');
+const { getZonedParts, isValidTimeZone } = require('../utils/timezone');
+const { renderText, minimumLength } = require('../utils/templateRender');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const pad = (n) => String(n).padStart(2, '0');
+
+class TemplateService {
+  /**
+   * Filter for documents the user owns or that were shared with them
+   * @param {string|ObjectId} userId
+   */
+  accessFilter(userId) {
+    return { $or: [{ owner: userId }, { shared_with: userId }] };
+  }
+
+  findTemplate(id, userId) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return ContentTemplate.findOne({ _id: id, ...this.accessFilter(userId) });
+  }
+
+  /**
+   * Hashtag sets the user may use, in the order given; unknown ids are skipped
+   * @param {Array<string>} ids
+   * @param {string|ObjectId} userId
+   * @returns {Promise<Array<Object>>}
+   */
+  async findHashtagSets(ids, userId) {
+    const valid = [...new Set((ids || []).map(String))].filter(id => mongoose.isValidObjectId(id));
+    if (valid.length === 0) return [];
+    const sets = await HashtagSet.find({ _id: { $in: valid }, ...this.accessFilter(userId) });
+    const byId = new Map(sets.map(set => [String(set._id), set]));
+    return valid.map(id => byId.get(id)).filter(Boolean);
+  }
+
+  /**
+   * Values available to every template
+   * @param {string} platform
+   * @param {string} timezone - IANA zone for {{date}}, {{time}} and {{weekday}}
+   * @param {Date} now
+   */
+  builtInVariables(platform, timezone, now = new Date()) {
+    const p = getZonedParts(now, isValidTimeZone(timezone) ? timezone : 'UTC');
+    return {
+      platform,
+      date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+      time: `${pad(p.hour)}:${pad(p.minute)}`,
+      weekday: WEEKDAYS[p.weekday],
+      year: String(p.year)
+    };
+  }
+
+  /**
+   * Per-platform checks for a template's variants: a variant over the
+   * platform's limit before any placeholder is filled can never be
+   * rendered for it
+   * @param {Object} data - { body, variants }
+   * @returns {Array<string>} errors
+   */
+  checkLengths(data) {
+    const errors = [];
+    const variants = data.variants instanceof Map ? Object.fromEntries(data.variants) : (data.variants || {});
+    for (const [platform, text] of Object.entries(variants)) {
+      if (!PLATFORM_VALIDATORS[platform]) {
+        errors.push(`Unknown platform for variant: ${platform}`);
+        continue;
+      }
+      const { maxLength } = PLATFORM_VALIDATORS[platform];
+      const length = minimumLength(text, (value) => contentLength(value, platform));
+      if (length > maxLength) {
+        errors.push(`${platform} variant is ${length} characters before placeholders are filled; ${platform} allows ${maxLength}`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Render a template for a platform
+   * @param {Object} template - ContentTemplate document
+   * @param {Object} options - { platform, variables, hashtagSets (extra ids),
+   *   version, userId, timezone }
+   * @returns {Promise<Object>} { isValid, errors, caption, text, hashtags,
+   *   missing, length, maxLength, template: { id, version } }
+   */
+  async render(template, { platform, variables = {}, hashtagSets = [], version, userId, timezone } = {}) {
+    const errors = [];
+    const snapshot = template.atVersion(version ? Number(version) : undefined);
+    if (!snapshot) {
+      return { isValid: false, errors: [`Template version ${version} not found`] };
+    }
+
+    const variants = snapshot.variants instanceof Map ? Object.fromEntries(snapshot.variants) : (snapshot.variants || {});
+    const source = (platform && variants[platform]) || snapshot.body;
+
+    const defaults = {};
+    const optional = [];
+    for (const variable of snapshot.variables || []) {
+      if (variable.default !== undefined && variable.default !== null) defaults[variable.name] = variable.default;
+      if (variable.required === false) optional.push(variable.name);
+    }
+
+    const values = { ...defaults, ...this.builtInVariables(platform, timezone), ...variables };
+    const rendered = renderText(source, values, { optional });
+    // Collapse the gaps left by empty optional placeholders
+    const text = rendered.text.replace(/[ \t]{2,}/g, ' ').trim();
+    if (rendered.missing.length > 0) {
+      errors.push(`Missing values for: ${rendered.missing.join(', ')}`);
+    }
+
+    // Hashtags from the template's sets, then any the caller added; ones
+    // already in the text are not repeated
+    const sets = await this.findHashtagSets([...(snapshot.hashtag_sets || []), ...hashtagSets], userId);
+    const inText = new Set((text.match(/#[\p{L}\p{N}_]+/gu) || []).map(tag => tag.slice(1).toLowerCase()));
+    const hashtags = [];
+    for (const tag of sets.flatMap(set => set.hashtags)) {
+      const key = tag.toLowerCase();
+      if (!inText.has(key)) {
+        inText.add(key);
+        hashtags.push(`#${tag}`);
+      }
+    }
+
+    const caption = hashtags.length > 0 ? `${text}\n\n${hashtags.join(' ')}` : text;
+    const length = contentLength(caption, platform);
+    const maxLength = PLATFORM_VALIDATORS[platform]?.maxLength;
+    if (maxLength && length > maxLength) {
+      errors.push(`Rendered caption is ${length} characters; ${platform} allows ${maxLength}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      caption,
+      text,
+      hashtags,
+      missing: rendered.missing,
+      length,
+      maxLength: maxLength || null,
+      template: { id: template._id, version: version ? Number(version) : template.version }
+    };
+  }
+}
+
+module.exports = new TemplateService();
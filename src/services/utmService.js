@@ -0,0 +1,95 @@
+// src/services/utmService.js
+// Applies UTM templates to the links a post publishes. Templates come from
+// the user's workspace defaults, then the post's campaign, then the post
+// itself (later ones win); `post.utm.exclude` opts single links out.
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Campaign = require('../models/Campaign');
+const logger = require('../utils/logger');
+const linkShortener = require('./linkShortener');
+const { rewritePostTexts, postView } = require('../utils/contentLinks');
+const { buildContext, renderParams, tagText } = require('../utils/utm');
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+class UtmService {
+  /**
+   * A campaign the user may attach posts to: the brand that owns it or a
+   * creator selected for it
+   * @param {string|ObjectId} campaignId
+   * @param {string|ObjectId} userId
+   * @returns {Promise<Object|null>} Campaign document
+   */
+  async findCampaignForUser(campaignId, userId) {
+    if (!campaignId || !mongoose.isValidObjectId(campaignId)) return null;
+    return Campaign.findOne({
+      _id: campaignId,
+      $or: [{ brand_id: userId }, { 'selectedCreators.creator_id': userId }]
+    }).select('title utm');
+  }
+
+  /**
+   * Rendered UTM parameters for a post
+   * @param {Object} post - Post (or post-like object with author/campaign)
+   * @returns {Promise<{ params: Object, campaign: Object|null }>}
+   */
+  async paramsFor(post) {
+    const authorId = post.author?._id || post.author;
+    const [user, campaign] = await Promise.all([
+      User.findById(authorId).select('utmTemplate').lean(),
+      this.findCampaignForUser(post.campaign?._id || post.campaign, authorId)
+    ]);
+
+    const params = renderParams(
+      [plain(user?.utmTemplate), plain(campaign?.utm), plain(post.utm)],
+      buildContext(post, campaign)
+    );
+    return { params, campaign };
+  }
+
+  /**
+   * Tagged copies of the post's texts and the links that were found
+   * @param {Object} post - Post (or post-like object)
+   * @returns {Promise<Object>} { params, content, platformContent, links }
+   *   links: [{ field, url, tagged_url, excluded }]
+   */
+  async tagPost(post) {
+    const { params, campaign } = await this.paramsFor(post);
+    const links = [];
+    if (Object.keys(params).length === 0) {
+      return { params, campaign, content: post.content, platformContent: post.platformContent, links };
+    }
+
+    // Short links already redirect to a (tagged) destination
+    const own = `${linkShortener.baseUrl()}/l/`;
+    const exclude = post.utm?.exclude || [];
+    const rewritten = await rewritePostTexts(post, async (text, field) => {
+      const result = await tagText(text, params, { exclude, skip: url => url.startsWith(own) });
+      links.push(...result.links.map(link => ({ field, ...link })));
+      return result.text;
+    });
+
+    return { params, campaign, ...rewritten, links };
+  }
+
+  /**
+   * View of a post whose links carry its UTM parameters, for publishing.
+   * Other reads and save() go to the post itself.
+   * @param {Object} post - Post document (or a view of one)
+   * @returns {Promise<Object>}
+   */
+  async withUtm(post) {
+    if (post.utm?.enabled === false) return post;
+
+    try {
+      const { content, platformContent, links } = await this.tagPost(post);
+      if (links.length === 0) return post;
+      return postView(post, { content, platformContent });
+    } catch (error) {
+      logger.warn('UTM tagging failed; publishing untagged links', { postId: post._id, error: error.message });
+      return post;
+    }
+  }
+}
+
+module.exports = new UtmService();
@@ -292,7 +292,8 @@ const NOTIFICATION_TYPES = {
   AI_SUGGESTION: 'ai_suggestion',
   SYSTEM_ALERT: 'system_alert',
   USER_ACTIVITY: 'user_activity',
-  ANNOUNCEMENT: 'announcement'
+  ANNOUNCEMENT: 'announcement',
+  POST_REVIEW: 'post_review'
 };
 
 // Email templates
@@ -305,13 +306,20 @@ const EMAIL_TEMPLATES = {
 };
 
 // Cron job schedules
+// Value of `scheduledAt` that asks the scheduler to pick the user's next best posting time
+const NEXT_BEST_SLOT = 'next_best_slot';
+// Value of `scheduledAt` that puts the post at the end of its account's posting queue
+const QUEUE_SLOT = 'queue';
+
 const CRON_SCHEDULES = {
   ANALYTICS_SYNC: '0 */6 * * *', // Every 6 hours
   CLEANUP_EXPIRED_TOKENS: '0 0 * * *', // Daily at midnight
   SEND_NOTIFICATIONS: '0 9 * * *', // Daily at 9 AM
   BACKUP_DATABASE: '0 2 * * 0', // Weekly on Sunday at 2 AM
   // Process scheduled posts every minute
-  SCHEDULED_POSTS_PROCESSOR: '* * * * *'
+  SCHEDULED_POSTS_PROCESSOR: '* * * * *',
+  // Re-queue evergreen posts hourly
+  EVERGREEN_REQUEUE: '15 * * * *'
 };
 
 module.exports = {
@@ -347,5 +355,7 @@ module.exports = {
   ANALYTICS_INTERVALS,
   NOTIFICATION_TYPES,
   EMAIL_TEMPLATES,
-  CRON_SCHEDULES
+  CRON_SCHEDULES,
+  NEXT_BEST_SLOT,
+  QUEUE_SLOT
 };
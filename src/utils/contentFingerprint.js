@@ -0,0 +1,31 @@
+// src/utils/contentFingerprint.js
+// A hash of what a post puts on its platform: the published text (caption
+// with hashtags, link and title as the publishers compose them, or a
+// Twitter thread's tweets) and its media. Case and whitespace are ignored,
+// so two posts with the same fingerprint look the same to followers.
+const crypto = require('crypto');
+const { publishedText } = require('./postPreview');
+
+const normalize = (text) => String(text || '').normalize('NFC').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * @param {Object} post - Post or plain object with platform, post_type,
+ *   title, content, platformContent and media
+ * @returns {string|null} Hex SHA-256, or null for a post with no text or media
+ */
+function contentFingerprint(post) {
+  const content = typeof post.content === 'string' ? { caption: post.content } : post.content;
+  const { text, title } = publishedText({ platform: post.platform, post_type: post.post_type, title: post.title, content, platformContent: post.platformContent });
+  const thread = post.platform === 'twitter' && post.post_type === 'thread' && Array.isArray(post.platformContent?.twitter?.thread)
+    ? post.platformContent.twitter.thread.map(entry => normalize(typeof entry === 'string' ? entry : entry?.text))
+    : null;
+  const media = (post.media || []).map(item => String(item.asset || item.url || item.filename || ''));
+
+  const body = thread || normalize(text);
+  if ((Array.isArray(body) ? body.join('') : body) === '' && media.length === 0) return null;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([post.platform, normalize(title), body, media]))
+    .digest('hex');
+}
+
+module.exports = { contentFingerprint };
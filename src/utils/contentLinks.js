@@ -0,0 +1,94 @@
+// src/utils/contentLinks.js
+// Finding and rewriting the links in the text a post publishes (caption,
+// link preview, Twitter thread, YouTube description). Used by the publish-
+// time link rewrites (UTM tagging, short links).
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+// Sentence punctuation that usually follows a URL rather than belonging to it
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}'"]+$/;
+
+/**
+ * URLs in a text, in order, without trailing punctuation
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function findUrls(text) {
+  if (typeof text !== 'string') return [];
+  return (text.match(URL_PATTERN) || []).map(match => match.replace(TRAILING_PUNCTUATION, ''));
+}
+
+/**
+ * Replace each distinct URL in a text with what `replace` returns for it
+ * (the URL itself to keep it)
+ * @param {string} text
+ * @param {Function} replace - async (url) => string
+ * @returns {Promise<string>}
+ */
+async function replaceUrls(text, replace) {
+  if (typeof text !== 'string' || !text) return text;
+
+  const replacements = new Map();
+  for (const url of findUrls(text)) {
+    if (!replacements.has(url)) replacements.set(url, await replace(url));
+  }
+  if (replacements.size === 0) return text;
+
+  return text.replace(URL_PATTERN, (match) => {
+    const url = match.replace(TRAILING_PUNCTUATION, '');
+    return replacements.get(url) + match.slice(url.length);
+  });
+}
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+/**
+ * Copies of a post's `content` and `platformContent` with every published
+ * text passed through `rewrite`
+ * @param {Object} post - Post document or plain object
+ * @param {Function} rewrite - async (text, field) => string
+ * @returns {Promise<{ content: Object, platformContent: Object }>}
+ */
+async function rewritePostTexts(post, rewrite) {
+  const content = { ...(plain(post.content) || {}) };
+  const platformContent = JSON.parse(JSON.stringify(plain(post.platformContent) || {}));
+
+  for (const field of ['caption', 'linkPreview']) {
+    if (content[field]) content[field] = await rewrite(content[field], `content.${field}`);
+  }
+  const thread = platformContent.twitter?.thread;
+  if (Array.isArray(thread)) {
+    for (const [index, entry] of thread.entries()) {
+      if (entry?.text) entry.text = await rewrite(entry.text, `platformContent.twitter.thread.${index}`);
+    }
+  }
+  if (platformContent.youtube?.description) {
+    platformContent.youtube.description = await rewrite(platformContent.youtube.description, 'platformContent.youtube.description');
+  }
+
+  return { content, platformContent };
+}
+
+/**
+ * View of a post with some fields replaced. Everything else, including
+ * save(), goes to the post itself.
+ * @param {Object} post - Post document (or a view of one)
+ * @param {Object} overrides - Field values to show instead
+ * @returns {Proxy}
+ */
+function postView(post, overrides) {
+  return new Proxy(post, {
+    get(target, prop) {
+      if (Object.prototype.hasOwnProperty.call(overrides, prop)) return overrides[prop];
+      const value = Reflect.get(target, prop);
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  });
+}
+
+module.exports = {
+  URL_PATTERN,
+  findUrls,
+  replaceUrls,
+  rewritePostTexts,
+  postView
+};
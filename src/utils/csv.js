@@ -0,0 +1,115 @@
+// src/utils/csv.js
+// Minimal RFC 4180 CSV reader/writer used by the bulk post import/export.
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// A cell toCsv guarded against that with a leading quote
+const GUARDED = /^'+[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into rows of strings. Handles quoted fields, escaped
+ * quotes, embedded newlines, CRLF line endings and a leading BOM.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Undo the formula guard applied by toCsv so exports round-trip
+const unescapeCell = (text) => (GUARDED.test(text) ? text.slice(1) : text);
+
+/**
+ * Parse CSV with a header row into objects keyed by the (trimmed,
+ * lower-cased) header names
+ * @param {string} text - CSV text
+ * @returns {{ headers: Array<string>, records: Array<Object> }}
+ */
+function parseCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const headers = header.map(name => name.trim().toLowerCase());
+  const records = rows.map(values => {
+    const record = {};
+    headers.forEach((name, index) => {
+      if (name) record[name] = unescapeCell((values[index] ?? '').trim());
+    });
+    return record;
+  });
+  return { headers, records };
+}
+
+function escapeCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Text that already looks guarded gets a quote too, or import strips its own
+  if ((FORMULA_PREFIX.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) || GUARDED.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows of objects to CSV
+ * @param {Array<string>} headers - Column names, in order
+ * @param {Array<Object>} records - Rows keyed by column name
+ * @returns {string} CSV text with CRLF line endings
+ */
+function toCsv(headers, records) {
+  const lines = [headers.map(escapeCell).join(',')];
+  for (const record of records) {
+    lines.push(headers.map(name => escapeCell(record[name])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsv
+};
@@ -0,0 +1,116 @@
+// src/utils/geoip.js
+// Country lookup against a local IP-range database, so click tracking never
+// sends visitor addresses to a third party. GEOIP_DB_PATH points to a CSV of
+// `start,end,country_code[,...]` rows, with addresses written out (DB-IP
+// "IP to Country Lite") or as integers (IP2Location LITE DB1, IPv4 or IPv6).
+const fs = require('fs');
+const net = require('net');
+const config = require('../config/env');
+const logger = require('./logger');
+const { parseCsv } = require('./csv');
+
+// IPv4 addresses are kept in their IPv4-mapped IPv6 form (::ffff:a.b.c.d),
+// which is also how IPv6 range databases store them
+const IPV4_MAPPED = 0xffff00000000n;
+const IPV4_MAX = 0xffffffffn;
+
+/**
+ * Address as a BigInt in the IPv6 space
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {BigInt|null}
+ */
+function ipToBigInt(ip) {
+  const address = String(ip || '').trim().replace(/^\[|\]$/g, '').split('%')[0];
+  const family = net.isIP(address);
+  if (family === 4) {
+    return IPV4_MAPPED + address.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n);
+  }
+  if (family !== 6) return null;
+
+  let text = address;
+  // Embedded dotted quad (::ffff:1.2.3.4)
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const v4 = ipToBigInt(dotted[1]) - IPV4_MAPPED;
+    text = text.slice(0, -dotted[1].length) + `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  const groups = tail !== undefined
+    ? [...headGroups, ...Array(missing).fill('0'), ...tailGroups]
+    : headGroups;
+
+  return groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+// A range bound from the database: an address, or an integer where IPv4
+// databases use 0..2^32-1
+function parseBound(value) {
+  const text = String(value || '').trim();
+  if (/^\d+$/.test(text)) {
+    const number = BigInt(text);
+    return number <= IPV4_MAX ? IPV4_MAPPED + number : number;
+  }
+  return ipToBigInt(text);
+}
+
+let database;
+
+function loadDatabase() {
+  if (database !== undefined) return database;
+  database = null;
+
+  const file = config.GEOIP_DB_PATH;
+  if (!file) return database;
+  try {
+    const rows = parseCsv(fs.readFileSync(file, 'utf8'));
+    const ranges = [];
+    for (const row of rows) {
+      const start = parseBound(row[0]);
+      const end = parseBound(row[1]);
+      const country = String(row[2] || '').trim().toUpperCase();
+      if (start === null || end === null || !/^[A-Z]{2}$/.test(country) || country === 'ZZ') continue;
+      ranges.push({ start, end, country });
+    }
+    ranges.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    database = ranges;
+    logger.info('GeoIP database loaded', { file, ranges: ranges.length });
+  } catch (error) {
+    logger.warn('GeoIP database could not be loaded; clicks are recorded without a country', { file, error: error.message });
+  }
+  return database;
+}
+
+/**
+ * Country of an IP address
+ * @param {string} ip - Client address
+ * @returns {string|null} ISO 3166-1 alpha-2 code, or null when unknown
+ */
+function lookupCountry(ip) {
+  const ranges = loadDatabase();
+  const value = ipToBigInt(ip);
+  if (!ranges || value === null) return null;
+
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const range = ranges[mid];
+    if (value < range.start) {
+      high = mid - 1;
+    } else if (value > range.end) {
+      low = mid + 1;
+    } else {
+      return range.country;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  ipToBigInt,
+  lookupCountry
+};
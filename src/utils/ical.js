@@ -0,0 +1,96 @@
+// src/utils/ical.js
+// Minimal iCalendar (RFC 5545) writer for read-only calendar feeds.
+
+const CRLF = '\r\n';
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME, e.g. 20260308T140000Z
+ * @param {Date|string} date - Instant
+ * @returns {string}
+ */
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Fold a content line to at most 75 octets, continuing with a leading space
+ * (RFC 5545 section 3.1). Multi-byte characters are never split.
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+}
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} calendar - { name, description, prodId, events }
+ *   Each event: { uid, start, end, stamp, summary, description, url, status, categories, sequence, lastModified }
+ * @returns {string} iCalendar text
+ */
+function buildCalendar({ name, description, prodId = '-//Bloocube//Posting Calendar//EN', events = [] }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${prodId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+
+  for (const event of events) {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    lines.push(`DTSTAMP:${formatDateTime(event.stamp || new Date())}`);
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    if (event.end) lines.push(`DTEND:${formatDateTime(event.end)}`);
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+    lines.push('TRANSP:TRANSPARENT');
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildCalendar
+};
@@ -0,0 +1,72 @@
+// src/utils/platformCapabilities.js
+// What each platform's API lets us do with a post once it is published.
+// `edit.fields` maps each field we can change on the platform to where its
+// value comes from on our post.
+
+const PLATFORM_CAPABILITIES = {
+  twitter: {
+    edit: {
+      supported: false,
+      reason: 'The Twitter API does not allow editing tweets. Delete the tweet and post it again.'
+    },
+    remove: { supported: true, method: 'deleted' }
+  },
+  youtube: {
+    edit: {
+      supported: true,
+      fields: {
+        title: 'platformContent.youtube.title, else title',
+        description: 'platformContent.youtube.description, else content.caption',
+        tags: 'platformContent.youtube.tags'
+      }
+    },
+    // Deleting needs the youtube scope; the video is made private if that fails
+    remove: { supported: true, method: 'deleted', fallback: 'made_private' }
+  },
+  facebook: {
+    edit: {
+      supported: true,
+      fields: {
+        message: 'content.caption and content.hashtags (the description for video posts)'
+      }
+    },
+    remove: { supported: true, method: 'deleted' }
+  },
+  linkedin: {
+    edit: {
+      supported: true,
+      fields: {
+        commentary: 'title (articles), content.caption, content.linkPreview and content.hashtags'
+      }
+    },
+    remove: { supported: true, method: 'deleted' }
+  },
+  instagram: {
+    edit: {
+      supported: false,
+      reason: 'The Instagram Graph API does not allow editing the caption of published media. Edit it in the Instagram app.'
+    },
+    remove: {
+      supported: false,
+      reason: 'The Instagram Graph API does not allow deleting published media. Delete it in the Instagram app.'
+    }
+  }
+};
+
+/**
+ * Capabilities of one platform for an action
+ * @param {string} platform
+ * @param {'edit'|'remove'} action
+ * @returns {Object} { supported, reason, ... }
+ */
+function getCapability(platform, action) {
+  return PLATFORM_CAPABILITIES[platform]?.[action] || {
+    supported: false,
+    reason: `${action === 'edit' ? 'Editing' : 'Removing'} published posts on ${platform} is not supported`
+  };
+}
+
+module.exports = {
+  PLATFORM_CAPABILITIES,
+  getCapability
+};
@@ -0,0 +1,257 @@
+// src/utils/postPreview.js
+// How each network displays a post: where the caption is cut off behind
+// "more", which hashtags, mentions and links it turns into links, when it
+// shows a link card and how its feed crops images. The values follow the
+// networks' feeds as observed, which they change without notice; they are
+// meant for drawing previews, not for validation.
+const { findUrls } = require('./contentLinks');
+const { findTweetUrls } = require('./twitterText');
+
+const PREVIEW_RULES = {
+  twitter: {
+    truncation: null,
+    links: { hashtag: true, mention: true, url: true },
+    hashtagUrl: (tag) => `https://x.com/hashtag/${encodeURIComponent(tag)}`,
+    mentionUrl: (handle) => `https://x.com/${handle}`,
+    mentionPattern: /(?<![\w@])@([A-Za-z0-9_]{1,15})\b/g,
+    // Card for the last link, shown only when the tweet has no media
+    linkCard: 'last',
+    // Timeline crop by number of images in the tweet
+    crops: {
+      1: [{ min: 3 / 4, max: 16 / 9 }],
+      2: [{ aspect: 7 / 8 }, { aspect: 7 / 8 }],
+      3: [{ aspect: 7 / 8 }, { aspect: 7 / 4 }, { aspect: 7 / 4 }],
+      4: [{ aspect: 2 }, { aspect: 2 }, { aspect: 2 }, { aspect: 2 }]
+    }
+  },
+  linkedin: {
+    truncation: { lines: 3, chars: 210, label: '...more' },
+    links: { hashtag: true, mention: false, url: true },
+    hashtagUrl: (tag) => `https://www.linkedin.com/feed/hashtag/${encodeURIComponent(tag.toLowerCase())}`,
+    // content.linkPreview, else the first link; only without media
+    linkCard: 'first',
+    crops: { default: { min: 4 / 5, max: 1.91 } }
+  },
+  instagram: {
+    truncation: { lines: 2, chars: 125, label: '... more' },
+    // Links in captions are not clickable on Instagram
+    links: { hashtag: true, mention: true, url: false },
+    hashtagUrl: (tag) => `https://www.instagram.com/explore/tags/${encodeURIComponent(tag.toLowerCase())}/`,
+    mentionUrl: (handle) => `https://www.instagram.com/${handle}/`,
+    mentionPattern: /(?<![\w@])@([A-Za-z0-9_](?:[A-Za-z0-9_.]{0,28}[A-Za-z0-9_])?)/g,
+    linkCard: null,
+    // Images are cropped when published (services/renditionService)
+    crops: null
+  },
+  facebook: {
+    truncation: { lines: 5, chars: 477, label: '... See more' },
+    links: { hashtag: true, mention: false, url: true },
+    hashtagUrl: (tag) => `https://www.facebook.com/hashtag/${encodeURIComponent(tag.toLowerCase())}`,
+    linkCard: 'first',
+    crops: { default: { min: 4 / 5, max: 1.91 } }
+  },
+  youtube: {
+    truncation: { lines: 3, chars: 157, label: '...more' },
+    links: { hashtag: true, mention: true, url: true },
+    hashtagUrl: (tag) => `https://www.youtube.com/hashtag/${encodeURIComponent(tag.toLowerCase())}`,
+    mentionUrl: (handle) => `https://www.youtube.com/@${handle}`,
+    mentionPattern: /(?<![\w@])@([A-Za-z0-9_.-]{3,30})\b/g,
+    linkCard: null,
+    crops: null
+  }
+};
+
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&#])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+// Shown length of a link on X; the rest is elided
+const TWITTER_DISPLAY_URL_LENGTH = 23;
+
+const toHashtags = (val) => (Array.isArray(val) ? val : (typeof val === 'string' ? val.split(/[ ,]+/).filter(Boolean) : []))
+  .map(tag => (tag.startsWith('#') ? tag : `#${tag}`));
+
+// Common aspect ratios, for labels
+const NAMED_RATIOS = [[9 / 16, '9:16'], [4 / 5, '4:5'], [3 / 4, '3:4'], [7 / 8, '7:8'], [1, '1:1'], [16 / 9, '16:9'], [1.91, '1.91:1'], [7 / 4, '7:4'], [2, '2:1']];
+const ratioLabel = (ratio) => {
+  const named = NAMED_RATIOS.find(([value]) => Math.abs(value - ratio) < 0.01);
+  return named ? named[1] : `${Number(ratio.toFixed(2))}:1`;
+};
+
+/**
+ * The text a post publishes on its platform, composed the way the
+ * publishers compose it
+ * @param {Object} post - { platform, post_type, title, content, platformContent }
+ * @returns {{ text: string, title: string|null }}
+ */
+function publishedText(post) {
+  const content = post.content || {};
+  const caption = typeof content.caption === 'string' ? content.caption.trim() : '';
+  const hashtags = toHashtags(content.hashtags);
+
+  switch (post.platform) {
+    case 'youtube': {
+      const youtube = post.platformContent?.youtube || {};
+      return { text: youtube.description || caption, title: youtube.title || post.title || 'Untitled Video' };
+    }
+    case 'facebook':
+      return { text: [caption, hashtags.join(' ')].filter(Boolean).join('\n\n'), title: null };
+    case 'linkedin': {
+      const parts = [];
+      const article = post.post_type === 'article' && typeof post.title === 'string' && post.title.trim();
+      if (article) parts.push(post.title.trim());
+      parts.push(typeof content.caption === 'string' ? caption : (post.title || 'Shared via Bloocube'));
+      if (content.linkPreview) parts.push(String(content.linkPreview).trim());
+      if (hashtags.length) parts.push(hashtags.join(' '));
+      return { text: parts.filter(Boolean).join('\n\n'), title: article ? post.title.trim() : null };
+    }
+    default:
+      return { text: caption || post.title || '', title: null };
+  }
+}
+
+/**
+ * Split a text into plain runs and the hashtags, mentions and links the
+ * platform highlights, in order
+ * @param {string} text
+ * @param {string} platform
+ * @returns {Array<{ type: string, text: string, start: number, end: number, href?: string, display?: string }>}
+ *   type is 'text', 'hashtag', 'mention' or 'url'
+ */
+function highlight(text, platform) {
+  const rules = PREVIEW_RULES[platform];
+  const value = String(text || '');
+  const entities = [];
+
+  if (rules?.links.url) {
+    if (platform === 'twitter') {
+      for (const { url, start, end } of findTweetUrls(value)) {
+        const bare = url.replace(/^https?:\/\/(www\.)?/i, '');
+        const display = bare.length > TWITTER_DISPLAY_URL_LENGTH ? `${bare.slice(0, TWITTER_DISPLAY_URL_LENGTH - 1)}…` : bare;
+        entities.push({ type: 'url', start, end, href: /^https?:\/\//i.test(url) ? url : `https://${url}`, display });
+      }
+    } else {
+      let from = 0;
+      for (const url of findUrls(value)) {
+        const start = value.indexOf(url, from);
+        from = start + url.length;
+        entities.push({ type: 'url', start, end: from, href: url });
+      }
+    }
+  }
+  const inUrl = (index) => entities.some(entity => entity.type === 'url' && index >= entity.start && index < entity.end);
+
+  if (rules?.links.hashtag) {
+    for (const match of value.matchAll(HASHTAG_PATTERN)) {
+      if (inUrl(match.index)) continue;
+      entities.push({ type: 'hashtag', start: match.index, end: match.index + match[0].length, href: rules.hashtagUrl(match[1]) });
+    }
+  }
+  if (rules?.links.mention) {
+    for (const match of value.matchAll(rules.mentionPattern)) {
+      if (inUrl(match.index)) continue;
+      entities.push({ type: 'mention', start: match.index, end: match.index + match[0].length, href: rules.mentionUrl(match[1]) });
+    }
+  }
+
+  entities.sort((a, b) => a.start - b.start);
+  const segments = [];
+  let position = 0;
+  for (const entity of entities) {
+    if (entity.start < position) continue;
+    if (entity.start > position) {
+      segments.push({ type: 'text', text: value.slice(position, entity.start), start: position, end: entity.start });
+    }
+    segments.push({ ...entity, text: value.slice(entity.start, entity.end) });
+    position = entity.end;
+  }
+  if (position < value.length) {
+    segments.push({ type: 'text', text: value.slice(position), start: position, end: value.length });
+  }
+  return segments;
+}
+
+/**
+ * Where the platform cuts the text off behind its "more" link: after the
+ * rule's number of lines or characters, whichever comes first, moved back
+ * to the last space so no word is split
+ * @param {string} text
+ * @param {string} platform
+ * @returns {Object|null} { truncated, at, visible_text, label, lines, chars }
+ *   (`at` is an index into the text); null for platforms that show it whole
+ */
+function truncate(text, platform) {
+  const rule = PREVIEW_RULES[platform]?.truncation;
+  if (!rule) return null;
+  const value = String(text || '');
+
+  let limit = Math.min(value.length, rule.chars);
+  let lineBreaks = 0;
+  for (let i = 0; i < limit; i++) {
+    if (value[i] === '\n' && ++lineBreaks === rule.lines) {
+      limit = i;
+      break;
+    }
+  }
+
+  const result = { truncated: false, at: value.length, visible_text: value, label: rule.label, lines: rule.lines, chars: rule.chars };
+  if (limit >= value.length) return result;
+
+  let at = limit;
+  if (value[at] !== '\n' && !/\s/.test(value[at])) {
+    const space = value.slice(0, at).search(/\s\S*$/);
+    if (space > 0) at = space;
+  }
+  at = value.slice(0, at).trimEnd().length;
+  return { ...result, truncated: true, at, visible_text: value.slice(0, at) };
+}
+
+/**
+ * The URL a platform shows a link card for, if any
+ * @param {string} text - Published text
+ * @param {Object} post - { platform, content }
+ * @param {boolean} hasMedia - Cards are not shown next to media
+ * @returns {string|null}
+ */
+function linkCardUrl(text, post, hasMedia) {
+  const mode = PREVIEW_RULES[post.platform]?.linkCard;
+  if (!mode || hasMedia) return null;
+  if (post.platform !== 'twitter' && post.content?.linkPreview) return String(post.content.linkPreview).trim();
+
+  const urls = highlight(text, post.platform).filter(segment => segment.type === 'url').map(segment => segment.href);
+  if (urls.length === 0) return null;
+  return mode === 'last' ? urls[urls.length - 1] : urls[0];
+}
+
+/**
+ * The feed's crop rule for each of `count` images shown together
+ * @returns {Array<Object|null>} { aspect } (fixed) or { min, max } (kept
+ *   between), or null where the image is shown whole
+ */
+function feedCropRules(platform, count) {
+  const crops = PREVIEW_RULES[platform]?.crops;
+  if (!crops) return new Array(count).fill(null);
+  const rules = crops[count] || (crops.default ? new Array(count).fill(crops.default) : crops[Math.min(count, 4)]);
+  return Array.from({ length: count }, (_, index) => rules?.[index] || null);
+}
+
+/**
+ * Aspect ratio an image is shown at under a crop rule
+ * @param {Object} rule - From feedCropRules
+ * @param {number} [aspect] - The image's own width / height, if known
+ * @returns {number|null}
+ */
+function shownAspect(rule, aspect) {
+  if (!rule) return aspect || null;
+  if (rule.aspect) return rule.aspect;
+  if (!aspect) return null;
+  return Math.min(Math.max(aspect, rule.min), rule.max);
+}
+
+module.exports = {
+  PREVIEW_RULES,
+  publishedText,
+  highlight,
+  truncate,
+  linkCardUrl,
+  feedCropRules,
+  shownAspect,
+  ratioLabel
+};
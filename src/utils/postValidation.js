@@ -1,5 +1,6 @@
 // src/utils/postValidation.js
 const logger = require('./logger');
+const { weightedLength, validateThread } = require('./twitterText');
 
 /**
  * Platform-specific content validation rules
@@ -57,6 +58,17 @@ const PLATFORM_VALIDATORS = {
   }
 };
 
+/**
+ * Length of a text as a platform counts it; Twitter weighs URLs, emoji and
+ * CJK characters (see utils/twitterText)
+ * @param {string} text
+ * @param {string} platform
+ * @returns {number}
+ */
+function contentLength(text, platform) {
+  return platform === 'twitter' ? weightedLength(text) : String(text || '').length;
+}
+
 /**
  * Validate post content for a specific platform
  * @param {Object} post - Post object containing content and media
@@ -76,13 +88,14 @@ function validatePostContent(post, platform) {
   const errors = [];
   const warnings = [];
   const content = post.content?.caption || post.title || '';
+  const length = contentLength(content, platform);
 
   // Content length validation
-  if (content.length < validator.minLength) {
+  if (length < validator.minLength) {
     errors.push(`Content must be at least ${validator.minLength} characters long`);
   }
   
-  if (content.length > validator.maxLength) {
+  if (length > validator.maxLength) {
     errors.push(`Content exceeds ${platform} limit of ${validator.maxLength} characters`);
   }
 
@@ -103,11 +116,19 @@ function validatePostContent(post, platform) {
         return;
       }
 
+      // Images are resized and converted for the platform at publish time
+      // (services/renditionService), so only videos are rejected here
+      const convertible = mediaType === 'image' && validator.supportedImageFormats.length > 0;
+
       // Check file size
       const maxSize = mediaType === 'video' ? validator.maxVideoSize : validator.maxImageSize;
       if (media.size > maxSize) {
         const sizeMB = Math.round(maxSize / (1024 * 1024));
-        errors.push(`Media file ${index + 1} exceeds ${platform} size limit of ${sizeMB}MB`);
+        if (convertible) {
+          warnings.push(`Media file ${index + 1} exceeds ${platform} size limit of ${sizeMB}MB and will be downsized when published`);
+        } else {
+          errors.push(`Media file ${index + 1} exceeds ${platform} size limit of ${sizeMB}MB`);
+        }
       }
 
       // Check file format
@@ -116,17 +137,37 @@ function validatePostContent(post, platform) {
       const supportedFormats = mediaType === 'video' ? validator.supportedVideoFormats : validator.supportedImageFormats;
       
       if (extension && !supportedFormats.includes(extension)) {
-        errors.push(`Media file ${index + 1} format '${extension}' not supported for ${platform}`);
+        if (convertible) {
+          warnings.push(`Media file ${index + 1} format '${extension}' will be converted for ${platform} when published`);
+        } else {
+          errors.push(`Media file ${index + 1} format '${extension}' not supported for ${platform}`);
+        }
       }
     });
   }
 
+  // Thread tweets are checked one by one, with the media each attaches
+  if (platform === 'twitter' && post.post_type === 'thread') {
+    let platformContent = post.platformContent;
+    if (typeof platformContent === 'string') {
+      try {
+        platformContent = JSON.parse(platformContent);
+      } catch (e) {
+        platformContent = null;
+      }
+    }
+    const thread = platformContent?.twitter?.thread;
+    if (thread !== undefined) {
+      errors.push(...validateThread(thread, Array.isArray(post.media) ? post.media.length : undefined));
+    }
+  }
+
   // Platform-specific warnings
-  if (platform === 'twitter' && content.length > 250) {
+  if (platform === 'twitter' && length > 250) {
     warnings.push('Twitter content is close to character limit');
   }
   
-  if (platform === 'linkedin' && content.length > 2500) {
+  if (platform === 'linkedin' && length > 2500) {
     warnings.push('LinkedIn content is very long and may be truncated');
   }
 
@@ -262,5 +303,6 @@ module.exports = {
   validatePostData,
   sanitizeContent,
   getRecommendations,
+  contentLength,
   PLATFORM_VALIDATORS
 };
@@ -0,0 +1,171 @@
+// src/utils/publishFailures.js
+// Structured records of failed publish attempts (Post.publishing.failures):
+// when, a code from ERROR_CODES, what the platform sent back and whether
+// trying again can help. Also the fix to suggest to the author for a code.
+const { ERROR_CODES } = require('./standardErrorHandler');
+const { PLATFORM_VALIDATORS } = require('./postValidation');
+
+const PLATFORM_NAMES = {
+  twitter: 'Twitter',
+  linkedin: 'LinkedIn',
+  instagram: 'Instagram',
+  youtube: 'YouTube',
+  facebook: 'Facebook'
+};
+
+const KNOWN_CODES = new Set(Object.values(ERROR_CODES));
+
+// Failures that may go away on their own
+const RETRYABLE_CODES = new Set([
+  ERROR_CODES.RATE_LIMIT_EXCEEDED,
+  ERROR_CODES.NETWORK_ERROR,
+  ERROR_CODES.TIMEOUT_ERROR,
+  ERROR_CODES.SERVICE_UNAVAILABLE
+]);
+
+// Error messages the publishers return without a code, first match wins
+const MESSAGE_PATTERNS = [
+  [/not connected|no facebook pages|page not found for this user|account not found/i, ERROR_CODES.PLATFORM_NOT_CONNECTED],
+  [/expired/i, ERROR_CODES.PLATFORM_TOKEN_EXPIRED],
+  [/unauthori[sz]ed|invalid_token|invalid token|permission|reconnect/i, ERROR_CODES.PLATFORM_TOKEN_INVALID],
+  [/rate.?limit|too many requests/i, ERROR_CODES.RATE_LIMIT_EXCEEDED],
+  [/quota/i, ERROR_CODES.QUOTA_EXCEEDED],
+  [/too large|file size/i, ERROR_CODES.MEDIA_TOO_LARGE],
+  [/unsupported media|unsupported .*type/i, ERROR_CODES.MEDIA_UNSUPPORTED],
+  [/media|image|video|thumbnail|file/i, ERROR_CODES.MEDIA_INVALID],
+  [/too long|exceeds/i, ERROR_CODES.CONTENT_TOO_LONG],
+  [/no thread content|too short|empty/i, ERROR_CODES.CONTENT_TOO_SHORT],
+  [/timed? ?out|etimedout/i, ERROR_CODES.TIMEOUT_ERROR],
+  [/network|econn|enotfound|socket/i, ERROR_CODES.NETWORK_ERROR],
+  [/platform not supported/i, ERROR_CODES.UNSUPPORTED_PLATFORM]
+];
+
+// Platform responses are kept for diagnosis, not in full
+const MAX_RESPONSE_LENGTH = 4000;
+
+/**
+ * Normalized code of a failed publish result
+ * @param {Object} result - { error, errorCode, status } as returned by the
+ *   publishers (errorCode is set when it came from handlePlatformError)
+ * @returns {string} One of ERROR_CODES
+ */
+function failureCode(result) {
+  if (KNOWN_CODES.has(result.errorCode)) return result.errorCode;
+
+  const message = String(result.error || '');
+  const match = MESSAGE_PATTERNS.find(([pattern]) => pattern.test(message));
+  if (match) return match[1];
+
+  const status = Number(result.status);
+  if (status === 429) return ERROR_CODES.RATE_LIMIT_EXCEEDED;
+  if (status === 401 || status === 403) return ERROR_CODES.PLATFORM_TOKEN_INVALID;
+  if (status >= 500) return ERROR_CODES.SERVICE_UNAVAILABLE;
+  return ERROR_CODES.EXTERNAL_SERVICE_ERROR;
+}
+
+function isRetryableCode(code) {
+  return RETRYABLE_CODES.has(code);
+}
+
+// What the platform sent back: the response body when the publisher kept
+// it, otherwise the extra fields of its result (e.g. Instagram's raw error)
+function platformResponse(result) {
+  let response = result.platformResponse;
+  if (response === undefined) {
+    const { success, error, errorCode, status, failure, queued, jobId, ...rest } = result;
+    // A code that is not ours is the platform's own (e.g. a Graph API code)
+    if (errorCode !== undefined && !KNOWN_CODES.has(errorCode)) rest.errorCode = errorCode;
+    response = Object.keys(rest).length > 0 ? rest : null;
+  }
+  if (response === null || response === undefined) return null;
+
+  try {
+    const text = JSON.stringify(response);
+    return text.length > MAX_RESPONSE_LENGTH ? `${text.slice(0, MAX_RESPONSE_LENGTH)}…` : response;
+  } catch (e) {
+    return String(response).slice(0, MAX_RESPONSE_LENGTH);
+  }
+}
+
+/**
+ * Failure record for one publish attempt
+ * @param {Object} result - Failed publish result
+ * @param {Object} options - { attempt, worker, retryable: overrides the
+ *   code's own answer, e.g. with the queue's decision }
+ * @returns {Object} Entry for Post.publishing.failures
+ */
+function failureRecord(result, { attempt, worker, retryable } = {}) {
+  const code = failureCode(result);
+  const status = Number(result.status);
+  return {
+    at: new Date(),
+    attempt,
+    code,
+    message: result.error || 'Platform posting failed',
+    retryable: retryable === undefined ? isRetryableCode(code) : Boolean(retryable),
+    status_code: Number.isInteger(status) && status > 0 ? status : undefined,
+    response: platformResponse(result),
+    worker
+  };
+}
+
+/**
+ * What the author can do about a failure
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} platform - Post platform
+ * @returns {Object} { action: 'connect'|'reconnect'|'edit'|'wait'|'retry'|
+ *   'none', message }
+ */
+function suggestedFix(code, platform) {
+  const name = PLATFORM_NAMES[platform] || platform;
+  const maxLength = PLATFORM_VALIDATORS[platform]?.maxLength;
+
+  switch (code) {
+    case ERROR_CODES.PLATFORM_NOT_CONNECTED:
+      return { action: 'connect', message: `Connect your ${name} account, then retry` };
+    case ERROR_CODES.PLATFORM_TOKEN_EXPIRED:
+      return { action: 'reconnect', message: `Your ${name} token expired: reconnect ${name}, then retry` };
+    case ERROR_CODES.PLATFORM_TOKEN_INVALID:
+    case ERROR_CODES.AUTH_INVALID:
+    case ERROR_CODES.AUTH_EXPIRED:
+    case ERROR_CODES.AUTH_REQUIRED:
+      return { action: 'reconnect', message: `${name} rejected the account's access: reconnect ${name} and approve every requested permission, then retry` };
+    case ERROR_CODES.CONTENT_TOO_LONG:
+      return {
+        action: 'edit',
+        message: platform === 'twitter'
+          ? 'Shorten the tweet or turn it into a thread, then retry'
+          : `Shorten the post${maxLength ? ` to ${maxLength} characters` : ''}, then retry`
+      };
+    case ERROR_CODES.CONTENT_TOO_SHORT:
+    case ERROR_CODES.CONTENT_INVALID:
+    case ERROR_CODES.VALIDATION_ERROR:
+      return { action: 'edit', message: `Edit the post to meet ${name}'s content requirements, then retry` };
+    case ERROR_CODES.MEDIA_TOO_LARGE:
+      return { action: 'edit', message: `Replace or compress the media to fit ${name}'s size limit, then retry` };
+    case ERROR_CODES.MEDIA_UNSUPPORTED:
+      return { action: 'edit', message: `Replace the media with a format ${name} accepts, then retry` };
+    case ERROR_CODES.MEDIA_INVALID:
+      return { action: 'edit', message: `Check the attached media against ${name}'s requirements (POST /api/posts/validate), then retry` };
+    case ERROR_CODES.RATE_LIMIT_EXCEEDED:
+      return { action: 'wait', message: `${name} is rate limiting the account: wait a few minutes, then retry` };
+    case ERROR_CODES.QUOTA_EXCEEDED:
+      return { action: 'wait', message: `The ${name} quota for today is used up: retry tomorrow` };
+    case ERROR_CODES.NETWORK_ERROR:
+    case ERROR_CODES.TIMEOUT_ERROR:
+    case ERROR_CODES.SERVICE_UNAVAILABLE:
+      return { action: 'retry', message: `${name} could not be reached: retry` };
+    case ERROR_CODES.UNSUPPORTED_PLATFORM:
+      return { action: 'none', message: `Publishing to ${name} is not supported` };
+    default:
+      return { action: 'retry', message: `Check ${name}'s response for the cause, then retry` };
+  }
+}
+
+module.exports = {
+  failureCode,
+  failureRecord,
+  isRetryableCode,
+  suggestedFix,
+  PLATFORM_NAMES
+};
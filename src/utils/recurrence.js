@@ -0,0 +1,190 @@
+// src/utils/recurrence.js
+const { isValidTimeZone, getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Upper bound on how many candidate days we scan before giving up
+const MAX_SCAN_DAYS = 366 * 2;
+
+/**
+ * Normalize a weekday name ('Mon', 'monday', '1') to its index (0 = Sunday)
+ * @param {string|number} day - Weekday name or index
+ * @returns {number|null} Weekday index
+ */
+function parseWeekday(day) {
+  if (typeof day === 'number' || /^\d$/.test(String(day))) {
+    const index = Number(day);
+    return index >= 0 && index <= 6 ? index : null;
+  }
+  const value = String(day || '').trim().toLowerCase();
+  const index = WEEKDAYS.findIndex(name => name === value || name.slice(0, 3) === value);
+  return index === -1 ? null : index;
+}
+
+/**
+ * Parse a 'HH:mm' string
+ * @param {string} time - Time of day
+ * @returns {Object|null} { hours, minutes }
+ */
+function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+/**
+ * Validate a recurring rule as sent by clients
+ * @param {Object} recurring - Recurring rule
+ * @returns {Array<string>} Validation errors
+ */
+function validateRecurring(recurring) {
+  const errors = [];
+  if (!recurring || !recurring.enabled) return errors;
+
+  if (!FREQUENCIES.includes(recurring.frequency)) {
+    errors.push(`Recurring frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  if (recurring.time && !parseTime(recurring.time)) {
+    errors.push('Recurring time must be in HH:mm format');
+  }
+  const days = recurring.days || [];
+  if (recurring.frequency === 'weekly' && days.some(day => parseWeekday(day) === null)) {
+    errors.push('Weekly recurring days must be weekday names (e.g. monday, tue)');
+  }
+  if (recurring.frequency === 'monthly' && days.some(day => !(Number(day) >= 1 && Number(day) <= 31))) {
+    errors.push('Monthly recurring days must be days of the month (1-31)');
+  }
+  if (recurring.ends_after !== undefined && recurring.ends_after !== null && !(Number(recurring.ends_after) >= 1)) {
+    errors.push('Recurring ends_after must be a positive number');
+  }
+  if (recurring.ends_at && isNaN(new Date(recurring.ends_at).valueOf())) {
+    errors.push('Recurring ends_at must be a valid date');
+  }
+  return errors;
+}
+
+/**
+ * Check whether a local calendar day matches the rule
+ * @param {Object} recurring - Recurring rule
+ * @param {Object} day - Local { year, month, day, weekday }
+ * @param {Object} anchor - Local parts of the series anchor
+ */
+function matchesDay(recurring, day, anchor) {
+  const days = recurring.days || [];
+  switch (recurring.frequency) {
+    case 'daily':
+      return true;
+    case 'weekly': {
+      const weekdays = days.length > 0 ? days.map(parseWeekday) : [anchor.weekday];
+      return weekdays.includes(day.weekday);
+    }
+    case 'monthly': {
+      const monthDays = days.length > 0 ? days.map(Number) : [anchor.day];
+      // Clamp e.g. the 31st to the last day of shorter months
+      const lastDay = new Date(Date.UTC(day.year, day.month, 0)).getUTCDate();
+      return monthDays.some(d => Math.min(d, lastDay) === day.day);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Compute the first occurrence strictly after `after`. Days and times are
+ * wall-clock values in `timeZone`, so '09:00' stays 09:00 local across DST.
+ * A time that falls in a DST gap or overlap is resolved with `resolution`
+ * ('earlier' by default: gaps shift forward, overlaps take the first instant)
+ * and the adjustment is returned so callers can record it.
+ *
+ * @param {Object} recurring - Recurring rule ({ frequency, days, time, ends_at, skipped })
+ * @param {Date} after - Occurrences at or before this instant are ignored
+ * @param {Date} anchor - First scheduled time of the series (default day and time)
+ * @param {string} timeZone - IANA zone of the series
+ * @param {string} resolution - DST resolution, see utils/timezone
+ * @returns {Object|null} { date, adjustment }, or null when the series has ended
+ */
+function findNextOccurrence(recurring, after, anchor = after, timeZone = 'UTC', resolution = 'earlier') {
+  if (!recurring || !recurring.enabled || !FREQUENCIES.includes(recurring.frequency)) {
+    return null;
+  }
+
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  // Unattended occurrences cannot be rejected, only resolved
+  const dstResolution = resolution === 'reject' ? 'earlier' : resolution;
+  const anchorParts = getZonedParts(new Date(anchor), zone);
+  const time = parseTime(recurring.time) || { hours: anchorParts.hour, minutes: anchorParts.minute };
+  const endsAt = recurring.ends_at ? new Date(recurring.ends_at) : null;
+  const skipped = new Set((recurring.skipped || []).map(date => new Date(date).getTime()));
+
+  const start = new Date(after);
+  const startParts = getZonedParts(start, zone);
+  for (let offset = 0; offset <= MAX_SCAN_DAYS; offset++) {
+    const calendar = new Date(Date.UTC(startParts.year, startParts.month - 1, startParts.day + offset));
+    const day = {
+      year: calendar.getUTCFullYear(),
+      month: calendar.getUTCMonth() + 1,
+      day: calendar.getUTCDate(),
+      weekday: calendar.getUTCDay()
+    };
+    if (!matchesDay(recurring, day, anchorParts)) continue;
+
+    const { date, adjustment } = zonedTimeToUtc(
+      { year: day.year, month: day.month, day: day.day, hour: time.hours, minute: time.minutes },
+      zone,
+      dstResolution
+    );
+
+    if (date <= start) continue;
+    if (endsAt && date > endsAt) return null;
+    if (skipped.has(date.getTime())) continue;
+    return { date, adjustment };
+  }
+
+  return null;
+}
+
+/**
+ * Compute the first occurrence strictly after `after`
+ * @returns {Date|null} Next occurrence, or null when the series has ended
+ */
+function getNextOccurrence(recurring, after, anchor = after, timeZone = 'UTC', resolution = 'earlier') {
+  const next = findNextOccurrence(recurring, after, anchor, timeZone, resolution);
+  return next ? next.date : null;
+}
+
+/**
+ * List the next `count` occurrences after `from`
+ * @param {Object} recurring - Recurring rule
+ * @param {Date} from - Start instant (exclusive)
+ * @param {number} count - Number of occurrences
+ * @param {Date} anchor - First scheduled time of the series
+ * @param {string} timeZone - IANA zone of the series
+ * @param {string} resolution - DST resolution
+ * @returns {Array<Date>} Upcoming occurrences
+ */
+function getUpcomingOccurrences(recurring, from, count, anchor = from, timeZone = 'UTC', resolution = 'earlier') {
+  const occurrences = [];
+  let cursor = new Date(from);
+  while (occurrences.length < count) {
+    const next = getNextOccurrence(recurring, cursor, anchor, timeZone, resolution);
+    if (!next) break;
+    occurrences.push(next);
+    cursor = next;
+  }
+  return occurrences;
+}
+
+module.exports = {
+  WEEKDAYS,
+  FREQUENCIES,
+  parseWeekday,
+  parseTime,
+  validateRecurring,
+  findNextOccurrence,
+  getNextOccurrence,
+  getUpcomingOccurrences
+};
@@ -207,28 +207,44 @@ async function retryPost(postFunction, platform, postData = {}) {
 /**
  * Update post with retry information
  * @param {Object} post - Post document
- * @param {Object} result - Posting result
+ * @param {Object} result - Posting result; a failed one may carry its
+ *   `failure` record (see utils/publishFailures)
  * @param {number} attempt - Attempt number
  * @returns {Promise} Updated post
  */
 async function updatePostWithRetryInfo(post, result, attempt = 1) {
+  // Release the scheduler lease (if any) and record the outcome
+  const worker = post.publishing?.lease?.owner;
+  post.set('publishing.lease', undefined);
+  post.publishing.history = post.publishing.history || [];
+  post.publishing.history.push({
+    event: result.success ? 'published' : 'failed',
+    worker,
+    at: new Date(),
+    error: result.success ? undefined : result.error
+  });
+
+  // Set field by field: history, failures and removal info stay
   if (result.success) {
     post.status = 'published';
-    post.publishing = {
-      ...post.publishing,
-      published_at: new Date(),
-      platform_post_id: result.tweet_id || result.thread_id || result.video_id || result.post_id || null,
-      platform_url: result.url || null,
-      retry_count: attempt - 1
-    };
+    post.set({
+      'publishing.published_at': new Date(),
+      'publishing.platform_post_id': result.tweet_id || result.thread_id || result.video_id || result.ig_media_id || result.id || result.post_id || null,
+      'publishing.platform_url': result.url || null,
+      'publishing.error': undefined,
+      'publishing.retry_count': attempt - 1
+    });
   } else {
     post.status = 'failed';
-    post.publishing = {
-      ...post.publishing,
-      published_at: new Date(),
-      error: result.error,
-      retry_count: attempt
-    };
+    post.set({
+      'publishing.published_at': new Date(),
+      'publishing.error': result.error,
+      'publishing.retry_count': attempt
+    });
+    // Structured record of the attempt, when the caller made one
+    if (result.failure) {
+      post.publishing.failures.push(result.failure);
+    }
   }
 
   return post.save();
@@ -1,6 +1,7 @@
 const { Storage } = require('@google-cloud/storage');
 const path = require('path');
 const fs = require('fs');
+const axios = require('axios');
 const config = require('../config/env');
 
 let gcsClient = null;
@@ -70,8 +71,105 @@ async function downloadToBufferFromGcs(key) {
   return contents;
 }
 
+async function deleteFromGcs(key) {
+  if (!isGcsEnabled()) {
+    throw new Error('GCS is not configured');
+  }
+  const storage = getGcsClient();
+  await storage.bucket(config.GCS_BUCKET).file(key).delete({ ignoreNotFound: true });
+}
+
+const localUploadDir = path.resolve('./uploads');
+
+/**
+ * Write an uploaded buffer to GCS when configured, otherwise to ./uploads,
+ * under a random name
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { prefix: 'media'|'thumbnails', originalName, mimeType }
+ * @returns {Promise<Object>} { url, storage, storageKey, filename }
+ */
+async function persistBuffer(buffer, { prefix = 'media', originalName = '', mimeType } = {}) {
+  const crypto = require('crypto');
+  const hashedName = crypto.randomBytes(16).toString('hex') + path.extname(originalName).toLowerCase();
+
+  if (isGcsEnabled()) {
+    const today = new Date();
+    const datePrefix = `${today.getFullYear()}/${(today.getMonth() + 1).toString().padStart(2, '0')}/${today.getDate().toString().padStart(2, '0')}`;
+    const { key, url } = await uploadBufferToGcs(buffer, `${prefix}/${datePrefix}/${hashedName}`, mimeType);
+    return { url, storage: 'gcs', storageKey: key, filename: hashedName };
+  }
+
+  if (!fs.existsSync(localUploadDir)) {
+    fs.mkdirSync(localUploadDir, { recursive: true });
+  }
+  await fs.promises.writeFile(path.join(localUploadDir, hashedName), buffer);
+  return { url: `/uploads/${hashedName}`, storage: 'local', storageKey: null, filename: hashedName };
+}
+
+/**
+ * Remove an object written by persistBuffer
+ * @param {Object} stored - { storage, storageKey, filename }
+ */
+async function deleteStoredObject({ storage, storageKey, filename }) {
+  if (storage === 'gcs' && storageKey) {
+    return deleteFromGcs(storageKey);
+  }
+  if (filename) {
+    await fs.promises.unlink(path.join(localUploadDir, path.basename(filename))).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+}
+
+// Helper: load media into a Buffer regardless of storage backend
+async function loadMediaBuffer(mediaFile) {
+  try {
+    // Prefer GCS when available
+    if (mediaFile.storage === 'gcs' && mediaFile.storageKey) {
+      const buffer = await downloadToBufferFromGcs(mediaFile.storageKey);
+      if (buffer && buffer.length > 0) {
+        return { buffer, filename: mediaFile.filename, mimeType: mediaFile.mimeType };
+      }
+    }
+  } catch (e) {
+    console.warn('⚠️ GCS fetch failed for media, falling back to local/url', { err: e.message, storageKey: mediaFile.storageKey });
+  }
+
+  // Try local filesystem
+  try {
+    const localPath = path.join(localUploadDir, mediaFile.filename);
+    if (fs.existsSync(localPath)) {
+      const buffer = fs.readFileSync(localPath);
+      if (buffer && buffer.length > 0) {
+        return { buffer, filename: mediaFile.filename, mimeType: mediaFile.mimeType };
+      }
+    }
+  } catch (e) {
+    console.warn('⚠️ Local file read failed for media', { err: e.message, filename: mediaFile.filename });
+  }
+
+  // Fallback to HTTP(S) download from URL
+  try {
+    if (mediaFile.url) {
+      const resp = await axios.get(mediaFile.url, { responseType: 'arraybuffer' });
+      const buffer = Buffer.from(resp.data);
+      if (buffer && buffer.length > 0) {
+        return { buffer, filename: mediaFile.filename || 'media', mimeType: mediaFile.mimeType || resp.headers['content-type'] || 'application/octet-stream' };
+      }
+    }
+  } catch (e) {
+    console.warn('⚠️ HTTP download failed for media URL', { err: e.message, url: mediaFile.url });
+  }
+
+  return { buffer: null, filename: mediaFile.filename, mimeType: mediaFile.mimeType };
+}
+
 module.exports = {
   isGcsEnabled,
   uploadBufferToGcs,
   downloadToBufferFromGcs,
+  deleteFromGcs,
+  persistBuffer,
+  deleteStoredObject,
+  loadMediaBuffer,
 };
\ No newline at end of file
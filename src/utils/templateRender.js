@@ -0,0 +1,56 @@
+// src/utils/templateRender.js
+// {{placeholder}} substitution for content templates
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z][\w.]*)\s*\}\}/g;
+
+/**
+ * Placeholder names used in a text, in order of first use
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function extractVariables(text) {
+  const names = [];
+  for (const match of String(text || '').matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Fill in the placeholders of a text. Placeholders without a value are
+ * left as they are and reported, unless they are optional (then empty).
+ * @param {string} text
+ * @param {Object} values - name => value
+ * @param {Object} options - { optional: names that may be left empty }
+ * @returns {{ text: string, missing: Array<string> }}
+ */
+function renderText(text, values = {}, { optional = [] } = {}) {
+  const missing = [];
+  const rendered = String(text || '').replace(VARIABLE_PATTERN, (match, name) => {
+    const value = values[name];
+    if (value === undefined || value === null || value === '') {
+      if (optional.includes(name)) return '';
+      if (!missing.includes(name)) missing.push(name);
+      return match;
+    }
+    return String(value);
+  });
+  return { text: rendered, missing };
+}
+
+/**
+ * Length of a text once its placeholders are filled, counting each
+ * placeholder as empty; the least a rendering can be
+ * @param {string} text
+ * @param {Function} [measure] - Length function, e.g. a platform's weighting
+ * @returns {number}
+ */
+function minimumLength(text, measure = (value) => value.length) {
+  return measure(String(text || '').replace(VARIABLE_PATTERN, ''));
+}
+
+module.exports = {
+  extractVariables,
+  renderText,
+  minimumLength
+};
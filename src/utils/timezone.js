@@ -0,0 +1,274 @@
+// src/utils/timezone.js
+// Wall-clock <-> UTC conversion for IANA time zones, built on Intl so no
+// extra dependency is needed. DST gaps and overlaps are reported, never
+// silently resolved.
+
+const DST_RESOLUTIONS = ['reject', 'earlier', 'later', 'shift_forward'];
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Check whether a string is a valid IANA time zone
+ * @param {string} timeZone - e.g. 'Asia/Kolkata'
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Offset of a time zone from UTC at a given instant, in minutes
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {number} e.g. 330 for Asia/Kolkata, -240 for New York in summer
+ */
+function getOffsetMinutes(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC instant.
+ *
+ * Returns `{ date, status }` where status is 'ok', 'gap' (the local time does
+ * not exist, e.g. 02:30 on a spring-forward day) or 'overlap' (it exists
+ * twice, e.g. 01:30 on a fall-back day). `resolution` decides what happens in
+ * those cases: 'reject' returns `date: null`; 'earlier'/'later' pick one of the
+ * two overlap instants; 'shift_forward' moves a gap time forward by the gap
+ * length. A gap with 'earlier'/'later' also shifts forward, since there is no
+ * instant to pick.
+ *
+ * @param {Object} local - { year, month, day, hour, minute }
+ * @param {string} timeZone - IANA zone
+ * @param {string} resolution - One of DST_RESOLUTIONS
+ * @returns {Object} { date, status, candidates, adjustment }
+ */
+function zonedTimeToUtc(local, timeZone, resolution = 'reject') {
+  const naive = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute || 0, local.second || 0);
+  const DAY = 24 * 60 * 60 * 1000;
+
+  // The zone can only have one of the offsets in force a day either side
+  const offsets = [...new Set([
+    getOffsetMinutes(new Date(naive - DAY), timeZone),
+    getOffsetMinutes(new Date(naive + DAY), timeZone)
+  ])];
+
+  const candidates = offsets
+    .map(offset => new Date(naive - offset * 60000))
+    .filter(candidate => getOffsetMinutes(candidate, timeZone) * 60000 === naive - candidate.getTime())
+    .sort((a, b) => a - b);
+
+  if (candidates.length === 1) {
+    return { date: candidates[0], status: 'ok', candidates, adjustment: null };
+  }
+
+  if (candidates.length === 0) {
+    if (resolution === 'reject') {
+      return { date: null, status: 'gap', candidates, adjustment: null };
+    }
+    // Clocks jump forward in a gap, so the pre-transition offset is the
+    // smaller one; reading the local time with it lands just after the gap
+    const preTransition = Math.min(...offsets);
+    const gapMinutes = Math.max(...offsets) - preTransition;
+    const date = new Date(naive - preTransition * 60000);
+    return {
+      date,
+      status: 'gap',
+      candidates,
+      adjustment: `Local time falls in a DST gap; shifted forward by ${gapMinutes} minutes`
+    };
+  }
+
+  if (resolution === 'reject') {
+    return { date: null, status: 'overlap', candidates, adjustment: null };
+  }
+  const date = resolution === 'later' ? candidates[candidates.length - 1] : candidates[0];
+  return {
+    date,
+    status: 'overlap',
+    candidates,
+    adjustment: `Local time occurs twice due to DST; using the ${resolution === 'later' ? 'later' : 'earlier'} occurrence`
+  };
+}
+
+/**
+ * Parse an ISO-like local datetime without offset ('2026-03-08T09:00')
+ * @param {string} value - Local datetime string
+ * @returns {Object|null} { year, month, day, hour, minute, second }
+ */
+function parseLocalDateTime(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  return {
+    year: Number(match[1]),
+    month: Number(match[2]),
+    day: Number(match[3]),
+    hour: Number(match[4]),
+    minute: Number(match[5]),
+    second: Number(match[6] || 0)
+  };
+}
+
+/**
+ * Whether a datetime string carries its own offset ('Z' or '+05:30')
+ * @param {string} value - Datetime string
+ * @returns {boolean}
+ */
+function hasExplicitOffset(value) {
+  return /(Z|[+-]\d{2}:?\d{2})$/i.test(String(value || '').trim());
+}
+
+/**
+ * Resolve a scheduled time from a request. Strings with an offset are taken
+ * as absolute instants; strings without one are wall-clock times in `timeZone`.
+ * @param {string|Date} value - Incoming value
+ * @param {string} timeZone - IANA zone
+ * @param {string} resolution - DST resolution
+ * @returns {Object} { date, status, adjustment, local, error }
+ */
+function resolveScheduledTime(value, timeZone, resolution = 'reject') {
+  if (value instanceof Date || hasExplicitOffset(value)) {
+    const date = new Date(value);
+    if (isNaN(date.valueOf())) return { date: null, error: 'Invalid date' };
+    return { date, status: 'ok', adjustment: null, local: null };
+  }
+
+  const local = parseLocalDateTime(value);
+  if (!local) {
+    const date = new Date(value);
+    if (isNaN(date.valueOf())) return { date: null, error: 'Invalid date' };
+    return { date, status: 'ok', adjustment: null, local: null };
+  }
+
+  const result = zonedTimeToUtc(local, timeZone, resolution);
+  if (!result.date) {
+    const error = result.status === 'gap'
+      ? `${value} does not exist in ${timeZone} (DST gap). Choose another time or set dst_resolution to 'shift_forward'.`
+      : `${value} occurs twice in ${timeZone} (DST overlap). Set dst_resolution to 'earlier' or 'later'.`;
+    return { date: null, status: result.status, candidates: result.candidates, error };
+  }
+  return { date: result.date, status: result.status, adjustment: result.adjustment, local: String(value).trim() };
+}
+
+/**
+ * Build the `scheduling` fields of a post from a schedule request body.
+ * Accepts scheduledAt / scheduling.scheduled_at / scheduled_for; times without
+ * an offset are wall-clock times in the request's time zone, falling back to
+ * `defaultTimezone` (the user's profile time zone).
+ * @param {Object} body - Request body
+ * @param {string} defaultTimezone - Fallback IANA zone
+ * @returns {Object} { scheduling } or { error, dst }
+ */
+function resolveScheduling(body = {}, defaultTimezone = 'UTC') {
+  const incoming = body.scheduledAt || body.scheduling?.scheduled_at || body.scheduled_for;
+  const timezone = body.timezone || body.scheduling?.timezone || defaultTimezone || 'UTC';
+  const dstResolution = body.dst_resolution || body.scheduling?.dst_resolution || 'reject';
+
+  if (!incoming) {
+    return { error: 'Valid scheduledAt is required (ISO 8601)' };
+  }
+  if (!isValidTimeZone(timezone)) {
+    return { error: `Unknown time zone: ${timezone}` };
+  }
+  if (!DST_RESOLUTIONS.includes(dstResolution)) {
+    return { error: `dst_resolution must be one of: ${DST_RESOLUTIONS.join(', ')}` };
+  }
+
+  const resolved = resolveScheduledTime(incoming, timezone, dstResolution);
+  if (!resolved.date) {
+    return {
+      error: resolved.error === 'Invalid date' ? 'Valid scheduledAt is required (ISO 8601)' : resolved.error,
+      dst: resolved.status ? { status: resolved.status, candidates: resolved.candidates } : undefined
+    };
+  }
+  if (resolved.local && resolved.date <= new Date()) {
+    return { error: 'Scheduled date must be in the future' };
+  }
+
+  return {
+    scheduling: {
+      scheduled_at: resolved.date,
+      timezone,
+      local_time: resolved.local || undefined,
+      dst_resolution: dstResolution,
+      dst_adjustment: resolved.adjustment || undefined
+    }
+  };
+}
+
+/**
+ * Render an instant as local ISO 8601 with offset, e.g. '2026-03-08T09:00:00-05:00'
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {string|null}
+ */
+function formatInTimeZone(date, timeZone = 'UTC') {
+  if (!date) return null;
+  const instant = new Date(date);
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  const p = getZonedParts(instant, zone);
+  const offset = getOffsetMinutes(instant, zone);
+  const pad = (n) => String(n).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+module.exports = {
+  DST_RESOLUTIONS,
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  parseLocalDateTime,
+  hasExplicitOffset,
+  resolveScheduledTime,
+  resolveScheduling,
+  formatInTimeZone
+};
@@ -0,0 +1,234 @@
+// src/utils/twitterText.js
+// Tweet length as Twitter counts it (twitter-text v3 weighting) and
+// splitting long text into a numbered thread.
+//
+// Every URL counts as 23 characters, emoji count as 2 whatever their code
+// points, and characters outside Latin-1, general punctuation and a few
+// other ranges (CJK, for instance) count as 2.
+
+const MAX_TWEET_LENGTH = 280;
+const MAX_THREAD_TWEETS = 25;
+const MAX_MEDIA_PER_TWEET = 4;
+const URL_LENGTH = 23;
+
+// Code point ranges that weigh 1; everything else weighs 2
+const LIGHT_RANGES = [
+  [0x0000, 0x10FF],
+  [0x2000, 0x200D],
+  [0x2010, 0x201F],
+  [0x2032, 0x2037]
+];
+
+// Links with a scheme, or bare domains on common TLDs (example.com/page)
+const URL_PATTERN = new RegExp(
+  '\\bhttps?:\\/\\/[^\\s<>"\'`]+' +
+  '|(?<![@\\w.-])(?:www\\.)?(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\\.)+' +
+  '(?:com|org|net|edu|gov|io|co|ai|app|dev|me|info|biz|ly|tv|us|uk|in|de|fr|jp|ca|au|es|it|nl|br|ru)\\b' +
+  '(?:\\/[^\\s<>"\'`]*)?',
+  'gi'
+);
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}'"]+$/;
+
+const graphemes = new Intl.Segmenter('en', { granularity: 'grapheme' });
+const sentences = new Intl.Segmenter('en', { granularity: 'sentence' });
+
+function isEmoji(grapheme) {
+  if (/\p{Regional_Indicator}|⃣/u.test(grapheme)) return true;
+  // ©, ® and the like are only emoji with the emoji variation selector
+  return /\p{Extended_Pictographic}/u.test(grapheme) &&
+    (grapheme.codePointAt(0) > 0xFF || grapheme.includes('️'));
+}
+
+function codePointWeight(codePoint) {
+  return LIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : 2;
+}
+
+function plainLength(text) {
+  let length = 0;
+  for (const { segment } of graphemes.segment(text)) {
+    if (isEmoji(segment)) {
+      length += 2;
+      continue;
+    }
+    for (const char of segment) length += codePointWeight(char.codePointAt(0));
+  }
+  return length;
+}
+
+/**
+ * URLs in a text with their positions, without trailing punctuation
+ * @param {string} text
+ * @returns {Array<{ url: string, start: number, end: number }>}
+ */
+function findTweetUrls(text) {
+  const urls = [];
+  for (const match of String(text || '').matchAll(URL_PATTERN)) {
+    const url = match[0].replace(TRAILING_PUNCTUATION, '');
+    urls.push({ url, start: match.index, end: match.index + url.length });
+  }
+  return urls;
+}
+
+/**
+ * Length of a text as Twitter counts it
+ * @param {string} text
+ * @returns {number}
+ */
+function weightedLength(text) {
+  const normalized = String(text || '').normalize('NFC');
+  let length = 0;
+  let position = 0;
+  for (const { start, end } of findTweetUrls(normalized)) {
+    length += plainLength(normalized.slice(position, start)) + URL_LENGTH;
+    position = end;
+  }
+  return length + plainLength(normalized.slice(position));
+}
+
+/**
+ * Check one tweet's text
+ * @param {string} text
+ * @returns {{ isValid: boolean, length: number, remaining: number }}
+ */
+function checkTweet(text) {
+  const length = weightedLength(text);
+  return { isValid: length > 0 && length <= MAX_TWEET_LENGTH, length, remaining: MAX_TWEET_LENGTH - length };
+}
+
+// Pieces that fit `budget`: whole sentences where possible, else words,
+// else graphemes. `sep` is what joins a piece to the one before it.
+function splitUnits(text, budget) {
+  const units = [];
+  const paragraphs = String(text).normalize('NFC').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+
+  paragraphs.forEach((paragraph, p) => {
+    let sep = p === 0 ? '' : '\n\n';
+    for (const { segment } of sentences.segment(paragraph)) {
+      const sentence = segment.trim();
+      if (!sentence) continue;
+      if (weightedLength(sentence) <= budget) {
+        units.push({ text: sentence, sep });
+        sep = ' ';
+        continue;
+      }
+      for (const word of sentence.split(/\s+/)) {
+        if (weightedLength(word) <= budget) {
+          units.push({ text: word, sep });
+        } else {
+          let piece = '';
+          let first = true;
+          for (const { segment: grapheme } of graphemes.segment(word)) {
+            if (piece && weightedLength(piece + grapheme) > budget) {
+              units.push({ text: piece, sep: first ? sep : '' });
+              first = false;
+              piece = '';
+            }
+            piece += grapheme;
+          }
+          if (piece) units.push({ text: piece, sep: first ? sep : '' });
+        }
+        sep = ' ';
+      }
+    }
+  });
+  return units;
+}
+
+function pack(units, budget) {
+  const chunks = [];
+  let current = '';
+  for (const unit of units) {
+    const candidate = current ? current + unit.sep + unit.text : unit.text;
+    if (current && weightedLength(candidate) > budget) {
+      chunks.push(current);
+      current = unit.text;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split text into tweets at sentence boundaries (words, then characters,
+ * for sentences longer than a tweet). Paragraph breaks are kept inside a
+ * tweet and preferred as split points.
+ * @param {string} text
+ * @param {Object} options - { numbering: 'suffix' ("… 1/5"), 'prefix'
+ *   ("1/5 …") or false }
+ * @returns {Array<{ position: number, text: string, length: number }>}
+ */
+function splitThread(text, { numbering = 'suffix' } = {}) {
+  if (!String(text || '').trim()) return [];
+
+  // Room for the widest counter; widen it if the thread outgrows it
+  let digits = 1;
+  for (;;) {
+    const counter = numbering ? weightedLength(`${'9'.repeat(digits)}/${'9'.repeat(digits)} `) : 0;
+    const chunks = pack(splitUnits(text, MAX_TWEET_LENGTH - counter), MAX_TWEET_LENGTH - counter);
+    if (numbering && String(chunks.length).length > digits) {
+      digits = String(chunks.length).length;
+      continue;
+    }
+
+    return chunks.map((chunk, index) => {
+      const label = `${index + 1}/${chunks.length}`;
+      const tweet = !numbering || chunks.length === 1
+        ? chunk
+        : (numbering === 'prefix' ? `${label} ${chunk}` : `${chunk} ${label}`);
+      return { position: index + 1, text: tweet, length: weightedLength(tweet) };
+    });
+  }
+}
+
+/**
+ * Check the tweets of a thread and the media each one attaches
+ * @param {Array<Object|string>} thread - [{ text, media: [indexes into the post's media] }]
+ * @param {number} [mediaCount] - Number of media files on the post; media
+ *   indexes are only range-checked when it is known
+ * @returns {Array<string>} errors
+ */
+function validateThread(thread, mediaCount) {
+  const errors = [];
+  if (!Array.isArray(thread) || thread.length === 0) return ['Thread must contain at least one tweet'];
+  if (thread.length > MAX_THREAD_TWEETS) errors.push(`Thread cannot exceed ${MAX_THREAD_TWEETS} tweets`);
+
+  const used = new Set();
+  thread.forEach((entry, index) => {
+    const text = typeof entry === 'string' ? entry : entry?.text;
+    const { length } = checkTweet(text);
+    if (length > MAX_TWEET_LENGTH) {
+      errors.push(`Tweet ${index + 1} is ${length} characters as Twitter counts them; the limit is ${MAX_TWEET_LENGTH}`);
+    }
+
+    const media = Array.isArray(entry?.media) ? entry.media : [];
+    if (media.length > MAX_MEDIA_PER_TWEET) {
+      errors.push(`Tweet ${index + 1} attaches ${media.length} media files; the limit is ${MAX_MEDIA_PER_TWEET}`);
+    }
+    for (const item of media) {
+      const mediaIndex = Number(item);
+      if (!Number.isInteger(mediaIndex) || mediaIndex < 0) {
+        errors.push(`Tweet ${index + 1} attaches media ${item}; media are referenced by their index in the post`);
+      } else if (mediaCount !== undefined && mediaIndex >= mediaCount) {
+        errors.push(`Tweet ${index + 1} attaches media ${item}, but the post has ${mediaCount} media file${mediaCount === 1 ? '' : 's'}`);
+      } else if (used.has(mediaIndex)) {
+        errors.push(`Media ${mediaIndex} is attached to more than one tweet`);
+      } else {
+        used.add(mediaIndex);
+      }
+    }
+  });
+  return errors;
+}
+
+module.exports = {
+  MAX_TWEET_LENGTH,
+  MAX_THREAD_TWEETS,
+  MAX_MEDIA_PER_TWEET,
+  findTweetUrls,
+  weightedLength,
+  checkTweet,
+  splitThread,
+  validateThread
+};
@@ -0,0 +1,153 @@
+// src/utils/utm.js
+// UTM templates: parameter values with placeholders such as
+// `utm_source={platform}` or `utm_campaign={campaign.title}`, rendered per
+// post and added to the links it publishes.
+const { replaceUrls } = require('./contentLinks');
+
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id'];
+
+// Placeholders a template value may contain
+const UTM_PLACEHOLDERS = ['platform', 'post_type', 'post.id', 'post.title', 'campaign.id', 'campaign.title', 'date'];
+
+const PLACEHOLDER_PATTERN = /\{([a-z_]+(?:\.[a-z_]+)?)\}/gi;
+
+/**
+ * Values the placeholders of a template can use
+ * @param {Object} post - Post (or post-like object)
+ * @param {Object} campaign - Campaign the post belongs to, if any
+ * @param {Date} date - Publish date
+ * @returns {Object} placeholder => value
+ */
+function buildContext(post, campaign, date = new Date()) {
+  return {
+    platform: post.platform,
+    post_type: post.post_type,
+    'post.id': post._id ? String(post._id) : '',
+    'post.title': post.title,
+    'campaign.id': campaign?._id ? String(campaign._id) : '',
+    'campaign.title': campaign?.title,
+    date: date.toISOString().slice(0, 10)
+  };
+}
+
+/**
+ * Render one template value. A value whose placeholders are all empty or
+ * unknown renders empty, so the parameter is left off.
+ * @param {string} template - e.g. '{platform}_organic'
+ * @param {Object} context - From buildContext
+ * @returns {string}
+ */
+function renderValue(template, context) {
+  if (typeof template !== 'string') return '';
+  let resolved = 0;
+  let placeholders = 0;
+  const value = template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    placeholders++;
+    const replacement = context[name.toLowerCase()];
+    if (replacement === undefined || replacement === null || replacement === '') return '';
+    resolved++;
+    return String(replacement);
+  }).trim();
+  return placeholders > 0 && resolved === 0 ? '' : value;
+}
+
+/**
+ * Merge template layers (later ones win) and render them
+ * @param {Array<Object>} layers - e.g. [workspace, campaign, post overrides]
+ * @param {Object} context - From buildContext
+ * @returns {Object} utm_* => value, empty values left out
+ */
+function renderParams(layers, context) {
+  const merged = {};
+  for (const layer of layers) {
+    for (const field of UTM_FIELDS) {
+      if (layer && layer[field] !== undefined && layer[field] !== null) merged[field] = layer[field];
+    }
+  }
+
+  const params = {};
+  for (const [field, template] of Object.entries(merged)) {
+    const value = renderValue(template, context);
+    if (value) params[field] = value;
+  }
+  return params;
+}
+
+/**
+ * Whether a URL is opted out by an exclude entry: an exact URL or prefix,
+ * or a host name (which also covers its subdomains)
+ * @param {string} url
+ * @param {Array<string>} exclude
+ * @returns {boolean}
+ */
+function isExcluded(url, exclude = []) {
+  if (!exclude.length) return false;
+  let host = '';
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    // not a URL
+  }
+  return exclude.some(entry => {
+    const value = String(entry || '').trim();
+    if (!value) return false;
+    if (/^https?:\/\//i.test(value)) return url.startsWith(value);
+    const domain = value.toLowerCase().replace(/^www\./, '');
+    return host === domain || host.endsWith(`.${domain}`) || host === `www.${domain}`;
+  });
+}
+
+/**
+ * Add UTM parameters to a URL. Parameters already on the URL are kept, so
+ * hand-written values win.
+ * @param {string} url
+ * @param {Object} params - utm_* => value
+ * @returns {string}
+ */
+function tagUrl(url, params) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  let changed = false;
+  for (const [field, value] of Object.entries(params)) {
+    if (!parsed.searchParams.has(field)) {
+      parsed.searchParams.set(field, value);
+      changed = true;
+    }
+  }
+  return changed ? parsed.href : url;
+}
+
+/**
+ * Tag the links in a text
+ * @param {string} text
+ * @param {Object} params - utm_* => value
+ * @param {Object} options - { exclude, skip(url) }
+ * @returns {Promise<{ text: string, links: Array<Object> }>}
+ *   links: [{ url, tagged_url, excluded }]
+ */
+async function tagText(text, params, { exclude = [], skip } = {}) {
+  const links = [];
+  const tagged = await replaceUrls(text, async (url) => {
+    if (skip && skip(url)) return url;
+    const excluded = isExcluded(url, exclude);
+    const result = excluded ? url : tagUrl(url, params);
+    links.push({ url, tagged_url: result, excluded });
+    return result;
+  });
+  return { text: tagged, links };
+}
+
+module.exports = {
+  UTM_FIELDS,
+  UTM_PLACEHOLDERS,
+  buildContext,
+  renderValue,
+  renderParams,
+  isExcluded,
+  tagUrl,
+  tagText
+};
@@ -2,6 +2,9 @@
 const Joi = require('joi');
 const { body, param, query, validationResult } = require('express-validator');
 const logger = require('./logger');
+const { parseLocalDateTime } = require('./timezone');
+const { NEXT_BEST_SLOT, QUEUE_SLOT } = require('./constants');
+const { UTM_FIELDS } = require('./utm');
 
 // Common validation schemas
 const commonSchemas = {
@@ -13,7 +16,11 @@ const commonSchemas = {
   url: Joi.string().uri().optional(),
   date: Joi.date().iso().optional(),
   positiveNumber: Joi.number().positive().optional(),
-  nonNegativeNumber: Joi.number().min(0).optional()
+  nonNegativeNumber: Joi.number().min(0).optional(),
+  // UTM template values; placeholders such as {platform} are allowed
+  utmTemplate: Joi.object(Object.fromEntries(
+    UTM_FIELDS.map(field => [field, Joi.string().max(200).trim().allow('', null)])
+  ))
 };
 
 // User validation schemas
@@ -87,6 +94,8 @@ const userValidation = {
     password: Joi.string().required()
   }),
 
+  updateUtmTemplate: commonSchemas.utmTemplate,
+
   // Admin password change (no current password required)
   adminChangePassword: Joi.object({
     newPassword: commonSchemas.password
@@ -126,7 +135,8 @@ const campaignValidation = {
     tags: Joi.array().items(Joi.string()).optional(),
     isPublic: Joi.boolean().default(true),
     maxApplications: Joi.number().min(1).max(1000).default(50),
-    applicationDeadline: Joi.date().optional()
+    applicationDeadline: Joi.date().optional(),
+    utm: commonSchemas.utmTemplate.optional()
   }),
 
   update: Joi.object({
@@ -161,7 +171,8 @@ const campaignValidation = {
     tags: Joi.array().items(Joi.string()).optional(),
     isPublic: Joi.boolean().optional(),
     maxApplications: Joi.number().min(1).max(1000).optional(),
-    applicationDeadline: Joi.date().optional()
+    applicationDeadline: Joi.date().optional(),
+    utm: commonSchemas.utmTemplate.optional()
   }).min(1)
 };
 
@@ -225,6 +236,81 @@ const bidValidation = {
   }).min(1)
 };
 
+// Content template and hashtag set schemas
+const templateVariants = Joi.object().pattern(
+  Joi.string().valid('twitter', 'youtube', 'instagram', 'linkedin', 'facebook'),
+  Joi.string().max(70000).allow('')
+);
+const templateVariables = Joi.array().items(Joi.object({
+  name: Joi.string().pattern(/^[a-zA-Z][\w.]*$/).max(50).required(),
+  label: Joi.string().max(100).allow('', null),
+  default: Joi.string().max(1000).allow('', null),
+  required: Joi.boolean().default(true)
+})).max(50);
+// Users to share with, by id or email
+const shareList = Joi.array().items(Joi.string().trim().max(254)).max(100);
+
+const templateValidation = {
+  create: Joi.object({
+    name: Joi.string().max(200).trim().required(),
+    description: Joi.string().max(1000).trim().allow('', null),
+    body: Joi.string().max(70000).required(),
+    variants: templateVariants.optional(),
+    variables: templateVariables.optional(),
+    hashtag_sets: Joi.array().items(commonSchemas.objectId).max(20).optional(),
+    shared_with: shareList.optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string().max(200).trim().optional(),
+    description: Joi.string().max(1000).trim().allow('', null),
+    body: Joi.string().max(70000).optional(),
+    variants: templateVariants.optional(),
+    variables: templateVariables.optional(),
+    hashtag_sets: Joi.array().items(commonSchemas.objectId).max(20).optional(),
+    shared_with: shareList.optional()
+  }).min(1),
+
+  render: Joi.object({
+    platform: Joi.string().valid('twitter', 'youtube', 'instagram', 'linkedin', 'facebook').required(),
+    variables: Joi.object().pattern(Joi.string(), Joi.alternatives().try(Joi.string().allow(''), Joi.number())).optional(),
+    hashtagSets: Joi.array().items(commonSchemas.objectId).max(20).optional(),
+    version: Joi.number().integer().min(1).optional(),
+    timezone: Joi.string().optional()
+  }),
+
+  hashtagSetCreate: Joi.object({
+    name: Joi.string().max(100).trim().required(),
+    hashtags: Joi.array().items(Joi.string().max(100)).min(1).max(100).required(),
+    shared_with: shareList.optional()
+  }),
+
+  hashtagSetUpdate: Joi.object({
+    name: Joi.string().max(100).trim().optional(),
+    hashtags: Joi.array().items(Joi.string().max(100)).min(1).max(100).optional(),
+    shared_with: shareList.optional()
+  }).min(1)
+};
+
+// Posting queue schemas; days and times are normalized by the controller
+const queueValidation = {
+  slots: Joi.object({
+    slots: Joi.array().items(Joi.object({
+      day: Joi.string().max(20).required(),
+      time: Joi.string().max(5).required()
+    })).max(100).required(),
+    timezone: Joi.string().max(100).optional()
+  }),
+
+  addPost: Joi.object({
+    postId: commonSchemas.objectId
+  }),
+
+  order: Joi.object({
+    postIds: Joi.array().items(commonSchemas.objectId).min(1).max(500).required()
+  })
+};
+
 // Analytics validation schemas
 const analyticsValidation = {
   create: Joi.object({
@@ -340,6 +426,34 @@ const validateWithJoi = (schema, property = 'body') => {
   };
 };
 
+// Helper validator for scheduled date from either scheduledAt or scheduling.scheduled_at
+const scheduledDateValidator = body().custom((_, { req }) => {
+  const fromRoot = req.body?.scheduledAt;
+  const fromNested = req.body?.scheduling?.scheduled_at;
+  const fromAlt = req.body?.scheduled_for;
+  const incoming = fromRoot || fromNested || fromAlt;
+  if (!incoming) {
+    throw new Error('Valid scheduled date required');
+  }
+  // Resolved to a concrete time by the controller
+  if (incoming === NEXT_BEST_SLOT || incoming === QUEUE_SLOT) {
+    return true;
+  }
+  // Wall-clock times without an offset are resolved against the post's time
+  // zone in the controller, which also checks that they are in the future
+  if (parseLocalDateTime(incoming)) {
+    return true;
+  }
+  const scheduledDate = new Date(incoming);
+  if (isNaN(scheduledDate.valueOf())) {
+    throw new Error('Valid scheduled date required');
+  }
+  if (scheduledDate <= new Date()) {
+    throw new Error('Scheduled date must be in the future');
+  }
+  return true;
+});
+
 // Express-validator rules
 const validationRules = {
   // User validation rules
@@ -389,8 +503,11 @@ module.exports = {
   userValidation,
   campaignValidation,
   bidValidation,
+  templateValidation,
+  queueValidation,
   analyticsValidation,
   validateRequest,
   validateWithJoi,
-  validationRules
+  validationRules,
+  scheduledDateValidator
 };
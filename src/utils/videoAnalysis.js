@@ -1,6 +1,7 @@
-const { exec } = require('child_process');
+const { exec, execFile } = require('child_process');
 const util = require('util');
 const execAsync = util.promisify(exec);
+const execFileAsync = util.promisify(execFile);
 
 // Try to load ffprobe, but don't fail if it's not available
 let ffprobe;
@@ -82,6 +83,73 @@ class VideoAnalysis {
     }
   }
   
+  /**
+   * Detailed stream metadata for conformance checks (see utils/videoConformance)
+   * @param {string} videoPath - Path or URL of the video
+   * @returns {Promise<Object>} { duration, size, bitrate, format, video, audio }
+   */
+  static async probe(videoPath) {
+    if (!ffprobe) {
+      throw new Error('ffprobe is not available');
+    }
+
+    const { stdout } = await execFileAsync(ffprobe.path, [
+      '-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', videoPath
+    ], { timeout: 30000, maxBuffer: 4 * 1024 * 1024 });
+    return this.parseProbe(JSON.parse(stdout));
+  }
+
+  /**
+   * Normalize raw ffprobe JSON
+   * @param {Object} metadata - `ffprobe -show_format -show_streams` output
+   * @returns {Object}
+   */
+  static parseProbe(metadata) {
+    const streams = metadata.streams || [];
+    const format = metadata.format || {};
+    const videoStream = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+    const audioStream = streams.find(stream => stream.codec_type === 'audio');
+
+    const parseRate = (rate) => {
+      const [num, den] = String(rate || '0/1').split('/').map(Number);
+      return den ? num / den : num || 0;
+    };
+
+    let video = null;
+    if (videoStream) {
+      // Phones record rotated frames; what viewers see is the rotated size
+      const rotation = Math.abs(parseInt(videoStream.tags?.rotate, 10)
+        || parseInt(videoStream.side_data_list?.find(data => data.rotation !== undefined)?.rotation, 10)
+        || 0) % 180;
+      const width = parseInt(videoStream.width, 10) || 0;
+      const height = parseInt(videoStream.height, 10) || 0;
+      video = {
+        codec: videoStream.codec_name,
+        profile: videoStream.profile,
+        width: rotation === 90 ? height : width,
+        height: rotation === 90 ? width : height,
+        rotation,
+        frameRate: parseRate(videoStream.avg_frame_rate) || parseRate(videoStream.r_frame_rate),
+        bitrate: parseInt(videoStream.bit_rate, 10) || 0,
+        pixelFormat: videoStream.pix_fmt
+      };
+    }
+
+    return {
+      duration: parseFloat(format.duration) || parseFloat(videoStream?.duration) || 0,
+      size: parseInt(format.size, 10) || 0,
+      bitrate: parseInt(format.bit_rate, 10) || 0,
+      format: format.format_name,
+      video,
+      audio: audioStream ? {
+        codec: audioStream.codec_name,
+        sampleRate: parseInt(audioStream.sample_rate, 10) || 0,
+        channels: audioStream.channels || 0,
+        bitrate: parseInt(audioStream.bit_rate, 10) || 0
+      } : null
+    };
+  }
+
   /**
    * Basic video analysis when ffprobe is not available
    * @param {string} videoPath - Path to video file
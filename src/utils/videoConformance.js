@@ -0,0 +1,279 @@
+// src/utils/videoConformance.js
+// Platform video requirements and a checker that turns ffprobe metadata
+// (see VideoAnalysis.probe) into precise, actionable violations.
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+/**
+ * Rules per platform, with optional per-post_type overrides. Ranges are
+ * inclusive; aspect ratios are width / height.
+ */
+const VIDEO_RULES = {
+  instagram: {
+    default: {
+      label: 'Instagram feed video',
+      duration: { min: 3, max: 60 },
+      aspect: { min: 4 / 5, max: 16 / 9 },
+      maxWidth: 1920,
+      frameRate: { min: 23, max: 60 },
+      codecs: ['h264', 'hevc'],
+      maxBitrate: 25 * 1000 * 1000,
+      audio: { codecs: ['aac'], maxSampleRate: 48000, maxChannels: 2 },
+      maxSize: 100 * MB
+    },
+    reel: {
+      label: 'Instagram Reel',
+      duration: { min: 3, max: 900 },
+      aspect: { min: 0.01, max: 10, recommended: 9 / 16 },
+      maxWidth: 1920,
+      frameRate: { min: 23, max: 60 },
+      codecs: ['h264', 'hevc'],
+      maxBitrate: 25 * 1000 * 1000,
+      audio: { codecs: ['aac'], maxSampleRate: 48000, maxChannels: 2 },
+      maxSize: 300 * MB
+    },
+    story: {
+      label: 'Instagram Story',
+      duration: { min: 3, max: 60 },
+      aspect: { min: 0.01, max: 10, recommended: 9 / 16 },
+      maxWidth: 1920,
+      frameRate: { min: 23, max: 60 },
+      codecs: ['h264', 'hevc'],
+      maxBitrate: 25 * 1000 * 1000,
+      audio: { codecs: ['aac'], maxSampleRate: 48000, maxChannels: 2 },
+      maxSize: 100 * MB
+    }
+  },
+  twitter: {
+    default: {
+      label: 'Twitter video',
+      duration: { min: 0.5, max: 140 },
+      aspect: { min: 1 / 3, max: 3 },
+      minWidth: 32,
+      minHeight: 32,
+      maxWidth: 1920,
+      maxHeight: 1920,
+      frameRate: { max: 60 },
+      codecs: ['h264'],
+      pixelFormats: ['yuv420p', 'yuvj420p'],
+      maxBitrate: 25 * 1000 * 1000,
+      audio: { codecs: ['aac'], maxChannels: 2 },
+      maxSize: 512 * MB
+    }
+  },
+  linkedin: {
+    default: {
+      label: 'LinkedIn video',
+      duration: { min: 3, max: 1800 },
+      aspect: { min: 1 / 2.4, max: 2.4 },
+      minWidth: 256,
+      minHeight: 144,
+      maxWidth: 4096,
+      maxHeight: 2304,
+      frameRate: { min: 10, max: 60 },
+      codecs: ['h264'],
+      minBitrate: 192 * 1000,
+      maxBitrate: 30 * 1000 * 1000,
+      audio: { codecs: ['aac', 'mp3'], maxSampleRate: 64000 },
+      minSize: 75 * 1024,
+      maxSize: 200 * MB
+    }
+  },
+  facebook: {
+    default: {
+      label: 'Facebook video',
+      duration: { min: 1, max: 240 * 60 },
+      aspect: { min: 9 / 16, max: 16 / 9 },
+      minWidth: 120,
+      minHeight: 120,
+      frameRate: { max: 60 },
+      codecs: ['h264', 'hevc'],
+      audio: { codecs: ['aac'], maxChannels: 2 },
+      maxSize: 4 * GB
+    }
+  },
+  youtube: {
+    default: {
+      label: 'YouTube video',
+      duration: { min: 1, max: 12 * 60 * 60 },
+      codecs: ['h264', 'hevc', 'vp9', 'av1', 'mpeg4'],
+      frameRate: { max: 60 }
+    },
+    short: {
+      label: 'YouTube Short',
+      duration: { min: 1, max: 180 },
+      aspect: { max: 1, recommended: 9 / 16 },
+      codecs: ['h264', 'hevc', 'vp9', 'av1', 'mpeg4'],
+      frameRate: { max: 60 }
+    }
+  }
+};
+
+/**
+ * Rules that apply to a platform and post type
+ * @param {string} platform - Target platform
+ * @param {string} postType - Post type ('reel', 'story', 'short', ...)
+ * @returns {Object|null}
+ */
+function getVideoRules(platform, postType) {
+  const rules = VIDEO_RULES[platform];
+  if (!rules) return null;
+  return rules[postType] || rules.default;
+}
+
+const round = (value, digits = 2) => Number(Number(value).toFixed(digits));
+const formatBitrate = (bps) => (bps >= 1000 * 1000 ? `${round(bps / 1e6, 1)} Mbps` : `${Math.round(bps / 1000)} kbps`);
+const formatSize = (bytes) => (bytes >= GB ? `${round(bytes / GB, 2)} GB` : `${round(bytes / MB, 1)} MB`);
+
+// Common aspect ratios, for readable messages
+const NAMED_RATIOS = [[9 / 16, '9:16'], [4 / 5, '4:5'], [1, '1:1'], [16 / 9, '16:9'], [1 / 3, '1:3'], [3, '3:1'], [1 / 2.4, '1:2.4'], [2.4, '2.4:1']];
+const formatRatio = (ratio) => {
+  const named = NAMED_RATIOS.find(([value]) => Math.abs(value - ratio) < 0.01);
+  return named ? named[1] : `${round(ratio, 2)}:1`;
+};
+
+/**
+ * Check probed video metadata against a platform's rules
+ * @param {Object} meta - Output of VideoAnalysis.probe
+ * @param {string} platform - Target platform
+ * @param {string} postType - Post type
+ * @returns {{ isValid: boolean, rules: string, violations: Array<Object>, warnings: Array<Object> }}
+ *   Each violation: { code, field, message, actual, expected, fix }
+ */
+function checkVideoConformance(meta, platform, postType) {
+  const rules = getVideoRules(platform, postType);
+  const violations = [];
+  const warnings = [];
+  if (!rules) {
+    return { isValid: true, rules: null, violations, warnings };
+  }
+
+  const fail = (code, field, message, actual, expected, fix) => violations.push({ code, field, message, actual, expected, fix });
+  const warn = (code, field, message, actual, expected, fix) => warnings.push({ code, field, message, actual, expected, fix });
+  const { label } = rules;
+
+  if (!meta.video) {
+    fail('NO_VIDEO_STREAM', 'video', 'The file has no video stream', null, 'a video stream', 'Re-export the file as an MP4 (H.264) video');
+    return { isValid: false, rules: label, violations, warnings };
+  }
+
+  const { duration, size } = meta;
+  const { width, height, codec, frameRate, bitrate, pixelFormat } = meta.video;
+
+  if (rules.duration && duration) {
+    if (rules.duration.min !== undefined && duration < rules.duration.min) {
+      fail('DURATION_TOO_SHORT', 'duration', `${label} must be at least ${rules.duration.min}s; this one is ${round(duration, 1)}s`,
+        round(duration, 1), { min: rules.duration.min }, `Use a clip of at least ${rules.duration.min} seconds`);
+    }
+    if (rules.duration.max !== undefined && duration > rules.duration.max) {
+      fail('DURATION_TOO_LONG', 'duration', `${label} can be at most ${rules.duration.max}s; this one is ${round(duration, 1)}s`,
+        round(duration, 1), { max: rules.duration.max }, `Trim ${round(duration - rules.duration.max, 1)}s so it runs ${rules.duration.max} seconds or less`);
+    }
+  }
+
+  if (width && height) {
+    const checks = [
+      ['minWidth', width < rules.minWidth, `at least ${rules.minWidth}px wide`],
+      ['minHeight', height < rules.minHeight, `at least ${rules.minHeight}px high`],
+      ['maxWidth', width > rules.maxWidth, `at most ${rules.maxWidth}px wide`],
+      ['maxHeight', height > rules.maxHeight, `at most ${rules.maxHeight}px high`]
+    ];
+    for (const [rule, broken, expectation] of checks) {
+      if (rules[rule] !== undefined && broken) {
+        const tooBig = rule.startsWith('max');
+        fail(tooBig ? 'RESOLUTION_TOO_HIGH' : 'RESOLUTION_TOO_LOW', 'resolution',
+          `${label} must be ${expectation}; this one is ${width}x${height}`,
+          `${width}x${height}`, { [rule]: rules[rule] },
+          tooBig ? `Scale the video down to ${expectation}` : `Export at a higher resolution (${expectation})`);
+      }
+    }
+
+    const aspect = width / height;
+    if (rules.aspect) {
+      const { min, max, recommended } = rules.aspect;
+      if ((min !== undefined && aspect < min - 0.005) || (max !== undefined && aspect > max + 0.005)) {
+        const range = [min !== undefined && formatRatio(min), max !== undefined && formatRatio(max)].filter(Boolean).join(' to ');
+        fail('ASPECT_RATIO', 'aspect_ratio', `${label} needs an aspect ratio of ${range}; this one is ${formatRatio(aspect)} (${width}x${height})`,
+          formatRatio(aspect), { min: min && formatRatio(min), max: max && formatRatio(max) },
+          `Crop or pad the video to ${recommended ? formatRatio(recommended) : range}`);
+      } else if (recommended && Math.abs(aspect - recommended) > 0.02) {
+        warn('ASPECT_RATIO_NOT_RECOMMENDED', 'aspect_ratio', `${label} displays best at ${formatRatio(recommended)}; this one is ${formatRatio(aspect)}`,
+          formatRatio(aspect), { recommended: formatRatio(recommended) }, `Crop to ${formatRatio(recommended)} to avoid letterboxing`);
+      }
+    }
+  }
+
+  if (rules.codecs && codec && !rules.codecs.includes(codec)) {
+    fail('VIDEO_CODEC', 'codec', `${label} must be encoded as ${rules.codecs.join(' or ').toUpperCase()}; this one is ${codec.toUpperCase()}`,
+      codec, rules.codecs, 'Re-encode the video as H.264 in an MP4 container');
+  }
+
+  if (rules.pixelFormats && pixelFormat && !rules.pixelFormats.includes(pixelFormat)) {
+    fail('PIXEL_FORMAT', 'pixel_format', `${label} must use 4:2:0 chroma (yuv420p); this one uses ${pixelFormat}`,
+      pixelFormat, rules.pixelFormats, 'Re-encode with pixel format yuv420p');
+  }
+
+  if (rules.frameRate && frameRate) {
+    if (rules.frameRate.min !== undefined && frameRate < rules.frameRate.min) {
+      fail('FRAME_RATE_TOO_LOW', 'frame_rate', `${label} needs at least ${rules.frameRate.min} fps; this one is ${round(frameRate)} fps`,
+        round(frameRate), { min: rules.frameRate.min }, `Re-encode at ${rules.frameRate.min}–30 fps`);
+    }
+    if (rules.frameRate.max !== undefined && frameRate > rules.frameRate.max + 0.01) {
+      fail('FRAME_RATE_TOO_HIGH', 'frame_rate', `${label} allows at most ${rules.frameRate.max} fps; this one is ${round(frameRate)} fps`,
+        round(frameRate), { max: rules.frameRate.max }, `Re-encode at ${rules.frameRate.max} fps or less`);
+    }
+  }
+
+  const totalBitrate = bitrate || meta.bitrate;
+  if (totalBitrate) {
+    if (rules.maxBitrate && totalBitrate > rules.maxBitrate) {
+      fail('BITRATE_TOO_HIGH', 'bitrate', `${label} allows at most ${formatBitrate(rules.maxBitrate)}; this one is ${formatBitrate(totalBitrate)}`,
+        totalBitrate, { max: rules.maxBitrate }, `Re-encode with a target bitrate below ${formatBitrate(rules.maxBitrate)}`);
+    }
+    if (rules.minBitrate && totalBitrate < rules.minBitrate) {
+      fail('BITRATE_TOO_LOW', 'bitrate', `${label} needs at least ${formatBitrate(rules.minBitrate)}; this one is ${formatBitrate(totalBitrate)}`,
+        totalBitrate, { min: rules.minBitrate }, `Re-encode with a bitrate of at least ${formatBitrate(rules.minBitrate)}`);
+    }
+  }
+
+  if (rules.audio) {
+    if (!meta.audio) {
+      warn('NO_AUDIO_TRACK', 'audio', `The video has no audio track; ${label} will play silently`,
+        null, 'an AAC audio track', 'Add an audio track if sound is intended');
+    } else {
+      const { codecs, maxSampleRate, maxChannels } = rules.audio;
+      if (codecs && meta.audio.codec && !codecs.includes(meta.audio.codec)) {
+        fail('AUDIO_CODEC', 'audio', `${label} audio must be ${codecs.join(' or ').toUpperCase()}; this one is ${meta.audio.codec.toUpperCase()}`,
+          meta.audio.codec, codecs, 'Re-encode the audio as AAC');
+      }
+      if (maxSampleRate && meta.audio.sampleRate > maxSampleRate) {
+        fail('AUDIO_SAMPLE_RATE', 'audio', `${label} audio can be at most ${maxSampleRate / 1000} kHz; this one is ${meta.audio.sampleRate / 1000} kHz`,
+          meta.audio.sampleRate, { max: maxSampleRate }, `Resample the audio to ${maxSampleRate / 1000} kHz`);
+      }
+      if (maxChannels && meta.audio.channels > maxChannels) {
+        fail('AUDIO_CHANNELS', 'audio', `${label} audio can have at most ${maxChannels} channels; this one has ${meta.audio.channels}`,
+          meta.audio.channels, { max: maxChannels }, 'Downmix the audio to stereo');
+      }
+    }
+  }
+
+  if (size) {
+    if (rules.maxSize && size > rules.maxSize) {
+      fail('FILE_TOO_LARGE', 'size', `${label} files can be at most ${formatSize(rules.maxSize)}; this one is ${formatSize(size)}`,
+        size, { max: rules.maxSize }, 'Lower the bitrate or resolution, or trim the video');
+    }
+    if (rules.minSize && size < rules.minSize) {
+      fail('FILE_TOO_SMALL', 'size', `${label} files must be at least ${Math.round(rules.minSize / 1024)} KB; this one is ${Math.round(size / 1024)} KB`,
+        size, { min: rules.minSize }, 'Export the video at a higher quality');
+    }
+  }
+
+  return { isValid: violations.length === 0, rules: label, violations, warnings };
+}
+
+module.exports = {
+  VIDEO_RULES,
+  getVideoRules,
+  checkVideoConformance
+};
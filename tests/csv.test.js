@@ -0,0 +1,73 @@
+const { parseCsv, parseCsvRecords, toCsv } = require('../src/utils/csv');
+
+describe('parseCsv', () => {
+  it('reads quoted fields, escaped quotes and embedded newlines', () => {
+    expect(parseCsv('a,"b, c","say ""hi""","line 1\nline 2"\n')).toEqual([
+      ['a', 'b, c', 'say "hi"', 'line 1\nline 2']
+    ]);
+  });
+
+  it('handles CRLF, a leading BOM, empty fields and blank lines', () => {
+    expect(parseCsv('\uFEFFa,b\r\n\r\n,2\r\n3,')).toEqual([
+      ['a', 'b'],
+      ['', '2'],
+      ['3', '']
+    ]);
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    expect(() => parseCsv('a,"b\nc')).toThrow('Unterminated quoted field');
+  });
+});
+
+describe('parseCsvRecords', () => {
+  it('keys records by trimmed, lower-cased headers and trims values', () => {
+    expect(parseCsvRecords(' Title ,PLATFORM,\n  Hello , twitter ,ignored\nOnly title')).toEqual({
+      headers: ['title', 'platform', ''],
+      records: [
+        { title: 'Hello', platform: 'twitter' },
+        { title: 'Only title', platform: '' }
+      ]
+    });
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes cells with commas, quotes or newlines and ends lines with CRLF', () => {
+    expect(toCsv(['a', 'b', 'c'], [{ a: 'x,y', b: 'say "hi"', c: null }])).toBe('a,b,c\r\n"x,y","say ""hi""",\r\n');
+  });
+
+  it('writes dates as ISO 8601', () => {
+    expect(toCsv(['at'], [{ at: new Date('2026-03-08T09:00:00Z') }])).toBe('at\r\n2026-03-08T09:00:00.000Z\r\n');
+  });
+
+  it('guards cells a spreadsheet would run as formulas, but not numbers', () => {
+    expect(toCsv(['a', 'b', 'c', 'd'], [{ a: '=SUM(A1:A2)', b: '@cmd', c: '-5', d: '-1.5' }]))
+      .toBe("a,b,c,d\r\n'=SUM(A1:A2),'@cmd,-5,-1.5\r\n");
+  });
+});
+
+describe('export and import round trip', () => {
+  it('gives back the exported values', () => {
+    const values = [
+      '=HYPERLINK("http://evil.example")',
+      '+1 for this',
+      '-dash list',
+      '@mention',
+      "'=already quoted",
+      "''=twice quoted",
+      'caption with, comma',
+      'multi\nline "quoted"',
+      '-42',
+      'plain'
+    ];
+    const csv = toCsv(['caption'], values.map(caption => ({ caption })));
+    expect(parseCsvRecords(csv).records.map(record => record.caption)).toEqual(values);
+  });
+
+  it('keeps the guard on a cell that starts with a tab', () => {
+    const csv = toCsv(['caption'], [{ caption: '\t=cmd' }]);
+    expect(csv).toBe("caption\r\n'\t=cmd\r\n");
+    expect(parseCsvRecords(csv).records[0].caption).toBe('\t=cmd');
+  });
+});
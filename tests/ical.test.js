@@ -0,0 +1,77 @@
+const { escapeText, formatDateTime, foldLine, buildCalendar } = require('../src/utils/ical');
+
+describe('escapeText', () => {
+  it('escapes backslashes, semicolons, commas and newlines', () => {
+    expect(escapeText('a\\b; c, d\r\ne\nf')).toBe('a\\\\b\\; c\\, d\\ne\\nf');
+    expect(escapeText(null)).toBe('');
+  });
+});
+
+describe('formatDateTime', () => {
+  it('writes a UTC DATE-TIME without separators or milliseconds', () => {
+    expect(formatDateTime(new Date('2026-03-08T14:05:09.123Z'))).toBe('20260308T140509Z');
+    expect(formatDateTime('2026-03-08T09:00:00-05:00')).toBe('20260308T140000Z');
+  });
+});
+
+describe('foldLine', () => {
+  it('leaves lines of up to 75 octets alone', () => {
+    const line = 'x'.repeat(75);
+    expect(foldLine(line)).toBe(line);
+  });
+
+  it('folds longer lines at 75 octets, continuing with a space', () => {
+    const folded = foldLine('x'.repeat(200));
+    const parts = folded.split('\r\n');
+    expect(parts.map(part => part.length)).toEqual([75, 75, 52]);
+    expect(parts.slice(1).every(part => part.startsWith(' '))).toBe(true);
+    expect(folded.replace(/\r\n /g, '')).toBe('x'.repeat(200));
+  });
+
+  it('never splits a multi-byte character', () => {
+    const line = `SUMMARY:${'é'.repeat(40)}${'日'.repeat(30)}`;
+    const parts = foldLine(line).split('\r\n');
+    expect(parts.every(part => Buffer.byteLength(part) <= 75)).toBe(true);
+    expect(parts.every(part => !part.includes('�'))).toBe(true);
+    expect(parts.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(line);
+  });
+});
+
+describe('buildCalendar', () => {
+  it('writes escaped, folded events with CRLF line endings', () => {
+    const ics = buildCalendar({
+      name: 'Posts, scheduled',
+      events: [{
+        uid: 'post-1@bloocube',
+        start: new Date('2026-03-08T14:00:00Z'),
+        end: new Date('2026-03-08T14:15:00Z'),
+        stamp: new Date('2026-03-01T00:00:00Z'),
+        summary: 'Launch; day',
+        description: 'A'.repeat(100),
+        status: 'CONFIRMED',
+        categories: ['twitter', 'a,b'],
+        sequence: 2
+      }]
+    });
+
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+
+    const lines = ics.replace(/\r\n /g, '').split('\r\n');
+    expect(lines).toEqual(expect.arrayContaining([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'X-WR-CALNAME:Posts\\, scheduled',
+      'UID:post-1@bloocube',
+      'DTSTAMP:20260301T000000Z',
+      'DTSTART:20260308T140000Z',
+      'DTEND:20260308T141500Z',
+      'SUMMARY:Launch\\; day',
+      `DESCRIPTION:${'A'.repeat(100)}`,
+      'STATUS:CONFIRMED',
+      'CATEGORIES:twitter,a\\,b',
+      'SEQUENCE:2'
+    ]));
+    expect(lines.indexOf('BEGIN:VEVENT')).toBeLessThan(lines.indexOf('END:VEVENT'));
+  });
+});
@@ -0,0 +1,155 @@
+const { EventEmitter } = require('events');
+
+// In-memory stand-in for the keys collection, unique on (user, key)
+jest.mock('../src/models/IdempotencyKey', () => {
+  const records = [];
+  const matches = (record, filter) => Object.entries(filter).every(([field, value]) => {
+    if (value && value.$lte) return record[field] <= value.$lte;
+    return String(record[field]) === String(value);
+  });
+  return {
+    records,
+    create: jest.fn(async (data) => {
+      if (records.some(record => matches(record, { user: data.user, key: data.key }))) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      const record = { _id: `id-${records.length + 1}`, status: 'processing', ...data };
+      records.push(record);
+      return record;
+    }),
+    findOne: jest.fn(async (filter) => records.find(record => matches(record, filter)) || null),
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      const record = records.find(r => matches(r, filter));
+      if (record) Object.assign(record, update.$set);
+      return record || null;
+    }),
+    updateOne: jest.fn(async (filter, update) => {
+      const record = records.find(r => matches(r, filter));
+      if (record) {
+        Object.assign(record, update.$set);
+        Object.keys(update.$unset || {}).forEach(field => delete record[field]);
+      }
+    }),
+    deleteOne: jest.fn(async (filter) => {
+      const index = records.findIndex(record => matches(record, filter));
+      if (index !== -1) records.splice(index, 1);
+    })
+  };
+});
+
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+const { idempotency } = require('../src/middlewares/idempotency');
+
+function request({ key, body = {}, userId = 'user-1' } = {}) {
+  const headers = key === undefined ? {} : { 'idempotency-key': key };
+  return {
+    method: 'POST',
+    baseUrl: '/api/posts',
+    path: '/publish',
+    body,
+    userId,
+    get: (name) => headers[name.toLowerCase()]
+  };
+}
+
+function response() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.type = () => res;
+  res.json = (body) => { res.body = body; res.emit('finish'); return res; };
+  res.send = (body) => { res.body = body; res.emit('finish'); return res; };
+  return res;
+}
+
+// Run the middleware and, when it lets the request through, the handler
+async function run(req, handler = (res) => res.status(201).json({ success: true, id: 'post-1' })) {
+  const res = response();
+  const next = jest.fn();
+  await idempotency(req, res, next);
+  if (next.mock.calls.length > 0 && next.mock.calls[0].length === 0) handler(res);
+  // Let the stored response settle
+  await new Promise(resolve => setImmediate(resolve));
+  return { res, next };
+}
+
+beforeEach(() => {
+  IdempotencyKey.records.length = 0;
+  jest.clearAllMocks();
+});
+
+describe('idempotency middleware', () => {
+  it('lets requests without a key through untouched', async () => {
+    const { next } = await run(request());
+    expect(next).toHaveBeenCalledWith();
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects a malformed key', async () => {
+    const { res, next } = await run(request({ key: 'has spaces' }));
+    expect(res.statusCode).toBe(400);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('stores the first response and replays it for a repeat', async () => {
+    const first = await run(request({ key: 'abc', body: { content: 'hi', platform: 'twitter' } }));
+    expect(first.res.statusCode).toBe(201);
+    expect(IdempotencyKey.records[0]).toMatchObject({
+      status: 'completed',
+      response: { status_code: 201, body: JSON.stringify({ success: true, id: 'post-1' }) }
+    });
+    expect(IdempotencyKey.records[0].locked_until).toBeUndefined();
+
+    const handler = jest.fn();
+    // Same payload with its fields in another order
+    const repeat = await run(request({ key: 'abc', body: { platform: 'twitter', content: 'hi' } }), handler);
+    expect(handler).not.toHaveBeenCalled();
+    expect(repeat.next).not.toHaveBeenCalled();
+    expect(repeat.res.statusCode).toBe(201);
+    expect(repeat.res.headers['Idempotent-Replayed']).toBe('true');
+    expect(repeat.res.body).toBe(JSON.stringify({ success: true, id: 'post-1' }));
+  });
+
+  it('refuses a different payload under a used key', async () => {
+    await run(request({ key: 'abc', body: { content: 'hi' } }));
+    const { res, next } = await run(request({ key: 'abc', body: { content: 'bye' } }));
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('keeps keys apart per user', async () => {
+    await run(request({ key: 'abc', body: { content: 'hi' } }));
+    const { next } = await run(request({ key: 'abc', body: { content: 'bye' }, userId: 'user-2' }));
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('asks a repeat to wait while the first request is still running', async () => {
+    await run(request({ key: 'abc' }), () => {});
+    const { res, next } = await run(request({ key: 'abc' }));
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+    expect(res.headers['Retry-After']).toBe('5');
+  });
+
+  it('takes over a key whose request died', async () => {
+    await run(request({ key: 'abc' }), () => {});
+    IdempotencyKey.records[0].locked_until = new Date(Date.now() - 1000);
+
+    const { res, next } = await run(request({ key: 'abc' }));
+    expect(next).toHaveBeenCalledWith();
+    expect(res.statusCode).toBe(201);
+    expect(IdempotencyKey.records[0].status).toBe('completed');
+  });
+
+  it('frees the key after a server error so the request can be retried', async () => {
+    await run(request({ key: 'abc' }), (res) => res.status(500).json({ success: false }));
+    expect(IdempotencyKey.records).toHaveLength(0);
+
+    const { next } = await run(request({ key: 'abc' }));
+    expect(next).toHaveBeenCalledWith();
+  });
+});
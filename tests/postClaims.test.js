@@ -0,0 +1,56 @@
+const Post = require('../src/models/Post');
+
+const LEASE_MS = 60 * 1000;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Post, 'findOneAndUpdate').mockResolvedValue(null);
+});
+
+// The filter, update and options of the single findOneAndUpdate call
+const claimCall = () => Post.findOneAndUpdate.mock.calls[0];
+
+function expectLeaseFor(update, owner) {
+  const lease = update.$set['publishing.lease'];
+  expect(update.$set.status).toBe('publishing');
+  expect(lease.owner).toBe(owner);
+  expect(lease.expires_at - lease.claimed_at).toBe(LEASE_MS);
+  expect(update.$push['publishing.history']).toEqual({ event: 'claimed', worker: owner, at: lease.claimed_at });
+}
+
+describe('Post.claimForPublishing', () => {
+  it('takes the oldest due scheduled post outside paused queues', async () => {
+    const before = new Date();
+    await Post.claimForPublishing('worker-1', LEASE_MS);
+
+    const [filter, update, options] = claimCall();
+    expect(filter).toMatchObject({ status: 'scheduled', 'scheduling.queue.paused': { $ne: true } });
+    expect(filter['scheduling.scheduled_at'].$lte.getTime()).toBeGreaterThanOrEqual(before.getTime());
+    expect(options).toEqual({ new: true, sort: { 'scheduling.scheduled_at': 1 } });
+    expectLeaseFor(update, 'worker-1');
+  });
+
+  it('keeps its own conditions when given a filter', async () => {
+    await Post.claimForPublishing('worker-1', LEASE_MS, { _id: 'post-1', status: 'draft' });
+
+    expect(claimCall()[0]).toMatchObject({ _id: 'post-1', status: 'scheduled' });
+  });
+});
+
+describe('Post.claimForImmediatePublish', () => {
+  it('only takes drafts, scheduled and failed posts', async () => {
+    await Post.claimForImmediatePublish('worker-1', LEASE_MS, { _id: 'post-1' });
+
+    const [filter, update] = claimCall();
+    expect(filter).toEqual({ _id: 'post-1', $and: [{ status: { $in: ['draft', 'scheduled', 'failed'] } }] });
+    expectLeaseFor(update, 'worker-1');
+  });
+
+  it('lets a status in the filter narrow the claimable ones, not widen them', async () => {
+    await Post.claimForImmediatePublish('worker-1', LEASE_MS, { _id: 'post-1', status: 'removed' });
+
+    const [filter] = claimCall();
+    expect(filter.status).toBe('removed');
+    expect(filter.$and).toEqual([{ status: { $in: ['draft', 'scheduled', 'failed'] } }]);
+  });
+});
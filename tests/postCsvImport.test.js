@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+jest.mock('../src/services/postingQueue', () => ({ refresh: jest.fn() }));
+
+const Post = require('../src/models/Post');
+const PostRevision = require('../src/models/PostRevision');
+const { importPosts } = require('../src/controllers/postCsvController');
+
+const userId = new mongoose.Types.ObjectId();
+
+// In-memory posts collection, by id
+let stored;
+
+function storePost(fields) {
+  const post = {
+    _id: new mongoose.Types.ObjectId(),
+    author: userId,
+    platform: 'twitter',
+    post_type: 'tweet',
+    status: 'draft',
+    revision: 1,
+    ...fields
+  };
+  stored.set(String(post._id), post);
+  return post;
+}
+
+function run(csv) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      status(code) { res.statusCode = code; return res; },
+      json(body) { res.body = body; resolve(res); return res; }
+    };
+    importPosts({ body: { csv, atomic: 'true' }, query: {}, userId, user: { profile: {} } }, res, reject);
+  });
+}
+
+beforeEach(() => {
+  stored = new Map();
+  jest.restoreAllMocks();
+  jest.spyOn(Post, 'find').mockImplementation(async (filter) => filter._id.$in
+    .filter(id => stored.has(String(id)))
+    .map(id => Post.hydrate(JSON.parse(JSON.stringify(stored.get(String(id)))))));
+  jest.spyOn(Post, 'deleteMany').mockImplementation(async (filter) => {
+    filter._id.$in.forEach(id => stored.delete(String(id)));
+  });
+  jest.spyOn(Post, 'replaceOne').mockImplementation(async (filter, replacement) => {
+    const current = stored.get(String(filter._id));
+    if (!current || current.revision !== filter.revision) return { modifiedCount: 0 };
+    stored.set(String(filter._id), replacement);
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(PostRevision, 'deleteMany').mockResolvedValue({});
+});
+
+describe('importPosts with atomic set', () => {
+  it('leaves created and updated posts as they were when an update fails', async () => {
+    const first = storePost({ content: { caption: 'First, before' } });
+    const second = storePost({ content: { caption: 'Second, before' } });
+    jest.spyOn(Post.prototype, 'save').mockImplementation(async function() {
+      if (this.content.caption === 'Second, after') throw new Error('write failed');
+      if (!this.isNew) this.revision += 1;
+      stored.set(String(this._id), this.toObject());
+      this.isNew = false;
+      return this;
+    });
+
+    const res = await run([
+      'id,platform,post_type,caption',
+      ',twitter,tweet,A new post',
+      `${first._id},twitter,tweet,"First, after"`,
+      `${second._id},twitter,tweet,"Second, after"`
+    ].join('\n'));
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.message).toBe('Nothing was imported: row 4 could not be saved');
+    expect(res.body.data).toMatchObject({ created: 0, updated: 0 });
+    expect([...stored.keys()]).toEqual([String(first._id), String(second._id)]);
+    expect(stored.get(String(first._id))).toMatchObject({ revision: 1, content: { caption: 'First, before' } });
+    expect(stored.get(String(second._id))).toMatchObject({ revision: 1, content: { caption: 'Second, before' } });
+    expect(PostRevision.deleteMany).toHaveBeenCalledWith({ post: first._id, version: { $gt: 1 } });
+  });
+
+  it('deletes the posts it created when a later row fails', async () => {
+    jest.spyOn(Post.prototype, 'save').mockImplementation(async function() {
+      if (this.content.caption === 'Second') throw new Error('write failed');
+      stored.set(String(this._id), this.toObject());
+      this.isNew = false;
+      return this;
+    });
+
+    const res = await run('platform,post_type,caption\ntwitter,tweet,First\ntwitter,tweet,Second');
+
+    expect(res.statusCode).toBe(422);
+    expect(stored.size).toBe(0);
+  });
+
+  it('keeps a post someone else edited while the import ran', async () => {
+    const first = storePost({ content: { caption: 'First, before' } });
+    const second = storePost({ content: { caption: 'Second, before' } });
+    jest.spyOn(Post.prototype, 'save').mockImplementation(async function() {
+      if (this.content.caption === 'Second, after') {
+        // Another edit lands on the first post in the meantime
+        stored.set(String(first._id), { ...stored.get(String(first._id)), revision: 3, content: { caption: 'Theirs' } });
+        throw new Error('write failed');
+      }
+      this.revision += 1;
+      stored.set(String(this._id), this.toObject());
+      return this;
+    });
+
+    const res = await run([
+      'id,platform,post_type,caption',
+      `${first._id},twitter,tweet,"First, after"`,
+      `${second._id},twitter,tweet,"Second, after"`
+    ].join('\n'));
+
+    expect(res.statusCode).toBe(422);
+    expect(stored.get(String(first._id))).toMatchObject({ revision: 3, content: { caption: 'Theirs' } });
+  });
+});
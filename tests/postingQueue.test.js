@@ -0,0 +1,56 @@
+const postingQueue = require('../src/services/postingQueue');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+describe('postingQueue.upcomingSlots', () => {
+  // A Sunday
+  const from = new Date('2026-01-04T12:00:00Z');
+
+  it('returns nothing for a queue without slots', () => {
+    expect(postingQueue.upcomingSlots({ slots: [] }, 3, from)).toEqual([]);
+    expect(postingQueue.upcomingSlots(null, 3, from)).toEqual([]);
+  });
+
+  it('merges the weekly slots, soonest first', () => {
+    const queue = {
+      timezone: 'UTC',
+      slots: [{ day: 'wednesday', time: '18:00' }, { day: 'monday', time: '09:00' }]
+    };
+    expect(iso(postingQueue.upcomingSlots(queue, 5, from))).toEqual([
+      '2026-01-05T09:00:00.000Z',
+      '2026-01-07T18:00:00.000Z',
+      '2026-01-12T09:00:00.000Z',
+      '2026-01-14T18:00:00.000Z',
+      '2026-01-19T09:00:00.000Z'
+    ]);
+  });
+
+  it('only counts slots strictly after the start', () => {
+    const queue = { timezone: 'UTC', slots: [{ day: 'sunday', time: '12:00' }] };
+    expect(iso(postingQueue.upcomingSlots(queue, 1, from))).toEqual(['2026-01-11T12:00:00.000Z']);
+  });
+
+  it('keeps slot times in the queue\'s time zone across DST', () => {
+    const queue = { timezone: 'America/New_York', slots: [{ day: 'sunday', time: '09:00' }] };
+    expect(iso(postingQueue.upcomingSlots(queue, 2, new Date('2026-03-01T00:00:00Z')))).toEqual([
+      '2026-03-01T14:00:00.000Z',
+      '2026-03-08T13:00:00.000Z'
+    ]);
+  });
+
+  it('hands out an instant only once', () => {
+    const queue = {
+      timezone: 'UTC',
+      slots: [{ day: 'monday', time: '09:00' }, { day: 'monday', time: '09:00' }]
+    };
+    expect(iso(postingQueue.upcomingSlots(queue, 2, from))).toEqual([
+      '2026-01-05T09:00:00.000Z',
+      '2026-01-12T09:00:00.000Z'
+    ]);
+  });
+
+  it('falls back to UTC for an unknown time zone', () => {
+    const queue = { timezone: 'Nowhere/Special', slots: [{ day: 'monday', time: '09:00' }] };
+    expect(iso(postingQueue.upcomingSlots(queue, 1, from))).toEqual(['2026-01-05T09:00:00.000Z']);
+  });
+});
@@ -0,0 +1,97 @@
+const { failureCode, failureRecord, isRetryableCode, suggestedFix } = require('../src/utils/publishFailures');
+
+describe('failureCode', () => {
+  it('keeps a code the publisher already normalized', () => {
+    expect(failureCode({ error: 'Token expired', errorCode: 'QUOTA_EXCEEDED' })).toBe('QUOTA_EXCEEDED');
+  });
+
+  it('ignores a code that is the platform\'s own', () => {
+    expect(failureCode({ error: 'Rate limit reached', errorCode: 190 })).toBe('RATE_LIMIT_EXCEEDED');
+  });
+
+  it.each([
+    ['Twitter account not connected', 'PLATFORM_NOT_CONNECTED'],
+    ['No Facebook pages found', 'PLATFORM_NOT_CONNECTED'],
+    ['Access token has expired', 'PLATFORM_TOKEN_EXPIRED'],
+    ['Unauthorized: invalid_token', 'PLATFORM_TOKEN_INVALID'],
+    ['Please reconnect your account', 'PLATFORM_TOKEN_INVALID'],
+    ['Too Many Requests', 'RATE_LIMIT_EXCEEDED'],
+    ['Daily quota used up', 'QUOTA_EXCEEDED'],
+    ['Video file size too large', 'MEDIA_TOO_LARGE'],
+    ['Unsupported media type', 'MEDIA_UNSUPPORTED'],
+    ['Could not process image', 'MEDIA_INVALID'],
+    ['Tweet text too long', 'CONTENT_TOO_LONG'],
+    ['No thread content', 'CONTENT_TOO_SHORT'],
+    ['Request timed out', 'TIMEOUT_ERROR'],
+    ['connect ECONNREFUSED 10.0.0.1:443', 'NETWORK_ERROR'],
+    ['Platform not supported', 'UNSUPPORTED_PLATFORM']
+  ])('maps "%s" to %s', (error, code) => {
+    expect(failureCode({ error })).toBe(code);
+  });
+
+  it('takes the first pattern that matches', () => {
+    // "expired" is checked before "permission"
+    expect(failureCode({ error: 'Permission token expired' })).toBe('PLATFORM_TOKEN_EXPIRED');
+  });
+
+  it('falls back to the HTTP status, then to a generic code', () => {
+    expect(failureCode({ error: 'Something odd', status: 429 })).toBe('RATE_LIMIT_EXCEEDED');
+    expect(failureCode({ error: 'Something odd', status: 403 })).toBe('PLATFORM_TOKEN_INVALID');
+    expect(failureCode({ error: 'Something odd', status: '502' })).toBe('SERVICE_UNAVAILABLE');
+    expect(failureCode({ error: 'Something odd', status: 400 })).toBe('EXTERNAL_SERVICE_ERROR');
+    expect(failureCode({})).toBe('EXTERNAL_SERVICE_ERROR');
+  });
+});
+
+describe('isRetryableCode', () => {
+  it('only retries failures that can go away on their own', () => {
+    expect(['RATE_LIMIT_EXCEEDED', 'NETWORK_ERROR', 'TIMEOUT_ERROR', 'SERVICE_UNAVAILABLE'].every(isRetryableCode)).toBe(true);
+    expect(isRetryableCode('PLATFORM_TOKEN_EXPIRED')).toBe(false);
+    expect(isRetryableCode('CONTENT_TOO_LONG')).toBe(false);
+  });
+});
+
+describe('failureRecord', () => {
+  it('records the code, status and the rest of the result as the platform response', () => {
+    const record = failureRecord(
+      { success: false, error: 'Too many requests', status: 429, errorCode: 88, detail: 'slow down' },
+      { attempt: 2, worker: 'worker-1' }
+    );
+    expect(record).toMatchObject({
+      attempt: 2,
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many requests',
+      retryable: true,
+      status_code: 429,
+      response: { detail: 'slow down', errorCode: 88 },
+      worker: 'worker-1'
+    });
+    expect(record.at).toBeInstanceOf(Date);
+  });
+
+  it('lets the queue override whether to retry', () => {
+    expect(failureRecord({ error: 'Network error' }, { retryable: false }).retryable).toBe(false);
+  });
+
+  it('truncates a long platform response', () => {
+    const record = failureRecord({ error: 'Bad request', platformResponse: { body: 'x'.repeat(5000) } });
+    expect(record.response.length).toBe(4001);
+    expect(record.response.endsWith('…')).toBe(true);
+    expect(record.status_code).toBeUndefined();
+  });
+});
+
+describe('suggestedFix', () => {
+  it('tells the author what to do for a code', () => {
+    expect(suggestedFix('PLATFORM_TOKEN_EXPIRED', 'linkedin')).toEqual({
+      action: 'reconnect',
+      message: 'Your LinkedIn token expired: reconnect LinkedIn, then retry'
+    });
+    expect(suggestedFix('CONTENT_TOO_LONG', 'twitter').message).toMatch(/thread/);
+    expect(suggestedFix('RATE_LIMIT_EXCEEDED', 'youtube').action).toBe('wait');
+    expect(suggestedFix('SOMETHING_ELSE', 'facebook')).toEqual({
+      action: 'retry',
+      message: 'Check Facebook\'s response for the cause, then retry'
+    });
+  });
+});
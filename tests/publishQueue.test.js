@@ -0,0 +1,85 @@
+jest.mock('../src/utils/retryLogic', () => ({
+  ...jest.requireActual('../src/utils/retryLogic'),
+  updatePostWithRetryInfo: jest.fn()
+}));
+
+const Post = require('../src/models/Post');
+const PostGroup = require('../src/models/PostGroup');
+const { updatePostWithRetryInfo } = require('../src/utils/retryLogic');
+const publishQueue = require('../src/services/publishQueue');
+
+// The occurrence buildNextOccurrence returns for a recurring post
+function nextOccurrence(occurrence = 2) {
+  return {
+    _id: 'next-post',
+    scheduling: { scheduled_at: new Date('2026-03-09T09:00:00Z'), recurring: { series_id: 'series-1', occurrence } },
+    save: jest.fn().mockResolvedValue()
+  };
+}
+
+function recurringPost(next = nextOccurrence()) {
+  return {
+    _id: 'post-1',
+    platform: 'twitter',
+    scheduling: { recurring: { enabled: true } },
+    buildNextOccurrence: jest.fn(() => next)
+  };
+}
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  updatePostWithRetryInfo.mockReset();
+  jest.spyOn(PostGroup, 'refreshStatus').mockResolvedValue(null);
+  jest.spyOn(Post, 'exists').mockResolvedValue(null);
+});
+
+describe('publishQueue.complete and fail', () => {
+  it.each([
+    ['complete', { success: true, id: 'tweet-1' }],
+    ['fail', { success: false, error: 'Token expired' }]
+  ])('%s records the attempt, then refreshes the group and continues the series', async (method, result) => {
+    const next = nextOccurrence();
+    const post = { ...recurringPost(next), group: 'group-1' };
+
+    await publishQueue[method](post, result, 3);
+
+    expect(updatePostWithRetryInfo).toHaveBeenCalledWith(post, result, 3);
+    expect(PostGroup.refreshStatus).toHaveBeenCalledWith('group-1');
+    expect(next.save).toHaveBeenCalled();
+  });
+
+  it('leaves group status alone for a post outside a group', async () => {
+    await publishQueue.complete({ _id: 'post-1', platform: 'twitter' }, { success: true });
+
+    expect(updatePostWithRetryInfo).toHaveBeenCalledWith(expect.objectContaining({ _id: 'post-1' }), { success: true }, 1);
+    expect(PostGroup.refreshStatus).not.toHaveBeenCalled();
+  });
+});
+
+describe('publishQueue.scheduleNextOccurrence', () => {
+  it('does nothing for a post that does not recur', async () => {
+    await expect(publishQueue.scheduleNextOccurrence({ scheduling: {} })).resolves.toBeNull();
+    expect(Post.exists).not.toHaveBeenCalled();
+  });
+
+  it('saves and returns the next occurrence', async () => {
+    const next = nextOccurrence();
+
+    await expect(publishQueue.scheduleNextOccurrence(recurringPost(next))).resolves.toBe(next);
+    expect(Post.exists).toHaveBeenCalledWith({ 'scheduling.recurring.series_id': 'series-1', 'scheduling.recurring.occurrence': 2 });
+    expect(next.save).toHaveBeenCalled();
+  });
+
+  it('adds an occurrence only once', async () => {
+    Post.exists.mockResolvedValue({ _id: 'already-there' });
+    const next = nextOccurrence();
+
+    await expect(publishQueue.scheduleNextOccurrence(recurringPost(next))).resolves.toBeNull();
+    expect(next.save).not.toHaveBeenCalled();
+  });
+
+  it('stops when the series has ended', async () => {
+    await expect(publishQueue.scheduleNextOccurrence(recurringPost(null))).resolves.toBeNull();
+    expect(Post.exists).not.toHaveBeenCalled();
+  });
+});
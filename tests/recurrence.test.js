@@ -0,0 +1,112 @@
+const {
+  parseWeekday,
+  parseTime,
+  validateRecurring,
+  findNextOccurrence,
+  getNextOccurrence,
+  getUpcomingOccurrences
+} = require('../src/utils/recurrence');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+describe('parseWeekday and parseTime', () => {
+  it('accepts weekday names, abbreviations and indexes', () => {
+    expect(parseWeekday('Sunday')).toBe(0);
+    expect(parseWeekday('mon')).toBe(1);
+    expect(parseWeekday('6')).toBe(6);
+    expect(parseWeekday(3)).toBe(3);
+    expect(parseWeekday(7)).toBeNull();
+    expect(parseWeekday('someday')).toBeNull();
+  });
+
+  it('parses HH:mm times of day', () => {
+    expect(parseTime('9:05')).toEqual({ hours: 9, minutes: 5 });
+    expect(parseTime('23:59')).toEqual({ hours: 23, minutes: 59 });
+    expect(parseTime('24:00')).toBeNull();
+    expect(parseTime('9am')).toBeNull();
+  });
+});
+
+describe('validateRecurring', () => {
+  it('ignores a disabled rule', () => {
+    expect(validateRecurring({ enabled: false, frequency: 'hourly' })).toEqual([]);
+  });
+
+  it('reports every problem with a rule', () => {
+    expect(validateRecurring({ enabled: true, frequency: 'hourly', time: '25:00', ends_after: 0, ends_at: 'soon' })).toEqual([
+      'Recurring frequency must be one of: daily, weekly, monthly',
+      'Recurring time must be in HH:mm format',
+      'Recurring ends_after must be a positive number',
+      'Recurring ends_at must be a valid date'
+    ]);
+    expect(validateRecurring({ enabled: true, frequency: 'weekly', days: ['monday', 'funday'] }))
+      .toEqual(['Weekly recurring days must be weekday names (e.g. monday, tue)']);
+    expect(validateRecurring({ enabled: true, frequency: 'monthly', days: [1, 32] }))
+      .toEqual(['Monthly recurring days must be days of the month (1-31)']);
+  });
+});
+
+describe('findNextOccurrence', () => {
+  it('returns null for a disabled rule', () => {
+    expect(findNextOccurrence({ enabled: false, frequency: 'daily' }, new Date('2026-01-01T00:00:00Z'))).toBeNull();
+  });
+
+  it('finds the next daily time strictly after the given instant', () => {
+    const rule = { enabled: true, frequency: 'daily', time: '09:00' };
+    expect(getNextOccurrence(rule, new Date('2026-01-01T08:00:00Z')).toISOString()).toBe('2026-01-01T09:00:00.000Z');
+    expect(getNextOccurrence(rule, new Date('2026-01-01T09:00:00Z')).toISOString()).toBe('2026-01-02T09:00:00.000Z');
+  });
+
+  it('takes the day and time from the anchor when the rule has none', () => {
+    const anchor = new Date('2026-01-07T15:30:00Z'); // a Wednesday
+    const next = getNextOccurrence({ enabled: true, frequency: 'weekly' }, anchor, anchor);
+    expect(next.toISOString()).toBe('2026-01-14T15:30:00.000Z');
+  });
+
+  it('lists weekly occurrences on the chosen days', () => {
+    const rule = { enabled: true, frequency: 'weekly', days: ['monday', 'wed'], time: '09:00' };
+    expect(iso(getUpcomingOccurrences(rule, new Date('2026-01-04T12:00:00Z'), 3))).toEqual([
+      '2026-01-05T09:00:00.000Z',
+      '2026-01-07T09:00:00.000Z',
+      '2026-01-12T09:00:00.000Z'
+    ]);
+  });
+
+  it('clamps monthly days to the end of shorter months', () => {
+    const rule = { enabled: true, frequency: 'monthly', days: [31], time: '09:00' };
+    expect(iso(getUpcomingOccurrences(rule, new Date('2026-01-31T10:00:00Z'), 2))).toEqual([
+      '2026-02-28T09:00:00.000Z',
+      '2026-03-31T09:00:00.000Z'
+    ]);
+  });
+
+  it('keeps the wall-clock time across a DST change', () => {
+    const rule = { enabled: true, frequency: 'daily', time: '09:00' };
+    const from = new Date('2026-03-07T00:00:00Z');
+    expect(iso(getUpcomingOccurrences(rule, from, 2, from, 'America/New_York'))).toEqual([
+      '2026-03-07T14:00:00.000Z',
+      '2026-03-08T13:00:00.000Z'
+    ]);
+  });
+
+  it('resolves a time in a DST gap instead of rejecting it', () => {
+    const rule = { enabled: true, frequency: 'daily', time: '02:30' };
+    const from = new Date('2026-03-08T05:00:00Z');
+    const next = findNextOccurrence(rule, from, from, 'America/New_York', 'reject');
+    expect(next.date.toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    expect(next.adjustment).toMatch(/DST gap/);
+  });
+
+  it('honours skipped occurrences and the end date', () => {
+    const rule = {
+      enabled: true,
+      frequency: 'daily',
+      time: '09:00',
+      skipped: [new Date('2026-01-02T09:00:00Z')],
+      ends_at: new Date('2026-01-04T00:00:00Z')
+    };
+    expect(iso(getUpcomingOccurrences(rule, new Date('2026-01-01T12:00:00Z'), 5))).toEqual([
+      '2026-01-03T09:00:00.000Z'
+    ]);
+  });
+});
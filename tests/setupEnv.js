@@ -0,0 +1,3 @@
+// config/env exits at load without these; no test signs tokens with them
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
@@ -0,0 +1,126 @@
+const {
+  zonedTimeToUtc,
+  resolveScheduledTime,
+  resolveScheduling,
+  parseLocalDateTime,
+  hasExplicitOffset,
+  formatInTimeZone,
+  isValidTimeZone
+} = require('../src/utils/timezone');
+
+// New York springs forward at 02:00 on 2026-03-08 and falls back at 02:00
+// on 2026-11-01
+const NEW_YORK = 'America/New_York';
+
+describe('zonedTimeToUtc', () => {
+  it('converts an ordinary local time', () => {
+    const result = zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 9, minute: 0 }, 'Asia/Kolkata');
+    expect(result.status).toBe('ok');
+    expect(result.date.toISOString()).toBe('2026-01-15T03:30:00.000Z');
+  });
+
+  it('rejects a time in a DST gap by default', () => {
+    const result = zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, NEW_YORK);
+    expect(result).toMatchObject({ date: null, status: 'gap', candidates: [] });
+  });
+
+  it('shifts a gap time forward by the gap length', () => {
+    const result = zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, NEW_YORK, 'shift_forward');
+    expect(result.status).toBe('gap');
+    // 03:30 EDT
+    expect(result.date.toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    expect(result.adjustment).toMatch(/shifted forward by 60 minutes/);
+  });
+
+  it('shifts a gap time forward for earlier and later too', () => {
+    for (const resolution of ['earlier', 'later']) {
+      const result = zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, NEW_YORK, resolution);
+      expect(result.date.toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    }
+  });
+
+  it('reports both instants of a time in a DST overlap', () => {
+    const result = zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, NEW_YORK);
+    expect(result.status).toBe('overlap');
+    expect(result.date).toBeNull();
+    expect(result.candidates.map(date => date.toISOString())).toEqual([
+      '2026-11-01T05:30:00.000Z',
+      '2026-11-01T06:30:00.000Z'
+    ]);
+  });
+
+  it('picks the earlier or later instant of an overlap', () => {
+    const local = { year: 2026, month: 11, day: 1, hour: 1, minute: 30 };
+    expect(zonedTimeToUtc(local, NEW_YORK, 'earlier').date.toISOString()).toBe('2026-11-01T05:30:00.000Z');
+    expect(zonedTimeToUtc(local, NEW_YORK, 'later').date.toISOString()).toBe('2026-11-01T06:30:00.000Z');
+  });
+});
+
+describe('resolveScheduledTime', () => {
+  it('takes a string with an offset as an absolute instant', () => {
+    const result = resolveScheduledTime('2026-03-08T02:30:00Z', NEW_YORK);
+    expect(result).toMatchObject({ status: 'ok', local: null });
+    expect(result.date.toISOString()).toBe('2026-03-08T02:30:00.000Z');
+  });
+
+  it('explains how to resolve a gap or an overlap', () => {
+    expect(resolveScheduledTime('2026-03-08T02:30', NEW_YORK).error).toMatch(/DST gap.*shift_forward/);
+    expect(resolveScheduledTime('2026-11-01T01:30', NEW_YORK).error).toMatch(/DST overlap.*'earlier' or 'later'/);
+  });
+
+  it('keeps the local time it resolved', () => {
+    const result = resolveScheduledTime('2026-11-01T01:30', NEW_YORK, 'later');
+    expect(result.local).toBe('2026-11-01T01:30');
+    expect(result.date.toISOString()).toBe('2026-11-01T06:30:00.000Z');
+  });
+
+  it('rejects an unparseable date', () => {
+    expect(resolveScheduledTime('next tuesday', NEW_YORK)).toEqual({ date: null, error: 'Invalid date' });
+  });
+});
+
+describe('resolveScheduling', () => {
+  it('builds the scheduling fields, falling back to the default time zone', () => {
+    const { scheduling } = resolveScheduling({ scheduledAt: '2099-11-01T01:30', dst_resolution: 'earlier' }, NEW_YORK);
+    expect(scheduling).toMatchObject({
+      timezone: NEW_YORK,
+      local_time: '2099-11-01T01:30',
+      dst_resolution: 'earlier'
+    });
+    expect(scheduling.dst_adjustment).toMatch(/earlier occurrence/);
+  });
+
+  it('returns the DST details with the error', () => {
+    const result = resolveScheduling({ scheduledAt: '2099-03-08T02:30', timezone: NEW_YORK });
+    expect(result.error).toMatch(/DST gap/);
+    expect(result.dst).toEqual({ status: 'gap', candidates: [] });
+  });
+
+  it('rejects unknown zones, resolutions and past local times', () => {
+    expect(resolveScheduling({ scheduledAt: '2099-01-01T09:00', timezone: 'Mars/Olympus' }).error).toBe('Unknown time zone: Mars/Olympus');
+    expect(resolveScheduling({ scheduledAt: '2099-01-01T09:00', dst_resolution: 'never' }).error).toMatch(/^dst_resolution must be one of/);
+    expect(resolveScheduling({ scheduledAt: '2000-01-01T09:00' }).error).toBe('Scheduled date must be in the future');
+    expect(resolveScheduling({}).error).toMatch(/scheduledAt is required/);
+  });
+});
+
+describe('parsing and formatting', () => {
+  it('parses local datetimes and spots explicit offsets', () => {
+    expect(parseLocalDateTime('2026-03-08 09:05:30')).toEqual({ year: 2026, month: 3, day: 8, hour: 9, minute: 5, second: 30 });
+    expect(parseLocalDateTime('2026-03-08T09:05Z')).toBeNull();
+    expect(hasExplicitOffset('2026-03-08T09:05+05:30')).toBe(true);
+    expect(hasExplicitOffset('2026-03-08T09:05')).toBe(false);
+  });
+
+  it('formats an instant with the offset in force', () => {
+    expect(formatInTimeZone(new Date('2026-11-01T05:30:00Z'), NEW_YORK)).toBe('2026-11-01T01:30:00-04:00');
+    expect(formatInTimeZone(new Date('2026-11-01T06:30:00Z'), NEW_YORK)).toBe('2026-11-01T01:30:00-05:00');
+    expect(formatInTimeZone(new Date('2026-01-15T03:30:00Z'), 'Asia/Kolkata')).toBe('2026-01-15T09:00:00+05:30');
+  });
+
+  it('validates time zone names', () => {
+    expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(isValidTimeZone('Nowhere/Special')).toBe(false);
+    expect(isValidTimeZone(undefined)).toBe(false);
+  });
+});
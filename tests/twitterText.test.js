@@ -0,0 +1,120 @@
+const {
+  MAX_TWEET_LENGTH,
+  findTweetUrls,
+  weightedLength,
+  checkTweet,
+  splitThread,
+  validateThread
+} = require('../src/utils/twitterText');
+
+describe('weightedLength', () => {
+  it('counts Latin text one per character, after NFC normalization', () => {
+    expect(weightedLength('hello')).toBe(5);
+    expect(weightedLength('café')).toBe(4);
+    expect(weightedLength('“quoted” – dash')).toBe(15);
+  });
+
+  it('counts CJK characters as two', () => {
+    expect(weightedLength('日本語')).toBe(6);
+  });
+
+  it('counts every emoji as two, whatever its code points', () => {
+    expect(weightedLength('👍')).toBe(2);
+    expect(weightedLength('👍🏽')).toBe(2);
+    expect(weightedLength('👨‍👩‍👧')).toBe(2);
+    expect(weightedLength('🇯🇵')).toBe(2);
+    expect(weightedLength('©')).toBe(1);
+  });
+
+  it('counts every URL as 23 characters', () => {
+    expect(weightedLength('see https://example.com/a/very/long/path?x=1.')).toBe(4 + 23 + 1);
+    expect(weightedLength('example.com')).toBe(23);
+    expect(weightedLength('mail me@example.com')).toBe(19);
+  });
+});
+
+describe('findTweetUrls', () => {
+  it('leaves trailing punctuation out of a URL', () => {
+    expect(findTweetUrls('Read (https://example.com/post).')).toEqual([
+      { url: 'https://example.com/post', start: 6, end: 30 }
+    ]);
+  });
+});
+
+describe('checkTweet', () => {
+  it('accepts up to the limit and rejects empty or longer text', () => {
+    expect(checkTweet('a'.repeat(MAX_TWEET_LENGTH))).toEqual({ isValid: true, length: 280, remaining: 0 });
+    expect(checkTweet('a'.repeat(MAX_TWEET_LENGTH + 1)).isValid).toBe(false);
+    expect(checkTweet('').isValid).toBe(false);
+    expect(checkTweet('字'.repeat(141))).toMatchObject({ isValid: false, length: 282 });
+  });
+});
+
+describe('splitThread', () => {
+  const sentence = 'This sentence is part of a long post that has to become a thread.';
+
+  it('leaves text that fits as one tweet without a counter', () => {
+    expect(splitThread('Short and sweet.')).toEqual([{ position: 1, text: 'Short and sweet.', length: 16 }]);
+    expect(splitThread('   ')).toEqual([]);
+  });
+
+  it('splits at sentence boundaries and numbers the tweets', () => {
+    const text = Array(10).fill(sentence).join(' ');
+    const tweets = splitThread(text);
+    expect(tweets.length).toBe(3);
+    tweets.forEach((tweet, index) => {
+      expect(tweet.text.endsWith(` ${index + 1}/3`)).toBe(true);
+      expect(tweet.length).toBeLessThanOrEqual(MAX_TWEET_LENGTH);
+      expect(tweet.text.replace(/ \d+\/3$/, '').startsWith('This sentence')).toBe(true);
+    });
+    expect(tweets.map(tweet => tweet.text.replace(/ \d+\/3$/, '')).join(' ')).toBe(text);
+  });
+
+  it('puts the counter first or leaves it out', () => {
+    const text = Array(10).fill(sentence).join(' ');
+    expect(splitThread(text, { numbering: 'prefix' })[0].text.startsWith('1/3 This')).toBe(true);
+    expect(splitThread(text, { numbering: false }).map(tweet => tweet.text).join(' ')).toBe(text);
+  });
+
+  it('makes room for two-digit counters', () => {
+    const tweets = splitThread(Array(50).fill(sentence).join(' '));
+    expect(tweets.length).toBeGreaterThan(9);
+    expect(tweets.every(tweet => tweet.length <= MAX_TWEET_LENGTH)).toBe(true);
+    expect(tweets[tweets.length - 1].text.endsWith(`${tweets.length}/${tweets.length}`)).toBe(true);
+  });
+
+  it('breaks words longer than a tweet', () => {
+    const tweets = splitThread('x'.repeat(600), { numbering: false });
+    expect(tweets.map(tweet => tweet.length)).toEqual([280, 280, 40]);
+  });
+
+  it('prefers paragraph breaks and keeps them inside a tweet', () => {
+    const tweets = splitThread('First paragraph.\n\nSecond paragraph.');
+    expect(tweets).toHaveLength(1);
+    expect(tweets[0].text).toBe('First paragraph.\n\nSecond paragraph.');
+  });
+});
+
+describe('validateThread', () => {
+  it('requires at least one tweet', () => {
+    expect(validateThread([])).toEqual(['Thread must contain at least one tweet']);
+  });
+
+  it('reports long tweets and misused media', () => {
+    const errors = validateThread([
+      { text: 'a'.repeat(281), media: [0, 1, 2, 3, 4] },
+      { text: 'ok', media: [0, 9, 'x'] }
+    ], 5);
+    expect(errors).toEqual([
+      'Tweet 1 is 281 characters as Twitter counts them; the limit is 280',
+      'Tweet 1 attaches 5 media files; the limit is 4',
+      'Media 0 is attached to more than one tweet',
+      'Tweet 2 attaches media 9, but the post has 5 media files',
+      'Tweet 2 attaches media x; media are referenced by their index in the post'
+    ]);
+  });
+
+  it('accepts plain strings', () => {
+    expect(validateThread(['one', 'two'])).toEqual([]);
+  });
+});